@@ -41,7 +41,7 @@ function setupGlobalHandlers() {
     // Обработчик закрытия страницы
     window.addEventListener('beforeunload', () => {
         if (game) {
-            game.save(); // Автосохранение
+            game.autosave(); // Данные собираются синхронно, запись начинается до dispose
             game.dispose();
         }
     });
@@ -260,15 +260,24 @@ window.gameAPI = {
         }
         await initGame();
     },
-    save: () => {
-        if (game) {
-            game.save();
-        }
+    // Сохранения: слот по умолчанию - быстрое сохранение
+    save: (slot, options) => {
+        return game ? game.save(slot, options) : Promise.resolve(null);
     },
-    load: () => {
-        if (game) {
-            game.load();
-        }
+    load: (slot) => {
+        return game ? game.load(slot) : Promise.resolve(null);
+    },
+    listSaves: () => {
+        return game ? game.listSaves() : Promise.resolve([]);
+    },
+    deleteSave: (slot) => {
+        return game ? game.deleteSave(slot) : Promise.resolve();
+    },
+    exportSave: (slot) => {
+        return game ? game.exportSave(slot) : Promise.resolve(false);
+    },
+    importSave: (file, slot) => {
+        return game ? game.importSave(file, slot) : Promise.resolve(null);
     },
     reset: () => {
         if (game) {
@@ -8,8 +8,51 @@ import { AssetManager } from './core/AssetManager.js';
 import { ConfigManager } from './core/ConfigManager.js';
 import { CameraController } from './core/CameraController.js';
 import { InputManager } from './core/InputManager.js';
+import { ActionMap } from './core/ActionMap.js';
+import { TouchControls } from './core/TouchControls.js';
+import { GraphicsManager } from './core/GraphicsManager.js';
+import { CinematicDirector } from './core/CinematicDirector.js';
+import { PerformanceGovernor } from './core/PerformanceGovernor.js';
+import { FixedTimestep } from './core/FixedTimestep.js';
+import { SaveManager } from './core/SaveManager.js';
+import { EventBus } from './core/EventBus.js';
+import { WORLD_MODEL_PATH, createTestObjects, buildCollisionWorld } from './core/levelGeometry.js';
 import { UIManager } from './ui/UIManager.js';
+import { EntityWorld } from './ecs/EntityWorld.js';
+import { TransformSystem } from './systems/TransformSystem.js';
+import { PlayerSystem } from './systems/PlayerSystem.js';
+import { ScriptSystem } from './systems/ScriptSystem.js';
+import { TriggerSystem } from './systems/TriggerSystem.js';
+import { AnimatorSystem } from './systems/AnimatorSystem.js';
+import { AISystem } from './systems/AISystem.js';
+import { BehaviorTreeSystem } from './systems/BehaviorTreeSystem.js';
+import { InteractionSystem } from './systems/InteractionSystem.js';
+import { HealthSystem } from './systems/HealthSystem.js';
+import { Animator } from './animation/Animator.js';
+import { NavigationManager } from './navigation/NavigationManager.js';
+import { BehaviorTreeLibrary } from './behavior/BehaviorTreeLibrary.js';
+import { BehaviorDebugger } from './behavior/BehaviorDebugger.js';
+import { BehaviorRegistry } from './behavior/BehaviorRegistry.js';
+import { Blackboard } from './behavior/Blackboard.js';
+import { registerAINodes } from './behavior/aiNodes.js';
+import { InventoryManager } from './inventory/InventoryManager.js';
+import { QuestManager } from './quests/QuestManager.js';
+import { DialogueController } from './dialogue/DialogueController.js';
+import { TransformComponent } from './components/TransformComponent.js';
+import { HealthComponent } from './components/HealthComponent.js';
+import { TriggerComponent } from './components/TriggerComponent.js';
+import { InventoryComponent } from './components/InventoryComponent.js';
+import { InteractableComponent } from './components/InteractableComponent.js';
 import { Player } from './entities/Player.js';
+import { AIAgentFactory } from './entities/AIAgentFactory.js';
+import { CheckpointManager } from './respawn/CheckpointManager.js';
+import { InteractableFactory } from './entities/InteractableFactory.js';
+
+// Причина смерти на экране "Игра окончена" по типу урона
+const DEATH_CAUSES = {
+    fall: 'You fell to your death',
+    void: 'You fell out of the world'
+};
 
 export class Game {
     constructor(canvasId) {
@@ -23,9 +66,35 @@ export class Game {
         this.configManager = null;
         this.cameraController = null;
         this.inputManager = null;
+        this.actions = null;
         this.uiManager = null;
+        this.timestep = null;
+        this.saveManager = null;
+        // Настройки graphics изменились с прошлого кадра
+        this.graphicsChanged = false;
+        this.collisionWorld = null;
+        this.collisionPipeline = null;
+        this.navigation = null;
+        this.aiAgents = null;
+        this.interactables = null;
+        this.behaviorRegistry = null;
+        this.behaviorTrees = null;
+        this.behaviorDebugger = null;
+        this.worldBlackboard = null;
+        this.inventoryManager = null;
+        // База предметов из InventoryManager: ключи дверей, подбор предметов, диалоги
+        this.itemDatabase = null;
+        // Шина игровых событий и задания, которые ее слушают
+        this.events = null;
+        this.quests = null;
+        // Разговоры с NPC (DialogueController)
+        this.dialogue = null;
+        // Контрольные точки и смертельные объемы
+        this.checkpoints = null;
         
         // Игровые объекты
+        this.entities = null;
+        this.playerEntity = null;
         this.player = null;
         this.worldMeshes = [];
         
@@ -40,7 +109,8 @@ export class Game {
             fps: 0,
             frameCount: 0,
             lastTime: 0,
-            deltaTime: 0
+            deltaTime: 0,
+            workTime: 0
         };
     }
     
@@ -78,51 +148,6 @@ export class Game {
         }
     }
     
-    /**
-     * Создание тестовых объектов для проверки рендеринга
-     */
-    createTestObjects() {
-        const scene = this.scene.getScene();
-        
-        // Создаем тестовый куб
-        const testBox = BABYLON.MeshBuilder.CreateBox(
-            "testBox", 
-            { size: 0.5 }, 
-            scene
-        );
-        testBox.position.x = -3; // Перемещаем левее
-        testBox.position.y = 1;
-        
-        // Материал для куба
-        const boxMaterial = new BABYLON.StandardMaterial("boxMaterial", scene);
-        boxMaterial.diffuseColor = new BABYLON.Color3(1, 0, 0); // Красный
-        testBox.material = boxMaterial;
-        
-        // Создаем тестовую плоскость (пол)
-        const ground = BABYLON.MeshBuilder.CreateGround(
-            "ground", 
-            { width: 50, height: 50 }, // Увеличиваем размер
-            scene
-        );
-        
-        // Включаем коллизии для тестовой плоскости
-        ground.checkCollisions = true;
-        ground.position.y = 0;
-        
-        // НЕ создаем физическое тело для тестовой плоскости
-        // Используем только систему коллизий
-        
-        // Материал для пола
-        const groundMaterial = new BABYLON.StandardMaterial("groundMaterial", scene);
-        groundMaterial.diffuseColor = new BABYLON.Color3(0, 1, 0); // Зеленый
-        groundMaterial.backFaceCulling = false; // Видимость с обеих сторон
-        ground.material = groundMaterial;
-        
-        console.log('🟢 Test ground created: 50x50, collisions enabled, no physics body');
-        
-        console.log('🧪 Test objects created');
-    }
-    
     /**
      * Инициализация основных систем
      */
@@ -131,6 +156,12 @@ export class Game {
         this.configManager = new ConfigManager();
         // ConfigManager автоматически загружает настройки в конструкторе
         
+        // Фиксированный шаг симуляции
+        this.timestep = new FixedTimestep(
+            this.configManager.get('physics.timeStep'),
+            this.configManager.get('physics.maxSubSteps')
+        );
+        
         // Движок Babylon.js
         this.engine = new GameEngine(this.canvasId);
         
@@ -147,11 +178,41 @@ export class Game {
         this.scene.createSkybox();
         
         // Создаем тестовый объект для проверки рендеринга
-        this.createTestObjects();
+        createTestObjects(this.scene.getScene());
         
         // Менеджер ресурсов
         this.assetManager = new AssetManager(this.scene.getScene());
         
+        // Шина игровых событий (задания, сценарии)
+        this.events = new EventBus();
+        
+        // Мир сущностей и его системы
+        this.entities = new EntityWorld();
+        this.entities.addSystem(new TransformSystem());
+        this.entities.addSystem(new PlayerSystem(this));
+        this.entities.addSystem(new AISystem(this));
+        this.entities.addSystem(new BehaviorTreeSystem(this.configManager));
+        this.entities.addSystem(new ScriptSystem());
+        this.entities.addSystem(new TriggerSystem());
+        this.entities.addSystem(new AnimatorSystem());
+        this.entities.addSystem(new InteractionSystem(this));
+        this.entities.addSystem(new HealthSystem(this.configManager, this.scaleFactor));
+        
+        // Листья деревьев поведения и общая доска, видимая всем агентам
+        this.behaviorRegistry = new BehaviorRegistry();
+        registerAINodes(this.behaviorRegistry, this.entities.getSystem(AISystem));
+        this.behaviorTrees = new BehaviorTreeLibrary(this.behaviorRegistry, this.configManager, this.assetManager);
+        this.worldBlackboard = new Blackboard();
+        
+        // Использованные объекты - событие для целей заданий
+        this.entities.getSystem(InteractionSystem).onInteractObservable.add(({ entity }) => {
+            this.events.emit('interact', {
+                id: entity.name,
+                type: entity.getComponent(InteractableComponent).type,
+                entity
+            });
+        });
+        
         // Контроллер камеры
         this.cameraController = new CameraController(
             this.scene.getScene(), 
@@ -159,11 +220,83 @@ export class Game {
             this.configManager
         );
         
+        // Настройки рендера (камеры уже созданы: конвейер постобработки подключается к ним)
+        this.graphics = new GraphicsManager(
+            this.engine.getEngine(),
+            this.scene.getScene(),
+            this.configManager
+        );
+        
+        // Адаптивное качество поверх настроек графики
+        this.performance = new PerformanceGovernor(this.graphics, this.configManager);
+        
         // Менеджер ввода
         this.inputManager = new InputManager(this.canvas, this.configManager);
+        this.cameraController.setInputManager(this.inputManager);
+        
+        // Действия и контексты ввода
+        this.actions = new ActionMap(this.inputManager, this.configManager);
         
         // UI менеджер
         this.uiManager = new UIManager(this.scene.getScene(), this.configManager);
+        this.uiManager.setActionMap(this.actions);
+        this.uiManager.setInputManager(this.inputManager);
+        this.behaviorDebugger = new BehaviorDebugger(this.entities, this.uiManager);
+        
+        // Привязки применяются сразу после изменения (панель управления пишет их в конфигурацию)
+        this.configManager.onChange((path) => {
+            if (path.startsWith('controls.')) {
+                this.applyControlsConfig();
+            } else if (path.startsWith('graphics.')) {
+                // Пресет качества пишет несколько ключей подряд: применяются один раз за кадр
+                this.graphicsChanged = true;
+            } else if (path.startsWith('camera.')) {
+                this.cameraController.updateFromConfig();
+                this.uiManager.updateFromConfig();
+            }
+        });
+        
+        this.performance.onLevelChangeObservable.add((event) => {
+            this.uiManager.addPerformanceEvent(event);
+        });
+        
+        // Сенсорное управление рисуется в GUI, поэтому создается после UI
+        this.touchControls = new TouchControls(
+            this.canvas,
+            this.uiManager.advancedTexture,
+            this.configManager
+        );
+        this.touchControls.setOnActiveChange((active) => {
+            this.cameraController.setTouchMode(active);
+        });
+        this.cameraController.setTouchMode(this.touchControls.isActive);
+        this.inputManager.setTouchControls(this.touchControls);
+        
+        // Кинематографические сцены забирают кадр у контроллера камеры
+        this.cinematics = new CinematicDirector(
+            this.scene.getScene(),
+            this.canvas,
+            this.cameraController,
+            this.inputManager,
+            this.configManager
+        );
+        this.cinematics.onSequenceStartObservable.add((event) => {
+            this.uiManager.setCinematicMode(true, event.skippable);
+        });
+        this.cinematics.onSequenceEndObservable.add(() => {
+            this.uiManager.setCinematicMode(false);
+        });
+        
+        // Разговоры с NPC и камера разговора
+        this.dialogue = new DialogueController(this);
+        
+        // Менеджер сохранений
+        this.saveManager = new SaveManager(
+            this.engine.getEngine(),
+            this.scene.getScene(),
+            this.configManager
+        );
+        await this.saveManager.init();
         
         console.log('🔧 Core systems initialized');
     }
@@ -176,7 +309,7 @@ export class Game {
         
         try {
             // Загружаем основную модель
-            const modelPath = './assets/textures/core/hq_bellato.glb';
+            const modelPath = WORLD_MODEL_PATH;
             console.log(`📦 Attempting to load model from: ${modelPath}`);
             
             const model = await this.assetManager.loadModel('main_model', modelPath);
@@ -209,18 +342,52 @@ export class Game {
             this.scene.setupWorldModel(this.worldMeshes, this.scaleFactor);
         }
         
+        // Собираем геометрию коллизий для контроллера персонажа
+        this.buildCollisionWorld();
+        this.cameraController.setCollisionWorld(this.collisionWorld);
+        
         // Создаем игрока
-        this.player = new Player(
-            this.scene.getScene(), 
-            this.configManager, 
-            this.scaleFactor
-        );
+        this.createPlayerEntity();
+        await this.player.loadCharacter(this.assetManager);
         
         // Размещаем игрока на земле
-        if (this.worldMeshes.length > 0) {
-            this.player.placeOnGround(this.worldMeshes);
+        this.player.placeOnGround();
+        
+        // Навигация и NPC (без толпы NPC не создаются)
+        this.navigation = new NavigationManager(
+            this.scene.getScene(),
+            this.configManager,
+            this.assetManager,
+            this.scaleFactor
+        );
+        await this.navigation.init(this.collisionWorld);
+        this.interactables = new InteractableFactory(this);
+        this.aiAgents = new AIAgentFactory(this);
+        if (this.navigation.crowd) {
+            await this.aiAgents.createAll();
         }
         
+        // Триггеры кинематографических сцен из конфигурации
+        this.createCinematicTriggers();
+        
+        // Контрольные точки и смертельные объемы
+        this.checkpoints = new CheckpointManager(this);
+        this.checkpoints.createTriggers();
+        
+        // Предметы, инвентарь игрока и контейнеры в мире
+        this.inventoryManager = new InventoryManager(this);
+        await this.inventoryManager.init();
+        this.itemDatabase = this.inventoryManager.itemDatabase;
+        
+        // Двери, рычаги и предметы на земле
+        this.interactables.createAll();
+        
+        // Задания (после инвентаря: цели сбора проверяют его содержимое)
+        await this.setupQuests();
+        
+        // Разделы сохранения
+        this.registerSaveHooks();
+        
         // Настраиваем камеру
         if (this.player) {
             this.cameraController.setTarget(this.player.getMesh());
@@ -232,33 +399,359 @@ export class Game {
         console.log('🏗️ Scene setup complete');
     }
     
+    /**
+     * Создание сущности игрока
+     */
+    createPlayerEntity() {
+        this.playerEntity = this.entities.createEntity('player', ['player']);
+        this.playerEntity.addComponent(new TransformComponent(
+            BABYLON.Vector3.FromArray(this.configManager.get('respawn.spawn'))
+        ));
+        const health = this.playerEntity.addComponent(new HealthComponent(
+            this.configManager.get('player.maxHealth'),
+            this.configManager.get('player.health')
+        ));
+        this.player = this.playerEntity.addComponent(new Player(
+            this.scene.getScene(), 
+            this.configManager, 
+            this.scaleFactor,
+            this.collisionWorld
+        ));
+        this.player.onLandObservable.add((event) => {
+            this.applyFallDamage(event);
+            this.onPlayerLanded(event);
+        });
+        health.onDamageObservable.add((event) => {
+            this.events.emit('player:damaged', event);
+        });
+        health.onDeathObservable.add((event) => {
+            this.onPlayerDied(event);
+        });
+    }
+    
+    /**
+     * Урон от падения по скорости удара о землю (раздел player.health.fallDamage)
+     * @param {Object} event - { fallHeight, impactSpeed, position }
+     */
+    applyFallDamage(event) {
+        const settings = this.configManager.get('player.health.fallDamage');
+        const minSpeed = settings.minSpeed * this.scaleFactor;
+        const lethalSpeed = settings.lethalSpeed * this.scaleFactor;
+        if (event.impactSpeed <= minSpeed) return;
+        
+        const health = this.playerEntity.getComponent(HealthComponent);
+        const amount = Math.min(1, (event.impactSpeed - minSpeed) / (lethalSpeed - minSpeed)) * health.maxHealth;
+        health.damage(amount, { type: 'fall', speed: event.impactSpeed });
+    }
+    
+    /**
+     * Смерть игрока: разговор и панели закрываются, показывается экран "Игра окончена"
+     * @param {Object} event - { amount, source, health }
+     */
+    onPlayerDied(event) {
+        const type = event.source ? event.source.type : null;
+        console.log(`💀 Player died${type ? ` (${type})` : ''}`);
+        
+        this.dialogue.end();
+        this.uiManager.closeAllPanels();
+        // Кнопкам экрана нужен курсор
+        if (this.inputManager.getIsPointerLocked()) {
+            this.inputManager.exitPointerLock();
+        }
+        this.uiManager.showGameOver(DEATH_CAUSES[type] || 'You died');
+        this.events.emit('player:died', { source: event.source });
+    }
+    
+    /**
+     * Возрождение игрока в последней контрольной точке (до первой - в начальной)
+     */
+    respawnPlayer() {
+        const health = this.playerEntity.getComponent(HealthComponent);
+        if (!health.isDead()) return;
+        
+        health.reset();
+        health.setInvulnerable(this.configManager.get('respawn.invulnerability'));
+        const checkpoint = this.checkpoints.getRespawnCheckpoint();
+        if (checkpoint) {
+            this.player.placeOnGround(BABYLON.Vector3.FromArray(checkpoint.position), false);
+        } else {
+            this.player.placeOnGround();
+        }
+        // Возрождение - телепортация: без этого интерполяция протянет игрока от места гибели
+        this.timestep.reset();
+        this.uiManager.hideGameOver();
+        
+        console.log(`🔄 Player respawned at ${this.checkpoints.current || 'spawn'}`);
+        this.events.emit('player:respawned', { checkpoint: this.checkpoints.current });
+    }
+    
+    /**
+     * Отдача камерой приземления с высоты (раздел camera.effects.landing)
+     * Сила эффектов пропорциональна высоте падения до maxFallHeight
+     * @param {Object} event - { fallHeight, impactSpeed, position }
+     */
+    onPlayerLanded(event) {
+        const landing = this.configManager.get('camera.effects.landing');
+        if (event.fallHeight < landing.minFallHeight) return;
+        
+        const strength = Math.min(1, event.fallHeight / landing.maxFallHeight);
+        this.cameraController.addTrauma(landing.maxTrauma * strength, 'landing');
+        this.cameraController.pulseFov(landing.fovPulse * strength, landing.fovPulseDuration);
+        this.cameraController.tilt(landing.tilt * strength * (Math.random() < 0.5 ? -1 : 1), landing.tiltDuration);
+        
+        if (event.fallHeight >= landing.maxFallHeight) {
+            this.cameraController.slowMotion(landing.slowMotionScale, landing.slowMotionDuration);
+        }
+    }
+    
+    /**
+     * Создание аниматора по описанию из animation.controllers
+     * @param {string} id - Идентификатор описания
+     * @param {BABYLON.AnimationGroup[]} animationGroups - Клипы модели
+     * @returns {Promise<Animator>}
+     */
+    async createAnimator(id, animationGroups) {
+        const url = this.configManager.get(`animation.controllers.${id}`);
+        if (!url) {
+            throw new Error(`Animator '${id}' is not listed in animation.controllers`);
+        }
+        
+        const definition = await this.assetManager.loadJSON(`animator_${id}`, url);
+        return new Animator(this.scene.getScene(), animationGroups, definition);
+    }
+    
+    /**
+     * Открытие и закрытие инвентаря игрока
+     * Рядом стоящий контейнер открывается вместе с ним
+     */
+    toggleInventory() {
+        if (this.uiManager.isInventoryOpen()) {
+            this.uiManager.hideInventory();
+            return;
+        }
+        this.openContainer(this.player ? this.inventoryManager.getNearestContainer(this.player.getPosition()) : null);
+    }
+    
+    /**
+     * Инвентарь игрока рядом с содержимым контейнера
+     * @param {Entity} entity - Сущность с InventoryComponent или null (только инвентарь игрока)
+     */
+    openContainer(entity = null) {
+        const inventory = this.playerEntity ? this.playerEntity.getComponent(InventoryComponent) : null;
+        if (!inventory) return;
+        
+        // Перетаскиванию нужен курсор
+        if (this.inputManager.getIsPointerLocked()) {
+            this.inputManager.exitPointerLock();
+        }
+        this.uiManager.showInventory(inventory, entity ? entity.getComponent(InventoryComponent) : null);
+    }
+    
+    /**
+     * Задания из quests.path: награды, уведомления и первые задания
+     * Без файла заданий менеджер остается пустым
+     */
+    async setupQuests() {
+        const settings = this.configManager.get('quests');
+        let definition = { quests: [] };
+        try {
+            definition = await this.assetManager.loadJSON('quests', settings.path);
+        } catch (error) {
+            console.warn('⚠️ Quests not available:', error.message);
+        }
+        
+        try {
+            this.quests = new QuestManager(this.events, definition);
+        } catch (error) {
+            console.error('❌ Invalid quest definitions:', error.message);
+            this.quests = new QuestManager(this.events);
+        }
+        
+        this.events.on('quest:completed', ({ quest, rewards }) => {
+            this.grantQuestRewards(quest, rewards);
+        });
+        if (settings.notifications) {
+            this.events.on('quest:started', ({ quest }) => {
+                this.uiManager.showNotification(`New quest: ${quest.title}`);
+            });
+            this.events.on('quest:stageCompleted', ({ quest, stage }) => {
+                if (stage + 1 < quest.stages.length) {
+                    this.uiManager.showNotification(`Quest updated: ${quest.title}`);
+                }
+            });
+            this.events.on('quest:completed', ({ quest }) => {
+                this.uiManager.showNotification(`Quest completed: ${quest.title}`);
+            });
+        }
+        
+        // Текущее содержимое инвентаря для целей сбора
+        const inventory = this.playerEntity.getComponent(InventoryComponent);
+        if (inventory) {
+            this.events.emit('inventory:changed', { entity: this.playerEntity, inventory });
+        }
+        this.quests.startAvailable();
+        
+        console.log(`📜 Quests ready: ${this.quests.getAll().length} defined`);
+    }
+    
+    /**
+     * Награда за задание: предметы в инвентарь игрока, флаги на общую доску
+     */
+    grantQuestRewards(quest, rewards) {
+        const inventory = this.playerEntity ? this.playerEntity.getComponent(InventoryComponent) : null;
+        rewards.items.forEach(([id, count]) => {
+            const left = inventory ? inventory.add(id, count) : count;
+            if (left > 0) {
+                console.warn(`⚠️ Quest '${quest.id}' reward ${id} x${left} did not fit into inventory`);
+            }
+        });
+        Object.entries(rewards.flags).forEach(([key, value]) => {
+            this.worldBlackboard.set(key, value);
+        });
+    }
+    
+    /**
+     * Открытие и закрытие журнала заданий
+     */
+    toggleJournal() {
+        if (this.uiManager.isJournalOpen()) {
+            this.uiManager.hideJournal();
+            return;
+        }
+        if (!this.quests) return;
+        
+        // Выбору задания нужен курсор
+        if (this.inputManager.getIsPointerLocked()) {
+            this.inputManager.exitPointerLock();
+        }
+        this.uiManager.showJournal(this.quests, this.itemDatabase);
+    }
+    
+    /**
+     * Создание триггеров кинематографических сцен (раздел cinematics.triggers)
+     * Сработавший одноразовый триггер запоминается в сохранении
+     */
+    createCinematicTriggers() {
+        this.configManager.get('cinematics.triggers').forEach((definition, index) => {
+            const entity = this.entities.createEntity(`cinematicTrigger${index}`, ['trigger']);
+            entity.addComponent(new TransformComponent(BABYLON.Vector3.FromArray(definition.position)));
+            const trigger = entity.addComponent(new TriggerComponent({
+                size: BABYLON.Vector3.FromArray(definition.size),
+                once: definition.once !== false
+            }));
+            trigger.onEnterObservable.add(() => {
+                this.playCinematic(definition.sequence);
+            });
+        });
+    }
+    
+    /**
+     * Воспроизведение кинематографической сцены
+     * @param {string|Object} sequence - Идентификатор из cinematics.sequences или описание
+     * @returns {Promise<Object|null>} { id, skipped } или null при ошибке
+     */
+    async playCinematic(sequence) {
+        try {
+            return await this.cinematics.play(sequence);
+        } catch (error) {
+            console.error('❌ Failed to play cinematic:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Регистрация хуков сериализации основных систем
+     */
+    registerSaveHooks() {
+        this.saveManager.register('game', {
+            serialize: () => ({
+                cameraMode: this.cameraController.getCurrentMode(),
+                flyMode: this.flyMode
+            }),
+            deserialize: (data) => {
+                if (data.cameraMode) {
+                    this.cameraController.setActiveCamera(data.cameraMode);
+                }
+                this.setFlyMode(!!data.flyMode);
+            }
+        });
+        
+        this.saveManager.register('entities', {
+            serialize: () => this.entities.serialize(),
+            deserialize: (data) => this.entities.deserialize(data)
+        });
+        
+        // Флаги общей доски: выбор в диалогах, награды заданий
+        this.saveManager.register('flags', {
+            serialize: () => this.worldBlackboard.serialize(),
+            deserialize: (data) => this.worldBlackboard.deserialize(data)
+        });
+        
+        // Задания на время загрузки приостановлены (см. load): позиция игрока
+        // запоминается и вместе с инвентарем применяется после восстановления всего мира
+        this.saveManager.register('quests', {
+            serialize: () => this.quests.serialize(),
+            deserialize: (data) => {
+                if (this.player) {
+                    this.events.emit('player:position', { position: this.player.getPosition() });
+                }
+                this.quests.deserialize(data);
+            }
+        });
+        
+        this.saveManager.register('respawn', {
+            serialize: () => this.checkpoints.serialize(),
+            deserialize: (data) => this.checkpoints.deserialize(data)
+        });
+    }
+    
+    /**
+     * Построение мира коллизий уровня (общего с запеканием навмеша)
+     */
+    buildCollisionWorld() {
+        const level = buildCollisionWorld(
+            this.scene.getScene(),
+            this.worldMeshes,
+            this.configManager,
+            this.scaleFactor
+        );
+        this.collisionWorld = level.collisionWorld;
+        this.collisionPipeline = level.collisionPipeline;
+    }
+    
     /**
      * Настройка обработчиков событий
      */
     setupEventHandlers() {
-        // Обработчики клавиш для UI
-        this.inputManager.addKeyHandler('Escape', () => {
-            if (this.uiManager.isAnyPanelOpen()) {
+        // Обработчики действий (привязки клавиш задаются в конфигурации)
+        this.actions.onPressed('Menu', () => {
+            if (this.dialogue.isActive()) {
+                this.dialogue.end();
+            } else if (this.uiManager.isAnyPanelOpen()) {
                 this.uiManager.closeAllPanels();
             } else {
                 this.uiManager.showSettingsPanel();
             }
         });
         
-        this.inputManager.addKeyHandler('F1', () => {
+        this.actions.onPressed('DebugPanel', () => {
             this.uiManager.toggleDebugPanel();
         });
         
-        this.inputManager.addKeyHandler('F2', () => {
+        this.actions.onPressed('HelpPanel', () => {
             this.uiManager.toggleHelpPanel();
         });
         
-        this.inputManager.addKeyHandler('KeyF', () => {
+        this.actions.onPressed('ToggleCamera', () => {
             const newMode = this.cameraController.toggleCameraMode();
             this.uiManager.showNotification(`Camera: ${newMode}`);
         });
         
-        this.inputManager.addKeyHandler('KeyT', () => {
+        this.actions.onPressed('SwapShoulder', () => {
+            this.cameraController.swapShoulder();
+        });
+        
+        this.actions.onPressed('ToggleMouseLock', () => {
             const isLocked = this.inputManager.getIsPointerLocked();
             if (isLocked) {
                 this.inputManager.exitPointerLock();
@@ -269,24 +762,90 @@ export class Game {
             }
         });
         
-        this.inputManager.addKeyHandler('KeyY', () => {
+        this.actions.onPressed('FarZoom', () => {
             this.cameraController.setFarZoom(!this.cameraController.getCurrentMode().includes('far'));
             this.uiManager.showNotification('Far zoom toggled');
         });
         
-        this.inputManager.addKeyHandler('KeyG', () => {
-            this.flyMode = !this.flyMode;
+        this.actions.onPressed('ToggleFly', () => {
+            this.setFlyMode(!this.flyMode);
             this.uiManager.showNotification(`Fly mode: ${this.flyMode ? 'ON' : 'OFF'}`);
         });
         
-        this.inputManager.addKeyHandler('KeyH', () => {
+        this.actions.onPressed('ToggleHud', () => {
             this.uiManager.toggleVisibility();
         });
         
-        this.inputManager.addKeyHandler('KeyP', () => {
+        this.actions.onPressed('PositionPanel', () => {
             this.uiManager.togglePositionPanel();
         });
         
+        this.actions.onPressed('CapsuleDebug', () => {
+            if (this.player) {
+                this.player.toggleDebugVisualization();
+            }
+        });
+        
+        this.actions.onPressed('CollisionDebug', () => {
+            if (!this.collisionPipeline) return;
+            const enabled = this.collisionPipeline.toggleDebugView();
+            this.uiManager.showNotification(`Collision geometry: ${enabled ? 'ON' : 'OFF'}`);
+        });
+        
+        this.actions.onPressed('NavMeshDebug', () => {
+            const enabled = this.navigation.toggleDebugView();
+            if (enabled === null) return;
+            this.uiManager.showNotification(`Navmesh: ${enabled ? 'ON' : 'OFF'}`);
+        });
+        
+        this.actions.onPressed('NavMeshBake', () => {
+            if (this.navigation.rebake()) {
+                this.uiManager.showNotification(`Navmesh baked: ${this.navigation.navMesh.getPolygonCount()} polygons`);
+            }
+        });
+        
+        this.actions.onPressed('Inventory', () => {
+            this.toggleInventory();
+        });
+        
+        this.actions.onPressed('Journal', () => {
+            this.toggleJournal();
+        });
+        
+        this.actions.onPressed('DialogueUp', () => {
+            this.uiManager.moveDialogueSelection(-1);
+        });
+        
+        this.actions.onPressed('DialogueDown', () => {
+            this.uiManager.moveDialogueSelection(1);
+        });
+        
+        this.actions.onPressed('DialogueConfirm', () => {
+            this.dialogue.confirm();
+        });
+        
+        this.uiManager.setOnDialogueInput(
+            (index) => this.dialogue.choose(index),
+            () => this.dialogue.confirm()
+        );
+        
+        this.actions.onPressed('Respawn', () => {
+            this.respawnPlayer();
+        });
+        
+        this.uiManager.setOnGameOver(
+            () => this.respawnPlayer(),
+            () => this.load()
+        );
+        
+        this.actions.onPressed('BehaviorDebug', () => {
+            this.behaviorDebugger.selectNext();
+        });
+        
+        this.inputManager.setOnGamepadChange((connected) => {
+            this.uiManager.showNotification(connected ? 'Gamepad connected' : 'Gamepad disconnected');
+        });
+        
         // Подключаем обработчик установки позиции
         this.uiManager.setOnSetPosition((position) => {
             if (this.player) {
@@ -294,6 +853,17 @@ export class Game {
             }
         });
         
+        // Камера от третьего лица поворачивается мышью только при захвате указателя:
+        // после выхода из захвата (Esc) его возвращает щелчок по сцене
+        this.canvas.addEventListener('click', () => {
+            if (this.cameraController.getCurrentMode() === 'thirdPerson' &&
+                !this.inputManager.getIsPointerLocked() &&
+                !this.uiManager.isCapturingInput() &&
+                !(this.touchControls && this.touchControls.isActive)) {
+                this.inputManager.requestPointerLock();
+            }
+        });
+        
         // Обработчик изменения размера окна
         window.addEventListener('resize', () => {
             this.engine.resize();
@@ -302,6 +872,22 @@ export class Game {
         console.log('🎛️ Event handlers setup complete');
     }
     
+    /**
+     * Включение/выключение режима полета
+     * Контекст ввода fly перехватывает прыжок и приседание для вертикального полета
+     * @param {boolean} enabled - Режим полета
+     */
+    setFlyMode(enabled) {
+        if (enabled === this.flyMode) return;
+        
+        this.flyMode = enabled;
+        if (enabled) {
+            this.actions.pushContext('fly');
+        } else {
+            this.actions.popContext('fly');
+        }
+    }
+    
     /**
      * Запуск игры
      */
@@ -313,15 +899,29 @@ export class Game {
         
         this.isRunning = true;
         this.stats.lastTime = performance.now();
+        this.timestep.reset();
         
         console.log('🎬 Starting render loop...');
         
         // Запускаем игровой цикл
         this.engine.runRenderLoop(() => {
+            // Ограничение FPS: лишние кадры браузера пропускаются целиком
+            if (!this.graphics.shouldRenderFrame(performance.now())) {
+                return;
+            }
+            // Время работы кадра без ожидания vsync: по нему регулятор видит запас
+            const workStart = performance.now();
             this.update();
             this.render();
+            this.stats.workTime = (performance.now() - workStart) / 1000;
         });
         
+        // Вступительная сцена
+        const intro = this.configManager.get('cinematics.intro');
+        if (intro) {
+            this.playCinematic(intro);
+        }
+        
         console.log('▶️ Game started');
         console.log('🎯 Render loop should be running now');
     }
@@ -360,45 +960,106 @@ export class Game {
     
     /**
      * Обновление игровой логики
+     * Симуляция идет фиксированными шагами, камера и меши интерполируются каждый кадр
      */
     update() {
+        const currentTime = performance.now();
+        const frameTime = (currentTime - this.stats.lastTime) / 1000;
+        this.stats.lastTime = currentTime;
+        
+        // Действия опрашиваются и на паузе: меню должно реагировать на ввод.
+        // Геймпад не присылает событий, его состояние читается до обновления действий
+        this.inputManager.update();
+        this.actions.update();
+        
+        // Настройки графики меняются из меню паузы, поэтому применяются и на паузе
+        if (this.graphicsChanged) {
+            this.graphicsChanged = false;
+            // Новый выбор пользователя - новая точка отсчета для регулятора
+            this.performance.reset();
+            this.graphics.requestApply();
+            this.uiManager.updateFromConfig();
+        }
+        this.graphics.update();
+        
+        // Время продолжает идти во время паузы, чтобы после нее не было скачка
         if (this.isPaused || this.uiManager.getGameState() === 'paused') {
+            this.timestep.reset();
             return;
         }
         
-        const currentTime = performance.now();
-        this.stats.deltaTime = (currentTime - this.stats.lastTime) / 1000;
-        this.stats.lastTime = currentTime;
+        this.stats.deltaTime = frameTime;
+        
+        // Замеры для адаптивного качества (время работы - предыдущего кадра)
+        this.performance.update(frameTime, this.stats.workTime);
         
-        // Обновляем FPS
+        // Обновляем FPS (среднее по окну замеров, а не один кадр)
         this.stats.frameCount++;
         if (this.stats.frameCount % 60 === 0) {
-            this.stats.fps = 1 / this.stats.deltaTime;
+            this.stats.fps = this.performance.getAverageFPS() || 1 / this.stats.deltaTime;
         }
         
-        // Обновляем игрока
-        if (this.player) {
-            const inputMap = this.inputManager.getKeyMap();
-            const camera = this.cameraController.getCurrentCamera();
-            
-            this.player.update(
-                inputMap, 
-                camera, 
-                this.worldMeshes, 
-                this.stats.deltaTime, 
-                this.flyMode
-            );
-        }
+        // Замедление времени касается симуляции и анимаций; камера и UI идут в реальном времени
+        const timeScale = this.cameraController ? this.cameraController.getTimeScale() : 1;
+        const simulationTime = frameTime * timeScale;
+        this.scene.getScene().animationTimeScale = timeScale;
+        
+        // Шаги симуляции
+        this.timestep.advance(simulationTime, (step) => {
+            this.fixedUpdate(step);
+        });
         
-        // Обновляем камеру
+        // Интерполяция между двумя последними состояниями симуляции
+        this.entities.update(simulationTime, this.timestep.getAlpha());
+        
+        // Обновляем камеру (по интерполированной позиции игрока)
         if (this.cameraController) {
-            this.cameraController.update(this.player, this.stats.deltaTime, this.inputManager);
+            this.updateTouchCamera();
+            this.cameraController.update(this.player, frameTime, this.actions);
         }
         
+        // Сцена ведет свою камеру и возвращает кадр к уже обновленной игровой
+        this.cinematics.update(frameTime);
+        
+        // Разговор: печать реплики и камера на говорящего
+        this.dialogue.update(frameTime);
+        
+        this.navigation.update();
+        
         // Обновляем UI
         this.updateUI();
     }
     
+    /**
+     * Поворот и масштаб камеры касаниями
+     * Смещения накапливаются между кадрами и забираются даже при открытой панели,
+     * чтобы жест по интерфейсу не повернул камеру после закрытия
+     */
+    updateTouchCamera() {
+        if (!this.touchControls || !this.touchControls.isActive) return;
+        
+        const lookDelta = this.touchControls.consumeLookDelta();
+        const pinchScale = this.touchControls.consumePinchScale();
+        if (this.uiManager.isCapturingInput()) return;
+        
+        this.cameraController.applyTouchLook(lookDelta);
+        this.cameraController.applyPinchZoom(pinchScale);
+    }
+    
+    /**
+     * Один шаг симуляции фиксированной длины
+     * @param {number} step - Длина шага в секундах
+     */
+    fixedUpdate(step) {
+        // Системы сущностей (игрок, скрипты и т.д.)
+        this.entities.fixedUpdate(step);
+        
+        // Позиция игрока - событие для целей reach
+        if (this.player) {
+            this.events.emit('player:position', { position: this.player.getPosition() });
+        }
+    }
+    
     /**
      * Обновление UI
      */
@@ -406,21 +1067,97 @@ export class Game {
         const gameData = {
             fps: this.stats.fps,
             playerPosition: this.player ? this.player.getPosition() : null,
+            movement: this.player ? this.player.getMovementStatus() : null,
+            health: this.getPlayerHealthData(),
             cameraMode: this.cameraController ? this.cameraController.getCurrentMode() : 'unknown',
             performance: {
                 drawCalls: this.scene.getScene().getActiveMeshes().length,
                 triangles: this.scene.getScene().getTotalVertices()
             },
+            adaptive: this.performance.getStatus(),
+            behavior: this.behaviorDebugger.getLines(),
+            interaction: this.entities.getSystem(InteractionSystem).getPrompt(),
+            quest: this.getQuestTrackerData(),
+            waypoints: this.getQuestWaypoints(),
             physics: {
                 enabled: this.configManager.get('physics.enabled'),
                 bodies: this.scene.getScene().getPhysicsEngine() ? 
-                    this.scene.getScene().getPhysicsEngine().getImpostors().length : 0
+                    this.scene.getScene().getPhysicsEngine().getImpostors().length : 0,
+                entities: this.entities ? this.entities.getEntityCount() : 0
             }
         };
         
         this.uiManager.updateHUD(gameData);
     }
     
+    /**
+     * Здоровье игрока для HUD
+     * @returns {Object|null} { health, maxHealth, timeSinceDamage, invulnerable }
+     */
+    getPlayerHealthData() {
+        const health = this.playerEntity ? this.playerEntity.getComponent(HealthComponent) : null;
+        if (!health) return null;
+        
+        return {
+            health: health.health,
+            maxHealth: health.maxHealth,
+            timeSinceDamage: health.timeSinceDamage,
+            invulnerable: health.isInvulnerable()
+        };
+    }
+    
+    /**
+     * Цели отслеживаемого задания для HUD
+     * @returns {Object|null} { title, objectives: [{ description, progress, count, complete, optional }] }
+     */
+    getQuestTrackerData() {
+        const quest = this.quests ? this.quests.getTracked() : null;
+        if (!quest) return null;
+        
+        return {
+            title: quest.title,
+            objectives: this.quests.getObjectives(quest.id).map(({ objective, progress, complete }) => ({
+                description: objective.description,
+                progress,
+                count: objective.count,
+                complete,
+                optional: objective.optional
+            }))
+        };
+    }
+    
+    /**
+     * Метки целей в мире: точка из описания или позиция сущности-цели
+     * @returns {Object[]} { position, label, distance }
+     */
+    getQuestWaypoints() {
+        const settings = this.configManager.get('quests');
+        if (!this.quests || !this.player || !settings.waypoints) return [];
+        
+        const playerPosition = this.player.getPosition();
+        const waypoints = [];
+        this.quests.getWaypoints().forEach(({ objective, target }) => {
+            let position = null;
+            if (Array.isArray(target)) {
+                position = BABYLON.Vector3.FromArray(target);
+            } else {
+                const entity = this.entities.findByName(target);
+                const transform = entity ? entity.getComponent(TransformComponent) : null;
+                if (transform) {
+                    position = transform.position.add(new BABYLON.Vector3(0, settings.waypointHeight * this.scaleFactor, 0));
+                }
+            }
+            if (!position) return;
+            
+            waypoints.push({
+                position,
+                label: objective.description,
+                distance: BABYLON.Vector3.Distance(playerPosition, position)
+            });
+        });
+        return waypoints;
+    }
+    
     /**
      * Рендеринг
      */
@@ -459,60 +1196,114 @@ export class Game {
     }
     
     /**
-     * Сохранение игры
+     * Сохранение игры в слот
+     * @param {string} slot - Имя слота (по умолчанию слот быстрого сохранения)
+     * @param {Object} options - { label, thumbnail, silent }
+     * @returns {Object|null} Метаданные сохранения
      */
-    save() {
-        const saveData = {
-            playerPosition: this.player ? this.player.getPosition() : null,
-            cameraMode: this.cameraController ? this.cameraController.getCurrentMode() : null,
-            flyMode: this.flyMode,
-            config: this.configManager.exportConfig(),
-            timestamp: Date.now()
-        };
-        
-        localStorage.setItem('game_save', JSON.stringify(saveData));
-        this.uiManager.showNotification('Game Saved');
-        
-        console.log('💾 Game saved');
+    async save(slot = this.configManager.get('save.quicksaveSlot'), options = {}) {
+        try {
+            const metadata = await this.saveManager.save(slot, options);
+            if (!options.silent) {
+                this.uiManager.showNotification('Game Saved');
+            }
+            return metadata;
+        } catch (error) {
+            console.error('❌ Failed to save game:', error);
+            this.uiManager.showNotification('Failed to save game');
+            return null;
+        }
+    }
+    
+    /**
+     * Автосохранение (без миниатюры: вызывается и при закрытии страницы)
+     */
+    autosave() {
+        return this.save(this.configManager.get('save.autosaveSlot'), {
+            label: 'Autosave',
+            thumbnail: false,
+            silent: true
+        });
     }
     
     /**
-     * Загрузка игры
+     * Загрузка игры из слота
+     * @param {string} slot - Имя слота (по умолчанию слот быстрого сохранения)
+     * @returns {Object|null} Метаданные загруженного сохранения
      */
-    load() {
+    async load(slot = this.configManager.get('save.quicksaveSlot')) {
         try {
-            const saveData = JSON.parse(localStorage.getItem('game_save'));
+            // Разговор не переживает загрузку: его реплики могли уже изменить мир
+            this.dialogue.end();
             
-            if (saveData) {
-                // Восстанавливаем позицию игрока
-                if (saveData.playerPosition && this.player) {
-                    this.player.setPosition(new BABYLON.Vector3(
-                        saveData.playerPosition.x,
-                        saveData.playerPosition.y,
-                        saveData.playerPosition.z
-                    ));
-                }
-                
-                // Восстанавливаем режим камеры
-                if (saveData.cameraMode && this.cameraController) {
-                    this.cameraController.setActiveCamera(saveData.cameraMode);
-                }
-                
-                // Восстанавливаем настройки
-                if (saveData.config && this.configManager) {
-                    this.configManager.importConfig(saveData.config);
-                    this.updateAllSystemsFromConfig();
-                }
-                
-                // Восстанавливаем режим полета
-                this.flyMode = saveData.flyMode || false;
-                
-                this.uiManager.showNotification('Game Loaded');
-                console.log('📁 Game loaded');
+            // Задания видят только итоговое состояние мира, а не события его восстановления
+            this.quests.suspend();
+            let metadata;
+            try {
+                metadata = await this.saveManager.load(slot);
+            } finally {
+                this.quests.resume();
+            }
+            if (!metadata) {
+                this.uiManager.showNotification(`No save in slot '${slot}'`);
+                return null;
             }
+            
+            // Загрузка - телепортация: без этого интерполяция протянет игрока из старой позиции
+            this.timestep.reset();
+            
+            // Игрок, сохраненный погибшим (автосохранение), сразу возрождается
+            if (this.playerEntity.getComponent(HealthComponent).isDead()) {
+                this.respawnPlayer();
+            } else {
+                this.uiManager.hideGameOver();
+            }
+            this.uiManager.showNotification('Game Loaded');
+            return metadata;
         } catch (error) {
             console.error('❌ Failed to load game:', error);
             this.uiManager.showNotification('Failed to load game');
+            return null;
+        }
+    }
+    
+    /**
+     * Список слотов сохранений
+     */
+    listSaves() {
+        return this.saveManager.listSlots();
+    }
+    
+    /**
+     * Удаление слота сохранения
+     * @param {string} slot - Имя слота
+     */
+    deleteSave(slot) {
+        return this.saveManager.deleteSlot(slot);
+    }
+    
+    /**
+     * Экспорт слота в файл
+     * @param {string} slot - Имя слота
+     */
+    exportSave(slot = this.configManager.get('save.quicksaveSlot')) {
+        return this.saveManager.exportSlot(slot);
+    }
+    
+    /**
+     * Импорт слота из файла
+     * @param {File} file - Файл сохранения
+     * @param {string} slot - Слот назначения (по умолчанию слот из файла)
+     */
+    async importSave(file, slot = null) {
+        try {
+            const metadata = await this.saveManager.importSlot(file, slot);
+            this.uiManager.showNotification(`Save imported: ${metadata.slot}`);
+            return metadata;
+        } catch (error) {
+            console.error('❌ Failed to import save:', error);
+            this.uiManager.showNotification('Failed to import save');
+            return null;
         }
     }
     
@@ -520,19 +1311,43 @@ export class Game {
      * Обновление всех систем из конфигурации
      */
     updateAllSystemsFromConfig() {
+        if (this.timestep) {
+            this.timestep.setStep(this.configManager.get('physics.timeStep'));
+            this.timestep.setMaxSubSteps(this.configManager.get('physics.maxSubSteps'));
+        }
+        if (this.collisionPipeline) {
+            this.collisionPipeline.setDebugView(!!this.configManager.get('debug.showCollisionGeometry'));
+        }
+        if (this.navigation) {
+            this.navigation.updateFromConfig();
+        }
+        if (this.performance) this.performance.reset();
+        if (this.graphics) this.graphics.requestApply();
         if (this.player) this.player.updateFromConfig();
         if (this.cameraController) this.cameraController.updateFromConfig();
         if (this.inputManager) this.inputManager.updateFromConfig();
+        if (this.touchControls) this.touchControls.updateFromConfig();
+        if (this.actions) this.actions.updateFromConfig();
         if (this.uiManager) this.uiManager.updateFromConfig();
     }
     
+    /**
+     * Применение настроек управления без перезагрузки остальных систем
+     */
+    applyControlsConfig() {
+        this.inputManager.updateFromConfig();
+        if (this.touchControls) this.touchControls.updateFromConfig();
+        this.actions.updateFromConfig();
+        this.uiManager.refreshBindings();
+    }
+    
     /**
      * Сброс игры к начальному состоянию
      */
     reset() {
         // Сбрасываем позицию игрока
-        if (this.player && this.worldMeshes.length > 0) {
-            this.player.placeOnGround(this.worldMeshes);
+        if (this.player) {
+            this.player.placeOnGround();
         }
         
         // Сбрасываем камеру
@@ -547,7 +1362,7 @@ export class Game {
             this.updateAllSystemsFromConfig();
         }
         
-        this.flyMode = false;
+        this.setFlyMode(false);
         this.uiManager.showNotification('Game Reset');
         
         console.log('🔄 Game reset');
@@ -562,9 +1377,24 @@ export class Game {
         this.stop();
         
         // Освобождаем все системы
-        if (this.player) this.player.dispose();
+        if (this.saveManager) this.saveManager.dispose();
+        if (this.entities) this.entities.dispose();
+        this.player = null;
+        this.playerEntity = null;
+        if (this.navigation) this.navigation.dispose();
+        if (this.worldBlackboard) this.worldBlackboard.dispose();
+        if (this.dialogue) this.dialogue.dispose();
+        if (this.quests) this.quests.dispose();
+        if (this.events) this.events.clear();
+        if (this.collisionPipeline) this.collisionPipeline.dispose();
+        if (this.collisionWorld) this.collisionWorld.dispose();
+        if (this.cinematics) this.cinematics.dispose();
+        if (this.touchControls) this.touchControls.dispose();
         if (this.uiManager) this.uiManager.dispose();
+        if (this.actions) this.actions.dispose();
         if (this.inputManager) this.inputManager.dispose();
+        if (this.performance) this.performance.dispose();
+        if (this.graphics) this.graphics.dispose();
         if (this.cameraController) this.cameraController.dispose();
         if (this.assetManager) this.assetManager.dispose();
         if (this.scene) this.scene.dispose();
@@ -0,0 +1,657 @@
+/**
+ * Аниматор: автомат состояний анимации для моделей с AnimationGroup
+ * Описывается в JSON: параметры, слои, состояния и переходы между ними.
+ *
+ * {
+ *   "id": "character",
+ *   "parameters": {
+ *     "speed": { "type": "float", "default": 0 },
+ *     "grounded": { "type": "bool", "default": true },
+ *     "jump": { "type": "trigger" }
+ *   },
+ *   "layers": [
+ *     {
+ *       "name": "base",
+ *       "defaultState": "locomotion",
+ *       "states": {
+ *         "locomotion": { "blendSpace": { "type": "1D", "parameter": "speed", "motions": [
+ *           { "clip": "Idle", "position": 0 }, { "clip": "Walk", "position": 2.5 } ] } },
+ *         "jump": { "clip": "Jump", "loop": false, "events": [{ "name": "takeoff", "time": 0.1 }] }
+ *       },
+ *       "transitions": [
+ *         { "from": "locomotion", "to": "jump", "duration": 0.1, "conditions": [{ "parameter": "jump" }] },
+ *         { "from": "jump", "to": "locomotion", "exitTime": 1, "duration": 0.2 },
+ *         { "from": "any", "to": "jump", "conditions": [{ "parameter": "speed", "op": ">", "value": 9 }] }
+ *       ]
+ *     },
+ *     { "name": "upperBody", "mask": ["Torso"], "weight": 1, "states": { ... }, "transitions": [ ... ] }
+ *   ]
+ * }
+ *
+ * Состояние играет один клип (clip), смесь клипов (blendSpace 1D/2D, где
+ * у 2D "parameters": [x, y] и позиции клипов [x, y]) или ничего - пустое
+ * состояние верхнего слоя оставляет позу нижним. speed - темп состояния,
+ * speedParameter - параметр-множитель темпа. События (events) срабатывают
+ * при проходе времени клипа time (секунды) или доли normalizedTime.
+ *
+ * Переход срабатывает, когда выполнены все условия и время состояния прошло
+ * exitTime (доля длины клипа); duration - длительность перетекания весов.
+ * Триггер остается взведенным, пока его не израсходует переход.
+ *
+ * Слои выше перекрывают нижние: mask - узлы (вместе с потомками), на которые
+ * действует слой, weight - сила перекрытия. Без маски слой действует на все узлы
+ */
+import { BlendSpace } from './BlendSpace.js';
+
+// Сравнения в условиях переходов
+const COMPARISONS = {
+    '>': (a, b) => a > b,
+    '<': (a, b) => a < b,
+    '>=': (a, b) => a >= b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+// Значения параметров по умолчанию
+const PARAMETER_DEFAULTS = {
+    float: 0,
+    int: 0,
+    bool: false,
+    trigger: false
+};
+
+// Переход из любого состояния слоя
+const ANY_STATE = 'any';
+
+export class Animator {
+    /**
+     * @param {BABYLON.Scene} scene - Сцена
+     * @param {BABYLON.AnimationGroup[]} animationGroups - Клипы модели
+     * @param {Object} definition - Описание аниматора (см. комментарий к модулю)
+     */
+    constructor(scene, animationGroups, definition) {
+        this.scene = scene;
+        this.id = definition.id || 'animator';
+
+        // Аниматор сам управляет воспроизведением клипов модели
+        this.clips = new Map(animationGroups.map(group => [group.name, group]));
+        animationGroups.forEach(group => {
+            group.stop();
+        });
+
+        // Параметры: имя -> { type, value }
+        this.parameters = new Map();
+        Object.keys(definition.parameters || {}).forEach(name => {
+            const parameter = definition.parameters[name];
+            const type = parameter.type || 'float';
+            if (!(type in PARAMETER_DEFAULTS)) {
+                throw new Error(`Unknown type '${type}' of parameter '${name}' in animator '${this.id}'`);
+            }
+            const value = parameter.default !== undefined ? parameter.default : PARAMETER_DEFAULTS[type];
+            this.parameters.set(name, { type, value });
+        });
+
+        if (!Array.isArray(definition.layers) || definition.layers.length === 0) {
+            throw new Error(`Animator '${this.id}' needs at least one layer`);
+        }
+        this.layers = definition.layers.map((layer, index) => new AnimatorLayer(this, layer, index));
+
+        // Группы анимации, созданные для слоев (освобождаются вместе с аниматором)
+        this.trackGroups = [];
+        this.layers.forEach(layer => layer.createTracks());
+
+        // Смена состояния: { layer, from, to }; события клипов: { name, data, layer, state }
+        this.onStateChangeObservable = new BABYLON.Observable();
+        this.onEventObservable = new BABYLON.Observable();
+
+        this.layers.forEach(layer => layer.play(layer.defaultState));
+        this.applyWeights();
+    }
+
+    /**
+     * Дорожки клипа для слоя
+     * Анимации клипа делятся по узлам: у каждой части свой набор перекрывающих
+     * ее верхних слоев, поэтому вес части можно уменьшить только там, где
+     * верхний слой действительно играет
+     * @param {AnimatorLayer} layer - Слой
+     * @param {BABYLON.AnimationGroup} clip - Исходный клип
+     * @param {string} label - Имя состояния (для имени группы)
+     * @returns {Array} Дорожки { group, overriding, from, to }
+     */
+    createTracks(layer, clip, label) {
+        const partitions = new Map();
+
+        clip.targetedAnimations.forEach(({ animation, target }) => {
+            if (!layer.affects(target)) return;
+
+            const overriding = this.layers.filter(other => other.index > layer.index && other.affects(target));
+            const key = overriding.map(other => other.index).join(',');
+            if (!partitions.has(key)) {
+                const group = new BABYLON.AnimationGroup(`${this.id}.${layer.name}.${label}.${clip.name}`, this.scene);
+                this.trackGroups.push(group);
+                partitions.set(key, { group, overriding, from: clip.from, to: clip.to });
+            }
+            partitions.get(key).group.addTargetedAnimation(animation, target);
+        });
+
+        return [...partitions.values()];
+    }
+
+    /**
+     * Обновление из игрового цикла
+     * @param {number} deltaTime - Время кадра
+     */
+    update(deltaTime) {
+        this.layers.forEach(layer => layer.update(deltaTime));
+        this.applyWeights();
+    }
+
+    /**
+     * Веса групп: вес слоя, состояния и клипа в смеси, ослабленный верхними
+     * слоями на тех узлах, которые они перекрывают
+     */
+    applyWeights() {
+        const influence = this.layers.map(layer => layer.weight * layer.getActiveWeight());
+
+        this.layers.forEach(layer => {
+            layer.weights.forEach((stateWeight, name) => {
+                const state = layer.states.get(name);
+                state.motions.forEach((motion, index) => {
+                    const weight = layer.weight * stateWeight * state.motionWeights[index];
+                    motion.tracks.forEach(track => {
+                        const remaining = track.overriding.reduce((value, other) => value * (1 - influence[other.index]), 1);
+                        track.group.setWeightForAllAnimatables(weight * remaining);
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Проверка условия перехода
+     * @param {Object} condition - Нормализованное условие { parameter, op, value }
+     */
+    checkCondition(condition) {
+        const value = this.parameters.get(condition.parameter).value;
+        if (condition.op === 'trigger') {
+            return value === true;
+        }
+        return COMPARISONS[condition.op](value, condition.value);
+    }
+
+    /**
+     * Получение параметра с проверкой типа
+     */
+    getTypedParameter(name, types) {
+        const parameter = this.parameters.get(name);
+        if (!parameter) {
+            console.warn(`⚠️ Animator '${this.id}' has no parameter '${name}'`);
+            return null;
+        }
+        if (!types.includes(parameter.type)) {
+            console.warn(`⚠️ Animator parameter '${name}' is ${parameter.type}, not ${types.join('/')}`);
+            return null;
+        }
+        return parameter;
+    }
+
+    /**
+     * Установка числового параметра
+     */
+    setFloat(name, value) {
+        const parameter = this.getTypedParameter(name, ['float', 'int']);
+        if (parameter) {
+            parameter.value = parameter.type === 'int' ? Math.round(value) : value;
+        }
+    }
+
+    /**
+     * Установка логического параметра
+     */
+    setBool(name, value) {
+        const parameter = this.getTypedParameter(name, ['bool']);
+        if (parameter) {
+            parameter.value = !!value;
+        }
+    }
+
+    /**
+     * Взвод триггера (сбрасывается сработавшим переходом)
+     */
+    setTrigger(name) {
+        const parameter = this.getTypedParameter(name, ['trigger']);
+        if (parameter) {
+            parameter.value = true;
+        }
+    }
+
+    resetTrigger(name) {
+        const parameter = this.getTypedParameter(name, ['trigger']);
+        if (parameter) {
+            parameter.value = false;
+        }
+    }
+
+    getParameter(name) {
+        const parameter = this.parameters.get(name);
+        return parameter ? parameter.value : undefined;
+    }
+
+    /**
+     * Получение слоя по имени
+     */
+    getLayer(name) {
+        return this.layers.find(layer => layer.name === name) || null;
+    }
+
+    /**
+     * Принудительный переход в состояние в обход условий
+     * @param {string} state - Состояние
+     * @param {number} duration - Длительность перетекания (с)
+     * @param {string} layerName - Слой (по умолчанию нижний)
+     */
+    play(state, duration = 0, layerName = null) {
+        const layer = layerName ? this.getLayer(layerName) : this.layers[0];
+        if (!layer) {
+            console.warn(`⚠️ Animator '${this.id}' has no layer '${layerName}'`);
+            return false;
+        }
+        const played = layer.play(state, duration);
+        this.applyWeights();
+        return played;
+    }
+
+    /**
+     * Текущее состояние слоя
+     * @param {string} layerName - Слой (по умолчанию нижний)
+     */
+    getCurrentState(layerName = null) {
+        const layer = layerName ? this.getLayer(layerName) : this.layers[0];
+        return layer && layer.current ? layer.current.name : null;
+    }
+
+    /**
+     * Сила перекрытия слоя (0..1)
+     */
+    setLayerWeight(layerName, weight) {
+        const layer = this.getLayer(layerName);
+        if (layer) {
+            layer.weight = BABYLON.Scalar.Clamp(weight, 0, 1);
+        }
+    }
+
+    dispose() {
+        this.trackGroups.forEach(group => {
+            group.stop();
+            group.dispose();
+        });
+        this.trackGroups = [];
+        this.onStateChangeObservable.clear();
+        this.onEventObservable.clear();
+    }
+}
+
+/**
+ * Слой аниматора: собственный автомат состояний со своими переходами
+ */
+class AnimatorLayer {
+    /**
+     * @param {Animator} animator - Аниматор
+     * @param {Object} definition - Описание слоя
+     * @param {number} index - Порядок слоя (верхние перекрывают нижние)
+     */
+    constructor(animator, definition, index) {
+        this.animator = animator;
+        this.index = index;
+        this.name = definition.name || `layer${index}`;
+        this.weight = definition.weight !== undefined ? definition.weight : 1;
+
+        // Маска: имена узлов, действие распространяется на их потомков
+        this.mask = Array.isArray(definition.mask) ? new Set(definition.mask) : null;
+        this.maskCache = new Map();
+
+        this.states = new Map();
+        Object.keys(definition.states || {}).forEach(name => {
+            this.states.set(name, this.createState(name, definition.states[name]));
+        });
+        if (this.states.size === 0) {
+            throw new Error(`Animator layer '${this.name}' needs at least one state`);
+        }
+
+        this.defaultState = definition.defaultState || this.states.keys().next().value;
+        if (!this.states.has(this.defaultState)) {
+            throw new Error(`Default state '${this.defaultState}' of layer '${this.name}' does not exist`);
+        }
+
+        this.transitions = (definition.transitions || []).map(transition => this.createTransition(transition));
+
+        // Текущее состояние, веса играющих состояний и перетекание между ними
+        this.current = null;
+        this.weights = new Map();
+        this.fade = null;
+    }
+
+    createState(name, definition) {
+        let motions = [];
+        let blendSpace = null;
+        if (definition.blendSpace) {
+            blendSpace = new BlendSpace(definition.blendSpace, name);
+            motions = definition.blendSpace.motions;
+        } else if (definition.clip) {
+            motions = [{ clip: definition.clip }];
+        }
+
+        return {
+            name,
+            loop: definition.loop !== false,
+            speed: definition.speed !== undefined ? definition.speed : 1,
+            speedParameter: definition.speedParameter || null,
+            blendSpace,
+            motions: motions.map(motion => {
+                const clip = this.animator.clips.get(motion.clip);
+                if (!clip) {
+                    console.warn(`⚠️ Animation clip '${motion.clip}' of state '${name}' not found`);
+                }
+                return { clip: clip || null, length: clip ? getClipLength(clip) : 0, tracks: [] };
+            }),
+            motionWeights: motions.map(() => 1 / Math.max(1, motions.length)),
+            events: (definition.events || []).map(event => ({
+                name: event.name,
+                data: event.data,
+                time: event.time || 0,
+                normalizedTime: event.normalizedTime
+            })),
+            // Пройденная доля длины клипа (1 - один полный проход)
+            phase: 0,
+            length: 0
+        };
+    }
+
+    createTransition(definition) {
+        if (definition.from !== ANY_STATE && !this.states.has(definition.from)) {
+            throw new Error(`Transition source '${definition.from}' does not exist in layer '${this.name}'`);
+        }
+        if (!this.states.has(definition.to)) {
+            throw new Error(`Transition target '${definition.to}' does not exist in layer '${this.name}'`);
+        }
+
+        const conditions = (definition.conditions || []).map(condition => {
+            const parameter = this.animator.parameters.get(condition.parameter);
+            if (!parameter) {
+                throw new Error(`Transition ${definition.from} -> ${definition.to} uses unknown parameter '${condition.parameter}'`);
+            }
+            if (parameter.type === 'trigger') {
+                return { parameter: condition.parameter, op: 'trigger' };
+            }
+            if (parameter.type === 'bool') {
+                return { parameter: condition.parameter, op: condition.op || '==', value: condition.value !== undefined ? !!condition.value : true };
+            }
+            if (!COMPARISONS[condition.op] || typeof condition.value !== 'number') {
+                throw new Error(`Condition on '${condition.parameter}' needs an op (${Object.keys(COMPARISONS).join(' ')}) and a number value`);
+            }
+            return { parameter: condition.parameter, op: condition.op, value: condition.value };
+        });
+
+        return {
+            from: definition.from,
+            to: definition.to,
+            conditions,
+            exitTime: definition.exitTime,
+            duration: Math.max(0, definition.duration || 0)
+        };
+    }
+
+    /**
+     * Действует ли слой на узел (узел или его предок входит в маску)
+     */
+    affects(node) {
+        if (!this.mask) return true;
+        if (!this.maskCache.has(node)) {
+            let current = node;
+            let inside = false;
+            while (current && !inside) {
+                inside = this.mask.has(current.name);
+                current = current.parent;
+            }
+            this.maskCache.set(node, inside);
+        }
+        return this.maskCache.get(node);
+    }
+
+    createTracks() {
+        this.states.forEach(state => {
+            state.motions.forEach(motion => {
+                if (motion.clip) {
+                    motion.tracks = this.animator.createTracks(this, motion.clip, state.name);
+                }
+            });
+        });
+    }
+
+    /**
+     * Суммарный вес играющих непустых состояний: насколько слой перекрывает нижние
+     */
+    getActiveWeight() {
+        let total = 0;
+        this.weights.forEach((weight, name) => {
+            if (this.states.get(name).motions.some(motion => motion.tracks.length > 0)) {
+                total += weight;
+            }
+        });
+        return Math.min(1, total);
+    }
+
+    /**
+     * Переход в состояние
+     * @param {string} name - Состояние
+     * @param {number} duration - Длительность перетекания (с)
+     */
+    play(name, duration = 0) {
+        const state = this.states.get(name);
+        if (!state) {
+            console.warn(`⚠️ Animator layer '${this.name}' has no state '${name}'`);
+            return false;
+        }
+
+        // Уходящие состояния затухают от своих текущих весов (сумма приводится к 1)
+        const previous = this.current;
+        const snapshot = new Map(this.weights);
+        snapshot.delete(name);
+        let total = 0;
+        snapshot.forEach(weight => {
+            total += weight;
+        });
+
+        if (duration > 0 && total > 0) {
+            snapshot.forEach((weight, key) => snapshot.set(key, weight / total));
+            this.fade = { snapshot, elapsed: 0, duration };
+        } else {
+            snapshot.forEach((weight, key) => this.stopState(this.states.get(key)));
+            this.weights.clear();
+            this.fade = null;
+        }
+
+        this.stopState(state);
+        this.startState(state);
+        this.current = state;
+        this.weights.set(name, this.fade ? 0 : 1);
+
+        this.animator.onStateChangeObservable.notifyObservers({
+            layer: this.name,
+            from: previous ? previous.name : null,
+            to: name
+        });
+        return true;
+    }
+
+    startState(state) {
+        state.phase = 0;
+        this.updateMotionWeights(state);
+        state.motions.forEach(motion => {
+            motion.tracks.forEach(track => {
+                track.group.start(true, 1, track.from, track.to);
+                track.group.setWeightForAllAnimatables(0);
+            });
+        });
+        this.updateSpeedRatios(state);
+    }
+
+    stopState(state) {
+        state.motions.forEach(motion => {
+            motion.tracks.forEach(track => track.group.stop());
+        });
+    }
+
+    /**
+     * Обновление слоя за кадр
+     */
+    update(deltaTime) {
+        this.checkTransitions();
+
+        if (this.fade) {
+            const fade = this.fade;
+            fade.elapsed += deltaTime;
+            const t = Math.min(1, fade.elapsed / fade.duration);
+
+            fade.snapshot.forEach((weight, name) => this.weights.set(name, weight * (1 - t)));
+            this.weights.set(this.current.name, t);
+
+            if (t >= 1) {
+                fade.snapshot.forEach((weight, name) => {
+                    this.stopState(this.states.get(name));
+                    this.weights.delete(name);
+                });
+                this.fade = null;
+            }
+        }
+
+        this.weights.forEach((weight, name) => {
+            this.advanceState(this.states.get(name), deltaTime, name === this.current.name);
+        });
+    }
+
+    /**
+     * Первый подходящий переход из текущего состояния
+     */
+    checkTransitions() {
+        const current = this.current;
+        const transition = this.transitions.find(candidate => {
+            if (candidate.from === ANY_STATE ? candidate.to === current.name : candidate.from !== current.name) {
+                return false;
+            }
+            if (candidate.exitTime !== undefined && current.phase < candidate.exitTime) {
+                return false;
+            }
+            return candidate.conditions.every(condition => this.animator.checkCondition(condition));
+        });
+        if (!transition) return;
+
+        // Сработавший переход расходует свои триггеры
+        transition.conditions.forEach(condition => {
+            if (condition.op === 'trigger') {
+                this.animator.parameters.get(condition.parameter).value = false;
+            }
+        });
+        this.play(transition.to, transition.duration);
+    }
+
+    /**
+     * Продвижение времени состояния, события и удержание последнего кадра
+     * @param {Object} state - Состояние
+     * @param {number} deltaTime - Время кадра
+     * @param {boolean} isCurrent - События срабатывают только у текущего состояния
+     */
+    advanceState(state, deltaTime, isCurrent) {
+        this.updateMotionWeights(state);
+        if (state.length <= 0) return;
+
+        const from = state.phase;
+        state.phase += deltaTime * this.getStateSpeed(state) / state.length;
+        if (!state.loop && state.phase >= 1) {
+            state.phase = 1;
+        }
+
+        if (isCurrent) {
+            this.fireEvents(state, from, state.phase);
+        }
+        this.updateSpeedRatios(state);
+    }
+
+    /**
+     * Веса клипов смеси по параметрам и общая длина цикла
+     * Длина - взвешенная длина клипов: клипы смеси проходят цикл одновременно,
+     * поэтому шаги ходьбы и бега совпадают по фазе
+     */
+    updateMotionWeights(state) {
+        if (state.blendSpace) {
+            const values = state.blendSpace.parameters.map(name => {
+                const parameter = this.animator.parameters.get(name);
+                return parameter ? Number(parameter.value) : 0;
+            });
+            state.motionWeights = state.blendSpace.getWeights(values);
+        }
+
+        state.length = state.motions.reduce((sum, motion, index) => {
+            return sum + motion.length * state.motionWeights[index];
+        }, 0);
+    }
+
+    getStateSpeed(state) {
+        const multiplier = state.speedParameter ? Number(this.animator.getParameter(state.speedParameter)) || 0 : 1;
+        return state.speed * multiplier;
+    }
+
+    /**
+     * Темп клипов: общая фаза смеси, у законченного однократного состояния - стоп
+     * на последнем кадре (группа продолжает играть, чтобы участвовать в смешивании)
+     */
+    updateSpeedRatios(state) {
+        const finished = !state.loop && state.phase >= 1;
+        const speed = finished ? 0 : this.getStateSpeed(state);
+
+        state.motions.forEach(motion => {
+            const ratio = state.length > 0 ? speed * motion.length / state.length : speed;
+            motion.tracks.forEach(track => {
+                track.group.speedRatio = ratio;
+            });
+        });
+    }
+
+    /**
+     * События, время которых пройдено на этом кадре
+     */
+    fireEvents(state, from, to) {
+        state.events.forEach(event => {
+            const at = event.normalizedTime !== undefined ? event.normalizedTime : event.time / state.length;
+            let count = 0;
+
+            if (state.loop) {
+                // На долгом кадре цикл мог пройти несколько раз
+                for (let cycle = Math.max(0, Math.ceil(from - at)); cycle + at < to; cycle++) {
+                    count++;
+                }
+            } else if (at >= from && (at < to || (to >= 1 && at <= 1 && from < 1))) {
+                count = 1;
+            }
+
+            for (let i = 0; i < count; i++) {
+                this.animator.onEventObservable.notifyObservers({
+                    name: event.name,
+                    data: event.data,
+                    layer: this.name,
+                    state: state.name
+                });
+            }
+        });
+    }
+}
+
+/**
+ * Длительность клипа в секундах
+ */
+function getClipLength(clip) {
+    const animation = clip.targetedAnimations.length > 0 ? clip.targetedAnimations[0].animation : null;
+    const fps = animation ? animation.framePerSecond : 60;
+    return (clip.to - clip.from) / fps;
+}
@@ -0,0 +1,117 @@
+/**
+ * Пространство смешивания клипов по параметрам аниматора
+ * 1D - клипы расставлены на оси одного параметра (скорость), соседние
+ * смешиваются линейно. 2D - клипы в точках плоскости двух параметров
+ * (направление движения), веса считаются интерполяцией градиентными полосами:
+ * в точке клипа его вес 1, веса не скачут при пересечении треугольников
+ */
+export class BlendSpace {
+    /**
+     * @param {Object} definition - { type: '1D' | '2D', parameter | parameters, motions: [{ position }] }
+     * @param {string} name - Имя состояния (для сообщений об ошибках)
+     */
+    constructor(definition, name) {
+        this.type = definition.type || '1D';
+        if (this.type !== '1D' && this.type !== '2D') {
+            throw new Error(`Unknown blend space type '${this.type}' in state '${name}'`);
+        }
+
+        const dimensions = this.type === '1D' ? 1 : 2;
+        this.parameters = dimensions === 1 ? [definition.parameter] : (definition.parameters || []);
+        if (this.parameters.length !== dimensions || this.parameters.some(parameter => !parameter)) {
+            throw new Error(`Blend space of state '${name}' needs ${dimensions} parameter(s)`);
+        }
+
+        const motions = Array.isArray(definition.motions) ? definition.motions : [];
+        const valid = motions.every(motion => dimensions === 1
+            ? typeof motion.position === 'number'
+            : Array.isArray(motion.position) && motion.position.length === 2);
+        if (motions.length === 0 || !valid) {
+            throw new Error(`Blend space of state '${name}' needs motions with ${dimensions}D positions`);
+        }
+        this.positions = motions.map(motion => dimensions === 1 ? [motion.position] : motion.position);
+
+        // Для 1D клипы упорядочиваются по оси
+        this.order = this.positions.map((position, index) => index)
+            .sort((a, b) => this.positions[a][0] - this.positions[b][0]);
+    }
+
+    /**
+     * Веса клипов в точке пространства
+     * @param {number[]} values - Значения параметров
+     * @returns {number[]} Веса в порядке motions, сумма 1
+     */
+    getWeights(values) {
+        const weights = this.positions.map(() => 0);
+        if (this.positions.length === 1) {
+            weights[0] = 1;
+            return weights;
+        }
+        return this.type === '1D' ? this.getWeights1D(values[0], weights) : this.getWeights2D(values, weights);
+    }
+
+    getWeights1D(value, weights) {
+        const order = this.order;
+        const first = order[0];
+        const last = order[order.length - 1];
+
+        if (value <= this.positions[first][0]) {
+            weights[first] = 1;
+        } else if (value >= this.positions[last][0]) {
+            weights[last] = 1;
+        } else {
+            for (let i = 0; i < order.length - 1; i++) {
+                const a = this.positions[order[i]][0];
+                const b = this.positions[order[i + 1]][0];
+                if (value >= a && value <= b) {
+                    const t = b > a ? (value - a) / (b - a) : 0;
+                    weights[order[i]] = 1 - t;
+                    weights[order[i + 1]] = t;
+                    break;
+                }
+            }
+        }
+        return weights;
+    }
+
+    getWeights2D(values, weights) {
+        const [x, y] = values;
+        let total = 0;
+
+        this.positions.forEach((position, i) => {
+            const px = x - position[0];
+            const py = y - position[1];
+            let weight = 1;
+
+            this.positions.forEach((other, j) => {
+                if (i === j) return;
+                const dx = other[0] - position[0];
+                const dy = other[1] - position[1];
+                const lengthSquared = dx * dx + dy * dy;
+                if (lengthSquared > 0) {
+                    weight = Math.min(weight, 1 - (px * dx + py * dy) / lengthSquared);
+                }
+            });
+
+            weights[i] = Math.max(0, weight);
+            total += weights[i];
+        });
+
+        // Вне выпуклой оболочки все веса могут обнулиться - берем ближайший клип
+        if (total <= 0) {
+            let nearest = 0;
+            let nearestDistance = Infinity;
+            this.positions.forEach((position, i) => {
+                const distance = Math.hypot(x - position[0], y - position[1]);
+                if (distance < nearestDistance) {
+                    nearestDistance = distance;
+                    nearest = i;
+                }
+            });
+            weights[nearest] = 1;
+            return weights;
+        }
+
+        return weights.map(weight => weight / total);
+    }
+}
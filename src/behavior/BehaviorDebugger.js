@@ -0,0 +1,66 @@
+/**
+ * Панель отладки деревьев поведения
+ * Выбранный агент показывается с активным путем, статусами узлов и своей доской
+ */
+import { BehaviorTreeComponent } from '../components/BehaviorTreeComponent.js';
+import { AIAgentComponent } from '../components/AIAgentComponent.js';
+import { BehaviorTreeSystem } from '../systems/BehaviorTreeSystem.js';
+
+export class BehaviorDebugger {
+    /**
+     * @param {EntityWorld} entities - Мир сущностей
+     * @param {UIManager} uiManager - Панель отладки и уведомления
+     */
+    constructor(entities, uiManager) {
+        this.entities = entities;
+        this.uiManager = uiManager;
+        // Агент, дерево которого показывает панель
+        this.entity = null;
+    }
+
+    /**
+     * Выбор следующего агента с деревом поведения
+     * После последнего агента панель скрывается
+     */
+    selectNext() {
+        const agents = this.entities.query(BehaviorTreeComponent);
+        const index = this.uiManager.isBehaviorPanelVisible() ? agents.indexOf(this.entity) + 1 : 0;
+
+        this.entity = agents[index] || null;
+        this.uiManager.setBehaviorPanelVisible(!!this.entity);
+
+        if (!this.entity) {
+            this.uiManager.showNotification(agents.length ? 'Behavior debug: OFF' : 'No agents with behavior trees');
+        }
+    }
+
+    /**
+     * Строки панели: активный путь, дерево со статусами и доска агента
+     * @returns {string[]|null}
+     */
+    getLines() {
+        const entity = this.entity;
+        if (!entity || !this.uiManager.isBehaviorPanelVisible()) return null;
+        if (entity.isDestroyed) {
+            this.entity = null;
+            return null;
+        }
+
+        const component = entity.getComponent(BehaviorTreeComponent);
+        const ai = entity.getComponent(AIAgentComponent);
+        const stats = this.entities.getSystem(BehaviorTreeSystem).stats;
+        const path = component.tree.getActivePath(component.state).map(node => node.getLabel());
+        const blackboard = component.blackboard.describe();
+
+        return [
+            `${entity.name} [${component.tree.id}]${ai ? ` - ${ai.state}` : ''}`,
+            `Status: ${component.lastStatus || '-'}, ticks ${stats.ticks}/${stats.agents} (${stats.time.toFixed(2)} ms, deferred ${stats.deferred})`,
+            `Path: ${path.join(' > ') || '-'}`,
+            '',
+            ...component.tree.describe(component.state),
+            '',
+            'Blackboard:',
+            ...(blackboard.length ? blackboard : ['(empty)'])
+        ];
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * Реестр действий и условий деревьев поведения
+ * JSON-описание дерева ссылается на листья по имени. Условие - функция
+ * (context, params) => boolean. Действие - функция (context, params, data) => Status
+ * или объект { start, tick, abort } с такими же аргументами; data - память
+ * действия этого агента, очищается при каждом новом запуске узла
+ */
+import { Status } from './BehaviorTree.js';
+
+// Сравнения условия compare
+const COMPARISONS = {
+    '>': (a, b) => a > b,
+    '<': (a, b) => a < b,
+    '>=': (a, b) => a >= b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+export class BehaviorRegistry {
+    constructor() {
+        this.actions = new Map();
+        this.conditions = new Map();
+        this.registerBuiltins();
+    }
+
+    /**
+     * Регистрация действия
+     * @param {string} name - Имя в описании дерева
+     * @param {Function|Object} handler - Функция tick или { start, tick, abort }
+     */
+    registerAction(name, handler) {
+        const action = typeof handler === 'function' ? { tick: handler } : handler;
+        if (!action || typeof action.tick !== 'function') {
+            throw new Error(`Behavior action '${name}' needs a tick function`);
+        }
+        this.actions.set(name, action);
+    }
+
+    /**
+     * Регистрация условия
+     * @param {string} name - Имя в описании дерева
+     * @param {Function} handler - (context, params) => boolean
+     */
+    registerCondition(name, handler) {
+        if (typeof handler !== 'function') {
+            throw new Error(`Behavior condition '${name}' must be a function`);
+        }
+        this.conditions.set(name, handler);
+    }
+
+    getAction(name) {
+        return this.actions.get(name) || null;
+    }
+
+    getCondition(name) {
+        return this.conditions.get(name) || null;
+    }
+
+    /**
+     * Встроенные листья для работы с доской
+     */
+    registerBuiltins() {
+        this.registerAction('log', (context, params) => {
+            console.log(`🌳 ${context.entity ? context.entity.name : 'tree'}: ${params.message}`);
+            return Status.SUCCESS;
+        });
+        this.registerAction('setValue', (context, params) => {
+            context.blackboard.set(params.key, params.value);
+            return Status.SUCCESS;
+        });
+        this.registerAction('clearValue', (context, params) => {
+            context.blackboard.delete(params.key);
+            return Status.SUCCESS;
+        });
+
+        this.registerCondition('hasValue', (context, params) => {
+            const value = context.blackboard.get(params.key);
+            return value !== undefined && value !== null && value !== false;
+        });
+        this.registerCondition('compare', (context, params) => {
+            const compare = COMPARISONS[params.op];
+            if (!compare) {
+                throw new Error(`Unknown comparison '${params.op}'`);
+            }
+            return compare(context.blackboard.get(params.key), params.value);
+        });
+    }
+}
@@ -0,0 +1,486 @@
+/**
+ * Дерево поведения
+ * Строится из JSON-описания: составные узлы (sequence, selector, parallel),
+ * декораторы (inverter, cooldown, repeat, timeout) и листья (action,
+ * condition, wait). Узлы не хранят состояния - память каждого агента
+ * (индексы, таймеры, статусы) лежит в объекте createState(), поэтому одно
+ * дерево обслуживает любое число агентов
+ */
+
+// Результат тика узла
+export const Status = {
+    SUCCESS: 'success',
+    FAILURE: 'failure',
+    RUNNING: 'running'
+};
+
+/**
+ * Базовый узел
+ * tick открывает узел при первом запуске, выполняет execute и закрывает
+ * по завершении. abort прерывает выполняющийся узел вместе с потомками
+ */
+class BehaviorNode {
+    constructor(definition, tree) {
+        this.id = tree.nodes.length;
+        this.type = definition.type;
+        this.name = definition.name || null;
+        this.children = [];
+        tree.nodes.push(this);
+    }
+
+    getMemory(context) {
+        let memory = context.state.memory.get(this.id);
+        if (!memory) {
+            memory = { open: false };
+            context.state.memory.set(this.id, memory);
+        }
+        return memory;
+    }
+
+    tick(context) {
+        const memory = this.getMemory(context);
+        if (!memory.open) {
+            memory.open = true;
+            this.open(context, memory);
+        }
+
+        const status = this.execute(context, memory);
+        context.state.statuses.set(this.id, { status, tick: context.state.tickCount });
+
+        if (status !== Status.RUNNING) {
+            memory.open = false;
+        }
+        return status;
+    }
+
+    abort(context) {
+        const memory = this.getMemory(context);
+        if (!memory.open) return;
+
+        this.children.forEach(child => child.abort(context));
+        memory.open = false;
+        this.onAbort(context, memory);
+        context.state.statuses.set(this.id, { status: 'aborted', tick: context.state.tickCount });
+    }
+
+    /**
+     * Прерывание потомков, начиная с индекса (ветви, от которых отказался узел)
+     */
+    abortChildrenFrom(context, index) {
+        for (let i = index; i < this.children.length; i++) {
+            this.children[i].abort(context);
+        }
+    }
+
+    open(context, memory) {}
+
+    execute(context, memory) {
+        return Status.SUCCESS;
+    }
+
+    onAbort(context, memory) {}
+
+    getLabel() {
+        return this.name ? `${this.type} "${this.name}"` : this.type;
+    }
+}
+
+// ===== Составные узлы =====
+
+/**
+ * Последовательность: успех, когда успешны все потомки по порядку
+ * Реактивная последовательность каждый тик проверяет потомков с начала
+ * (условия-охранники), обычная продолжает с выполняющегося
+ */
+class SequenceNode extends BehaviorNode {
+    constructor(definition, tree) {
+        super(definition, tree);
+        this.reactive = !!definition.reactive;
+    }
+
+    open(context, memory) {
+        memory.index = 0;
+    }
+
+    execute(context, memory) {
+        for (let i = this.reactive ? 0 : memory.index; i < this.children.length; i++) {
+            const status = this.children[i].tick(context);
+            if (status !== Status.SUCCESS) {
+                this.abortChildrenFrom(context, i + 1);
+                memory.index = i;
+                return status;
+            }
+        }
+        return Status.SUCCESS;
+    }
+}
+
+/**
+ * Выбор: первый потомок, который не провалился
+ * Реактивный выбор каждый тик начинает с первого потомка и прерывает
+ * менее приоритетную ветвь, если более приоритетная стала выполнимой
+ */
+class SelectorNode extends BehaviorNode {
+    constructor(definition, tree) {
+        super(definition, tree);
+        this.reactive = !!definition.reactive;
+    }
+
+    open(context, memory) {
+        memory.index = 0;
+    }
+
+    execute(context, memory) {
+        for (let i = this.reactive ? 0 : memory.index; i < this.children.length; i++) {
+            const status = this.children[i].tick(context);
+            if (status !== Status.FAILURE) {
+                this.abortChildrenFrom(context, i + 1);
+                memory.index = i;
+                return status;
+            }
+        }
+        return Status.FAILURE;
+    }
+}
+
+/**
+ * Параллельный узел: все потомки выполняются каждый тик
+ * success и failure - сколько потомков должно завершиться соответствующим
+ * образом: 'all', 'one' или число
+ */
+class ParallelNode extends BehaviorNode {
+    constructor(definition, tree) {
+        super(definition, tree);
+        this.success = definition.success !== undefined ? definition.success : 'all';
+        this.failure = definition.failure !== undefined ? definition.failure : 'one';
+    }
+
+    getThreshold(policy) {
+        if (policy === 'all') return this.children.length;
+        if (policy === 'one') return 1;
+        return Math.max(1, Math.min(this.children.length, policy));
+    }
+
+    open(context, memory) {
+        memory.results = new Array(this.children.length).fill(null);
+    }
+
+    execute(context, memory) {
+        let successes = 0;
+        let failures = 0;
+
+        this.children.forEach((child, index) => {
+            if (memory.results[index] === null) {
+                const status = child.tick(context);
+                if (status !== Status.RUNNING) {
+                    memory.results[index] = status;
+                }
+            }
+            if (memory.results[index] === Status.SUCCESS) successes++;
+            if (memory.results[index] === Status.FAILURE) failures++;
+        });
+
+        if (successes >= this.getThreshold(this.success)) {
+            this.abortChildrenFrom(context, 0);
+            return Status.SUCCESS;
+        }
+        if (failures >= this.getThreshold(this.failure) || successes + failures === this.children.length) {
+            this.abortChildrenFrom(context, 0);
+            return Status.FAILURE;
+        }
+        return Status.RUNNING;
+    }
+}
+
+// ===== Декораторы =====
+
+/**
+ * Инвертор: меняет успех и провал местами
+ */
+class InverterNode extends BehaviorNode {
+    execute(context) {
+        const status = this.children[0].tick(context);
+        if (status === Status.SUCCESS) return Status.FAILURE;
+        if (status === Status.FAILURE) return Status.SUCCESS;
+        return status;
+    }
+}
+
+/**
+ * Перезарядка: после завершения потомка узел проваливается duration секунд,
+ * не запуская его
+ */
+class CooldownNode extends BehaviorNode {
+    constructor(definition, tree) {
+        super(definition, tree);
+        this.duration = definition.duration || 0;
+    }
+
+    execute(context, memory) {
+        if (memory.readyAt !== undefined && context.state.time < memory.readyAt) {
+            return Status.FAILURE;
+        }
+
+        const status = this.children[0].tick(context);
+        if (status !== Status.RUNNING) {
+            memory.readyAt = context.state.time + this.duration;
+        }
+        return status;
+    }
+}
+
+/**
+ * Повтор: перезапускает успешного потомка count раз (0 или меньше - бесконечно)
+ * Провал потомка завершает повтор провалом. За тик - не больше одного
+ * завершения потомка, чтобы мгновенные действия не зацикливали кадр
+ */
+class RepeatNode extends BehaviorNode {
+    constructor(definition, tree) {
+        super(definition, tree);
+        this.count = definition.count !== undefined ? definition.count : 0;
+    }
+
+    open(context, memory) {
+        memory.completed = 0;
+    }
+
+    execute(context, memory) {
+        const status = this.children[0].tick(context);
+        if (status !== Status.SUCCESS) return status;
+
+        memory.completed++;
+        return this.count > 0 && memory.completed >= this.count ? Status.SUCCESS : Status.RUNNING;
+    }
+}
+
+/**
+ * Ограничение времени: потомок, выполняющийся дольше duration секунд,
+ * прерывается, узел проваливается
+ */
+class TimeoutNode extends BehaviorNode {
+    constructor(definition, tree) {
+        super(definition, tree);
+        this.duration = definition.duration || 0;
+    }
+
+    open(context, memory) {
+        memory.deadline = context.state.time + this.duration;
+    }
+
+    execute(context, memory) {
+        if (context.state.time >= memory.deadline) {
+            this.children[0].abort(context);
+            return Status.FAILURE;
+        }
+        return this.children[0].tick(context);
+    }
+}
+
+// ===== Листья =====
+
+/**
+ * Действие из реестра
+ */
+class ActionNode extends BehaviorNode {
+    constructor(definition, tree) {
+        super(definition, tree);
+        this.action = tree.registry.getAction(definition.action);
+        if (!this.action) {
+            throw new Error(`Unknown behavior action '${definition.action}' in tree '${tree.id}'`);
+        }
+        this.actionName = definition.action;
+        this.params = definition.params || {};
+    }
+
+    open(context, memory) {
+        memory.data = {};
+        if (this.action.start) {
+            this.action.start(context, this.params, memory.data);
+        }
+    }
+
+    execute(context, memory) {
+        return this.action.tick(context, this.params, memory.data);
+    }
+
+    onAbort(context, memory) {
+        if (this.action.abort) {
+            this.action.abort(context, this.params, memory.data);
+        }
+    }
+
+    getLabel() {
+        return this.name ? `${this.actionName} "${this.name}"` : this.actionName;
+    }
+}
+
+/**
+ * Условие из реестра; negate инвертирует результат
+ */
+class ConditionNode extends BehaviorNode {
+    constructor(definition, tree) {
+        super(definition, tree);
+        this.condition = tree.registry.getCondition(definition.condition);
+        if (!this.condition) {
+            throw new Error(`Unknown behavior condition '${definition.condition}' in tree '${tree.id}'`);
+        }
+        this.conditionName = definition.condition;
+        this.params = definition.params || {};
+        this.negate = !!definition.negate;
+    }
+
+    execute(context) {
+        const result = !!this.condition(context, this.params);
+        return result !== this.negate ? Status.SUCCESS : Status.FAILURE;
+    }
+
+    getLabel() {
+        const label = `${this.negate ? 'not ' : ''}${this.conditionName}?`;
+        return this.name ? `${label} "${this.name}"` : label;
+    }
+}
+
+/**
+ * Ожидание duration секунд
+ */
+class WaitNode extends BehaviorNode {
+    constructor(definition, tree) {
+        super(definition, tree);
+        this.duration = definition.duration || 0;
+    }
+
+    open(context, memory) {
+        memory.until = context.state.time + this.duration;
+    }
+
+    execute(context, memory) {
+        return context.state.time >= memory.until ? Status.SUCCESS : Status.RUNNING;
+    }
+
+    getLabel() {
+        return `wait ${this.duration}s`;
+    }
+}
+
+// Типы узлов JSON-описания: класс и число потомков (null - любое, 1 - декоратор)
+const NODE_TYPES = {
+    sequence: { NodeClass: SequenceNode, children: null },
+    selector: { NodeClass: SelectorNode, children: null },
+    parallel: { NodeClass: ParallelNode, children: null },
+    inverter: { NodeClass: InverterNode, children: 1 },
+    cooldown: { NodeClass: CooldownNode, children: 1 },
+    repeat: { NodeClass: RepeatNode, children: 1 },
+    timeout: { NodeClass: TimeoutNode, children: 1 },
+    action: { NodeClass: ActionNode, children: 0 },
+    condition: { NodeClass: ConditionNode, children: 0 },
+    wait: { NodeClass: WaitNode, children: 0 }
+};
+
+export class BehaviorTree {
+    /**
+     * @param {Object} definition - JSON-описание { id, root }
+     * @param {BehaviorRegistry} registry - Действия и условия листьев
+     */
+    constructor(definition, registry) {
+        this.id = definition.id || 'tree';
+        this.registry = registry;
+        this.nodes = [];
+
+        if (!definition.root) {
+            throw new Error(`Behavior tree '${this.id}' has no root node`);
+        }
+        this.root = this.buildNode(definition.root);
+    }
+
+    buildNode(definition) {
+        const nodeType = NODE_TYPES[definition.type];
+        if (!nodeType) {
+            throw new Error(`Unknown behavior node type '${definition.type}' in tree '${this.id}'`);
+        }
+
+        const node = new nodeType.NodeClass(definition, this);
+        const children = definition.child ? [definition.child] : (definition.children || []);
+
+        if (nodeType.children === null && children.length === 0) {
+            throw new Error(`Behavior node '${node.getLabel()}' in tree '${this.id}' needs children`);
+        }
+        if (nodeType.children !== null && children.length !== nodeType.children) {
+            throw new Error(`Behavior node '${node.getLabel()}' in tree '${this.id}' expects ${nodeType.children} child node(s)`);
+        }
+
+        node.children = children.map(child => this.buildNode(child));
+        return node;
+    }
+
+    /**
+     * Память агента для этого дерева
+     */
+    createState() {
+        return {
+            memory: new Map(),
+            statuses: new Map(),
+            tickCount: 0,
+            time: 0
+        };
+    }
+
+    /**
+     * Тик дерева для одного агента
+     * @param {Object} context - { entity, blackboard, state, deltaTime }
+     * @returns {string} Статус корня
+     */
+    tick(context) {
+        context.state.tickCount++;
+        context.state.time += context.deltaTime;
+        return this.root.tick(context);
+    }
+
+    /**
+     * Прерывание выполняющихся узлов (действия получают abort)
+     */
+    abort(context) {
+        this.root.abort(context);
+    }
+
+    /**
+     * Цепочка выполняющихся узлов от корня на последнем тике
+     * @returns {BehaviorNode[]}
+     */
+    getActivePath(state) {
+        const path = [];
+        let node = this.root;
+        while (node && this.isRunning(node, state)) {
+            path.push(node);
+            node = node.children.find(child => this.isRunning(child, state));
+        }
+        return path;
+    }
+
+    isRunning(node, state) {
+        const record = state.statuses.get(node.id);
+        return !!record && record.tick === state.tickCount && record.status === Status.RUNNING;
+    }
+
+    /**
+     * Текстовое дерево со статусами последнего тика
+     * > выполняется, + успех, - провал, x прерван, пробел - не посещался
+     * @returns {string[]} Строки с отступами по глубине
+     */
+    describe(state) {
+        const markers = {
+            [Status.RUNNING]: '>',
+            [Status.SUCCESS]: '+',
+            [Status.FAILURE]: '-',
+            aborted: 'x'
+        };
+        const lines = [];
+        const visit = (node, depth) => {
+            const record = state.statuses.get(node.id);
+            const marker = record && record.tick === state.tickCount ? markers[record.status] : ' ';
+            lines.push(`${marker} ${'  '.repeat(depth)}${node.getLabel()}`);
+            node.children.forEach(child => visit(child, depth + 1));
+        };
+        visit(this.root, 0);
+        return lines;
+    }
+}
@@ -0,0 +1,45 @@
+/**
+ * Библиотека деревьев поведения
+ * Деревья из behavior.trees загружаются по первому запросу. Дерево не хранит
+ * состояния агентов, поэтому одно на всех
+ */
+import { BehaviorTree } from './BehaviorTree.js';
+
+export class BehaviorTreeLibrary {
+    /**
+     * @param {BehaviorRegistry} registry - Действия и условия листьев
+     * @param {ConfigManager} configManager - Конфигурация (раздел behavior.trees)
+     * @param {AssetManager} assetManager - Загрузка JSON-описаний
+     */
+    constructor(registry, configManager, assetManager) {
+        this.registry = registry;
+        this.config = configManager;
+        this.assetManager = assetManager;
+        this.trees = new Map();
+    }
+
+    /**
+     * Дерево поведения по описанию из behavior.trees
+     * @param {string} id - Идентификатор описания
+     * @returns {Promise<BehaviorTree>}
+     */
+    async get(id) {
+        if (this.trees.has(id)) {
+            return this.trees.get(id);
+        }
+
+        const url = this.config.get(`behavior.trees.${id}`);
+        if (!url) {
+            throw new Error(`Behavior tree '${id}' is not listed in behavior.trees`);
+        }
+
+        const definition = await this.assetManager.loadJSON(`behavior_${id}`, url);
+        const tree = new BehaviorTree({ id, ...definition }, this.registry);
+        this.trees.set(id, tree);
+        return tree;
+    }
+
+    dispose() {
+        this.trees.clear();
+    }
+}
@@ -0,0 +1,102 @@
+/**
+ * Доска данных дерева поведения
+ * Общая память узлов одного агента: условия читают значения, действия пишут.
+ * Доска может наследовать значения родительской (общей для всех агентов):
+ * чтение идет по цепочке, запись - всегда в собственную
+ */
+export class Blackboard {
+    /**
+     * @param {Blackboard} parent - Родительская доска или null
+     */
+    constructor(parent = null) {
+        this.parent = parent;
+        this.values = new Map();
+
+        // Подписчики получают { key, value, previous }
+        this.onChangeObservable = new BABYLON.Observable();
+    }
+
+    get(key, fallback = undefined) {
+        if (this.values.has(key)) {
+            return this.values.get(key);
+        }
+        return this.parent ? this.parent.get(key, fallback) : fallback;
+    }
+
+    has(key) {
+        return this.values.has(key) || (!!this.parent && this.parent.has(key));
+    }
+
+    set(key, value) {
+        const previous = this.values.get(key);
+        if (previous === value && this.values.has(key)) return;
+
+        this.values.set(key, value);
+        this.onChangeObservable.notifyObservers({ key, value, previous });
+    }
+
+    delete(key) {
+        if (!this.values.has(key)) return;
+
+        const previous = this.values.get(key);
+        this.values.delete(key);
+        this.onChangeObservable.notifyObservers({ key, value: undefined, previous });
+    }
+
+    clear() {
+        Array.from(this.values.keys()).forEach(key => this.delete(key));
+    }
+
+    /**
+     * Собственные значения в JSON-совместимом виде
+     * Векторы сохраняются массивами, объекты сцены и функции пропускаются
+     */
+    serialize() {
+        const data = {};
+        this.values.forEach((value, key) => {
+            if (value instanceof BABYLON.Vector3) {
+                data[key] = { vector3: value.asArray() };
+            } else if (value === null || ['number', 'string', 'boolean'].includes(typeof value)) {
+                data[key] = value;
+            } else if (Array.isArray(value) && value.every(item => ['number', 'string', 'boolean'].includes(typeof item))) {
+                data[key] = value.slice();
+            }
+        });
+        return data;
+    }
+
+    deserialize(data) {
+        this.values.clear();
+        Object.keys(data || {}).forEach(key => {
+            const value = data[key];
+            this.values.set(key, value && value.vector3 ? BABYLON.Vector3.FromArray(value.vector3) : value);
+        });
+    }
+
+    /**
+     * Краткое текстовое представление значений (для отладки)
+     */
+    describe() {
+        const lines = [];
+        this.values.forEach((value, key) => {
+            let text;
+            if (value instanceof BABYLON.Vector3) {
+                text = `(${value.x.toFixed(1)}, ${value.y.toFixed(1)}, ${value.z.toFixed(1)})`;
+            } else if (typeof value === 'number') {
+                text = Number.isInteger(value) ? String(value) : value.toFixed(2);
+            } else if (value && typeof value === 'object') {
+                text = value.name || value.constructor.name;
+            } else {
+                text = String(value);
+            }
+            lines.push(`${key}: ${text}`);
+        });
+        return lines;
+    }
+
+    dispose() {
+        this.values.clear();
+        this.onChangeObservable.clear();
+        this.parent = null;
+    }
+}
@@ -0,0 +1,84 @@
+/**
+ * Листья деревьев поведения для NPC
+ * Действия выбирают состояние AIAgentComponent (патруль, погоня, бегство,
+ * возвращение), а движение в выбранном состоянии на каждом шаге симуляции
+ * выполняет AISystem. Условия читают восприятие агента
+ */
+import { Status } from './BehaviorTree.js';
+import { AIAgentComponent } from '../components/AIAgentComponent.js';
+import { AnimatorComponent } from '../components/AnimatorComponent.js';
+
+/**
+ * Регистрация действий и условий ИИ
+ * @param {BehaviorRegistry} registry - Реестр листьев
+ * @param {AISystem} aiSystem - Система ИИ (проверки дистанций и здоровья)
+ */
+export function registerAINodes(registry, aiSystem) {
+    const getAI = context => context.entity.getComponent(AIAgentComponent);
+
+    // ===== Условия =====
+
+    registry.registerCondition('isAware', context => getAI(context).isAware());
+
+    registry.registerCondition('canSeeTarget', context => {
+        const ai = getAI(context);
+        return ai.sense === 'sight' && ai.timeSinceContact === 0;
+    });
+
+    // ratio - доля здоровья; по умолчанию fleeHealth агента
+    registry.registerCondition('isHurt', (context, params) => {
+        const ai = getAI(context);
+        return aiSystem.isHurt(context.entity, params.ratio !== undefined ? params.ratio : ai.fleeHealth);
+    });
+
+    registry.registerCondition('targetInLeash', context => aiSystem.isInLeash(getAI(context)));
+
+    registry.registerCondition('atHome', context => {
+        const ai = getAI(context);
+        return !ai.agent || !ai.home || aiSystem.hasArrived(ai.agent, ai.home);
+    });
+
+    // ===== Действия =====
+
+    // Патруль не завершается: его прерывает более приоритетная ветвь
+    registry.registerAction('patrol', context => {
+        getAI(context).setState('Patrol');
+        return Status.RUNNING;
+    });
+
+    // Погоня проваливается, когда цель потеряна или ушла за поводок
+    registry.registerAction('chase', context => {
+        const ai = getAI(context);
+        if (!aiSystem.isInLeash(ai)) {
+            return Status.FAILURE;
+        }
+        ai.setState('Chase');
+        return Status.RUNNING;
+    });
+
+    // Бегство успешно, когда агент перестал воспринимать угрозу
+    registry.registerAction('flee', context => {
+        const ai = getAI(context);
+        if (!ai.isAware()) {
+            return Status.SUCCESS;
+        }
+        ai.setState('Flee');
+        return Status.RUNNING;
+    });
+
+    registry.registerAction('returnHome', context => {
+        const ai = getAI(context);
+        ai.setState('Return');
+        return !ai.agent || aiSystem.hasArrived(ai.agent, ai.home) ? Status.SUCCESS : Status.RUNNING;
+    });
+
+    // Триггер аниматора модели (например, жест при обнаружении цели);
+    // у NPC без аниматора или без такого параметра действие ничего не делает
+    registry.registerAction('setTrigger', (context, params) => {
+        const animatorComponent = context.entity.getComponent(AnimatorComponent);
+        if (animatorComponent && animatorComponent.animator.getParameter(params.name) !== undefined) {
+            animatorComponent.animator.setTrigger(params.name);
+        }
+        return Status.SUCCESS;
+    });
+}
@@ -0,0 +1,106 @@
+/**
+ * Компонент ИИ-агента
+ * Настройки восприятия и поведения NPC и текущее состояние поведения.
+ * Решения принимает и агента толпы ведет AISystem
+ */
+import { Component } from '../ecs/Component.js';
+
+// Состояния поведения
+export const AI_STATES = ['Patrol', 'Chase', 'Flee', 'Return'];
+
+export class AIAgentComponent extends Component {
+    /**
+     * @param {Object} options - Параметры в мировых единицах
+     * @param {BABYLON.Vector3} options.home - Точка возвращения (по умолчанию - позиция появления)
+     * @param {BABYLON.Vector3[]} options.patrol - Точки маршрута патрулирования
+     * @param {Object} options.perception - { sightRange, sightAngle (градусы), hearingRadius, eyeHeight }
+     * @param {Object} options.speeds - Скорости по состояниям { patrol, chase, flee, return }
+     * @param {number} options.radius - Радиус агента для обхода соседей
+     * @param {number} options.waypointWait - Остановка в точке маршрута (с)
+     * @param {number} options.loseTargetTime - Время без восприятия цели до отказа от погони (с)
+     * @param {number} options.leashDistance - Наибольшее удаление от дома в погоне
+     * @param {number} options.stopDistance - Дистанция до цели, на которой погоня останавливается
+     * @param {number} options.fleeHealth - Доля здоровья, ниже которой агент убегает (0 - никогда)
+     * @param {number} options.fleeDistance - Дистанция, на которую агент отрывается от угрозы
+     */
+    constructor(options = {}) {
+        super();
+        this.home = options.home ? options.home.clone() : null;
+        this.patrol = (options.patrol || []).map(point => point.clone());
+        this.perception = { ...options.perception };
+        this.speeds = { ...options.speeds };
+        this.radius = options.radius;
+        this.waypointWait = options.waypointWait || 0;
+        this.loseTargetTime = options.loseTargetTime;
+        this.leashDistance = options.leashDistance;
+        this.stopDistance = options.stopDistance;
+        this.fleeHealth = options.fleeHealth || 0;
+        this.fleeDistance = options.fleeDistance;
+        
+        this.state = 'Patrol';
+        this.patrolIndex = 0;
+        this.waitTimer = 0;
+        
+        // Цель восприятия: сущность, последняя известная позиция и время без контакта
+        this.target = null;
+        this.lastKnownPosition = null;
+        this.timeSinceContact = Infinity;
+        // Как цель замечена в последний раз: 'sight', 'hearing' или null
+        this.sense = null;
+        
+        // Агент толпы (создает AISystem)
+        this.crowd = null;
+        this.agent = null;
+        this.needsSync = false;
+        
+        // Подписчики получают { entity, from, to }
+        this.onStateChangeObservable = new BABYLON.Observable();
+    }
+    
+    /**
+     * Смена состояния поведения
+     * @param {string} state - Новое состояние (AI_STATES)
+     */
+    setState(state) {
+        if (state === this.state) return;
+        
+        const from = this.state;
+        this.state = state;
+        this.waitTimer = 0;
+        this.onStateChangeObservable.notifyObservers({ entity: this.entity, from, to: state });
+    }
+    
+    /**
+     * Знает ли агент о цели (контакт не старше loseTargetTime)
+     */
+    isAware() {
+        return this.target !== null && this.timeSinceContact <= this.loseTargetTime;
+    }
+    
+    serialize() {
+        return {
+            state: this.state,
+            patrolIndex: this.patrolIndex
+        };
+    }
+    
+    deserialize(data) {
+        this.state = AI_STATES.includes(data.state) ? data.state : 'Patrol';
+        this.patrolIndex = data.patrolIndex || 0;
+        this.waitTimer = 0;
+        this.target = null;
+        this.lastKnownPosition = null;
+        this.timeSinceContact = Infinity;
+        // Позицию восстанавливает TransformComponent, агент толпы переносится на нее
+        this.needsSync = true;
+    }
+    
+    dispose() {
+        if (this.crowd && this.agent) {
+            this.crowd.removeAgent(this.agent);
+        }
+        this.crowd = null;
+        this.agent = null;
+        this.onStateChangeObservable.clear();
+    }
+}
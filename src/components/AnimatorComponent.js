@@ -0,0 +1,20 @@
+/**
+ * Компонент аниматора
+ * Хранит аниматор модели сущности; параметры задают скрипты и системы,
+ * обновляет аниматор AnimatorSystem
+ */
+import { Component } from '../ecs/Component.js';
+
+export class AnimatorComponent extends Component {
+    /**
+     * @param {Animator} animator - Аниматор модели (освобождается вместе с компонентом)
+     */
+    constructor(animator) {
+        super();
+        this.animator = animator;
+    }
+    
+    dispose() {
+        this.animator.dispose();
+    }
+}
@@ -0,0 +1,72 @@
+/**
+ * Компонент дерева поведения
+ * Дерево может быть общим для многих агентов; память узлов и доска
+ * у каждого агента свои. Тики выполняет BehaviorTreeSystem
+ */
+import { Component } from '../ecs/Component.js';
+import { Blackboard } from '../behavior/Blackboard.js';
+
+export class BehaviorTreeComponent extends Component {
+    /**
+     * @param {BehaviorTree} tree - Дерево поведения
+     * @param {Blackboard} blackboard - Доска агента (по умолчанию - новая)
+     */
+    constructor(tree, blackboard = new Blackboard()) {
+        super();
+        this.tree = tree;
+        this.blackboard = blackboard;
+        this.state = tree.createState();
+        
+        // Время, накопленное с прошлого тика (тики распределяет бюджет системы)
+        this.elapsed = 0;
+        this.lastStatus = null;
+    }
+    
+    /**
+     * Контекст тика для узлов дерева
+     * @param {number} deltaTime - Время с прошлого тика
+     */
+    getContext(deltaTime = 0) {
+        return {
+            entity: this.entity,
+            blackboard: this.blackboard,
+            state: this.state,
+            deltaTime
+        };
+    }
+    
+    tick() {
+        this.lastStatus = this.tree.tick(this.getContext(this.elapsed));
+        this.elapsed = 0;
+        return this.lastStatus;
+    }
+    
+    /**
+     * Прерывание выполняющихся узлов и сброс памяти дерева
+     */
+    reset() {
+        this.tree.abort(this.getContext());
+        this.state = this.tree.createState();
+        this.elapsed = 0;
+        this.lastStatus = null;
+    }
+    
+    serialize() {
+        return {
+            blackboard: this.blackboard.serialize()
+        };
+    }
+    
+    deserialize(data) {
+        // Дерево начинает заново с корня: состояние агента восстанавливают его компоненты
+        this.reset();
+        this.blackboard.deserialize(data.blackboard);
+    }
+    
+    dispose() {
+        if (this.entity) {
+            this.tree.abort(this.getContext());
+        }
+        this.blackboard.dispose();
+    }
+}
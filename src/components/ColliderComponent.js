@@ -0,0 +1,47 @@
+/**
+ * Компонент коллайдера
+ * Либо кинематическая капсула (CharacterController), либо меш в мире коллизий
+ */
+import { Component } from '../ecs/Component.js';
+
+export class ColliderComponent extends Component {
+    /**
+     * @param {Object} options - { controller } для персонажей или { collisionWorld, mesh, dynamic } для объектов
+     */
+    constructor(options = {}) {
+        super();
+        this.controller = options.controller || null;
+        this.collisionWorld = options.collisionWorld || null;
+        this.mesh = options.mesh || null;
+        this.dynamic = !!options.dynamic;
+        this.collider = null;
+    }
+    
+    onAttach(entity) {
+        if (this.collisionWorld && this.mesh) {
+            // Подвижные объекты (двери, платформы) пересчитываются по матрице меша
+            this.collider = this.dynamic
+                ? this.collisionWorld.addDynamicMesh(this.mesh)
+                : this.collisionWorld.addStaticMesh(this.mesh);
+        }
+    }
+    
+    /**
+     * Включение/выключение коллизий (например, для открытой двери)
+     * @param {boolean} enabled - Состояние
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (this.collider) {
+            this.collider.enabled = enabled;
+        }
+    }
+    
+    dispose() {
+        if (this.collider && this.collisionWorld) {
+            this.collisionWorld.removeCollider(this.collider);
+        }
+        this.collider = null;
+        this.controller = null;
+    }
+}
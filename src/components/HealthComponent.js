@@ -0,0 +1,164 @@
+/**
+ * Компонент здоровья
+ * Урон ослабляется сопротивлениями по типу источника (source.type), после
+ * удара сущность ненадолго неуязвима, а спустя паузу без урона здоровье
+ * восстанавливается. Таймеры ведет HealthSystem
+ */
+import { Component } from '../ecs/Component.js';
+
+export class HealthComponent extends Component {
+    /**
+     * @param {number} maxHealth - Максимальное здоровье
+     * @param {Object} options - Параметры
+     * @param {Object} options.resistances - Множители урона по типам: { fall: 0.5 } (нет типа - 1)
+     * @param {number} options.invulnerability - Неуязвимость после урона (с)
+     * @param {number} options.regenRate - Восстановление в секунду (0 - нет)
+     * @param {number} options.regenDelay - Пауза без урона перед восстановлением (с)
+     */
+    constructor(maxHealth = 100, options = {}) {
+        super();
+        this.maxHealth = maxHealth;
+        this.health = maxHealth;
+        
+        this.resistances = options.resistances || {};
+        this.invulnerability = options.invulnerability || 0;
+        this.regenRate = options.regenRate || 0;
+        this.regenDelay = options.regenDelay || 0;
+        
+        // Оставшаяся неуязвимость и время с последнего урона (с)
+        this.invulnerableTime = 0;
+        this.timeSinceDamage = Infinity;
+        
+        // Подписчики получают { amount, source, health }
+        this.onDamageObservable = new BABYLON.Observable();
+        this.onHealObservable = new BABYLON.Observable();
+        this.onDeathObservable = new BABYLON.Observable();
+    }
+    
+    /**
+     * Нанесение урона
+     * @param {number} amount - Величина урона
+     * @param {Object} source - Источник урона ({ type, entity } и т.п.)
+     * @returns {number} Фактически снятое здоровье
+     */
+    damage(amount, source = null) {
+        if (!this.enabled || this.isDead() || this.isInvulnerable()) {
+            return 0;
+        }
+        
+        const scaled = amount * this.getResistance(source);
+        if (scaled <= 0) {
+            return 0;
+        }
+        
+        this.invulnerableTime = this.invulnerability;
+        return this.applyDamage(scaled, source);
+    }
+    
+    /**
+     * Смерть независимо от неуязвимости и сопротивлений (пропасть и т.п.)
+     * @param {Object} source - Источник
+     */
+    kill(source = null) {
+        if (!this.enabled || this.isDead()) {
+            return 0;
+        }
+        return this.applyDamage(this.health, source);
+    }
+    
+    /**
+     * Снятие здоровья после всех проверок
+     */
+    applyDamage(amount, source) {
+        const applied = Math.min(amount, this.health);
+        this.health -= applied;
+        this.timeSinceDamage = 0;
+        this.onDamageObservable.notifyObservers({ amount: applied, source, health: this.health });
+        
+        if (this.isDead()) {
+            this.onDeathObservable.notifyObservers({ amount: applied, source, health: 0 });
+        }
+        return applied;
+    }
+    
+    /**
+     * Множитель урона для типа источника
+     */
+    getResistance(source) {
+        const type = source ? source.type : null;
+        return type && type in this.resistances ? this.resistances[type] : 1;
+    }
+    
+    /**
+     * Восстановление здоровья
+     * @param {number} amount - Величина лечения
+     * @returns {number} Фактически восстановленное здоровье
+     */
+    heal(amount) {
+        if (this.isDead() || amount <= 0) {
+            return 0;
+        }
+        
+        const applied = Math.min(amount, this.maxHealth - this.health);
+        this.health += applied;
+        if (applied > 0) {
+            this.onHealObservable.notifyObservers({ amount: applied, source: null, health: this.health });
+        }
+        return applied;
+    }
+    
+    /**
+     * Таймеры неуязвимости и восстановления
+     * @param {number} deltaTime - Шаг симуляции в секундах
+     */
+    tick(deltaTime) {
+        this.invulnerableTime = Math.max(0, this.invulnerableTime - deltaTime);
+        this.timeSinceDamage += deltaTime;
+        
+        if (this.regenRate > 0 && this.timeSinceDamage >= this.regenDelay && this.health < this.maxHealth) {
+            this.heal(this.regenRate * deltaTime);
+        }
+    }
+    
+    /**
+     * Временная неуязвимость (например, после возрождения)
+     * @param {number} seconds - Длительность
+     */
+    setInvulnerable(seconds) {
+        this.invulnerableTime = Math.max(this.invulnerableTime, seconds);
+    }
+    
+    isInvulnerable() {
+        return this.invulnerableTime > 0;
+    }
+    
+    /**
+     * Полное восстановление (например, при возрождении)
+     */
+    reset() {
+        this.health = this.maxHealth;
+        this.invulnerableTime = 0;
+        this.timeSinceDamage = Infinity;
+    }
+    
+    isDead() {
+        return this.health <= 0;
+    }
+    
+    serialize() {
+        return { health: this.health, maxHealth: this.maxHealth };
+    }
+    
+    deserialize(data) {
+        this.maxHealth = data.maxHealth || this.maxHealth;
+        this.health = Math.min(data.health, this.maxHealth);
+        this.invulnerableTime = 0;
+        this.timeSinceDamage = Infinity;
+    }
+    
+    dispose() {
+        this.onDamageObservable.clear();
+        this.onHealObservable.clear();
+        this.onDeathObservable.clear();
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * Компонент объекта взаимодействия
+ * Дверь, рычаг, предмет на земле, NPC: объект, который игрок выбирает
+ * прицелом или приближением и использует клавишей действия Interact.
+ * Выбор цели и удержание выполняет InteractionSystem, поведение объекта
+ * задают подписчики onInteractObservable. Состояние объекта (открыта ли
+ * дверь, подобран ли предмет) хранится в state и сохраняется с сущностью
+ */
+import { Component } from '../ecs/Component.js';
+
+export class InteractableComponent extends Component {
+    /**
+     * @param {Object} options - Параметры объекта
+     * @param {string} options.type - Вид объекта (door, switch, pickup, talk, container)
+     * @param {string} options.prompt - Действие в подсказке: "Press E to <prompt>"
+     * @param {number} options.radius - Дальность взаимодействия (мировые единицы)
+     * @param {BABYLON.Vector3} options.offset - Точка прицеливания относительно сущности (с ее поворотом)
+     * @param {number} options.size - Радиус объекта вокруг точки прицеливания (для луча камеры)
+     * @param {number} options.priority - Приоритет при нескольких объектах в досягаемости
+     * @param {number} options.holdTime - Время удержания клавиши (с); 0 - нажатие
+     * @param {boolean} options.once - Использовать один раз и отключиться
+     * @param {Object} options.state - Начальное состояние объекта
+     */
+    constructor(options = {}) {
+        super();
+        this.type = options.type || 'generic';
+        this.prompt = options.prompt || 'interact';
+        this.radius = options.radius || 2;
+        this.offset = options.offset ? options.offset.clone() : BABYLON.Vector3.Zero();
+        this.size = options.size || 0.5;
+        this.priority = options.priority || 0;
+        this.holdTime = options.holdTime || 0;
+        this.once = !!options.once;
+        this.used = false;
+        this.state = { ...options.state };
+        
+        // Подписчики получают { entity, interactor }
+        this.onInteractObservable = new BABYLON.Observable();
+        // Подписчики получают { entity, state, restored } (restored - после загрузки сохранения)
+        this.onStateChangeObservable = new BABYLON.Observable();
+    }
+    
+    /**
+     * Можно ли сейчас выбрать объект
+     */
+    isAvailable() {
+        return this.enabled && !(this.once && this.used);
+    }
+    
+    /**
+     * Точка прицеливания в мире
+     * @param {TransformComponent} transform - Трансформация сущности
+     * @param {BABYLON.Vector3} result - Вектор для результата
+     */
+    getFocusPoint(transform, result) {
+        const sin = Math.sin(transform.rotationY);
+        const cos = Math.cos(transform.rotationY);
+        return result.set(
+            transform.position.x + this.offset.x * cos + this.offset.z * sin,
+            transform.position.y + this.offset.y,
+            transform.position.z - this.offset.x * sin + this.offset.z * cos
+        );
+    }
+    
+    /**
+     * Использование объекта
+     * @param {Entity} interactor - Сущность, которая использует объект
+     * @returns {boolean} Сработало ли взаимодействие
+     */
+    interact(interactor) {
+        if (!this.isAvailable()) {
+            return false;
+        }
+        
+        this.used = true;
+        this.onInteractObservable.notifyObservers({ entity: this.entity, interactor });
+        return true;
+    }
+    
+    /**
+     * Изменение состояния объекта
+     * @param {Object} changes - Изменяемые поля состояния
+     */
+    setState(changes) {
+        Object.assign(this.state, changes);
+        this.onStateChangeObservable.notifyObservers({ entity: this.entity, state: this.state, restored: false });
+    }
+    
+    serialize() {
+        return { used: this.used, enabled: this.enabled, state: { ...this.state } };
+    }
+    
+    deserialize(data) {
+        this.used = !!data.used;
+        this.enabled = data.enabled !== false;
+        this.state = { ...this.state, ...data.state };
+        this.onStateChangeObservable.notifyObservers({ entity: this.entity, state: this.state, restored: true });
+    }
+    
+    dispose() {
+        this.onInteractObservable.clear();
+        this.onStateChangeObservable.clear();
+    }
+}
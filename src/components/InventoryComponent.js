@@ -0,0 +1,143 @@
+/**
+ * Компонент инвентаря
+ * Основной контейнер предметов сущности и необязательная экипировка.
+ * Одинаково подходит игроку и контейнерам в мире (сундуки): у сундука
+ * нет экипировки. Состояние сохраняется вместе с сущностью
+ */
+import { Component } from '../ecs/Component.js';
+import { ItemContainer } from '../inventory/ItemContainer.js';
+
+export class InventoryComponent extends Component {
+    /**
+     * @param {ItemDatabase} database - База описаний предметов
+     * @param {Object} options - Параметры
+     * @param {string} options.title - Заголовок в панели инвентаря
+     * @param {number} options.slots - Ячеек основного контейнера
+     * @param {number} options.columns - Ячеек в строке сетки
+     * @param {number} options.maxWeight - Наибольший вес (0 - без ограничения)
+     * @param {string[]} options.equipSlots - Слоты экипировки (пусто - без экипировки)
+     */
+    constructor(database, options = {}) {
+        super();
+        this.database = database;
+        this.title = options.title || 'Inventory';
+        
+        this.main = new ItemContainer(database, {
+            name: 'main',
+            slots: options.slots,
+            columns: options.columns,
+            maxWeight: options.maxWeight
+        });
+        this.equipment = options.equipSlots && options.equipSlots.length > 0
+            ? new ItemContainer(database, { name: 'equipment', slotTypes: options.equipSlots, columns: 1 })
+            : null;
+        
+        // Подписчики получают { entity, container }
+        this.onChangeObservable = new BABYLON.Observable();
+        this.getContainers().forEach(container => {
+            container.onChangeObservable.add(() => {
+                this.onChangeObservable.notifyObservers({ entity: this.entity, container });
+            });
+        });
+    }
+    
+    getContainers() {
+        return this.equipment ? [this.main, this.equipment] : [this.main];
+    }
+    
+    /**
+     * Добавление в основной контейнер
+     * @returns {number} Сколько не поместилось
+     */
+    add(id, count = 1) {
+        return this.main.add(id, count);
+    }
+    
+    remove(id, count = 1) {
+        return this.main.remove(id, count);
+    }
+    
+    /**
+     * Количество предмета в основном контейнере и экипировке
+     */
+    count(id) {
+        return this.getContainers().reduce((sum, container) => sum + container.count(id), 0);
+    }
+    
+    has(id, count = 1) {
+        return this.count(id) >= count;
+    }
+    
+    /**
+     * Экипировка предмета из ячейки основного контейнера
+     * Надетый в этот слот предмет возвращается на его место
+     * @returns {boolean} Удалось ли экипировать
+     */
+    equip(index) {
+        const stack = this.main.getSlot(index);
+        if (!this.equipment || !stack) return false;
+        
+        // Свободный подходящий слот, иначе первый подходящий (с заменой)
+        const slots = this.equipment.slotTypes
+            .map((type, i) => i)
+            .filter(i => this.equipment.accepts(i, stack.id));
+        if (slots.length === 0) return false;
+        const empty = slots.find(i => !this.equipment.getSlot(i));
+        const slot = empty !== undefined ? empty : slots[0];
+        
+        // Из стопки экипируется одна штука: остаток остается в ячейке
+        if (stack.count > 1) {
+            if (this.equipment.getSlot(slot)) {
+                const freeIndex = this.main.findSlotFor(this.equipment.getSlot(slot).id);
+                if (freeIndex === -1 || !this.equipment.transfer(slot, this.main, freeIndex)) return false;
+            }
+            return this.main.transfer(index, this.equipment, slot, 1);
+        }
+        return this.main.transfer(index, this.equipment, slot);
+    }
+    
+    /**
+     * Снятие предмета из слота экипировки в основной контейнер
+     * @param {string} slotType - Тип слота
+     * @returns {boolean} Удалось ли снять
+     */
+    unequip(slotType) {
+        const slot = this.equipment ? this.equipment.slotTypes.indexOf(slotType) : -1;
+        const stack = slot !== -1 ? this.equipment.getSlot(slot) : null;
+        if (!stack) return false;
+        
+        const index = this.main.findSlotFor(stack.id);
+        return index !== -1 && this.equipment.transfer(slot, this.main, index);
+    }
+    
+    /**
+     * Описание предмета в слоте экипировки
+     * @param {string} slotType - Тип слота
+     * @returns {Object|null}
+     */
+    getEquipped(slotType) {
+        const slot = this.equipment ? this.equipment.slotTypes.indexOf(slotType) : -1;
+        const stack = slot !== -1 ? this.equipment.getSlot(slot) : null;
+        return stack ? this.database.get(stack.id) : null;
+    }
+    
+    serialize() {
+        const data = { main: this.main.serialize() };
+        if (this.equipment) {
+            data.equipment = this.equipment.serialize();
+        }
+        return data;
+    }
+    
+    deserialize(data) {
+        this.main.deserialize(data.main || {});
+        if (this.equipment) {
+            this.equipment.deserialize(data.equipment || {});
+        }
+    }
+    
+    dispose() {
+        this.getContainers().forEach(container => container.dispose());
+        this.onChangeObservable.clear();
+    }
+}
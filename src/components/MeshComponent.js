@@ -0,0 +1,25 @@
+/**
+ * Компонент меша
+ * Визуальное представление сущности, следующее за TransformComponent
+ */
+import { Component } from '../ecs/Component.js';
+
+export class MeshComponent extends Component {
+    /**
+     * @param {BABYLON.AbstractMesh} mesh - Меш
+     * @param {Object} options - { interpolate: синхронизировать с трансформацией, disposeMesh: удалять меш вместе с компонентом }
+     */
+    constructor(mesh, options = {}) {
+        super();
+        this.mesh = mesh;
+        this.interpolate = options.interpolate !== false;
+        this.disposeMesh = options.disposeMesh !== false;
+    }
+    
+    dispose() {
+        if (this.mesh && this.disposeMesh) {
+            this.mesh.dispose();
+        }
+        this.mesh = null;
+    }
+}
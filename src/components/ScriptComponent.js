@@ -0,0 +1,22 @@
+/**
+ * Компонент скрипта
+ * Произвольное поведение сущности без отдельной системы.
+ * Скрипт - объект с необязательными методами:
+ *   start(entity), fixedUpdate(entity, step), update(entity, frameTime), destroy(entity)
+ */
+import { Component } from '../ecs/Component.js';
+
+export class ScriptComponent extends Component {
+    constructor(script = {}) {
+        super();
+        this.script = script;
+        this.started = false;
+    }
+    
+    dispose() {
+        if (this.started && this.script.destroy) {
+            this.script.destroy(this.entity);
+        }
+        this.script = {};
+    }
+}
@@ -0,0 +1,53 @@
+/**
+ * Компонент трансформации
+ * Позиция симуляции и позиция предыдущего шага для интерполяции рендера
+ */
+import { Component } from '../ecs/Component.js';
+
+export class TransformComponent extends Component {
+    constructor(position = BABYLON.Vector3.Zero(), rotationY = 0) {
+        super();
+        this.position = position.clone();
+        this.previousPosition = position.clone();
+        this.rotationY = rotationY;
+    }
+    
+    /**
+     * Запоминание состояния перед шагом симуляции
+     */
+    snapshot() {
+        this.previousPosition.copyFrom(this.position);
+    }
+    
+    /**
+     * Мгновенное перемещение без интерполяции
+     * @param {BABYLON.Vector3} position - Новая позиция
+     */
+    teleport(position) {
+        this.position.copyFrom(position);
+        this.previousPosition.copyFrom(position);
+    }
+    
+    serialize() {
+        return {
+            position: { x: this.position.x, y: this.position.y, z: this.position.z },
+            rotationY: this.rotationY
+        };
+    }
+    
+    deserialize(data) {
+        if (data.position) {
+            this.teleport(new BABYLON.Vector3(data.position.x, data.position.y, data.position.z));
+        }
+        this.rotationY = data.rotationY || 0;
+    }
+    
+    /**
+     * Интерполированная позиция между двумя шагами симуляции
+     * @param {number} alpha - Доля шага (0..1)
+     * @param {BABYLON.Vector3} out - Вектор результата
+     */
+    getInterpolatedPosition(alpha, out) {
+        return BABYLON.Vector3.LerpToRef(this.previousPosition, this.position, alpha, out);
+    }
+}
@@ -0,0 +1,55 @@
+/**
+ * Компонент триггера
+ * Область мира вокруг позиции сущности (TransformComponent), сообщающая о входе
+ * и выходе сущностей с заданным тегом. Проверку выполняет TriggerSystem
+ */
+import { Component } from '../ecs/Component.js';
+
+export class TriggerComponent extends Component {
+    /**
+     * @param {Object} options - Параметры триггера
+     * @param {BABYLON.Vector3} options.size - Размеры области (полные, по осям)
+     * @param {string} options.tag - Тег сущностей, на которые реагирует триггер
+     * @param {boolean} options.once - Сработать один раз и отключиться
+     */
+    constructor(options = {}) {
+        super();
+        this.size = options.size ? options.size.clone() : new BABYLON.Vector3(1, 1, 1);
+        this.tag = options.tag || 'player';
+        this.once = !!options.once;
+        this.fired = false;
+        
+        // Сущности, находящиеся внутри (по идентификатору)
+        this.inside = new Set();
+        
+        // Подписчики получают { trigger, other } - сущности триггера и вошедшего
+        this.onEnterObservable = new BABYLON.Observable();
+        this.onExitObservable = new BABYLON.Observable();
+    }
+    
+    /**
+     * Проверка попадания точки в область
+     * @param {BABYLON.Vector3} center - Центр области
+     * @param {BABYLON.Vector3} point - Точка
+     */
+    contains(center, point) {
+        return Math.abs(point.x - center.x) <= this.size.x / 2 &&
+            Math.abs(point.y - center.y) <= this.size.y / 2 &&
+            Math.abs(point.z - center.z) <= this.size.z / 2;
+    }
+    
+    serialize() {
+        return { fired: this.fired };
+    }
+    
+    deserialize(data) {
+        this.fired = !!data.fired;
+        this.inside.clear();
+    }
+    
+    dispose() {
+        this.onEnterObservable.clear();
+        this.onExitObservable.clear();
+        this.inside.clear();
+    }
+}
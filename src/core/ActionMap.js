@@ -0,0 +1,489 @@
+/**
+ * Карта действий
+ * Слой именованных действий и осей поверх InputManager.
+ * Привязки задаются в конфигурации строками вида 'устройство:элемент'
+ * ('key:KeyW', 'mouse:0'), действия группируются в контексты ввода.
+ *
+ * Контексты образуют стек: верхний контекст обрабатывается первым и
+ * "съедает" свои привязки, поэтому нижние контексты их не видят
+ * (в полете Space поднимает игрока, а не прыгает). Блокирующий контекст (UI)
+ * скрывает все контексты ниже. Глобальные контексты работают всегда
+ */
+export class ActionMap {
+    constructor(inputManager, configManager) {
+        this.input = inputManager;
+        this.config = configManager;
+
+        this.actions = {};
+        this.axes = {};
+        this.contexts = {};
+        this.contextStack = [];
+
+        // Состояние кнопок на текущем и прошлом кадре
+        this.state = {};
+        this.previousState = {};
+        this.axisValues = {};
+
+        // Подписчики на нажатие/отпускание
+        this.listeners = { pressed: new Map(), released: new Map() };
+
+        this.loadBindings();
+        this.contextStack = [...(this.config.get('controls.defaultContexts') || [])];
+
+        console.log('🕹️ Action map initialized');
+    }
+
+    /**
+     * Разбор привязок из конфигурации
+     */
+    loadBindings() {
+        const parseList = (list) => (list || []).map(binding => this.parseBinding(binding));
+        const parseAxis = (axis) => ({
+            positive: parseList(axis.positive),
+            negative: parseList(axis.negative),
+            analog: parseList(axis.analog)
+        });
+
+        this.actions = {};
+        Object.entries(this.config.get('controls.actions') || {}).forEach(([name, bindings]) => {
+            this.actions[name] = parseList(bindings);
+        });
+
+        this.axes = {};
+        Object.entries(this.config.get('controls.axes') || {}).forEach(([name, axis]) => {
+            // Двумерная ось задается компонентами x и y
+            this.axes[name] = axis.x || axis.y
+                ? { x: parseAxis(axis.x || {}), y: parseAxis(axis.y || {}) }
+                : parseAxis(axis);
+        });
+
+        this.contexts = this.config.get('controls.contexts') || {};
+        
+        // Браузер не должен обрабатывать игровые клавиши (Tab, F1, пробел)
+        this.input.setGameKeys(this.getBoundKeys());
+    }
+
+    /**
+     * Разбор строки привязки
+     * @param {string} binding - Привязка вида 'key:KeyW'
+     */
+    parseBinding(binding) {
+        const separator = binding.indexOf(':');
+        return {
+            id: binding,
+            device: binding.slice(0, separator),
+            control: binding.slice(separator + 1)
+        };
+    }
+
+    /**
+     * Опрос устройств: вызывается один раз в начале кадра
+     */
+    update() {
+        this.previousState = this.state;
+        this.state = {};
+        this.axisValues = {};
+
+        const consumed = new Set();
+        const visit = (contextName) => {
+            const context = this.contexts[contextName];
+            if (!context) return;
+
+            (context.actions || []).forEach(name => {
+                if (this.actions[name] && !(name in this.state)) {
+                    this.state[name] = this.readButton(this.actions[name], consumed);
+                }
+            });
+            (context.axes || []).forEach(name => {
+                if (this.axes[name] && !(name in this.axisValues)) {
+                    this.axisValues[name] = this.readAxisDefinition(this.axes[name], consumed);
+                }
+            });
+
+            // Привязки контекста недоступны контекстам ниже по стеку
+            (context.actions || []).forEach(name => this.markConsumed(this.actions[name], consumed));
+            (context.axes || []).forEach(name => this.markAxisConsumed(this.axes[name], consumed));
+        };
+
+        Object.keys(this.contexts)
+            .filter(name => this.contexts[name].global)
+            .forEach(visit);
+
+        for (let i = this.contextStack.length - 1; i >= 0; i--) {
+            const name = this.contextStack[i];
+            visit(name);
+            if (this.contexts[name] && this.contexts[name].blocking) {
+                break;
+            }
+        }
+
+        // Действие, ставшее доступным при смене контекстов, не получает фронт нажатия
+        // от уже удерживаемой клавиши (E, начавшая или закончившая разговор)
+        Object.keys(this.state).forEach(name => {
+            if (!(name in this.previousState)) {
+                this.previousState[name] = this.state[name];
+            }
+        });
+
+        this.dispatch();
+    }
+
+    /**
+     * Вызов подписчиков на фронты нажатия и отпускания
+     */
+    dispatch() {
+        const names = new Set([...Object.keys(this.state), ...Object.keys(this.previousState)]);
+        names.forEach(name => {
+            if (this.wasPressed(name)) {
+                this.notify('pressed', name);
+            } else if (this.wasReleased(name)) {
+                this.notify('released', name);
+            }
+        });
+    }
+
+    notify(type, name) {
+        const callbacks = this.listeners[type].get(name);
+        if (callbacks) {
+            // Копия списка: обработчик может отписаться или сменить контекст
+            [...callbacks].forEach(callback => callback(name));
+        }
+    }
+
+    readButton(bindings, consumed) {
+        return bindings.some(binding =>
+            !consumed.has(binding.id) && this.input.getBindingValue(binding.device, binding.control) > 0.5
+        );
+    }
+
+    readAxis(axis, consumed) {
+        const sum = (bindings) => bindings.reduce((total, binding) => (
+            consumed.has(binding.id) ? total : total + this.input.getBindingValue(binding.device, binding.control)
+        ), 0);
+
+        // Цифровые привязки дают -1..1, аналоговые добавляются со своим знаком
+        const digital = BABYLON.Scalar.Clamp(sum(axis.positive) - sum(axis.negative), -1, 1);
+        return BABYLON.Scalar.Clamp(digital + sum(axis.analog), -1, 1);
+    }
+
+    readAxisDefinition(axis, consumed) {
+        if (axis.x) {
+            return { x: this.readAxis(axis.x, consumed), y: this.readAxis(axis.y, consumed) };
+        }
+        return this.readAxis(axis, consumed);
+    }
+
+    markConsumed(bindings, consumed) {
+        (bindings || []).forEach(binding => consumed.add(binding.id));
+    }
+
+    markAxisConsumed(axis, consumed) {
+        if (!axis) return;
+        [axis.x, axis.y, axis].filter(Boolean).forEach(part => {
+            ['positive', 'negative', 'analog'].forEach(key => this.markConsumed(part[key], consumed));
+        });
+    }
+
+    /**
+     * Действие удерживается на текущем кадре
+     * @param {string} name - Имя действия
+     */
+    isHeld(name) {
+        return !!this.state[name];
+    }
+
+    /**
+     * Действие нажато на текущем кадре
+     * @param {string} name - Имя действия
+     */
+    wasPressed(name) {
+        return !!this.state[name] && !this.previousState[name];
+    }
+
+    /**
+     * Действие отпущено на текущем кадре
+     * @param {string} name - Имя действия
+     */
+    wasReleased(name) {
+        return !this.state[name] && !!this.previousState[name];
+    }
+
+    /**
+     * Значение одномерной оси (-1..1)
+     * @param {string} name - Имя оси
+     */
+    getAxis(name) {
+        const value = this.axisValues[name];
+        return typeof value === 'number' ? value : 0;
+    }
+
+    /**
+     * Значение двумерной оси
+     * @param {string} name - Имя оси
+     * @returns {Object} { x, y } в диапазоне -1..1
+     */
+    getAxis2D(name) {
+        const value = this.axisValues[name];
+        return value && typeof value === 'object' ? { ...value } : { x: 0, y: 0 };
+    }
+
+    /**
+     * Подписка на нажатие действия
+     * @param {string} name - Имя действия
+     * @param {Function} callback - Обработчик
+     * @returns {Function} Функция отписки
+     */
+    onPressed(name, callback) {
+        return this.addListener('pressed', name, callback);
+    }
+
+    /**
+     * Подписка на отпускание действия
+     * @param {string} name - Имя действия
+     * @param {Function} callback - Обработчик
+     * @returns {Function} Функция отписки
+     */
+    onReleased(name, callback) {
+        return this.addListener('released', name, callback);
+    }
+
+    addListener(type, name, callback) {
+        if (!this.listeners[type].has(name)) {
+            this.listeners[type].set(name, []);
+        }
+        this.listeners[type].get(name).push(callback);
+
+        return () => {
+            const callbacks = this.listeners[type].get(name);
+            const index = callbacks ? callbacks.indexOf(callback) : -1;
+            if (index !== -1) {
+                callbacks.splice(index, 1);
+            }
+        };
+    }
+
+    /**
+     * Добавление контекста на вершину стека
+     * @param {string} name - Имя контекста
+     */
+    pushContext(name) {
+        if (!this.contexts[name]) {
+            console.warn(`⚠️ Unknown input context '${name}'`);
+        }
+        this.contextStack.push(name);
+    }
+
+    /**
+     * Удаление верхнего вхождения контекста из стека
+     * @param {string} name - Имя контекста
+     */
+    popContext(name) {
+        const index = this.contextStack.lastIndexOf(name);
+        if (index !== -1) {
+            this.contextStack.splice(index, 1);
+        }
+    }
+
+    /**
+     * Проверка наличия контекста в стеке
+     * @param {string} name - Имя контекста
+     */
+    hasContext(name) {
+        return this.contextStack.includes(name);
+    }
+
+    /**
+     * Получение стека контекстов (снизу вверх)
+     */
+    getContextStack() {
+        return [...this.contextStack];
+    }
+
+    /**
+     * Привязки действия в виде строк
+     * @param {string} name - Имя действия
+     */
+    getBindings(name) {
+        return (this.actions[name] || []).map(binding => binding.id);
+    }
+
+    /**
+     * Цели переназначения: действия и цифровые направления осей
+     * Аналоговые привязки (стики, сенсорный джойстик) не переназначаются
+     * @returns {Object[]} { path, name, component, direction, bindings }
+     */
+    getRebindTargets() {
+        const targets = Object.keys(this.actions).map(name => ({
+            path: `controls.actions.${name}`,
+            name,
+            component: null,
+            direction: null,
+            bindings: this.getBindings(name)
+        }));
+
+        Object.entries(this.axes).forEach(([name, axis]) => {
+            const parts = axis.x ? [['x', axis.x], ['y', axis.y]] : [[null, axis]];
+            parts.forEach(([component, part]) => {
+                ['positive', 'negative'].forEach(direction => {
+                    targets.push({
+                        path: ['controls.axes', name, component, direction].filter(Boolean).join('.'),
+                        name,
+                        component,
+                        direction,
+                        bindings: part[direction].map(binding => binding.id)
+                    });
+                });
+            });
+        });
+
+        return targets;
+    }
+
+    /**
+     * Контексты, в которых участвует действие или ось
+     * @param {string} name - Имя действия или оси
+     */
+    getContextsOf(name) {
+        return Object.keys(this.contexts).filter(contextName => {
+            const context = this.contexts[contextName];
+            return (context.actions || []).includes(name) || (context.axes || []).includes(name);
+        });
+    }
+
+    /**
+     * Могут ли два действия быть активны одновременно
+     * Привязки в разных контекстах не конфликтуют (Space - прыжок и подъем в полете),
+     * глобальные контексты пересекаются со всеми
+     */
+    sharesContext(nameA, nameB) {
+        const contextsA = this.getContextsOf(nameA);
+        const contextsB = this.getContextsOf(nameB);
+        const isGlobal = (contextName) => !!this.contexts[contextName].global;
+
+        return contextsA.some(contextName => contextsB.includes(contextName)) ||
+            (contextsA.some(isGlobal) && contextsB.length > 0) ||
+            (contextsB.some(isGlobal) && contextsA.length > 0);
+    }
+
+    /**
+     * Цели, уже использующие привязку в пересекающемся контексте
+     * @param {string} binding - Привязка вида 'key:KeyW'
+     * @param {string} path - Путь цели, для которой проверяется привязка
+     * @returns {Object[]} Конфликтующие цели
+     */
+    findConflicts(binding, path) {
+        const targets = this.getRebindTargets();
+        const target = targets.find(candidate => candidate.path === path);
+        if (!target) return [];
+
+        return targets.filter(other =>
+            other.path !== path &&
+            other.bindings.includes(binding) &&
+            // Противоположные направления одной оси не могут делить клавишу
+            (other.name === target.name || this.sharesContext(other.name, target.name))
+        );
+    }
+
+    /**
+     * Пути всех целей, имеющих конфликтующие привязки
+     * @returns {Set<string>}
+     */
+    getConflictingPaths() {
+        const paths = new Set();
+        this.getRebindTargets().forEach(target => {
+            target.bindings.forEach(binding => {
+                const conflicts = this.findConflicts(binding, target.path);
+                if (conflicts.length > 0) {
+                    paths.add(target.path);
+                    conflicts.forEach(conflict => paths.add(conflict.path));
+                }
+            });
+        });
+        return paths;
+    }
+
+    /**
+     * Группа устройств привязки: клавиатура с мышью, геймпад или сенсорный экран
+     */
+    getBindingGroup(binding) {
+        const { device } = this.parseBinding(binding);
+        return device === 'mouse' ? 'key' : device;
+    }
+
+    /**
+     * Переназначение цели
+     * Привязка заменяет привязки той же группы устройств, остальные сохраняются.
+     * У конфликтующих целей привязка снимается. Изменения пишутся в конфигурацию
+     * @param {string} path - Путь цели (из getRebindTargets)
+     * @param {string} binding - Новая привязка
+     * @returns {Object[]} Цели, у которых привязка была снята
+     */
+    rebind(path, binding) {
+        const target = this.getRebindTargets().find(candidate => candidate.path === path);
+        if (!target) {
+            console.warn(`⚠️ Unknown rebind target '${path}'`);
+            return [];
+        }
+
+        const conflicts = this.findConflicts(binding, path);
+        conflicts.forEach(conflict => {
+            this.config.set(conflict.path, conflict.bindings.filter(existing => existing !== binding));
+        });
+
+        const group = this.getBindingGroup(binding);
+        const index = target.bindings.findIndex(existing => this.getBindingGroup(existing) === group);
+        const bindings = target.bindings.filter(existing => this.getBindingGroup(existing) !== group);
+        bindings.splice(index === -1 ? bindings.length : index, 0, binding);
+        this.config.set(path, bindings);
+
+        console.log(`🕹️ ${path} bound to ${binding}`);
+        return conflicts;
+    }
+
+    /**
+     * Сброс привязок к значениям по умолчанию
+     */
+    resetBindings() {
+        const defaults = this.config.getDefaultConfig().controls;
+        this.config.set('controls.actions', defaults.actions);
+        this.config.set('controls.axes', defaults.axes);
+        console.log('🕹️ Bindings reset to defaults');
+    }
+
+    /**
+     * Все клавиши клавиатуры, участвующие в привязках
+     */
+    getBoundKeys() {
+        const keys = new Set();
+        const collect = (bindings) => (bindings || []).forEach(binding => {
+            if (binding.device === 'key') keys.add(binding.control);
+        });
+
+        Object.values(this.actions).forEach(collect);
+        Object.values(this.axes).forEach(axis => {
+            [axis.x, axis.y, axis].filter(Boolean).forEach(part => {
+                collect(part.positive);
+                collect(part.negative);
+                collect(part.analog);
+            });
+        });
+        return keys;
+    }
+
+    /**
+     * Обновление привязок из конфигурации (стек контекстов сохраняется)
+     */
+    updateFromConfig() {
+        this.loadBindings();
+    }
+
+    /**
+     * Освобождение ресурсов
+     */
+    dispose() {
+        this.listeners.pressed.clear();
+        this.listeners.released.clear();
+        this.contextStack = [];
+        console.log('🗑️ Action map disposed');
+    }
+}
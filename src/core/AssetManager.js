@@ -149,6 +149,63 @@ export class AssetManager {
         }
     }
     
+    /**
+     * Загрузка модели в контейнер без добавления в сцену
+     * Из контейнера создаются независимые копии (instantiateModelsToScene)
+     * со своими скелетами и клипами - для NPC с одной моделью
+     * @param {string} name - Имя ассета для кэширования
+     * @param {string} url - Путь к файлу модели
+     */
+    async loadContainer(name, url) {
+        if (this.loadedAssets.has(name)) {
+            return this.loadedAssets.get(name);
+        }
+        if (this.loadingPromises.has(name)) {
+            return await this.loadingPromises.get(name);
+        }
+        
+        const loadingPromise = BABYLON.SceneLoader.LoadAssetContainerAsync(url, undefined, this.scene);
+        this.loadingPromises.set(name, loadingPromise);
+        
+        try {
+            const container = await loadingPromise;
+            this.loadedAssets.set(name, container);
+            this.loadingPromises.delete(name);
+            console.log(`✅ Model container '${name}' loaded successfully`);
+            return container;
+        } catch (error) {
+            this.loadingPromises.delete(name);
+            console.error(`❌ Failed to load model container '${name}':`, error);
+            throw error;
+        }
+    }
+    
+    /**
+     * Загрузка JSON-описания (аниматоры и другие данные)
+     * @param {string} name - Имя ассета
+     * @param {string} url - URL файла
+     */
+    async loadJSON(name, url) {
+        if (this.loadedAssets.has(name)) {
+            return this.loadedAssets.get(name);
+        }
+        
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to load JSON: ${url} (${response.status})`);
+            }
+            
+            const data = await response.json();
+            this.loadedAssets.set(name, data);
+            console.log(`📄 JSON '${name}' loaded`);
+            return data;
+        } catch (error) {
+            console.error(`❌ Failed to load JSON '${name}':`, error);
+            throw error;
+        }
+    }
+    
     /**
      * Получение загруженного ассета
      * @param {string} name - Имя ассета
@@ -189,6 +246,8 @@ export class AssetManager {
                         return await this.loadTexture(asset.name, asset.url, asset.options);
                     case 'sound':
                         return await this.loadSound(asset.name, asset.url, asset.options);
+                    case 'json':
+                        return await this.loadJSON(asset.name, asset.url);
                     default:
                         console.warn(`⚠️ Unknown asset type: ${asset.type}`);
                 }
@@ -2,6 +2,21 @@
  * Контроллер камеры
  * Управляет различными режимами камеры и их переключением
  */
+import { CameraEffects } from './CameraEffects.js';
+
+// Порядок режимов при переключении
+const CAMERA_MODES = ['arcRotate', 'thirdPerson', 'firstPerson', 'free', 'follow'];
+
+// Режимы без встроенного управления Babylon: камерой двигает сам контроллер
+const DRIVEN_MODES = ['thirdPerson', 'firstPerson', 'follow'];
+
+// Режимы с общим взглядом (yaw/pitch), поворачиваемым мышью при захвате указателя
+const LOOK_MODES = ['thirdPerson', 'firstPerson'];
+
+// Слой мешей игрока: входит в маску камер по умолчанию (0x0FFFFFFF),
+// но исключен из маски камеры от первого лица
+const PLAYER_LAYER = 0x08000000;
+
 export class CameraController {
     constructor(scene, canvas, configManager) {
         this.scene = scene;
@@ -17,17 +32,34 @@ export class CameraController {
         this.mouseSensitivity = this.config.get('camera.mouseSensitivity');
         this.zoomSensitivity = this.config.get('camera.zoomSensitivity');
         this.smoothing = this.config.get('camera.smoothing');
+        this.lookSpeed = this.config.get('camera.lookSpeed');
         
-        // Состояние клавиш для управления камерой
-        this.keyState = {
-            ArrowLeft: false,
-            ArrowRight: false,
-            ArrowUp: false,
-            ArrowDown: false
-        };
+        // При сенсорном управлении касаниями камеры управляет TouchControls
+        this.touchMode = false;
+        
+        // Источник движения мыши при захвате указателя и мир коллизий для "пружины"
+        this.inputManager = null;
+        this.collisionWorld = null;
+        
+        // Взгляд камер от первого и третьего лица (pitch > 0 - вниз); общий,
+        // чтобы при переключении между ними направление сохранялось
+        this.look = { yaw: 0, pitch: 0.3 };
+        
+        // Состояние камеры от третьего лица
+        // side - сторона плеча (1 - правое, -1 - левое), shoulder - плавно догоняет side
+        this.thirdPerson = { distance: 0, side: 1, shoulder: 1 };
+        this.thirdPersonSettings = this.config.get('camera.thirdPerson');
+        
+        // Состояние камеры от первого лица: покачивание головы и FOV (градусы)
+        this.firstPerson = { bobPhase: 0, bobWeight: 0, lastPosition: null, fov: this.config.get('camera.fov') };
+        this.firstPersonSettings = this.config.get('camera.firstPerson');
+        
+        // Тряска, импульсы FOV, наклон и замедление; смещения, примененные к камере
+        // в прошлом кадре, снимаются перед следующим обновлением
+        this.effects = new CameraEffects(this.config);
+        this.appliedEffects = null;
         
         this.init();
-        this.setupKeyboardControls();
     }
     
     /**
@@ -37,38 +69,14 @@ export class CameraController {
         this.createArcRotateCamera();
         this.createFreeCamera();
         this.createFollowCamera();
+        this.createThirdPersonCamera();
+        this.createFirstPersonCamera();
         
         this.setActiveCamera('arcRotate');
         
         console.log('📷 Camera controller initialized');
     }
     
-    /**
-     * Настройка управления камерой с клавиатуры
-     */
-    setupKeyboardControls() {
-        document.addEventListener('keydown', (event) => {
-            if (event.code in this.keyState) {
-                this.keyState[event.code] = true;
-                event.preventDefault();
-            }
-        });
-        
-        document.addEventListener('keyup', (event) => {
-            if (event.code in this.keyState) {
-                this.keyState[event.code] = false;
-                event.preventDefault();
-            }
-        });
-        
-        // Сброс состояния при потере фокуса
-        window.addEventListener('blur', () => {
-            Object.keys(this.keyState).forEach(key => {
-                this.keyState[key] = false;
-            });
-        });
-    }
-    
     /**
      * Создание ArcRotate камеры (орбитальная)
      */
@@ -105,7 +113,7 @@ export class CameraController {
     }
     
     /**
-     * Создание Free камеры (от первого лица)
+     * Создание Free камеры (свободный полет, независимо от игрока)
      */
     createFreeCamera() {
         const camera = new BABYLON.FreeCamera(
@@ -153,9 +161,61 @@ export class CameraController {
         this.cameras.follow = camera;
     }
     
+    /**
+     * Создание камеры от третьего лица (через плечо)
+     * Входы Babylon не подключаются: поворот задают мышь, стик и касания,
+     * положение - "пружина" от игрока в updateThirdPersonCamera
+     */
+    createThirdPersonCamera() {
+        const camera = new BABYLON.UniversalCamera(
+            "thirdPersonCamera",
+            new BABYLON.Vector3(0, 3, -8),
+            this.scene
+        );
+        camera.inputs.clear();
+        camera.fov = BABYLON.Tools.ToRadians(this.config.get('camera.fov'));
+        camera.minZ = this.config.get('camera.nearPlane');
+        
+        this.cameras.thirdPerson = camera;
+    }
+    
+    /**
+     * Создание камеры от первого лица
+     * Камера закреплена на уровне глаз игрока и не видит его меши
+     */
+    createFirstPersonCamera() {
+        const camera = new BABYLON.UniversalCamera(
+            "firstPersonCamera",
+            new BABYLON.Vector3(0, 2, 0),
+            this.scene
+        );
+        camera.inputs.clear();
+        camera.fov = BABYLON.Tools.ToRadians(this.config.get('camera.fov'));
+        camera.minZ = this.config.get('camera.nearPlane');
+        camera.layerMask &= ~PLAYER_LAYER;
+        
+        this.cameras.firstPerson = camera;
+    }
+    
+    /**
+     * Подключение менеджера ввода (движение мыши при захвате указателя)
+     * @param {InputManager} inputManager - Менеджер ввода
+     */
+    setInputManager(inputManager) {
+        this.inputManager = inputManager;
+    }
+    
+    /**
+     * Подключение мира коллизий (камера от третьего лица не заходит за стены)
+     * @param {CollisionWorld} collisionWorld - Мир коллизий
+     */
+    setCollisionWorld(collisionWorld) {
+        this.collisionWorld = collisionWorld;
+    }
+    
     /**
      * Установка активной камеры
-     * @param {string} mode - Режим камеры ('arcRotate', 'free', 'follow')
+     * @param {string} mode - Режим камеры ('arcRotate', 'thirdPerson', 'firstPerson', 'free', 'follow')
      */
     setActiveCamera(mode) {
         if (!this.cameras[mode]) {
@@ -163,6 +223,19 @@ export class CameraController {
             return;
         }
         
+        // Камеры от первого и третьего лица продолжают смотреть туда же, куда смотрела прежняя
+        if (LOOK_MODES.includes(mode) && this.currentCamera && !LOOK_MODES.includes(this.currentMode)) {
+            this.enterLookMode(this.currentCamera);
+        }
+        
+        // Пружина разворачивается из точки вращения, а не прыгает на полную длину
+        if (mode === 'thirdPerson' && this.currentMode !== 'thirdPerson') {
+            this.thirdPerson.distance = 0;
+        }
+        if (mode === 'firstPerson' && this.currentMode !== 'firstPerson') {
+            this.firstPerson.lastPosition = null;
+        }
+        
         // Отключаем текущую камеру
         if (this.currentCamera) {
             this.currentCamera.detachControl(this.canvas);
@@ -173,8 +246,13 @@ export class CameraController {
         this.currentMode = mode;
         this.scene.activeCamera = this.currentCamera;
         
+        // Пределы наклона у режимов разные
+        if (LOOK_MODES.includes(mode)) {
+            this.rotateLook(0, 0);
+        }
+        
         // Включаем управление для новой камеры
-        if (mode !== 'follow') {
+        if (!DRIVEN_MODES.includes(mode)) {
             this.currentCamera.attachControl(this.canvas, true);
         }
         
@@ -200,19 +278,34 @@ export class CameraController {
      * Обновление камеры
      * @param {Object} player - Объект игрока
      * @param {number} deltaTime - Время кадра
-     * @param {Object} inputManager - Менеджер ввода
+     * @param {ActionMap} actions - Карта действий
      */
-    update(player, deltaTime, inputManager = null) {
+    update(player, deltaTime, actions = null) {
         if (!player) return;
         
-        // Обрабатываем управление стрелками
-        this.handleKeyboardInput(deltaTime, inputManager);
+        this.revertEffects();
         
-        const playerPosition = player.getPosition();
+        // Обрабатываем ось обзора (стрелки и т.п.; мышью камеры управляет Babylon)
+        if (actions) {
+            this.handleLookInput(deltaTime, actions);
+        }
+        
+        // Движение мыши при захвате указателя забирается каждый кадр,
+        // чтобы в других режимах оно не копилось
+        if (this.inputManager) {
+            const mouseDelta = this.inputManager.getMouseDelta();
+            if (LOOK_MODES.includes(this.currentMode)) {
+                const sensitivity = this.mouseSensitivity / 1000;
+                this.rotateLook(mouseDelta.x * sensitivity, mouseDelta.y * sensitivity);
+            }
+        }
+        
+        // Камера следует за интерполированной позицией, а не за шагами симуляции
+        const playerPosition = player.getRenderPosition();
         
         switch (this.currentMode) {
             case 'arcRotate':
-                this.updateArcRotateCamera(playerPosition);
+                this.updateArcRotateCamera(playerPosition, deltaTime);
                 break;
             case 'free':
                 this.updateFreeCamera(playerPosition);
@@ -220,69 +313,241 @@ export class CameraController {
             case 'follow':
                 this.updateFollowCamera(player);
                 break;
+            case 'thirdPerson':
+                this.updateThirdPersonCamera(playerPosition, deltaTime);
+                break;
+            case 'firstPerson':
+                this.updateFirstPersonCamera(player, playerPosition, deltaTime);
+                break;
         }
+        
+        this.effects.update(deltaTime);
+        this.applyEffects();
+    }
+    
+    /**
+     * Добавление травмы (тряски камеры)
+     * @param {number} amount - Добавка 0..1
+     * @param {string} source - Источник: травма разных источников складывается
+     */
+    addTrauma(amount, source) {
+        this.effects.addTrauma(amount, source);
+    }
+    
+    /**
+     * Кратковременное изменение FOV
+     * @param {number} amount - Изменение в градусах
+     * @param {number} duration - Длительность в секундах
+     */
+    pulseFov(amount, duration) {
+        this.effects.pulseFov(amount, duration);
+    }
+    
+    /**
+     * Кратковременный наклон горизонта (не действует на орбитальную камеру)
+     * @param {number} angle - Угол в градусах
+     * @param {number} duration - Длительность в секундах
+     */
+    tilt(angle, duration) {
+        this.effects.tilt(angle, duration);
+    }
+    
+    /**
+     * Короткое замедление времени
+     * @param {number} timeScale - Множитель времени (0..1)
+     * @param {number} duration - Длительность в реальных секундах
+     */
+    slowMotion(timeScale, duration) {
+        this.effects.slowMotion(timeScale, duration);
+    }
+    
+    /**
+     * Множитель времени симуляции (замедление)
+     */
+    getTimeScale() {
+        return this.effects.getTimeScale();
+    }
+    
+    /**
+     * Наложение эффектов на активную камеру
+     * Орбитальная камера трясется углами alpha/beta и сдвигом цели на экране,
+     * остальные - поворотом и позицией. Следящая камера сама пересчитывает
+     * позицию и поворот при рендере, поэтому на нее действует только FOV
+     */
+    applyEffects() {
+        const camera = this.currentCamera;
+        if (!camera) return;
+        
+        if (!this.effects.isActive()) return;
+        
+        const sample = this.effects.sample();
+        const fov = BABYLON.Tools.ToRadians(sample.fov);
+        camera.fov += fov;
+        
+        if (this.currentMode === 'arcRotate') {
+            camera.alpha += sample.yaw;
+            camera.beta += sample.pitch;
+            camera.targetScreenOffset.x += sample.offset.x;
+            camera.targetScreenOffset.y += sample.offset.y;
+        } else if (this.currentMode !== 'follow') {
+            camera.rotation.x += sample.pitch;
+            camera.rotation.y += sample.yaw;
+            camera.rotation.z += sample.roll;
+            camera.position.addInPlace(sample.offset);
+        }
+        
+        this.appliedEffects = { camera, mode: this.currentMode, sample, fov };
     }
     
     /**
-     * Обработка ввода с клавиатуры для управления камерой
+     * Снятие эффектов прошлого кадра, чтобы они не копились в состоянии камеры
+     */
+    revertEffects() {
+        if (!this.appliedEffects) return;
+        
+        const { camera, mode, sample, fov } = this.appliedEffects;
+        this.appliedEffects = null;
+        
+        camera.fov -= fov;
+        
+        if (mode === 'arcRotate') {
+            camera.alpha -= sample.yaw;
+            camera.beta -= sample.pitch;
+            camera.targetScreenOffset.x -= sample.offset.x;
+            camera.targetScreenOffset.y -= sample.offset.y;
+            // setTarget пересчитывает углы по позиции, а она еще от кадра с тряской
+            camera.getViewMatrix(true);
+        } else if (mode !== 'follow') {
+            camera.rotation.x -= sample.pitch;
+            camera.rotation.y -= sample.yaw;
+            camera.rotation.z -= sample.roll;
+            camera.position.subtractInPlace(sample.offset);
+        }
+    }
+    
+    /**
+     * Поворот камеры по оси обзора Look
      * @param {number} deltaTime - Время кадра
-     * @param {Object} inputManager - Менеджер ввода
+     * @param {ActionMap} actions - Карта действий
      */
-    handleKeyboardInput(deltaTime, inputManager = null) {
+    handleLookInput(deltaTime, actions) {
         if (!this.currentCamera) return;
         
-        const rotationSpeed = 2.0 * deltaTime; // Скорость поворота
+        // Стрелки дают полную скорость, правый стик - пропорционально наклону
+        const rotationSpeed = this.lookSpeed * deltaTime;
+        const look = actions.getAxis2D('Look');
+        if (look.x === 0 && look.y === 0) return;
         
-        // Используем InputManager если доступен, иначе собственный keyState
-        const isArrowLeftPressed = inputManager ? inputManager.isKeyPressed('ArrowLeft') : this.keyState.ArrowLeft;
-        const isArrowRightPressed = inputManager ? inputManager.isKeyPressed('ArrowRight') : this.keyState.ArrowRight;
-        const isArrowUpPressed = inputManager ? inputManager.isKeyPressed('ArrowUp') : this.keyState.ArrowUp;
-        const isArrowDownPressed = inputManager ? inputManager.isKeyPressed('ArrowDown') : this.keyState.ArrowDown;
+        if (this.currentMode === 'arcRotate') {
+            const camera = this.cameras.arcRotate;
+            camera.alpha += look.x * rotationSpeed;
+            camera.beta = BABYLON.Scalar.Clamp(
+                camera.beta - look.y * rotationSpeed,
+                camera.lowerBetaLimit,
+                camera.upperBetaLimit
+            );
+        } else if (this.currentMode === 'free') {
+            const camera = this.cameras.free;
+            camera.rotation.y += look.x * rotationSpeed;
+            camera.rotation.x = BABYLON.Scalar.Clamp(
+                camera.rotation.x - look.y * rotationSpeed,
+                -Math.PI / 2,
+                Math.PI / 2
+            );
+        } else if (LOOK_MODES.includes(this.currentMode)) {
+            this.rotateLook(look.x * rotationSpeed, -look.y * rotationSpeed);
+        }
+    }
+    
+    /**
+     * Поворот камеры перетаскиванием по экрану
+     * @param {Object} delta - Смещение { x, y } в пикселях
+     */
+    applyTouchLook(delta) {
+        if (delta.x === 0 && delta.y === 0) return;
+        
+        const sensitivity = this.config.get('controls.touch.lookSensitivity');
         
         if (this.currentMode === 'arcRotate') {
             const camera = this.cameras.arcRotate;
-            
-            if (isArrowLeftPressed) {
-                camera.alpha -= rotationSpeed;
-            }
-            if (isArrowRightPressed) {
-                camera.alpha += rotationSpeed;
-            }
-            if (isArrowUpPressed) {
-                camera.beta = Math.max(camera.lowerBetaLimit, camera.beta - rotationSpeed);
-            }
-            if (isArrowDownPressed) {
-                camera.beta = Math.min(camera.upperBetaLimit, camera.beta + rotationSpeed);
-            }
+            camera.alpha -= delta.x * sensitivity;
+            camera.beta = BABYLON.Scalar.Clamp(
+                camera.beta - delta.y * sensitivity,
+                camera.lowerBetaLimit,
+                camera.upperBetaLimit
+            );
         } else if (this.currentMode === 'free') {
             const camera = this.cameras.free;
+            camera.rotation.y += delta.x * sensitivity;
+            camera.rotation.x = BABYLON.Scalar.Clamp(
+                camera.rotation.x + delta.y * sensitivity,
+                -Math.PI / 2,
+                Math.PI / 2
+            );
+        } else if (LOOK_MODES.includes(this.currentMode)) {
+            this.rotateLook(delta.x * sensitivity, delta.y * sensitivity);
+        }
+    }
+    
+    /**
+     * Масштаб орбитальной камеры щипком
+     * @param {number} scale - Отношение расстояний между пальцами (>1 - приблизить)
+     */
+    applyPinchZoom(scale) {
+        if (scale === 1 || this.currentMode !== 'arcRotate') return;
+        
+        const camera = this.cameras.arcRotate;
+        const exponent = this.config.get('controls.touch.pinchSensitivity');
+        camera.radius = BABYLON.Scalar.Clamp(
+            camera.radius / Math.pow(scale, exponent),
+            camera.lowerRadiusLimit,
+            camera.upperRadiusLimit
+        );
+    }
+    
+    /**
+     * Переключение камер на сенсорное управление
+     * Встроенные указательные входы Babylon обрабатывают любые касания, из-за чего
+     * джойстик вращал бы камеру, поэтому на время сенсорного режима они снимаются
+     * @param {boolean} enabled - Сенсорный режим
+     */
+    setTouchMode(enabled) {
+        if (this.touchMode === enabled) return;
+        this.touchMode = enabled;
+        
+        const arcCamera = this.cameras.arcRotate;
+        const freeCamera = this.cameras.free;
+        
+        if (enabled) {
+            arcCamera.inputs.removeByType('ArcRotateCameraPointersInput');
+            freeCamera.inputs.removeByType('FreeCameraMouseInput');
+            freeCamera.inputs.removeByType('FreeCameraTouchInput');
+        } else {
+            arcCamera.inputs.addPointers();
+            freeCamera.inputs.addMouse();
+            freeCamera.inputs.addTouch();
             
-            if (isArrowLeftPressed) {
-                camera.rotation.y -= rotationSpeed;
-            }
-            if (isArrowRightPressed) {
-                camera.rotation.y += rotationSpeed;
-            }
-            if (isArrowUpPressed) {
-                camera.rotation.x = Math.max(-Math.PI/2, camera.rotation.x - rotationSpeed);
-            }
-            if (isArrowDownPressed) {
-                camera.rotation.x = Math.min(Math.PI/2, camera.rotation.x + rotationSpeed);
-            }
+            // Чувствительность хранится во входах, новые входы создаются с настройками по умолчанию
+            arcCamera.angularSensibilityX = 1000 / this.mouseSensitivity;
+            arcCamera.angularSensibilityY = 1000 / this.mouseSensitivity;
+            freeCamera.angularSensibility = 1000 / this.mouseSensitivity;
         }
+        
+        console.log(`📷 Camera touch mode ${enabled ? 'enabled' : 'disabled'}`);
     }
     
     /**
      * Обновление орбитальной камеры
      */
-    updateArcRotateCamera(playerPosition) {
+    updateArcRotateCamera(playerPosition, deltaTime) {
         // Плавное следование за игроком
         const camera = this.cameras.arcRotate;
         const currentTarget = camera.getTarget();
         const targetPosition = playerPosition.clone();
         
-        // Интерполяция к новой позиции
-        const lerpFactor = 0.05;
+        // Интерполяция к новой позиции: 0.05 за кадр при 60 FPS, пересчитанное
+        // на реальное время кадра, чтобы сглаживание не зависело от частоты кадров
+        const lerpFactor = 1 - Math.pow(1 - 0.05, deltaTime * 60);
         const newTarget = BABYLON.Vector3.Lerp(currentTarget, targetPosition, lerpFactor);
         camera.setTarget(newTarget);
     }
@@ -295,6 +560,182 @@ export class CameraController {
         // или ограничения движения камеры
     }
     
+    /**
+     * Переход в режим от первого или третьего лица: взгляд берется у прежней камеры
+     * @param {BABYLON.Camera} camera - Камера, с которой переключаемся
+     */
+    enterLookMode(camera) {
+        const forward = camera.getDirection(BABYLON.Axis.Z);
+        this.look.yaw = Math.atan2(forward.x, forward.z);
+        this.look.pitch = Math.asin(BABYLON.Scalar.Clamp(-forward.y, -1, 1));
+        
+        // Поворот мышью требует захвата указателя (нажатие клавиши - жест пользователя)
+        if (this.inputManager && !this.touchMode && !this.inputManager.getIsPointerLocked()) {
+            this.inputManager.requestPointerLock();
+        }
+    }
+    
+    /**
+     * Поворот взгляда камер от первого и третьего лица
+     * @param {number} yawDelta - Поворот по горизонтали (рад, вправо - положительный)
+     * @param {number} pitchDelta - Наклон (рад, вниз - положительный)
+     */
+    rotateLook(yawDelta, pitchDelta) {
+        const settings = this.currentMode === 'firstPerson' ? this.firstPersonSettings : this.thirdPersonSettings;
+        this.look.yaw += yawDelta;
+        this.look.pitch = BABYLON.Scalar.Clamp(
+            this.look.pitch + pitchDelta,
+            BABYLON.Tools.ToRadians(settings.pitchMin),
+            BABYLON.Tools.ToRadians(settings.pitchMax)
+        );
+    }
+    
+    /**
+     * Смена плеча камеры от третьего лица
+     */
+    swapShoulder() {
+        this.thirdPerson.side = -this.thirdPerson.side;
+    }
+    
+    /**
+     * Обновление камеры от третьего лица
+     * "Пружина" идет от точки вращения над игроком к плечу, затем назад по взгляду.
+     * Оба отрезка проверяются sweep'ом сферы: при препятствии камера сразу
+     * подтягивается к игроку, а после него плавно возвращается на полную длину
+     */
+    updateThirdPersonCamera(playerPosition, deltaTime) {
+        const camera = this.cameras.thirdPerson;
+        const settings = this.thirdPersonSettings;
+        const state = this.thirdPerson;
+        const { yaw, pitch } = this.look;
+        
+        // Плавная смена плеча (тот же пересчет на время кадра, что и у орбитальной камеры)
+        const swapFactor = 1 - Math.pow(1 - settings.shoulderSwapSmoothing, deltaTime * 60);
+        state.shoulder += (state.side - state.shoulder) * swapFactor;
+        
+        const cosPitch = Math.cos(pitch);
+        const forward = new BABYLON.Vector3(
+            Math.sin(yaw) * cosPitch,
+            -Math.sin(pitch),
+            Math.cos(yaw) * cosPitch
+        );
+        const right = new BABYLON.Vector3(Math.cos(yaw), 0, -Math.sin(yaw));
+        
+        const pivot = playerPosition.add(new BABYLON.Vector3(0, settings.pivotHeight, 0));
+        
+        // Точка плеча: вбок от оси игрока, но не дальше стены рядом с ним
+        const shoulderOffset = settings.shoulderOffset * state.shoulder;
+        const sideDirection = right.scale(Math.sign(shoulderOffset) || 1);
+        const shoulderLength = this.castSpringArm(pivot, sideDirection, Math.abs(shoulderOffset));
+        const shoulder = pivot.add(sideDirection.scale(shoulderLength));
+        
+        // Длина пружины назад от плеча
+        const back = forward.negate();
+        const desired = this.castSpringArm(shoulder, back, settings.distance);
+        if (desired < state.distance) {
+            state.distance = desired;
+        } else {
+            state.distance = Math.min(desired, state.distance + settings.recoverySpeed * deltaTime);
+        }
+        
+        camera.position.copyFrom(shoulder.add(back.scale(state.distance)));
+        camera.rotation.set(pitch, yaw, 0);
+    }
+    
+    /**
+     * Свободная длина отрезка пружины с учетом геометрии
+     * @param {BABYLON.Vector3} origin - Начало отрезка
+     * @param {BABYLON.Vector3} direction - Направление (нормализованное)
+     * @param {number} length - Желаемая длина
+     * @returns {number} Допустимая длина
+     */
+    castSpringArm(origin, direction, length) {
+        if (!this.collisionWorld || length <= 0) {
+            return length;
+        }
+        
+        const settings = this.thirdPersonSettings;
+        const hit = this.collisionWorld.sphereCast(origin, direction, length, settings.probeRadius);
+        return hit.hit ? Math.max(0, hit.distance) : length;
+    }
+    
+    /**
+     * Обновление камеры от первого лица
+     * Камера стоит на уровне глаз игрока; при ходьбе по земле голова покачивается
+     * пропорционально скорости, при беге FOV расширяется
+     */
+    updateFirstPersonCamera(player, playerPosition, deltaTime) {
+        const camera = this.cameras.firstPerson;
+        const settings = this.firstPersonSettings;
+        const state = this.firstPerson;
+        const { yaw, pitch } = this.look;
+        
+        // Скорость по интерполированным позициям: ровнее, чем по шагам симуляции
+        let speed = 0;
+        if (state.lastPosition && deltaTime > 0) {
+            speed = Math.hypot(
+                playerPosition.x - state.lastPosition.x,
+                playerPosition.z - state.lastPosition.z
+            ) / deltaTime;
+        }
+        state.lastPosition = playerPosition.clone();
+        const speedRatio = player.playerSpeed > 0 ? Math.min(speed / player.playerSpeed, 2) : 0;
+        
+        // Покачивание: полпериода вертикали на шаг, боковое - на два шага
+        const smoothing = 1 - Math.pow(1 - settings.bobSmoothing, deltaTime * 60);
+        const bobTarget = player.isGrounded ? speedRatio : 0;
+        state.bobWeight += (bobTarget - state.bobWeight) * smoothing;
+        state.bobPhase = (state.bobPhase + deltaTime * settings.bobFrequency * Math.PI * speedRatio) % (Math.PI * 2);
+        
+        const amplitude = settings.bobAmplitude * state.bobWeight;
+        const right = new BABYLON.Vector3(Math.cos(yaw), 0, -Math.sin(yaw));
+        const bobOffset = right.scale(Math.sin(state.bobPhase) * amplitude * 0.5);
+        bobOffset.y = settings.eyeHeight + Math.sin(state.bobPhase * 2) * amplitude;
+        
+        camera.position.copyFrom(playerPosition.add(bobOffset));
+        camera.rotation.set(pitch, yaw, 0);
+        
+        // Расширение FOV при беге: по состоянию движения, а не по кнопке, иначе
+        // Sprint в приседе, в воде или в прыжке тоже расширял бы обзор
+        const sprinting = player.states.is('Run');
+        const targetFov = this.config.get('camera.fov') + (sprinting ? settings.sprintFovKick : 0);
+        const fovFactor = 1 - Math.pow(1 - settings.fovSmoothing, deltaTime * 60);
+        state.fov += (targetFov - state.fov) * fovFactor;
+        camera.fov = BABYLON.Tools.ToRadians(state.fov);
+        
+        // Меши игрока (и подгруженные позже дочерние) не должны попадать в кадр
+        this.hidePlayerMeshes(player.getMesh());
+    }
+    
+    /**
+     * Перевод мешей игрока на слой, невидимый камере от первого лица
+     * Тени и другие камеры меши по-прежнему видят
+     * @param {BABYLON.AbstractMesh} mesh - Корневой меш игрока
+     */
+    hidePlayerMeshes(mesh) {
+        if (!mesh) return;
+        
+        mesh.layerMask = PLAYER_LAYER;
+        mesh.getChildMeshes().forEach(child => {
+            child.layerMask = PLAYER_LAYER;
+        });
+    }
+    
+    /**
+     * Направление, в которое поворачивается игрок при движении
+     * @returns {string} 'movement' - по движению, 'camera' - по взгляду камеры
+     */
+    getPlayerFacing() {
+        switch (this.currentMode) {
+            case 'thirdPerson':
+                return this.thirdPersonSettings.facing;
+            case 'firstPerson':
+                return 'camera';
+            default:
+                return 'movement';
+        }
+    }
+    
     /**
      * Обновление следящей камеры
      */
@@ -309,10 +750,9 @@ export class CameraController {
      * Переключение режима камеры
      */
     toggleCameraMode() {
-        const modes = ['arcRotate', 'free', 'follow'];
-        const currentIndex = modes.indexOf(this.currentMode);
-        const nextIndex = (currentIndex + 1) % modes.length;
-        const nextMode = modes[nextIndex];
+        const currentIndex = CAMERA_MODES.indexOf(this.currentMode);
+        const nextIndex = (currentIndex + 1) % CAMERA_MODES.length;
+        const nextMode = CAMERA_MODES[nextIndex];
         
         this.setActiveCamera(nextMode);
         
@@ -353,7 +793,7 @@ export class CameraController {
      * @param {boolean} enabled - Включить управление
      */
     setMouseControl(enabled) {
-        if (this.currentCamera && this.currentMode !== 'follow') {
+        if (this.currentCamera && !DRIVEN_MODES.includes(this.currentMode)) {
             if (enabled) {
                 this.currentCamera.attachControl(this.canvas, true);
             } else {
@@ -384,6 +824,12 @@ export class CameraController {
         this.mouseSensitivity = this.config.get('camera.mouseSensitivity');
         this.zoomSensitivity = this.config.get('camera.zoomSensitivity');
         this.smoothing = this.config.get('camera.smoothing');
+        this.lookSpeed = this.config.get('camera.lookSpeed');
+        this.thirdPersonSettings = this.config.get('camera.thirdPerson');
+        this.firstPersonSettings = this.config.get('camera.firstPerson');
+        this.cameras.thirdPerson.fov = BABYLON.Tools.ToRadians(this.config.get('camera.fov'));
+        this.firstPerson.fov = this.config.get('camera.fov');
+        this.effects.updateFromConfig();
         
         // Обновляем настройки всех камер
         Object.values(this.cameras).forEach(camera => {
@@ -426,6 +872,13 @@ export class CameraController {
             case 'follow':
                 // Follow камера сбросится автоматически при установке цели
                 break;
+            case 'thirdPerson':
+            case 'firstPerson':
+                this.look.yaw = 0;
+                this.look.pitch = 0.3;
+                this.rotateLook(0, 0);
+                this.thirdPerson.distance = 0;
+                break;
         }
     }
     
@@ -433,6 +886,8 @@ export class CameraController {
      * Освобождение ресурсов
      */
     dispose() {
+        this.revertEffects();
+        this.effects.clear();
         Object.values(this.cameras).forEach(camera => {
             camera.dispose();
         });
@@ -0,0 +1,205 @@
+/**
+ * Эффекты камеры для обратной связи от игровых событий
+ * Тряска по "травме" (trauma) с шумом Перлина, импульсы FOV, наклон горизонта
+ * и короткое замедление времени. Эффекты от разных источников складываются
+ * и затухают со временем; общая интенсивность из настроек ослабляет все,
+ * кроме замедления, которое отключается отдельно
+ */
+
+// Таблица перестановок для шума Перлина (одна на модуль, значения детерминированы)
+const PERMUTATION = (() => {
+    const table = [];
+    let seed = 1337;
+    for (let i = 0; i < 256; i++) {
+        table.push(i);
+    }
+    // Перемешивание линейным конгруэнтным генератором
+    for (let i = 255; i > 0; i--) {
+        seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+        const j = seed % (i + 1);
+        [table[i], table[j]] = [table[j], table[i]];
+    }
+    return table.concat(table);
+})();
+
+/**
+ * Одномерный шум Перлина
+ * @param {number} x - Координата
+ * @returns {number} Значение в -1..1 (0 в целых точках)
+ */
+function perlin1D(x) {
+    const cell = Math.floor(x);
+    const t = x - cell;
+    const gradient = (i, d) => (PERMUTATION[i & 255] & 1 ? 1 : -1) * d;
+    const fade = t * t * t * (t * (t * 6 - 15) + 10);
+    const a = gradient(cell, t);
+    const b = gradient(cell + 1, t - 1);
+    // Максимум модуля одномерного шума - 0.5, приводим к -1..1
+    return (a + (b - a) * fade) * 2;
+}
+
+export class CameraEffects {
+    constructor(configManager) {
+        this.config = configManager;
+        this.settings = this.config.get('camera.effects');
+
+        // Травма по источникам: source -> 0..1
+        this.trauma = new Map();
+
+        // Временные эффекты: { amount, duration, elapsed }
+        this.fovPulses = [];
+        this.tilts = [];
+        this.slowMotions = [];
+
+        this.time = 0;
+    }
+
+    /**
+     * Добавление травмы (тряски)
+     * Травма одного источника не превышает 1, тряска растет как квадрат суммы
+     * @param {number} amount - Добавка 0..1
+     * @param {string} source - Источник (травма разных источников складывается)
+     */
+    addTrauma(amount, source = 'default') {
+        const current = this.trauma.get(source) || 0;
+        this.trauma.set(source, BABYLON.Scalar.Clamp(current + amount, 0, 1));
+    }
+
+    /**
+     * Импульс FOV: плавно нарастает и спадает за время действия
+     * @param {number} amount - Изменение FOV в градусах (отрицательное - сужение)
+     * @param {number} duration - Длительность в секундах
+     */
+    pulseFov(amount, duration) {
+        this.addTimed(this.fovPulses, amount, duration);
+    }
+
+    /**
+     * Наклон горизонта (dutch tilt): нарастает и спадает за время действия
+     * @param {number} angle - Угол в градусах (положительный - по часовой)
+     * @param {number} duration - Длительность в секундах
+     */
+    tilt(angle, duration) {
+        this.addTimed(this.tilts, angle, duration);
+    }
+
+    /**
+     * Короткое замедление времени
+     * При нескольких замедлениях действует самое сильное
+     * @param {number} timeScale - Множитель времени (0..1)
+     * @param {number} duration - Длительность в реальных секундах
+     */
+    slowMotion(timeScale, duration) {
+        this.addTimed(this.slowMotions, BABYLON.Scalar.Clamp(timeScale, 0.05, 1), duration);
+    }
+
+    addTimed(list, amount, duration) {
+        if (duration > 0) {
+            list.push({ amount, duration, elapsed: 0 });
+        }
+    }
+
+    /**
+     * Затухание эффектов (в реальном времени, а не замедленном)
+     * @param {number} deltaTime - Время кадра в секундах
+     */
+    update(deltaTime) {
+        this.time += deltaTime;
+
+        this.trauma.forEach((value, source) => {
+            const next = value - this.settings.traumaDecay * deltaTime;
+            if (next <= 0) {
+                this.trauma.delete(source);
+            } else {
+                this.trauma.set(source, next);
+            }
+        });
+
+        [this.fovPulses, this.tilts, this.slowMotions].forEach(list => {
+            for (let i = list.length - 1; i >= 0; i--) {
+                list[i].elapsed += deltaTime;
+                if (list[i].elapsed >= list[i].duration) {
+                    list.splice(i, 1);
+                }
+            }
+        });
+    }
+
+    /**
+     * Суммарная травма всех источников (0..1)
+     */
+    getTrauma() {
+        let total = 0;
+        this.trauma.forEach(value => {
+            total += value;
+        });
+        return Math.min(1, total);
+    }
+
+    /**
+     * Есть ли эффекты, меняющие камеру (замедление камеру не трогает)
+     */
+    isActive() {
+        return this.trauma.size > 0 || this.fovPulses.length > 0 || this.tilts.length > 0;
+    }
+
+    /**
+     * Текущие смещения камеры
+     * @returns {Object} { yaw, pitch, roll } (рад), offset (Vector3), fov (градусы)
+     */
+    sample() {
+        const intensity = this.settings.intensity;
+        const shake = Math.pow(this.getTrauma(), 2) * intensity;
+        const t = this.time * this.settings.shakeFrequency;
+
+        // Каждая ось читает шум со своим сдвигом, чтобы движения не совпадали
+        const maxAngle = BABYLON.Tools.ToRadians(this.settings.shakeMaxAngle);
+        const maxOffset = this.settings.shakeMaxOffset;
+        const roll = BABYLON.Tools.ToRadians(this.sumEnvelopes(this.tilts)) * intensity;
+
+        return {
+            yaw: maxAngle * shake * perlin1D(t),
+            pitch: maxAngle * shake * perlin1D(t + 31.7),
+            roll: maxAngle * shake * perlin1D(t + 63.1) + roll,
+            offset: new BABYLON.Vector3(
+                maxOffset * shake * perlin1D(t + 97.3),
+                maxOffset * shake * perlin1D(t + 127.9),
+                maxOffset * shake * perlin1D(t + 163.5)
+            ),
+            fov: this.sumEnvelopes(this.fovPulses) * intensity
+        };
+    }
+
+    /**
+     * Сумма эффектов с огибающей sin(pi * t): без рывков в начале и в конце
+     */
+    sumEnvelopes(list) {
+        return list.reduce((sum, effect) => {
+            return sum + effect.amount * Math.sin(Math.PI * effect.elapsed / effect.duration);
+        }, 0);
+    }
+
+    /**
+     * Множитель времени симуляции
+     */
+    getTimeScale() {
+        if (!this.settings.slowMotion || this.slowMotions.length === 0) {
+            return 1;
+        }
+        return Math.min(...this.slowMotions.map(effect => effect.amount));
+    }
+
+    /**
+     * Сброс всех эффектов
+     */
+    clear() {
+        this.trauma.clear();
+        this.fovPulses.length = 0;
+        this.tilts.length = 0;
+        this.slowMotions.length = 0;
+    }
+
+    updateFromConfig() {
+        this.settings = this.config.get('camera.effects');
+    }
+}
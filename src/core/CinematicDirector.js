@@ -0,0 +1,370 @@
+/**
+ * Режиссер кинематографических сцен
+ * Забирает кадр у CameraController и ведет собственную камеру по сплайну
+ * через ключевые кадры (позиция, цель, FOV), затем плавно возвращает кадр
+ * игровой камере. Последовательности описываются в JSON:
+ *
+ * {
+ *   "id": "intro",
+ *   "skippable": true,
+ *   "blendIn": 0.5, "blendOut": 1.0, "easing": "linear",
+ *   "keyframes": [
+ *     { "position": [0, 10, -20], "target": [0, 2, 0], "fov": 60 },
+ *     { "position": [10, 6, 0], "target": [0, 2, 0], "duration": 4, "easing": "easeInOut", "hold": 1 }
+ *   ]
+ * }
+ *
+ * duration - время пути от предыдущего ключевого кадра, easing - кривая этого
+ * отрезка, hold - пауза камеры в ключевом кадре
+ */
+
+// Кривые изменения скорости на отрезке (t в 0..1)
+const EASINGS = {
+    linear: t => t,
+    easeIn: t => t * t * t,
+    easeOut: t => 1 - Math.pow(1 - t, 3),
+    easeInOut: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
+};
+
+export class CinematicDirector {
+    constructor(scene, canvas, cameraController, inputManager, configManager) {
+        this.scene = scene;
+        this.canvas = canvas;
+        this.cameraController = cameraController;
+        this.inputManager = inputManager;
+        this.config = configManager;
+
+        // Зарегистрированные последовательности (id -> нормализованное описание)
+        this.sequences = new Map();
+
+        // Текущее воспроизведение
+        this.playback = null;
+
+        // Подписчики получают { id, skippable } при старте и { id, skipped } по завершении
+        this.onSequenceStartObservable = new BABYLON.Observable();
+        this.onSequenceEndObservable = new BABYLON.Observable();
+
+        this.camera = new BABYLON.UniversalCamera('cinematicCamera', BABYLON.Vector3.Zero(), this.scene);
+        this.camera.inputs.clear();
+        this.camera.minZ = this.config.get('camera.nearPlane');
+
+        // Кнопки геймпада, нажатые до начала сцены, не должны ее пропускать
+        this.heldGamepadButtons = new Set();
+
+        // Ввод игрока на время сцены выключен, поэтому пропуск слушается напрямую
+        this.handleKeyDown = (event) => {
+            if (this.playback && this.config.get('cinematics.skipKeys').includes(event.code)) {
+                event.preventDefault();
+                this.skip();
+            }
+        };
+        this.handlePointerDown = () => {
+            if (this.playback && this.config.get('cinematics.skipWithPointer')) {
+                this.skip();
+            }
+        };
+        window.addEventListener('keydown', this.handleKeyDown);
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+
+        console.log('🎬 Cinematic director initialized');
+    }
+
+    /**
+     * Регистрация последовательности
+     * @param {Object} definition - Описание последовательности (см. комментарий к модулю)
+     * @returns {string} Идентификатор
+     */
+    registerSequence(definition) {
+        if (!definition || !definition.id || !Array.isArray(definition.keyframes) || definition.keyframes.length === 0) {
+            throw new Error('Cinematic sequence needs an id and at least one keyframe');
+        }
+
+        const defaultFov = this.config.get('camera.fov');
+        const keyframes = definition.keyframes.map((keyframe, index) => {
+            if (!keyframe.position || !keyframe.target) {
+                throw new Error(`Keyframe ${index} of '${definition.id}' needs position and target`);
+            }
+            const easing = keyframe.easing || definition.easing || 'linear';
+            if (!EASINGS[easing]) {
+                throw new Error(`Unknown easing '${easing}' in '${definition.id}'`);
+            }
+            return {
+                position: BABYLON.Vector3.FromArray(keyframe.position),
+                target: BABYLON.Vector3.FromArray(keyframe.target),
+                fov: keyframe.fov !== undefined ? keyframe.fov : defaultFov,
+                duration: index === 0 ? 0 : Math.max(0, keyframe.duration || 0),
+                hold: Math.max(0, keyframe.hold || 0),
+                easing
+            };
+        });
+
+        // Временная шкала: отрезки пути и паузы подряд
+        const timeline = [];
+        let time = 0;
+        keyframes.forEach((keyframe, index) => {
+            if (index > 0) {
+                timeline.push({ from: index - 1, to: index, start: time, duration: keyframe.duration, easing: EASINGS[keyframe.easing] });
+                time += keyframe.duration;
+            }
+            if (keyframe.hold > 0) {
+                timeline.push({ from: index, to: index, start: time, duration: keyframe.hold, easing: EASINGS.linear });
+                time += keyframe.hold;
+            }
+        });
+
+        this.sequences.set(definition.id, {
+            id: definition.id,
+            keyframes,
+            timeline,
+            duration: time,
+            skippable: definition.skippable !== false,
+            blendIn: definition.blendIn !== undefined ? definition.blendIn : this.config.get('cinematics.blendIn'),
+            blendOut: definition.blendOut !== undefined ? definition.blendOut : this.config.get('cinematics.blendOut')
+        });
+
+        console.log(`🎬 Cinematic '${definition.id}' registered (${keyframes.length} keyframes, ${time.toFixed(1)}s)`);
+        return definition.id;
+    }
+
+    /**
+     * Загрузка последовательности из JSON-файла
+     * @param {string} url - Путь к файлу
+     * @returns {Promise<string>} Идентификатор
+     */
+    async loadSequence(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load cinematic '${url}': ${response.status}`);
+        }
+        return this.registerSequence(await response.json());
+    }
+
+    /**
+     * Воспроизведение последовательности
+     * Незарегистрированная последовательность загружается по пути из cinematics.sequences
+     * @param {string|Object} sequence - Идентификатор или описание
+     * @returns {Promise<Object>} { id, skipped } по завершении (после возврата кадра)
+     */
+    async play(sequence) {
+        let id = typeof sequence === 'string' ? sequence : this.registerSequence(sequence);
+        if (!this.sequences.has(id)) {
+            const url = this.config.get(`cinematics.sequences.${id}`);
+            if (!url) {
+                throw new Error(`Cinematic '${id}' not found`);
+            }
+            id = await this.loadSequence(url);
+        }
+
+        // Новая сцена прерывает текущую без возврата кадра
+        if (this.playback) {
+            this.finish(true);
+        }
+
+        const gameplayCamera = this.cameraController.getCurrentCamera();
+        const definition = this.sequences.get(id);
+
+        return new Promise((resolve) => {
+            this.playback = {
+                definition,
+                time: 0,
+                phase: 'playing',
+                blendTime: 0,
+                skipped: false,
+                from: this.getCameraPose(gameplayCamera),
+                resolve,
+                inputWasEnabled: this.inputManager.getIsEnabled()
+            };
+
+            this.inputManager.setEnabled(false);
+            this.cameraController.setMouseControl(false);
+            this.heldGamepadButtons = this.getPressedGamepadButtons();
+            this.scene.activeCamera = this.camera;
+            this.applyPose(this.playback.from);
+
+            this.onSequenceStartObservable.notifyObservers({ id, skippable: definition.skippable });
+            console.log(`🎬 Cinematic '${id}' started`);
+        });
+    }
+
+    /**
+     * Пропуск текущей последовательности (сразу начинается возврат кадра)
+     */
+    skip() {
+        const playback = this.playback;
+        if (!playback || playback.phase !== 'playing' || !playback.definition.skippable) return;
+
+        playback.skipped = true;
+        this.startBlendOut();
+    }
+
+    /**
+     * Идет ли сейчас сцена
+     */
+    isPlaying() {
+        return this.playback !== null;
+    }
+
+    /**
+     * Покадровое обновление (после обновления игровой камеры: к ней идет возврат)
+     * @param {number} deltaTime - Время кадра в секундах
+     */
+    update(deltaTime) {
+        const playback = this.playback;
+        if (!playback) return;
+
+        // Пропуск переводит сцену сразу к возврату кадра
+        if (playback.phase === 'playing') {
+            this.pollGamepadSkip();
+        }
+        if (playback.phase === 'playing') {
+            playback.time += deltaTime;
+            const { definition } = playback;
+            let pose = this.sample(definition, Math.min(playback.time, definition.duration));
+
+            // Вход в сцену из позиции игровой камеры
+            if (playback.time < definition.blendIn) {
+                pose = this.blendPoses(playback.from, pose, EASINGS.easeInOut(playback.time / definition.blendIn));
+            }
+            this.applyPose(pose);
+
+            if (playback.time >= definition.duration) {
+                this.startBlendOut();
+            }
+            return;
+        }
+
+        // Возврат к игровой камере, которая продолжает двигаться
+        playback.blendTime += deltaTime;
+        const duration = playback.definition.blendOut;
+        const amount = duration > 0 ? Math.min(1, playback.blendTime / duration) : 1;
+        const target = this.getCameraPose(this.cameraController.getCurrentCamera());
+        this.applyPose(this.blendPoses(playback.from, target, EASINGS.easeInOut(amount)));
+
+        if (amount >= 1) {
+            this.finish(playback.skipped);
+        }
+    }
+
+    /**
+     * Пропуск любой новой кнопкой геймпада
+     * Менеджер ввода на время сцены выключен и геймпад не опрашивает
+     */
+    pollGamepadSkip() {
+        if (!this.config.get('cinematics.skipWithGamepad')) return;
+
+        const pressed = this.getPressedGamepadButtons();
+        const isNewPress = [...pressed].some(key => !this.heldGamepadButtons.has(key));
+        this.heldGamepadButtons = pressed;
+        if (isNewPress) {
+            this.skip();
+        }
+    }
+
+    getPressedGamepadButtons() {
+        const pressed = new Set();
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) {
+            return pressed;
+        }
+        Array.from(navigator.getGamepads()).forEach(gamepad => {
+            if (!gamepad) return;
+            gamepad.buttons.forEach((button, index) => {
+                if (button.pressed) {
+                    pressed.add(`${gamepad.index}:${index}`);
+                }
+            });
+        });
+        return pressed;
+    }
+
+    startBlendOut() {
+        this.playback.phase = 'blendOut';
+        this.playback.blendTime = 0;
+        this.playback.from = this.getCameraPose(this.camera);
+    }
+
+    /**
+     * Завершение: кадр и ввод возвращаются игре
+     */
+    finish(skipped) {
+        const playback = this.playback;
+        this.playback = null;
+
+        this.scene.activeCamera = this.cameraController.getCurrentCamera();
+        this.cameraController.setMouseControl(true);
+        this.inputManager.setEnabled(playback.inputWasEnabled);
+
+        const event = { id: playback.definition.id, skipped };
+        this.onSequenceEndObservable.notifyObservers(event);
+        console.log(`🎬 Cinematic '${event.id}' ${skipped ? 'skipped' : 'finished'}`);
+        playback.resolve(event);
+    }
+
+    /**
+     * Положение камеры на сплайне в момент времени
+     * Позиция и цель идут по сплайну Катмулла-Рома через ключевые кадры, FOV - линейно
+     */
+    sample(definition, time) {
+        const { keyframes, timeline } = definition;
+        const segment = timeline.find(entry => time < entry.start + entry.duration) || timeline[timeline.length - 1];
+        if (!segment) {
+            const keyframe = keyframes[0];
+            return { position: keyframe.position.clone(), target: keyframe.target.clone(), fov: keyframe.fov };
+        }
+
+        const local = segment.duration > 0 ? BABYLON.Scalar.Clamp((time - segment.start) / segment.duration, 0, 1) : 1;
+        const amount = segment.easing(local);
+        const p0 = keyframes[Math.max(0, segment.from - 1)];
+        const p1 = keyframes[segment.from];
+        const p2 = keyframes[segment.to];
+        const p3 = keyframes[Math.min(keyframes.length - 1, segment.to + 1)];
+
+        return {
+            position: BABYLON.Vector3.CatmullRom(p0.position, p1.position, p2.position, p3.position, amount),
+            target: BABYLON.Vector3.CatmullRom(p0.target, p1.target, p2.target, p3.target, amount),
+            fov: BABYLON.Scalar.Lerp(p1.fov, p2.fov, amount)
+        };
+    }
+
+    /**
+     * Положение камеры (FOV в градусах)
+     */
+    getCameraPose(camera) {
+        // Орбитальная камера пересчитывает позицию только при построении матрицы вида
+        camera.getViewMatrix(true);
+        return {
+            position: camera.globalPosition.clone(),
+            target: camera.getTarget().clone(),
+            fov: BABYLON.Tools.ToDegrees(camera.fov)
+        };
+    }
+
+    blendPoses(from, to, amount) {
+        return {
+            position: BABYLON.Vector3.Lerp(from.position, to.position, amount),
+            target: BABYLON.Vector3.Lerp(from.target, to.target, amount),
+            fov: BABYLON.Scalar.Lerp(from.fov, to.fov, amount)
+        };
+    }
+
+    applyPose(pose) {
+        this.camera.position.copyFrom(pose.position);
+        this.camera.setTarget(pose.target);
+        this.camera.fov = BABYLON.Tools.ToRadians(pose.fov);
+    }
+
+    /**
+     * Освобождение ресурсов
+     */
+    dispose() {
+        if (this.playback) {
+            this.finish(true);
+        }
+        window.removeEventListener('keydown', this.handleKeyDown);
+        this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
+        this.onSequenceStartObservable.clear();
+        this.onSequenceEndObservable.clear();
+        this.camera.dispose();
+        this.sequences.clear();
+        console.log('🗑️ Cinematic director disposed');
+    }
+}
@@ -19,12 +19,36 @@ export class ConfigManager {
             graphics: {
                 quality: 'high', // low, medium, high, ultra
                 antialias: true,
+                fxaa: false,           // FXAA поверх MSAA (дешевое сглаживание для слабых GPU)
+                msaaSamples: 4,        // Сэмплы MSAA конвейера постобработки (1 - выключено)
                 shadows: true,
+                shadowMapSize: 2048,
+                shadowCascades: 3,     // Каскады карт теней (1 - обычная карта)
+                shadowDistance: 300,   // Дальность теней от камеры
                 postProcessing: true,
                 particleCount: 1000,
                 renderScale: 1.0,
-                maxFPS: 60,
-                vsync: true
+                maxFPS: 60,            // Ограничение частоты кадров (0 - без ограничения)
+                lodBias: 1.0,          // Множитель дистанций LOD (больше - раньше переход на простые уровни)
+                vsync: true,
+                
+                // Адаптивное качество: понижение и повышение настроек по измеренному времени кадра
+                adaptive: {
+                    enabled: true,
+                    targetFPS: 60,            // Бюджет кадра = 1000 / targetFPS мс
+                    percentile: 0.9,          // Оценивается перцентиль времени кадра, а не среднее
+                    windowSize: 120,          // Кадров в скользящей гистограмме
+                    downgradeThreshold: 1.15, // Понижение, если перцентиль выше бюджета * порог
+                    upgradeThreshold: 0.6,    // Повышение, если время работы ниже бюджета * порог
+                    downgradeDelay: 2,        // Сколько секунд бюджет должен нарушаться (с)
+                    upgradeDelay: 8,          // Сколько секунд должен быть запас (с)
+                    cooldown: 3,              // Пауза после смены уровня на новые замеры (с)
+                    renderScaleStep: 0.15,
+                    minRenderScale: 0.5,
+                    minShadowMapSize: 512,
+                    lodBiasStep: 0.5,
+                    maxFrameTime: 250         // Более длинные кадры (смена вкладки, загрузка) не учитываются (мс)
+                }
             },
             
             // Настройки физики - оптимизированы для стабильных коллизий
@@ -32,8 +56,27 @@ export class ConfigManager {
                 enabled: true,
                 gravity: -9.81,
                 timeStep: 1/60,
+                maxSubSteps: 5,        // Ограничение шагов симуляции за кадр (защита от рывков вкладки)
                 iterations: 15,        // Увеличено с 10 для более точных коллизий
-                collisionMargin: 0.05  // Увеличено с 0.01 для предотвращения проваливания
+                collisionMargin: 0.05, // Увеличено с 0.01 для предотвращения проваливания
+                collisionCellSize: 0.4, // Размер ячейки сетки мира коллизий (умножается на scaleFactor)
+                // Объемы воды в мировых координатах: { position: [x, y, z], size: [x, y, z] };
+                // верхняя грань объема - поверхность воды
+                waterVolumes: [],
+                // Граница мира снизу (× scaleFactor): ниже нее сущности со здоровьем погибают
+                killHeight: -5,
+                // Смертельные объемы (пропасти, лава) в мировых координатах: { position: [x, y, z], size: [x, y, z], type }
+                killVolumes: []
+            },
+            
+            // Построение геометрии коллизий мира (размеры умножаются на scaleFactor)
+            collision: {
+                regionSize: 5,          // Размер региона слияния статических мешей
+                propMaxSize: 0.3,       // Меши меньше этого размера заменяются прокси
+                detailMaxSize: 0.02,    // Меши меньше этого размера не дают коллизий
+                propProxy: 'box',       // Прокси для пропов: 'box' или 'convex'
+                convexMaxPoints: 64,    // Максимум точек выпуклой оболочки
+                physicsImpostors: false // Статические тела Cannon для мешей коллизий
             },
             
             // Настройки игрока - оптимизированы для плавного движения
@@ -43,8 +86,102 @@ export class ConfigManager {
                 mouseSensitivity: 1.0,
                 invertY: false,
                 autoRun: false,
-                groundTolerance: 0.1,  // Новый параметр для определения земли
-                smoothingFactor: 0.3   // Новый параметр для плавности движения
+                maxHealth: 100,
+                // Здоровье игрока
+                health: {
+                    invulnerability: 0.5,      // Неуязвимость после урона (с)
+                    regenRate: 5,              // Восстановление в секунду (0 - отключено)
+                    regenDelay: 6,             // Пауза без урона перед восстановлением (с)
+                    resistances: {},           // Множители урона по типам: { fall: 0.5 }
+                    // Урон от падения по скорости удара о землю (× scaleFactor, в секунду);
+                    // между порогами растет линейно до maxHealth
+                    fallDamage: {
+                        minSpeed: 3,
+                        lethalSpeed: 6
+                    }
+                },
+                
+                // Капсула контроллера персонажа (размеры умножаются на scaleFactor)
+                capsuleRadius: 0.0567,
+                capsuleHeight: 0.1361,
+                skinWidth: 0.002,      // Зазор между капсулой и геометрией
+                maxSlideIterations: 4, // Итерации collide-and-slide за шаг
+                stepHeight: 0.03,      // Максимальная высота ступеньки
+                maxSlopeAngle: 45,     // Максимальный угол склона в градусах
+                groundSnapDistance: 0.04, // Прилипание к земле на спусках
+                
+                // Состояния движения (расстояния и высоты умножаются на scaleFactor)
+                movement: {
+                    sprintMultiplier: 2.0,    // Скорость бега относительно ходьбы
+                    crouchMultiplier: 0.5,    // Скорость в приседе
+                    crouchHeight: 0.115,      // Высота капсулы в приседе (не ниже ее диаметра)
+                    coyoteTime: 0.12,         // Прыжок еще возможен после схода с края (с)
+                    jumpBuffer: 0.15,         // Нажатие прыжка до приземления запоминается (с)
+                    stamina: {
+                        max: 100,
+                        sprintCost: 25,       // Расход в секунду бега
+                        regen: 20,            // Восстановление в секунду
+                        regenDelay: 1.0,      // Пауза перед восстановлением после бега (с)
+                        minToSprint: 25       // После истощения бег снова доступен с этого запаса
+                    },
+                    slide: {
+                        friction: 3.0,        // Потеря скорости в секунду (доля скорости ходьбы)
+                        maxDuration: 1.0
+                    },
+                    land: {
+                        minFallHeight: 0.1,   // Падение короче проходит без состояния Land
+                        duration: 0.2,
+                        speedMultiplier: 0.5
+                    },
+                    mantle: {
+                        minHeight: 0.03,      // Ниже - ступенька, на нее контроллер поднимается сам
+                        maxHeight: 0.12,      // Выше уступ недосягаем
+                        reach: 0.04,          // Дальность поиска уступа перед капсулой
+                        duration: 0.4
+                    },
+                    swim: {
+                        speedMultiplier: 0.6,
+                        verticalSpeed: 0.15,  // Всплытие и погружение (ед/с до scaleFactor)
+                        depth: 0.06,          // Глубина центра капсулы под поверхностью для плавания
+                        floatDepth: 0.04      // Глубина, на которой игрок держится без ввода
+                    }
+                },
+                
+                // Модель персонажа (при ошибке загрузки игрок остается сферой)
+                model: {
+                    enabled: true,
+                    path: './assets/textures/Character_Female_1.gltf',
+                    height: null,             // Высота модели (до scaleFactor); null - по высоте капсулы
+                    rotationY: 0,             // Доворот модели в градусах, если она смотрит не по +Z
+                    blendTime: 0.2,           // Время перехода между клипами (с)
+                    walkSpeed: 0.25,          // Скорость (до scaleFactor), при которой клип ходьбы идет без ускорения
+                    runSpeed: 0.5,            // То же для бега
+                    // Состояние анимации -> имя клипа в модели
+                    clips: {
+                        idle: 'Idle',
+                        walk: 'Walk',
+                        run: 'Run',
+                        jump: 'Jump',
+                        fall: 'Jump_Idle',
+                        land: 'Jump_Land',
+                        crouch: 'Duck',
+                        swim: 'Walk',
+                        fly: 'Jump_Idle',
+                        mantle: 'Jump_Land'
+                    },
+                    // Постановка стоп на неровную землю (расстояния до scaleFactor)
+                    footIK: {
+                        enabled: true,
+                        legs: [
+                            { upper: 'UpperLeg.L', lower: 'LowerLeg.L', foot: 'Foot.L' },
+                            { upper: 'UpperLeg.R', lower: 'LowerLeg.R', foot: 'Foot.R' }
+                        ],
+                        maxAdjust: 0.04,      // Наибольший подъем или опускание стопы
+                        rayHeight: 0.05,      // Высота начала луча над подошвой
+                        smoothing: 0.3,       // Сглаживание смещений стоп (доля за кадр при 60 FPS)
+                        blendTime: 0.2        // Включение и отключение IK (с)
+                    }
+                }
             },
             
             // Настройки камеры
@@ -56,7 +193,54 @@ export class ConfigManager {
                 zoomSpeed: 1.0,
                 mouseSensitivity: 1.0,
                 zoomSensitivity: 1.0,
-                moveSpeed: 0.5
+                moveSpeed: 0.5,
+                // Скорость поворота камеры стрелками и правым стиком (рад/с)
+                lookSpeed: 2.0,
+                // Камера от третьего лица (через плечо)
+                thirdPerson: {
+                    distance: 3.5,            // Длина "пружины" от плеча до камеры
+                    pivotHeight: 0.5,         // Точка вращения над центром капсулы игрока
+                    shoulderOffset: 0.6,      // Смещение плеча вбок
+                    shoulderSwapSmoothing: 0.15,
+                    pitchMin: -60,            // Наклон вверх (градусы)
+                    pitchMax: 70,             // Наклон вниз (градусы)
+                    probeRadius: 0.2,         // Радиус сферы, проверяющей препятствия
+                    recoverySpeed: 4.0,       // Скорость возврата пружины после препятствия (ед/с)
+                    facing: 'movement'        // 'movement' - игрок по движению, 'camera' - по взгляду
+                },
+                // Камера от первого лица
+                firstPerson: {
+                    eyeHeight: 0.45,          // Уровень глаз над центром капсулы игрока
+                    pitchMin: -85,
+                    pitchMax: 85,
+                    bobAmplitude: 0.05,       // Покачивание головы при обычной скорости (0 - выключено)
+                    bobFrequency: 3.6,        // Шагов в секунду при обычной скорости
+                    bobSmoothing: 0.1,
+                    sprintFovKick: 8,         // Расширение FOV при беге (градусы)
+                    fovSmoothing: 0.1
+                },
+                // Эффекты камеры: тряска по травме, импульсы FOV, наклон, замедление
+                effects: {
+                    intensity: 1.0,           // Общая интенсивность тряски, FOV и наклона (0 - выключены)
+                    slowMotion: true,         // Разрешить замедление времени
+                    traumaDecay: 1.2,         // Убывание травмы в секунду
+                    shakeMaxAngle: 3,         // Поворот при максимальной травме (градусы)
+                    shakeMaxOffset: 0.08,     // Смещение при максимальной травме
+                    shakeFrequency: 18,       // Частота шума тряски
+                    // Приземление после падения с высоты от minFallHeight; сила эффектов -
+                    // доля высоты от maxFallHeight
+                    landing: {
+                        minFallHeight: 2.0,
+                        maxFallHeight: 8.0,
+                        maxTrauma: 0.7,
+                        fovPulse: -6,         // Сужение FOV (градусы)
+                        fovPulseDuration: 0.3,
+                        tilt: 2,              // Наклон горизонта (градусы)
+                        tiltDuration: 0.4,
+                        slowMotionScale: 0.4, // Замедление только при падении с maxFallHeight и выше
+                        slowMotionDuration: 0.25
+                    }
+                }
             },
             
             // Настройки звука
@@ -70,23 +254,301 @@ export class ConfigManager {
             
             // Настройки управления
             controls: {
-                keyBindings: {
-                    forward: 'KeyW',
-                    backward: 'KeyS',
-                    left: 'KeyA',
-                    right: 'KeyD',
-                    jump: 'Space',
-                    run: 'ShiftLeft',
-                    crouch: 'ControlLeft',
-                    interact: 'KeyE',
-                    inventory: 'Tab',
-                    menu: 'Escape'
+                // Привязки действий: 'key:<KeyboardEvent.code>', 'mouse:<номер кнопки>',
+                // 'gamepad:<кнопка или ось стандартной раскладки>' (A, B, LT, DPadUp, LeftStickX...),
+                // 'touch:<элемент сенсорного управления>' (MoveX, MoveY, Jump, Interact)
+                actions: {
+                    Jump: ['key:Space', 'gamepad:A', 'touch:Jump'],
+                    Sprint: ['key:ShiftLeft', 'key:ShiftRight', 'gamepad:LS'],
+                    Crouch: ['key:ControlLeft', 'key:KeyC', 'gamepad:B'],
+                    Interact: ['key:KeyE', 'gamepad:X', 'touch:Interact'],
+                    Inventory: ['key:Tab', 'gamepad:Y'],
+                    Journal: ['key:KeyJ', 'gamepad:DPadDown'],
+                    DialogueUp: ['key:ArrowUp', 'key:KeyW', 'gamepad:DPadUp'],
+                    DialogueDown: ['key:ArrowDown', 'key:KeyS', 'gamepad:DPadDown'],
+                    DialogueConfirm: ['key:KeyE', 'key:Space', 'key:Enter', 'gamepad:A'],
+                    Respawn: ['key:Enter', 'key:Space', 'gamepad:A'],
+                    Menu: ['key:Escape', 'gamepad:Start'],
+                    ToggleCamera: ['key:KeyF', 'gamepad:Back'],
+                    SwapShoulder: ['key:KeyQ', 'gamepad:RS'],
+                    ToggleMouseLock: ['key:KeyT'],
+                    FarZoom: ['key:KeyY'],
+                    ToggleFly: ['key:KeyG', 'gamepad:DPadUp'],
+                    ToggleHud: ['key:KeyH'],
+                    PositionPanel: ['key:KeyP'],
+                    DebugPanel: ['key:F1'],
+                    HelpPanel: ['key:F2'],
+                    CapsuleDebug: ['key:F3'],
+                    CollisionDebug: ['key:F4'],
+                    NavMeshDebug: ['key:F6'],
+                    NavMeshBake: ['key:F7'],
+                    BehaviorDebug: ['key:F8']
+                },
+                // Оси: positive/negative - цифровые привязки, analog - аналоговые
+                axes: {
+                    Move: {
+                        x: { positive: ['key:KeyD'], negative: ['key:KeyA'], analog: ['gamepad:LeftStickX', 'touch:MoveX'] },
+                        y: { positive: ['key:KeyW'], negative: ['key:KeyS'], analog: ['gamepad:LeftStickY', 'touch:MoveY'] }
+                    },
+                    Look: {
+                        x: { positive: ['key:ArrowRight'], negative: ['key:ArrowLeft'], analog: ['gamepad:RightStickX'] },
+                        y: { positive: ['key:ArrowUp'], negative: ['key:ArrowDown'], analog: ['gamepad:RightStickY'] }
+                    },
+                    // Триггеры дают 0..1, поэтому подъем и спуск в полете плавные
+                    FlyVertical: {
+                        positive: ['key:Space', 'gamepad:RT'],
+                        negative: ['key:ControlLeft', 'key:KeyC', 'gamepad:LT']
+                    }
+                },
+                // Контексты ввода: global - всегда активен, blocking - скрывает контексты ниже
+                contexts: {
+                    system: {
+                        global: true,
+                        actions: ['Menu', 'DebugPanel', 'HelpPanel', 'CapsuleDebug', 'CollisionDebug',
+                            'NavMeshDebug', 'NavMeshBake', 'BehaviorDebug', 'ToggleHud']
+                    },
+                    gameplay: {
+                        actions: ['Jump', 'Sprint', 'Crouch', 'Interact', 'Inventory', 'Journal', 'ToggleCamera',
+                            'SwapShoulder', 'ToggleMouseLock', 'FarZoom', 'ToggleFly', 'PositionPanel'],
+                        axes: ['Move', 'Look']
+                    },
+                    fly: {
+                        axes: ['FlyVertical']
+                    },
+                    ui: {
+                        blocking: true
+                    },
+                    // Поверх 'ui', пока открыт инвентарь: та же клавиша его закрывает
+                    inventory: {
+                        blocking: true,
+                        actions: ['Inventory']
+                    },
+                    journal: {
+                        blocking: true,
+                        actions: ['Journal']
+                    },
+                    // Поверх 'ui' на время разговора
+                    dialogue: {
+                        blocking: true,
+                        actions: ['DialogueUp', 'DialogueDown', 'DialogueConfirm']
+                    },
+                    // Поверх 'ui' на экране "Игра окончена"
+                    gameOver: {
+                        blocking: true,
+                        actions: ['Respawn']
+                    }
                 },
+                defaultContexts: ['gameplay'],
                 mouseSensitivity: 1.0,
                 invertY: false,
                 teleportOnClick: false,
                 gamepadEnabled: true,
-                gamepadDeadzone: 0.1
+                // Радиальная мертвая зона стиков (доля отклонения)
+                gamepadDeadzone: 0.1,
+                // Сенсорное управление
+                touch: {
+                    enabled: 'auto',          // 'auto' - на сенсорных устройствах, true/false - принудительно
+                    joystickRadius: 60,       // Радиус виртуального джойстика (px)
+                    joystickDeadzone: 0.15,
+                    lookSensitivity: 0.005,   // Поворот камеры на пиксель перетаскивания (рад)
+                    pinchSensitivity: 1.0,
+                    buttonSize: 80,           // Диаметр экранных кнопок (px)
+                    opacity: 0.6
+                }
+            },
+            
+            // Аниматоры моделей
+            animation: {
+                // Описания аниматоров: id -> путь к JSON
+                controllers: {
+                    character: 'assets/animators/character.json'
+                }
+            },
+            
+            // Навигационная сетка (расстояния умножаются на scaleFactor)
+            navigation: {
+                navmeshPath: 'assets/navmesh/navmesh.json', // Запеченный навмеш (npm run bake:navmesh); null или ошибка загрузки - запекание при запуске
+                bounds: null,                 // Область запекания { min: [x, y, z], max: [x, y, z] } в мировых координатах; null - весь мир
+                cellSize: 0.04,               // Размер ячейки сетки
+                agentRadius: 0.0567,          // Отступ от стен (радиус капсулы игрока)
+                agentHeight: 0.1361,          // Необходимый просвет над поверхностью
+                maxClimb: 0.03,               // Наибольшая ступенька
+                maxSlope: 45,                 // Наибольший угол склона в градусах
+                maxPolygonSize: 24,           // Наибольшая сторона полигона в ячейках
+                // Толпа агентов
+                crowd: {
+                    maxPathsPerUpdate: 2,     // Поисков пути за шаг симуляции
+                    maxSearchIterations: 4096,
+                    replanInterval: 1.0,      // Перестроение пути движущегося агента (с)
+                    searchRadius: 0.2,        // Поиск ближайшей точки навмеша
+                    arrivalDistance: 0.03,    // Точка пути считается достигнутой
+                    slowDownDistance: 0.1,    // Торможение перед целью
+                    maxAcceleration: 2.0,     // Ускорение (ед/с² до scaleFactor)
+                    avoidance: {
+                        neighborRadius: 0.4,  // Учитываемые соседи
+                        horizon: 1.5,         // Столкновения дальше этого времени не штрафуются (с)
+                        samples: 12,          // Направлений в кольце образцов скорости
+                        rings: [1, 0.5],      // Доли желаемой скорости в кольцах
+                        weightDesired: 1.0,
+                        weightCurrent: 0.5,
+                        weightCollision: 2.0
+                    }
+                }
+            },
+            
+            // ИИ персонажей (расстояния и скорости умножаются на scaleFactor)
+            ai: {
+                // Шум игрока по состояниям движения: доля радиуса слуха, на которой его слышно
+                noise: {
+                    Idle: 0,
+                    Crouch: 0.3,
+                    Walk: 0.6,
+                    Run: 1.0,
+                    Slide: 0.8,
+                    Jump: 0.6,
+                    Fall: 0,
+                    Land: 1.0,
+                    Swim: 0.5,
+                    Fly: 0,
+                    Mantle: 0.5
+                },
+                turnSpeed: 8,                 // Поворот к направлению движения (рад/с)
+                // Параметры агента; каждый из agents может переопределить любой из них
+                defaults: {
+                    model: {
+                        path: './assets/textures/Character_Female_1.gltf', // null - капсула
+                        animator: 'character', // Аниматор из animation.controllers (параметр speed)
+                        rotationY: 0
+                    },
+                    behavior: null,           // Дерево поведения из behavior.trees; null - встроенные переходы
+                    talk: null,               // Разговор: { name, prompt, dialogue (id из dialogue.files) или lines: [...] }; null - NPC молчит
+                    radius: 0.0567,
+                    height: 0.1361,
+                    maxHealth: 100,
+                    speeds: { patrol: 0.12, chase: 0.4, flee: 0.45, return: 0.2 },
+                    perception: {
+                        sightRange: 1.5,
+                        sightAngle: 120,      // Полный угол конуса зрения в градусах
+                        hearingRadius: 0.6,   // Радиус слуха при шуме 1
+                        eyeHeight: 0.12
+                    },
+                    waypointWait: 2.0,        // Остановка в точке маршрута (с)
+                    loseTargetTime: 4.0,      // Погоня прекращается без контакта (с)
+                    leashDistance: 3.0,       // Наибольшее удаление цели погони от дома
+                    stopDistance: 0.12,       // Дистанция, на которой агент останавливается перед целью
+                    fleeHealth: 0,            // Бегство при доле здоровья ниже этой (0 - не убегает)
+                    fleeDistance: 1.5
+                },
+                // Агенты: { id, tags, position: [x, y, z], patrol: [[x, y, z], ...], ...переопределения } в мировых координатах
+                agents: []
+            },
+            
+            // Деревья поведения
+            behavior: {
+                // Описания деревьев: id -> путь к JSON
+                trees: {
+                    guard: 'assets/behaviors/guard.json'
+                },
+                tickInterval: 0.1,            // Наименьший интервал между тиками дерева одного агента (с)
+                maxTicksPerFrame: 16,         // Тиков деревьев за кадр на всех агентов
+                frameBudgetMs: 1.0            // Время на тики деревьев за кадр (мс)
+            },
+            
+            // Инвентарь
+            inventory: {
+                itemsPath: 'assets/items/items.json', // База описаний предметов
+                player: {
+                    title: 'Backpack',
+                    slots: 24,
+                    columns: 6,
+                    maxWeight: 40,            // 0 - без ограничения
+                    equipSlots: ['head', 'body', 'weapon', 'offhand'],
+                    startItems: [['health_potion', 3], ['coin', 25], ['iron_sword', 1]]
+                },
+                containerReach: 0.25,         // Сундук ближе этого открывается вместе с инвентарем (× scaleFactor)
+                // Контейнеры в мире: { id, title, position: [x, y, z], slots, columns, items: [[id, count], ...] }
+                containers: []
+            },
+            
+            // Взаимодействие с объектами (действие Interact)
+            interaction: {
+                radius: 0.2,                  // Дальность по умолчанию (× scaleFactor)
+                rayAngle: 4,                  // От первого лица: допустимое отклонение цели от прицела (градусы)
+                frontAngle: 120,              // От третьего лица: полный угол перед игроком (градусы)
+                lineOfSight: true,            // Цель за препятствием не выбирается
+                stickiness: 0.15,             // Запас оценки текущей цели против мерцания выбора
+                // Приоритеты видов объектов: при нескольких целях выбирается больший
+                priorities: { talk: 3, pickup: 2, switch: 1, container: 1, door: 0 },
+                // Объекты в мире (мировые координаты, углы в градусах); у любого можно
+                // переопределить prompt, radius, priority, holdTime, once:
+                //   { id, type: 'door', position (петля), size: [w, h, d], rotationY, openAngle, key (предмет-ключ), interactive }
+                //   { id, type: 'switch', position, rotationY, targets: [id двери, ...] }
+                //   { id, type: 'pickup', position, item, count }
+                objects: []
+            },
+            
+            // Задания
+            quests: {
+                path: 'assets/quests/quests.json', // Описания заданий
+                waypoints: true,              // Метки целей отслеживаемого задания в мире
+                waypointHeight: 0.2,          // Высота метки над сущностью-целью (× scaleFactor)
+                notifications: true           // Уведомления о начале, этапах и завершении заданий
+            },
+            
+            // Диалоги
+            dialogue: {
+                // Файлы диалогов: id -> путь к JSON
+                files: {
+                    guard: 'assets/dialogues/guard.json'
+                },
+                charsPerSecond: 45,           // Скорость печати реплики (0 - сразу весь текст)
+                // Камера разговора (мировые единицы, как у камер в разделе camera)
+                camera: {
+                    enabled: true,
+                    distance: 1.2,            // Отступ за плечо слушателя
+                    side: 0.45,               // Смещение вбок
+                    height: 0.15,             // Подъем над головой слушателя
+                    focus: 0.85,              // Точка взгляда между слушателем (0) и говорящим (1)
+                    fov: 50,
+                    blendIn: 0.6,             // Переход от игровой камеры (с)
+                    blendOut: 0.6,            // Возврат к игровой камере (с)
+                    smoothing: 4              // Скорость перестройки плана при смене говорящего
+                }
+            },
+            
+            // Возрождение игрока
+            respawn: {
+                spawn: [-16, 2, 51],          // Начальная точка (мировые координаты, игрок ставится на землю)
+                invulnerability: 2.0,         // Неуязвимость после возрождения (с)
+                // Контрольные точки: { id, position: [x, y, z], size: [x, y, z] };
+                // возрождение в последней пройденной, до первой - в spawn
+                checkpoints: []
+            },
+            
+            // Кинематографические сцены
+            cinematics: {
+                // Файлы последовательностей: id -> путь к JSON
+                sequences: {
+                    intro: 'assets/cinematics/intro.json'
+                },
+                intro: null,                  // Последовательность при запуске игры (id или null)
+                blendIn: 0.5,                 // Переход от игровой камеры (с), если не задан в файле
+                blendOut: 1.0,                // Возврат к игровой камере (с)
+                skipKeys: ['Escape', 'Space', 'Enter'],
+                skipWithPointer: true,        // Пропуск щелчком или касанием
+                skipWithGamepad: true,        // Пропуск любой кнопкой геймпада
+                letterbox: 0.12,              // Высота черных полос (доля экрана)
+                // Триггеры в мире: { sequence, position: [x, y, z], size: [x, y, z], once }
+                triggers: []
+            },
+            
+            // Сохранения
+            save: {
+                autosaveSlot: 'autosave',
+                quicksaveSlot: 'quicksave',
+                thumbnails: true,
+                thumbnailWidth: 160,
+                thumbnailHeight: 90
             },
             
             // Настройки интерфейса
@@ -104,6 +566,8 @@ export class ConfigManager {
                 showWireframe: false,
                 showBoundingBoxes: false,
                 showPhysicsImpostors: false,
+                showCollisionGeometry: false,
+                showNavMesh: false,
                 logLevel: 'info' // debug, info, warn, error
             }
         };
@@ -167,43 +631,68 @@ export class ConfigManager {
     }
     
     /**
-     * Установка качества графики
+     * Пресет качества графики
      * @param {string} quality - Уровень качества (low, medium, high, ultra)
+     * @returns {Object|null} Значения раздела graphics для пресета
      */
-    setGraphicsQuality(quality) {
+    getQualityPreset(quality) {
         const qualitySettings = {
             low: {
                 antialias: false,
+                fxaa: false,
+                msaaSamples: 1,
                 shadows: false,
+                shadowMapSize: 512,
+                shadowCascades: 1,
                 postProcessing: false,
                 particleCount: 100,
                 renderScale: 0.75
             },
             medium: {
                 antialias: true,
+                fxaa: true,
+                msaaSamples: 1,
                 shadows: false,
+                shadowMapSize: 1024,
+                shadowCascades: 1,
                 postProcessing: false,
                 particleCount: 500,
                 renderScale: 0.9
             },
             high: {
                 antialias: true,
+                fxaa: false,
+                msaaSamples: 4,
                 shadows: true,
+                shadowMapSize: 2048,
+                shadowCascades: 3,
                 postProcessing: true,
                 particleCount: 1000,
                 renderScale: 1.0
             },
             ultra: {
                 antialias: true,
+                fxaa: true,
+                msaaSamples: 4,
                 shadows: true,
+                shadowMapSize: 4096,
+                shadowCascades: 4,
                 postProcessing: true,
                 particleCount: 2000,
                 renderScale: 1.2
             }
         };
         
-        if (quality in qualitySettings) {
-            const settings = qualitySettings[quality];
+        return qualitySettings[quality] ? { ...qualitySettings[quality] } : null;
+    }
+    
+    /**
+     * Установка качества графики
+     * @param {string} quality - Уровень качества (low, medium, high, ultra)
+     */
+    setGraphicsQuality(quality) {
+        const settings = this.getQualityPreset(quality);
+        if (settings) {
             this.set('graphics.quality', quality);
             
             Object.keys(settings).forEach(key => {
@@ -229,6 +718,9 @@ export class ConfigManager {
      * Загрузка конфигурации из localStorage
      */
     loadFromStorage() {
+        // Вне браузера (офлайн-инструменты) - только значения по умолчанию
+        if (typeof localStorage === 'undefined') return;
+        
         try {
             const stored = localStorage.getItem('gameConfig');
             if (stored) {
@@ -0,0 +1,48 @@
+/**
+ * Шина игровых событий
+ * Системы сообщают о происходящем (игрок переместился, инвентарь изменился,
+ * NPC погиб), не зная, кто слушает: задания, диалоги, достижения.
+ * Для каждого типа события заводится свой BABYLON.Observable
+ */
+export class EventBus {
+    constructor() {
+        this.observables = new Map();
+    }
+
+    /**
+     * Подписка на событие
+     * @param {string} type - Тип события
+     * @param {Function} callback - (data, type) => void
+     * @returns {BABYLON.Observer} Наблюдатель для off()
+     */
+    on(type, callback) {
+        if (!this.observables.has(type)) {
+            this.observables.set(type, new BABYLON.Observable());
+        }
+        return this.observables.get(type).add(data => callback(data, type));
+    }
+
+    off(type, observer) {
+        const observable = this.observables.get(type);
+        if (observable) {
+            observable.remove(observer);
+        }
+    }
+
+    /**
+     * Отправка события подписчикам
+     * @param {string} type - Тип события
+     * @param {Object} data - Данные события
+     */
+    emit(type, data = {}) {
+        const observable = this.observables.get(type);
+        if (observable && observable.hasObservers()) {
+            observable.notifyObservers(data);
+        }
+    }
+
+    clear() {
+        this.observables.forEach(observable => observable.clear());
+        this.observables.clear();
+    }
+}
@@ -0,0 +1,85 @@
+/**
+ * Аккумулятор фиксированного шага симуляции
+ * Отделяет частоту симуляции от частоты кадров: логика всегда
+ * выполняется шагами одинаковой длины, а рендер интерполирует между ними
+ */
+export class FixedTimestep {
+    /**
+     * @param {number} step - Длина шага симуляции в секундах
+     * @param {number} maxSubSteps - Максимум шагов за один кадр
+     */
+    constructor(step = 1 / 60, maxSubSteps = 5) {
+        this.step = step;
+        this.maxSubSteps = maxSubSteps;
+        this.accumulator = 0;
+        this.alpha = 0;
+        this.stepCount = 0;
+        this.droppedTime = 0;
+    }
+
+    /**
+     * Продвижение симуляции на время кадра
+     * @param {number} frameTime - Реальное время кадра в секундах
+     * @param {Function} stepCallback - Вызывается для каждого шага с (step, stepIndex)
+     * @returns {number} Количество выполненных шагов
+     */
+    advance(frameTime, stepCallback) {
+        // Отрицательное или нечисловое время (смена вкладки, сбой таймера) игнорируем
+        if (!(frameTime > 0)) {
+            return 0;
+        }
+
+        this.accumulator += frameTime;
+
+        let steps = 0;
+        while (this.accumulator >= this.step && steps < this.maxSubSteps) {
+            stepCallback(this.step, this.stepCount);
+            this.accumulator -= this.step;
+            this.stepCount++;
+            steps++;
+        }
+
+        // Если кадр был слишком длинным, отбрасываем остаток, иначе симуляция
+        // будет бесконечно догонять реальное время ("спираль смерти")
+        if (this.accumulator >= this.step) {
+            this.droppedTime += this.accumulator - this.accumulator % this.step;
+            this.accumulator %= this.step;
+        }
+
+        this.alpha = this.accumulator / this.step;
+        return steps;
+    }
+
+    /**
+     * Доля шага, прошедшая с последнего шага симуляции (0..1)
+     */
+    getAlpha() {
+        return this.alpha;
+    }
+
+    /**
+     * Установка длины шага
+     * @param {number} step - Длина шага в секундах
+     */
+    setStep(step) {
+        if (step > 0) {
+            this.step = step;
+        }
+    }
+
+    /**
+     * Установка ограничения на количество шагов за кадр
+     * @param {number} maxSubSteps - Максимум шагов
+     */
+    setMaxSubSteps(maxSubSteps) {
+        this.maxSubSteps = Math.max(1, Math.floor(maxSubSteps));
+    }
+
+    /**
+     * Сброс накопленного времени
+     */
+    reset() {
+        this.accumulator = 0;
+        this.alpha = 0;
+    }
+}
@@ -0,0 +1,289 @@
+/**
+ * Менеджер графики
+ * Применяет настройки раздела graphics к рендеру: масштаб рендеринга,
+ * тени от направленного света, сглаживание, постобработку и ограничение FPS.
+ * Изменения настроек применяются на следующем кадре, а не при каждом set:
+ * пресет качества меняет несколько значений подряд
+ */
+export class GraphicsManager {
+    constructor(engine, scene, configManager) {
+        this.engine = engine;
+        this.scene = scene;
+        this.config = configManager;
+
+        this.shadowGenerator = null;
+        this.shadowKey = null;
+        this.pipeline = null;
+        
+        // Временные значения поверх конфигурации (адаптивное качество); не сохраняются
+        this.overrides = {};
+        
+        // Исходные дистанции уровней LOD для пересчета при смене lodBias
+        this.lodDistances = new WeakMap();
+
+        this.isDirty = false;
+        this.lastFrameTime = 0;
+        // Кадры браузера, пропущенные ограничением FPS перед текущим и после него
+        this.skippedFrames = 0;
+        this.pendingSkippedFrames = 0;
+
+        // Меши, появившиеся после применения настроек. Событие добавления приходит
+        // из конструктора меша, до геометрии и уровней LOD, поэтому меш ждет начала кадра
+        this.pendingMeshes = new Set();
+        this.meshObserver = this.scene.onNewMeshAddedObservable.add((mesh) => {
+            this.pendingMeshes.add(mesh);
+        });
+        this.cameraObserver = this.scene.onNewCameraAddedObservable.add((camera) => {
+            if (this.pipeline) {
+                this.pipeline.addCamera(camera);
+            }
+        });
+
+        this.apply();
+
+        console.log('🎨 Graphics manager initialized');
+    }
+
+    /**
+     * Отложенное применение настроек (на следующем кадре)
+     */
+    requestApply() {
+        this.isDirty = true;
+    }
+
+    /**
+     * Установка временных значений поверх конфигурации
+     * @param {Object} overrides - Значения раздела graphics ({} - только конфигурация)
+     */
+    setOverrides(overrides) {
+        this.overrides = { ...overrides };
+        this.requestApply();
+    }
+    
+    /**
+     * Текущие действующие настройки (конфигурация с учетом временных значений)
+     */
+    getSettings() {
+        return { ...this.config.get('graphics'), ...this.overrides };
+    }
+
+    /**
+     * Покадровое обновление
+     */
+    update() {
+        if (this.isDirty) {
+            this.apply();
+        }
+        this.registerPendingMeshes();
+    }
+
+    /**
+     * Тени и LOD для новых мешей, у которых уже есть геометрия
+     * Узлы без геометрии остаются в очереди: glTF с внешними буферами
+     * получает вершины через несколько кадров после создания мешей
+     */
+    registerPendingMeshes() {
+        this.pendingMeshes.forEach(mesh => {
+            if (mesh.isDisposed()) {
+                this.pendingMeshes.delete(mesh);
+                return;
+            }
+            if (mesh.getTotalVertices() === 0) return;
+
+            this.pendingMeshes.delete(mesh);
+            this.registerShadowMesh(mesh);
+            this.applyLodBiasToMesh(mesh);
+        });
+    }
+
+    /**
+     * Применение всех настроек графики
+     */
+    apply() {
+        this.isDirty = false;
+        this.settings = this.getSettings();
+
+        this.applyRenderScale();
+        this.applyShadows();
+        this.applyPipeline();
+        this.scene.meshes.forEach(mesh => this.applyLodBiasToMesh(mesh));
+
+        console.log(`🎨 Graphics settings applied (quality: ${this.settings.quality})`);
+    }
+
+    /**
+     * Масштаб рендеринга: уровень аппаратного масштабирования обратен масштабу
+     * (renderScale 0.75 рендерит в 3/4 разрешения, 1.2 - суперсэмплинг)
+     */
+    applyRenderScale() {
+        const renderScale = this.settings.renderScale > 0 ? this.settings.renderScale : 1;
+        this.engine.setHardwareScalingLevel(1 / renderScale);
+    }
+
+    /**
+     * Тени от направленного света
+     * Каскадные карты, если поддерживаются (WebGL2), иначе одна карта с PCF
+     */
+    applyShadows() {
+        const { shadows, shadowMapSize, shadowCascades } = this.settings;
+        const key = shadows ? `${shadowMapSize}:${shadowCascades}` : null;
+
+        // Генератор пересоздается только при изменении параметров карты
+        if (key === this.shadowKey) return;
+        this.shadowKey = key;
+        this.disposeShadows();
+
+        const light = this.scene.getLightByName('dirLight');
+        if (!shadows || !light) return;
+
+        let generator;
+        if (shadowCascades > 1 && BABYLON.CascadedShadowGenerator.IsSupported) {
+            generator = new BABYLON.CascadedShadowGenerator(shadowMapSize, light);
+            generator.numCascades = shadowCascades;
+            generator.lambda = 0.8;
+            generator.stabilizeCascades = true;
+            generator.shadowMaxZ = this.settings.shadowDistance;
+        } else {
+            generator = new BABYLON.ShadowGenerator(shadowMapSize, light);
+            generator.usePercentageCloserFiltering = true;
+        }
+        generator.bias = 0.005;
+        generator.normalBias = 0.02;
+
+        this.shadowGenerator = generator;
+        this.scene.meshes.forEach(mesh => this.registerShadowMesh(mesh));
+    }
+
+    /**
+     * Добавление меша в карту теней
+     * Скрытые меши (прокси коллизий) в карте есть, но не рисуются
+     */
+    registerShadowMesh(mesh) {
+        if (!this.shadowGenerator || mesh.isDisposed() || mesh.infiniteDistance || mesh.getTotalVertices() === 0) {
+            return;
+        }
+        this.shadowGenerator.addShadowCaster(mesh, false);
+        mesh.receiveShadows = true;
+    }
+
+    /**
+     * Сдвиг дистанций LOD меша
+     * Дистанции делятся на lodBias: при lodBias 2 простой уровень включается вдвое ближе
+     */
+    applyLodBiasToMesh(mesh) {
+        if (!mesh.getLODLevels || mesh.getLODLevels().length === 0) return;
+        
+        const bias = this.settings.lodBias > 0 ? this.settings.lodBias : 1;
+        mesh.getLODLevels().forEach(level => {
+            if (!this.lodDistances.has(level)) {
+                this.lodDistances.set(level, level.distanceOrScreenCoverage);
+            }
+            // Для LOD по экранному покрытию порог, наоборот, растет
+            const original = this.lodDistances.get(level);
+            level.distanceOrScreenCoverage = mesh.useLODScreenCoverage
+                ? Math.min(1, original * bias)
+                : original / bias;
+        });
+    }
+
+    disposeShadows() {
+        if (this.shadowGenerator) {
+            this.shadowGenerator.dispose();
+            this.shadowGenerator = null;
+        }
+    }
+
+    /**
+     * Конвейер постобработки
+     * Нужен и без постобработки, если включено сглаживание: MSAA и FXAA живут в нем,
+     * сглаживание контекста WebGL нельзя переключить после создания движка
+     */
+    applyPipeline() {
+        const { antialias, fxaa, msaaSamples, postProcessing } = this.settings;
+        const needsPipeline = postProcessing || (antialias && (fxaa || msaaSamples > 1));
+
+        if (!needsPipeline) {
+            this.disposePipeline();
+            return;
+        }
+
+        if (!this.pipeline) {
+            this.pipeline = new BABYLON.DefaultRenderingPipeline(
+                'defaultPipeline',
+                true,
+                this.scene,
+                this.scene.cameras
+            );
+        }
+
+        const pipeline = this.pipeline;
+        pipeline.samples = antialias ? Math.max(1, msaaSamples) : 1;
+        pipeline.fxaaEnabled = !!(antialias && fxaa);
+
+        pipeline.bloomEnabled = !!postProcessing;
+        pipeline.bloomThreshold = 0.8;
+        pipeline.bloomWeight = 0.3;
+        pipeline.imageProcessingEnabled = !!postProcessing;
+        if (postProcessing) {
+            pipeline.imageProcessing.toneMappingEnabled = true;
+            pipeline.imageProcessing.toneMappingType = BABYLON.ImageProcessingConfiguration.TONEMAPPING_ACES;
+        }
+    }
+
+    disposePipeline() {
+        if (this.pipeline) {
+            this.pipeline.dispose();
+            this.pipeline = null;
+        }
+    }
+
+    /**
+     * Ограничение частоты кадров
+     * @param {number} now - Текущее время (performance.now())
+     * @returns {boolean} Нужно ли обрабатывать этот кадр
+     */
+    shouldRenderFrame(now) {
+        const maxFPS = this.settings.maxFPS;
+        if (!maxFPS || maxFPS <= 0) {
+            this.skippedFrames = 0;
+            return true;
+        }
+
+        const interval = 1000 / maxFPS;
+        const elapsed = now - this.lastFrameTime;
+
+        // Допуск 1 мс: кадр, пришедший чуть раньше интервала, иначе пропускался бы
+        // целиком, и при совпадении лимита с частотой экрана FPS падал бы вдвое
+        if (elapsed + 1 < interval) {
+            this.pendingSkippedFrames++;
+            return false;
+        }
+
+        // Сохраняем фазу, чтобы средняя частота совпадала с лимитом; после долгой паузы - сброс
+        this.lastFrameTime = elapsed > interval * 2 ? now : this.lastFrameTime + interval;
+        this.skippedFrames = this.pendingSkippedFrames;
+        this.pendingSkippedFrames = 0;
+        return true;
+    }
+
+    /**
+     * Был ли интервал до текущего кадра растянут ограничением FPS
+     * Браузер предлагал кадры, но их пропустили: интервал говорит о лимите, а не о нагрузке.
+     * При лимите, не кратном частоте экрана, такие интервалы чередуются (13/21 мс на 75 Гц)
+     */
+    isFrameCapped() {
+        return this.skippedFrames > 0;
+    }
+
+    /**
+     * Освобождение ресурсов
+     */
+    dispose() {
+        this.scene.onNewMeshAddedObservable.remove(this.meshObserver);
+        this.pendingMeshes.clear();
+        this.scene.onNewCameraAddedObservable.remove(this.cameraObserver);
+        this.disposeShadows();
+        this.disposePipeline();
+        console.log('🗑️ Graphics manager disposed');
+    }
+}
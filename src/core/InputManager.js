@@ -2,6 +2,17 @@
  * Менеджер ввода
  * Обрабатывает клавиатуру, мышь и другие устройства ввода
  */
+
+// Имена кнопок и осей стандартной раскладки геймпада (https://w3c.github.io/gamepad/#remapping)
+const GAMEPAD_BUTTONS = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+    'LS', 'RS', 'DPadUp', 'DPadDown', 'DPadLeft', 'DPadRight', 'Home'
+];
+const GAMEPAD_STICKS = [
+    { name: 'LeftStick', x: 0, y: 1 },
+    { name: 'RightStick', x: 2, y: 3 }
+];
+
 export class InputManager {
     constructor(canvas, configManager) {
         this.canvas = canvas;
@@ -17,11 +28,29 @@ export class InputManager {
         // Настройки
         this.mouseSensitivity = this.config.get('controls.mouseSensitivity');
         this.invertY = this.config.get('controls.invertY');
+        this.gamepadEnabled = this.config.get('controls.gamepadEnabled');
+        this.gamepadDeadzone = this.config.get('controls.gamepadDeadzone');
+        
+        // Геймпад: состояние активного геймпада, обновляется опросом раз в кадр
+        this.gamepadIndex = null;
+        this.gamepadState = { buttons: {}, axes: {} };
+        this.onGamepadChange = null;
+        
+        // Сенсорное управление (подключается после создания GUI)
+        this.touchControls = null;
+        
+        // Захват следующего нажатия для переназначения клавиш
+        this.bindingCapture = null;
+        // Кнопки геймпада, захваченные для переназначения, игнорируются до отпускания
+        this.suppressedButtons = new Set();
         
         // Состояние
         this.isPointerLocked = false;
         this.isEnabled = true;
         
+        // Клавиши с игровыми привязками (заполняет ActionMap)
+        this.gameKeys = new Set(['Space', 'Tab', 'Escape']);
+        
         this.init();
     }
     
@@ -32,6 +61,7 @@ export class InputManager {
         this.setupKeyboardEvents();
         this.setupMouseEvents();
         this.setupPointerLock();
+        this.setupGamepadEvents();
         
         console.log('🎮 Input manager initialized');
     }
@@ -44,6 +74,14 @@ export class InputManager {
             if (!this.isEnabled) return;
             
             const key = event.code;
+            
+            // Захваченная клавиша не попадает в состояние: действие не должно сработать
+            if (this.bindingCapture) {
+                event.preventDefault();
+                this.finishBindingCapture(`key:${key}`);
+                return;
+            }
+            
             this.keyMap[key] = true;
             
             // Отладочное сообщение для игровых клавиш
@@ -97,9 +135,10 @@ export class InputManager {
             this.mousePosition.x = event.clientX;
             this.mousePosition.y = event.clientY;
             
+            // За кадр приходит несколько событий: смещения копятся до getMouseDelta
             if (this.isPointerLocked) {
-                this.mouseDelta.x = event.movementX * this.mouseSensitivity;
-                this.mouseDelta.y = event.movementY * this.mouseSensitivity * (this.invertY ? -1 : 1);
+                this.mouseDelta.x += event.movementX * this.mouseSensitivity;
+                this.mouseDelta.y += event.movementY * this.mouseSensitivity * (this.invertY ? -1 : 1);
             }
         });
         
@@ -117,6 +156,166 @@ export class InputManager {
         });
     }
     
+    /**
+     * Подключение и отключение геймпадов
+     */
+    setupGamepadEvents() {
+        window.addEventListener('gamepadconnected', (event) => {
+            console.log(`🎮 Gamepad connected: ${event.gamepad.id}`);
+            if (this.gamepadIndex === null) {
+                this.gamepadIndex = event.gamepad.index;
+            }
+            if (this.onGamepadChange) {
+                this.onGamepadChange(true, event.gamepad);
+            }
+        });
+        
+        window.addEventListener('gamepaddisconnected', (event) => {
+            console.log(`🎮 Gamepad disconnected: ${event.gamepad.id}`);
+            if (this.gamepadIndex === event.gamepad.index) {
+                this.gamepadIndex = null;
+                this.gamepadState = { buttons: {}, axes: {} };
+            }
+            if (this.onGamepadChange) {
+                this.onGamepadChange(false, event.gamepad);
+            }
+        });
+    }
+    
+    /**
+     * Опрос устройств: вызывается один раз в начале кадра
+     * Состояние геймпада не приходит событиями, его нужно читать каждый кадр
+     */
+    update() {
+        this.pollGamepad();
+    }
+    
+    /**
+     * Чтение активного геймпада
+     */
+    pollGamepad() {
+        if (!this.gamepadEnabled || !this.isEnabled ||
+            typeof navigator === 'undefined' || !navigator.getGamepads) {
+            this.gamepadState = { buttons: {}, axes: {} };
+            return;
+        }
+        
+        const gamepads = Array.from(navigator.getGamepads() || []).filter(Boolean);
+        let gamepad = gamepads.find(pad => pad.index === this.gamepadIndex && pad.connected);
+        if (!gamepad) {
+            // Событие подключения могло прийти до создания менеджера
+            gamepad = gamepads.find(pad => pad.connected && pad.mapping === 'standard') ||
+                gamepads.find(pad => pad.connected);
+            this.gamepadIndex = gamepad ? gamepad.index : null;
+        }
+        if (!gamepad) {
+            this.gamepadState = { buttons: {}, axes: {} };
+            return;
+        }
+        
+        const previousButtons = this.gamepadState.buttons;
+        const buttons = {};
+        GAMEPAD_BUTTONS.forEach((name, index) => {
+            const button = gamepad.buttons[index];
+            if (button) {
+                // Триггеры аналоговые: value 0..1, у цифровых кнопок value совпадает с pressed
+                buttons[name] = typeof button === 'object'
+                    ? (button.value || (button.pressed ? 1 : 0))
+                    : button;
+            }
+        });
+        
+        const axes = {};
+        GAMEPAD_STICKS.forEach(stick => {
+            const [x, y] = this.applyRadialDeadzone(
+                gamepad.axes[stick.x] || 0,
+                gamepad.axes[stick.y] || 0
+            );
+            // Ось Y стика в Gamepad API направлена вниз, в игре вверх = +1
+            axes[`${stick.name}X`] = x;
+            axes[`${stick.name}Y`] = -y;
+        });
+        
+        // Для переназначения учитывается только новое нажатие, а не удерживаемая кнопка
+        if (this.bindingCapture) {
+            const pressed = Object.keys(buttons)
+                .find(name => buttons[name] > 0.5 && !(previousButtons[name] > 0.5));
+            if (pressed) {
+                this.suppressedButtons.add(pressed);
+                this.finishBindingCapture(`gamepad:${pressed}`);
+            }
+        }
+        this.suppressedButtons.forEach(name => {
+            if (!(buttons[name] > 0.5)) {
+                this.suppressedButtons.delete(name);
+            }
+            buttons[name] = 0;
+        });
+        
+        this.gamepadState = { id: gamepad.id, buttons, axes };
+    }
+    
+    /**
+     * Радиальная мертвая зона стика
+     * В отличие от покомпонентной не "прилипает" к осям при диагональном наклоне;
+     * значения за пределами зоны растягиваются, чтобы движение начиналось с нуля
+     * @returns {number[]} [x, y]
+     */
+    applyRadialDeadzone(x, y) {
+        const magnitude = Math.sqrt(x * x + y * y);
+        const deadzone = this.gamepadDeadzone;
+        if (magnitude <= deadzone) {
+            return [0, 0];
+        }
+        
+        const scaled = Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+        return [x / magnitude * scaled, y / magnitude * scaled];
+    }
+    
+    /**
+     * Подключен ли активный геймпад
+     */
+    isGamepadConnected() {
+        return this.gamepadIndex !== null && !!this.gamepadState.id;
+    }
+    
+    /**
+     * Захват следующего нажатия клавиши или кнопки геймпада
+     * @param {Function} callback - (binding) => void, binding вида 'key:KeyW' или 'gamepad:A'
+     */
+    captureNextBinding(callback) {
+        this.bindingCapture = callback;
+    }
+    
+    /**
+     * Отмена захвата нажатия
+     */
+    cancelBindingCapture() {
+        this.bindingCapture = null;
+    }
+    
+    finishBindingCapture(binding) {
+        const callback = this.bindingCapture;
+        this.bindingCapture = null;
+        callback(binding);
+    }
+    
+    /**
+     * Подключение сенсорного управления как источника привязок 'touch:'
+     * @param {TouchControls} touchControls - Сенсорное управление
+     */
+    setTouchControls(touchControls) {
+        this.touchControls = touchControls;
+    }
+    
+    /**
+     * Установка обработчика подключения/отключения геймпада
+     * @param {Function} callback - (connected, gamepad) => void
+     */
+    setOnGamepadChange(callback) {
+        this.onGamepadChange = callback;
+    }
+    
     /**
      * Настройка блокировки указателя
      */
@@ -137,18 +336,37 @@ export class InputManager {
      * @param {string} key - Код клавиши
      */
     isGameKey(key) {
-        const gameKeys = [
-            this.config.get('controls.keyBindings.forward'),
-            this.config.get('controls.keyBindings.backward'),
-            this.config.get('controls.keyBindings.left'),
-            this.config.get('controls.keyBindings.right'),
-            this.config.get('controls.keyBindings.jump'),
-            this.config.get('controls.keyBindings.crouch'),
-            this.config.get('controls.keyBindings.run'),
-            'Space', 'Tab', 'Escape'
-        ];
-        
-        return gameKeys.includes(key);
+        return this.gameKeys.has(key);
+    }
+    
+    /**
+     * Установка набора игровых клавиш
+     * @param {Set<string>} keys - Коды клавиш
+     */
+    setGameKeys(keys) {
+        this.gameKeys = new Set(keys);
+    }
+    
+    /**
+     * Значение элемента устройства для привязки действия
+     * @param {string} device - Устройство ('key', 'mouse', 'gamepad', 'touch')
+     * @param {string} control - Элемент устройства (код клавиши, номер кнопки, имя кнопки/оси геймпада)
+     * @returns {number} 0..1 для кнопок, -1..1 для осей
+     */
+    getBindingValue(device, control) {
+        switch (device) {
+            case 'key':
+                return this.keyMap[control] ? 1 : 0;
+            case 'mouse':
+                return this.mouseMap[control] ? 1 : 0;
+            case 'gamepad':
+                return this.gamepadState.buttons[control] ||
+                    this.gamepadState.axes[control] || 0;
+            case 'touch':
+                return this.touchControls && this.isEnabled ? this.touchControls.getValue(control) : 0;
+            default:
+                return 0;
+        }
     }
     
     /**
@@ -257,6 +475,7 @@ export class InputManager {
             this.mouseDelta.x = 0;
             this.mouseDelta.y = 0;
             this.wheelDelta = 0;
+            this.gamepadState = { buttons: {}, axes: {} };
         }
     }
     
@@ -273,6 +492,8 @@ export class InputManager {
     updateFromConfig() {
         this.mouseSensitivity = this.config.get('controls.mouseSensitivity');
         this.invertY = this.config.get('controls.invertY');
+        this.gamepadEnabled = this.config.get('controls.gamepadEnabled');
+        this.gamepadDeadzone = this.config.get('controls.gamepadDeadzone');
     }
     
     /**
@@ -328,6 +549,11 @@ export class InputManager {
                 delta: { ...this.mouseDelta }
             },
             wheel: this.wheelDelta,
+            gamepad: {
+                connected: this.isGamepadConnected(),
+                buttons: { ...this.gamepadState.buttons },
+                axes: { ...this.gamepadState.axes }
+            },
             pointerLocked: this.isPointerLocked,
             enabled: this.isEnabled
         };
@@ -342,6 +568,7 @@ export class InputManager {
         this.mousePosition = { x: 0, y: 0 };
         this.mouseDelta = { x: 0, y: 0 };
         this.wheelDelta = 0;
+        this.gamepadState = { buttons: {}, axes: {} };
     }
     
     /**
@@ -0,0 +1,267 @@
+/**
+ * Регулятор производительности
+ * Следит за временем кадра по скользящей гистограмме и ступенчато понижает
+ * качество графики, если бюджет кадра не выдерживается, и возвращает его,
+ * когда появляется запас. Понижение и повышение разнесены порогами и задержками
+ * (гистерезис), чтобы качество не "прыгало" туда-обратно.
+ *
+ * Регулятор не пишет в конфигурацию: уровни применяются как временные значения
+ * GraphicsManager, выбор пользователя остается верхним уровнем
+ */
+const QUALITY_ORDER = ['low', 'medium', 'high', 'ultra'];
+const BIN_SIZE_MS = 0.5;
+
+/**
+ * Скользящая гистограмма времени кадра
+ */
+class FrameTimeHistogram {
+    constructor(size, maxMs) {
+        this.size = size;
+        this.samples = new Float32Array(size);
+        this.bins = new Uint16Array(Math.ceil(maxMs / BIN_SIZE_MS) + 1);
+        this.count = 0;
+        this.index = 0;
+        this.sum = 0;
+    }
+
+    binOf(ms) {
+        return Math.min(this.bins.length - 1, Math.floor(ms / BIN_SIZE_MS));
+    }
+
+    add(ms) {
+        // Самый старый замер вытесняется из окна
+        if (this.count === this.size) {
+            const old = this.samples[this.index];
+            this.bins[this.binOf(old)]--;
+            this.sum -= old;
+        } else {
+            this.count++;
+        }
+
+        this.samples[this.index] = ms;
+        this.bins[this.binOf(ms)]++;
+        this.sum += ms;
+        this.index = (this.index + 1) % this.size;
+    }
+
+    /**
+     * Перцентиль (верхняя граница корзины)
+     * @param {number} p - 0..1
+     */
+    percentile(p) {
+        if (this.count === 0) return 0;
+
+        const threshold = Math.ceil(this.count * p);
+        let cumulative = 0;
+        for (let i = 0; i < this.bins.length; i++) {
+            cumulative += this.bins[i];
+            if (cumulative >= threshold) {
+                return (i + 1) * BIN_SIZE_MS;
+            }
+        }
+        return this.bins.length * BIN_SIZE_MS;
+    }
+
+    average() {
+        return this.count > 0 ? this.sum / this.count : 0;
+    }
+
+    clear() {
+        this.bins.fill(0);
+        this.count = 0;
+        this.index = 0;
+        this.sum = 0;
+    }
+}
+
+export class PerformanceGovernor {
+    constructor(graphicsManager, configManager) {
+        this.graphics = graphicsManager;
+        this.config = configManager;
+
+        // Уровни: 0 - настройки пользователя, дальше - все дешевле
+        this.levels = [];
+        this.level = 0;
+
+        this.overBudgetTime = 0;
+        this.headroomTime = 0;
+        this.cooldown = 0;
+
+        // События смены уровня: { direction, level, label, frameTime, budget }
+        this.onLevelChangeObservable = new BABYLON.Observable();
+
+        this.reset();
+
+        console.log('📈 Performance governor initialized');
+    }
+
+    /**
+     * Сброс к настройкам пользователя и новые замеры
+     * Вызывается при изменении настроек графики пользователем
+     */
+    reset() {
+        this.settings = this.config.get('graphics.adaptive');
+        this.frameTimes = new FrameTimeHistogram(this.settings.windowSize, this.settings.maxFrameTime);
+        this.workTimes = new FrameTimeHistogram(this.settings.windowSize, this.settings.maxFrameTime);
+        this.loadTimes = new FrameTimeHistogram(this.settings.windowSize, this.settings.maxFrameTime);
+
+        this.levels = this.buildLevels();
+        this.level = 0;
+        this.overBudgetTime = 0;
+        this.headroomTime = 0;
+        this.cooldown = this.settings.cooldown;
+        this.graphics.setOverrides({});
+    }
+
+    /**
+     * Лестница уровней от настроек пользователя вниз
+     * Для каждого пресета сначала сам пресет, затем он же с уменьшенным масштабом
+     * рендеринга, картой теней и смещенным LOD
+     */
+    buildLevels() {
+        const base = this.config.get('graphics');
+        const levels = [{ label: `${base.quality} (user)`, overrides: {} }];
+        levels.push({ label: `${base.quality} (reduced)`, overrides: this.reduce(base) });
+
+        const baseIndex = QUALITY_ORDER.indexOf(base.quality);
+        const startIndex = baseIndex === -1 ? QUALITY_ORDER.length : baseIndex;
+        for (let i = startIndex - 1; i >= 0; i--) {
+            const quality = QUALITY_ORDER[i];
+            const preset = { ...this.config.getQualityPreset(quality), lodBias: base.lodBias };
+            levels.push({ label: quality, overrides: preset });
+            levels.push({ label: `${quality} (reduced)`, overrides: { ...preset, ...this.reduce(preset) } });
+        }
+
+        return levels;
+    }
+
+    /**
+     * Удешевленный вариант настроек
+     */
+    reduce(settings) {
+        return {
+            renderScale: Math.max(this.settings.minRenderScale, settings.renderScale - this.settings.renderScaleStep),
+            shadowMapSize: Math.max(this.settings.minShadowMapSize, settings.shadowMapSize / 2),
+            lodBias: (settings.lodBias || 1) + this.settings.lodBiasStep
+        };
+    }
+
+    /**
+     * Бюджет кадра в мс
+     * Лимит FPS ниже целевого тоже ограничивает кадр: его нельзя считать нарушением бюджета
+     */
+    getBudget() {
+        const maxFPS = this.config.get('graphics.maxFPS');
+        const targetFPS = maxFPS > 0 ? Math.min(this.settings.targetFPS, maxFPS) : this.settings.targetFPS;
+        return 1000 / targetFPS;
+    }
+
+    /**
+     * Учет кадра и решение о смене уровня
+     * Интервал между кадрами при vsync не опускается ниже частоты экрана, поэтому
+     * запас для повышения оценивается по времени работы кадра (update + render).
+     * Нарушение бюджета оценивается по интервалу (он учитывает и работу GPU), кроме
+     * интервалов, растянутых ограничением FPS: для них берется время работы
+     * @param {number} frameTime - Интервал между кадрами (с)
+     * @param {number} workTime - Время работы кадра (с)
+     */
+    update(frameTime, workTime) {
+        const frameMs = frameTime * 1000;
+        if (frameMs <= 0 || frameMs > this.settings.maxFrameTime) return;
+
+        // Замеры идут и при отключенной регулировке: по ним считается FPS
+        const workMs = Math.min(workTime * 1000, frameMs);
+        this.frameTimes.add(frameMs);
+        this.workTimes.add(workMs);
+        this.loadTimes.add(this.graphics.isFrameCapped() ? workMs : frameMs);
+
+        if (!this.settings.enabled) return;
+
+        if (this.cooldown > 0) {
+            this.cooldown -= frameTime;
+            return;
+        }
+        if (this.frameTimes.count < this.settings.windowSize / 2) return;
+
+        const budget = this.getBudget();
+        const framePercentile = this.loadTimes.percentile(this.settings.percentile);
+        const workPercentile = this.workTimes.percentile(this.settings.percentile);
+
+        if (framePercentile > budget * this.settings.downgradeThreshold) {
+            this.overBudgetTime += frameTime;
+            this.headroomTime = 0;
+        } else if (workPercentile < budget * this.settings.upgradeThreshold) {
+            this.headroomTime += frameTime;
+            this.overBudgetTime = 0;
+        } else {
+            // Между порогами: текущий уровень устраивает
+            this.overBudgetTime = 0;
+            this.headroomTime = 0;
+        }
+
+        if (this.overBudgetTime >= this.settings.downgradeDelay && this.level < this.levels.length - 1) {
+            this.setLevel(this.level + 1, 'down', framePercentile, budget);
+        } else if (this.headroomTime >= this.settings.upgradeDelay && this.level > 0) {
+            this.setLevel(this.level - 1, 'up', workPercentile, budget);
+        }
+    }
+
+    /**
+     * Переход на уровень
+     */
+    setLevel(level, direction, frameTime, budget) {
+        this.level = level;
+        this.graphics.setOverrides(this.levels[level].overrides);
+
+        // Замеры старого уровня не описывают новый
+        this.frameTimes.clear();
+        this.workTimes.clear();
+        this.loadTimes.clear();
+        this.overBudgetTime = 0;
+        this.headroomTime = 0;
+        this.cooldown = this.settings.cooldown;
+
+        const event = {
+            direction,
+            level,
+            label: this.levels[level].label,
+            frameTime,
+            budget
+        };
+        console.log(`📈 Quality ${direction} to '${event.label}' (p${Math.round(this.settings.percentile * 100)} ${frameTime.toFixed(1)} ms, budget ${budget.toFixed(1)} ms)`);
+        this.onLevelChangeObservable.notifyObservers(event);
+    }
+
+    /**
+     * Средняя частота кадров по окну замеров
+     */
+    getAverageFPS() {
+        const average = this.frameTimes.average();
+        return average > 0 ? 1000 / average : 0;
+    }
+
+    /**
+     * Состояние для отладочной панели
+     */
+    getStatus() {
+        return {
+            enabled: !!this.settings.enabled,
+            level: this.level,
+            levelCount: this.levels.length,
+            label: this.levels[this.level] ? this.levels[this.level].label : '',
+            budget: this.getBudget(),
+            percentile: this.settings.percentile,
+            frameTime: this.loadTimes.percentile(this.settings.percentile),
+            workTime: this.workTimes.percentile(this.settings.percentile),
+            averageFrameTime: this.frameTimes.average()
+        };
+    }
+
+    /**
+     * Освобождение ресурсов
+     */
+    dispose() {
+        this.onLevelChangeObservable.clear();
+        console.log('🗑️ Performance governor disposed');
+    }
+}
@@ -0,0 +1,271 @@
+/**
+ * Менеджер сохранений
+ * Слоты сохранений с версией схемы и миграциями.
+ * Системы регистрируют хуки сериализации: каждый хук сохраняет свой раздел данных
+ */
+import { SaveStorage } from './SaveStorage.js';
+import { SAVE_VERSION, migrateSave } from './saveMigrations.js';
+
+const LEGACY_SAVE_KEY = 'game_save';
+
+// Время жизни ссылки на экспортируемый файл (мс)
+const EXPORT_URL_LIFETIME = 10000;
+
+export class SaveManager {
+    constructor(engine, scene, configManager) {
+        this.engine = engine;
+        this.scene = scene;
+        this.config = configManager;
+        this.storage = new SaveStorage();
+
+        // Хуки в порядке регистрации: загрузка применяет разделы в том же порядке
+        this.hooks = new Map();
+
+        console.log('💾 Save Manager initialized');
+    }
+
+    /**
+     * Открытие хранилища и перенос старого сохранения
+     */
+    async init() {
+        await this.storage.open();
+        await this.importLegacySave();
+    }
+
+    /**
+     * Регистрация хука сериализации
+     * @param {string} key - Раздел данных сохранения
+     * @param {Object} hook - { serialize: () => data, deserialize: (data, save) => void }
+     * @returns {Function} Функция отмены регистрации
+     */
+    register(key, hook) {
+        if (this.hooks.has(key)) {
+            console.warn(`⚠️ Save hook '${key}' replaced`);
+        }
+        this.hooks.set(key, hook);
+        return () => {
+            if (this.hooks.get(key) === hook) {
+                this.hooks.delete(key);
+            }
+        };
+    }
+
+    /**
+     * Сбор данных всех зарегистрированных хуков
+     */
+    collect() {
+        const data = {};
+        this.hooks.forEach((hook, key) => {
+            try {
+                data[key] = hook.serialize();
+            } catch (error) {
+                console.error(`❌ Save hook '${key}' failed to serialize:`, error);
+            }
+        });
+        return data;
+    }
+
+    /**
+     * Сохранение в слот
+     * @param {string} slot - Имя слота
+     * @param {Object} options - { label, thumbnail: false чтобы не делать снимок экрана }
+     * @returns {Object} Метаданные сохранения
+     */
+    async save(slot, options = {}) {
+        // Данные собираются синхронно, до первого await: состояние не успевает измениться,
+        // а автосохранение при закрытии страницы успевает начать запись
+        const record = {
+            version: SAVE_VERSION,
+            slot,
+            label: options.label || slot,
+            timestamp: Date.now(),
+            thumbnail: null,
+            data: this.collect()
+        };
+
+        if (options.thumbnail !== false && this.config.get('save.thumbnails')) {
+            record.thumbnail = await this.createThumbnail();
+        }
+
+        await this.storage.put(record);
+        console.log(`💾 Game saved to slot '${slot}'`);
+        return this.getMetadata(record);
+    }
+
+    /**
+     * Загрузка из слота
+     * @param {string} slot - Имя слота
+     * @returns {Object|null} Метаданные сохранения или null, если слот пуст
+     */
+    async load(slot) {
+        const stored = await this.storage.get(slot);
+        if (!stored) {
+            console.warn(`⚠️ Save slot '${slot}' is empty`);
+            return null;
+        }
+
+        const record = migrateSave(stored);
+        if (record.version !== stored.version) {
+            // Сохраняем мигрированную версию, чтобы не мигрировать при каждой загрузке
+            await this.storage.put(record);
+        }
+
+        this.apply(record);
+        console.log(`📁 Game loaded from slot '${slot}'`);
+        return this.getMetadata(record);
+    }
+
+    /**
+     * Применение данных сохранения через хуки
+     * Разделы без хука пропускаются: сохранение может быть сделано с другим набором систем
+     */
+    apply(record) {
+        this.hooks.forEach((hook, key) => {
+            if (!(key in record.data) || !hook.deserialize) return;
+            try {
+                hook.deserialize(record.data[key], record);
+            } catch (error) {
+                console.error(`❌ Save hook '${key}' failed to deserialize:`, error);
+            }
+        });
+    }
+
+    /**
+     * Список слотов (без данных), новые сверху
+     */
+    async listSlots() {
+        const records = await this.storage.getAll();
+        return records
+            .map(record => this.getMetadata(record))
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    /**
+     * Метаданные сохранения для списков и UI
+     */
+    getMetadata(record) {
+        return {
+            slot: record.slot,
+            label: record.label,
+            timestamp: record.timestamp,
+            version: record.version,
+            thumbnail: record.thumbnail || null
+        };
+    }
+
+    /**
+     * Проверка наличия слота
+     * @param {string} slot - Имя слота
+     */
+    async hasSlot(slot) {
+        return !!(await this.storage.get(slot));
+    }
+
+    /**
+     * Удаление слота
+     * @param {string} slot - Имя слота
+     */
+    async deleteSlot(slot) {
+        await this.storage.delete(slot);
+        console.log(`🗑️ Save slot '${slot}' deleted`);
+    }
+
+    /**
+     * Экспорт слота в файл
+     * @param {string} slot - Имя слота
+     * @returns {boolean} Успешность экспорта
+     */
+    async exportSlot(slot) {
+        const record = await this.storage.get(slot);
+        if (!record) {
+            console.warn(`⚠️ Save slot '${slot}' is empty, nothing to export`);
+            return false;
+        }
+
+        const blob = new Blob([JSON.stringify(record, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${slot}.save.json`;
+        a.click();
+        // Браузер начинает скачивание асинхронно: ссылку отзываем с задержкой
+        setTimeout(() => URL.revokeObjectURL(url), EXPORT_URL_LIFETIME);
+
+        console.log(`📤 Save slot '${slot}' exported`);
+        return true;
+    }
+
+    /**
+     * Импорт слота из файла
+     * @param {File} file - Файл сохранения
+     * @param {string} slot - Слот назначения (по умолчанию слот из файла)
+     * @returns {Object} Метаданные импортированного сохранения
+     */
+    async importSlot(file, slot = null) {
+        const parsed = JSON.parse(await file.text());
+        if (!parsed || typeof parsed !== 'object') {
+            throw new Error('Invalid save file');
+        }
+
+        const record = migrateSave(parsed);
+        if (!record.data || typeof record.data !== 'object') {
+            throw new Error('Save file has no data');
+        }
+
+        record.slot = slot || record.slot || 'imported';
+        await this.storage.put(record);
+
+        console.log(`📥 Save imported to slot '${record.slot}'`);
+        return this.getMetadata(record);
+    }
+
+    /**
+     * Перенос сохранения старого формата из localStorage в слот
+     */
+    async importLegacySave() {
+        const json = localStorage.getItem(LEGACY_SAVE_KEY);
+        if (!json) return;
+
+        try {
+            const record = migrateSave({ ...JSON.parse(json), slot: this.config.get('save.autosaveSlot') });
+            if (!(await this.hasSlot(record.slot))) {
+                await this.storage.put(record);
+                console.log(`🔁 Legacy save moved to slot '${record.slot}'`);
+            }
+            localStorage.removeItem(LEGACY_SAVE_KEY);
+        } catch (error) {
+            console.warn('⚠️ Failed to import legacy save:', error);
+        }
+    }
+
+    /**
+     * Снимок экрана для миниатюры
+     * @returns {string|null} Data URL изображения
+     */
+    async createThumbnail() {
+        const camera = this.scene.activeCamera;
+        if (!camera) {
+            return null;
+        }
+
+        try {
+            return await BABYLON.Tools.CreateScreenshotAsync(this.engine, camera, {
+                width: this.config.get('save.thumbnailWidth'),
+                height: this.config.get('save.thumbnailHeight')
+            });
+        } catch (error) {
+            console.warn('⚠️ Failed to create save thumbnail:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Освобождение ресурсов
+     */
+    dispose() {
+        this.hooks.clear();
+        this.storage.dispose();
+        console.log('🗑️ Save Manager disposed');
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * Хранилище слотов сохранений
+ * IndexedDB для больших сохранений (с миниатюрами), localStorage - запасной вариант,
+ * если IndexedDB недоступна (приватный режим, file://)
+ */
+const DB_NAME = 'rf-game-saves';
+const DB_VERSION = 1;
+const STORE_NAME = 'slots';
+const LOCAL_PREFIX = 'game_save_slot_';
+
+export class SaveStorage {
+    constructor() {
+        this.db = null;
+        this.useLocalStorage = false;
+    }
+
+    /**
+     * Открытие базы данных
+     */
+    async open() {
+        if (this.db || this.useLocalStorage) {
+            return;
+        }
+
+        if (typeof indexedDB === 'undefined') {
+            console.warn('⚠️ IndexedDB not available, saves will use localStorage');
+            this.useLocalStorage = true;
+            return;
+        }
+
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        db.createObjectStore(STORE_NAME, { keyPath: 'slot' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            console.log('💾 Save storage opened (IndexedDB)');
+        } catch (error) {
+            console.warn('⚠️ Failed to open IndexedDB, saves will use localStorage:', error);
+            this.useLocalStorage = true;
+        }
+    }
+
+    /**
+     * Запрос к хранилищу объектов
+     * Транзакция создается синхронно, поэтому запись успевает начаться
+     * даже при закрытии страницы
+     */
+    request(mode, action) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(STORE_NAME, mode);
+            const request = action(transaction.objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Запись сохранения
+     * @param {Object} record - Сохранение с полем slot
+     */
+    async put(record) {
+        if (this.useLocalStorage || !this.db) {
+            localStorage.setItem(LOCAL_PREFIX + record.slot, JSON.stringify(record));
+            return;
+        }
+        await this.request('readwrite', store => store.put(record));
+    }
+
+    /**
+     * Чтение сохранения
+     * @param {string} slot - Имя слота
+     * @returns {Object|null}
+     */
+    async get(slot) {
+        if (this.useLocalStorage || !this.db) {
+            const json = localStorage.getItem(LOCAL_PREFIX + slot);
+            return json ? JSON.parse(json) : null;
+        }
+        return (await this.request('readonly', store => store.get(slot))) || null;
+    }
+
+    /**
+     * Удаление сохранения
+     * @param {string} slot - Имя слота
+     */
+    async delete(slot) {
+        if (this.useLocalStorage || !this.db) {
+            localStorage.removeItem(LOCAL_PREFIX + slot);
+            return;
+        }
+        await this.request('readwrite', store => store.delete(slot));
+    }
+
+    /**
+     * Все сохранения
+     * @returns {Object[]}
+     */
+    async getAll() {
+        if (this.useLocalStorage || !this.db) {
+            const records = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key.startsWith(LOCAL_PREFIX)) {
+                    records.push(JSON.parse(localStorage.getItem(key)));
+                }
+            }
+            return records;
+        }
+        return this.request('readonly', store => store.getAll());
+    }
+
+    /**
+     * Закрытие базы данных
+     */
+    dispose() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
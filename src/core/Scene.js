@@ -84,6 +84,9 @@ export class GameScene {
         skyboxMaterial.specularColor = new BABYLON.Color3(0, 0, 0);
         skybox.material = skyboxMaterial;
         
+        // Скайбокс следует за камерой; такие меши не участвуют в тенях
+        skybox.infiniteDistance = true;
+        
         console.log('🌌 Skybox created');
         return skybox;
     }
@@ -102,28 +105,12 @@ export class GameScene {
             
             const worldMeshes = result.meshes;
             
-            // Настройка мешей мира
-            worldMeshes.forEach((mesh, index) => {
-                mesh.checkCollisions = true;
+            // Настройка мешей мира (коллизии строит CollisionPipeline)
+            worldMeshes.forEach(mesh => {
                 mesh.scaling.scaleInPlace(this.scaleFactor);
                 
                 // Позиционирование
                 mesh.position.y = 5 * this.scaleFactor;
-                
-                // Добавление физики
-                if (mesh.geometry || mesh.getTotalVertices() > 0) {
-                    const mass = index === 0 ? 1 : 0;
-                    const impostorType = index === 0 
-                        ? BABYLON.PhysicsImpostor.BoxImpostor 
-                        : BABYLON.PhysicsImpostor.MeshImpostor;
-                    
-                    mesh.physicsImpostor = new BABYLON.PhysicsImpostor(
-                        mesh, 
-                        impostorType, 
-                        { mass: mass, restitution: 0.3 }, 
-                        this.scene
-                    );
-                }
             });
             
             console.log(`🏗️ World loaded: ${filename}`);
@@ -145,31 +132,12 @@ export class GameScene {
             return;
         }
 
-        worldMeshes.forEach((mesh, index) => {
+        worldMeshes.forEach(mesh => {
             if (!mesh) return;
 
-            // Включаем коллизии
-            mesh.checkCollisions = true;
-            
-            // Настраиваем физику если еще не настроена и у меша есть геометрия
-            if (!mesh.physicsImpostor && mesh.getTotalVertices && mesh.getTotalVertices() > 0) {
-                const mass = 0; // Статичные объекты мира
-                const impostorType = BABYLON.PhysicsImpostor.MeshImpostor;
-                
-                try {
-                    mesh.physicsImpostor = new BABYLON.PhysicsImpostor(
-                        mesh, 
-                        impostorType, 
-                        { mass: mass, restitution: 0.3, friction: 0.8 }, 
-                        this.scene
-                    );
-                    console.log(`✅ Physics impostor created for mesh ${index}`);
-                } catch (error) {
-                    console.warn(`⚠️ Failed to create physics impostor for mesh ${index}:`, error);
-                }
-            } else if (!mesh.getTotalVertices || mesh.getTotalVertices() === 0) {
-                console.log(`⚠️ Skipping physics for mesh ${index} - no vertices`);
-            }
+            // Меши мира только рисуются: коллизии берутся из упрощенной геометрии
+            // CollisionPipeline, а не из детализированных мешей рендера
+            mesh.checkCollisions = false;
         });
 
         console.log(`🏗️ World model setup complete for ${worldMeshes.length} meshes`);
@@ -0,0 +1,395 @@
+/**
+ * Сенсорное управление
+ * Левая половина экрана - виртуальный джойстик движения, правая - поворот камеры
+ * перетаскиванием и масштаб щипком. Кнопки прыжка и взаимодействия рисуются
+ * в Babylon GUI. Значения джойстика и кнопок читаются через привязки 'touch:<элемент>'
+ */
+export class TouchControls {
+    constructor(canvas, advancedTexture, configManager) {
+        this.canvas = canvas;
+        this.advancedTexture = advancedTexture;
+        this.config = configManager;
+
+        this.isActive = false;
+        this.onActiveChange = null;
+
+        // Активные касания: pointerId -> { type: 'joystick' | 'look' | 'button', ... }
+        this.pointers = new Map();
+
+        // Состояние, которое читают привязки и камера
+        this.values = { MoveX: 0, MoveY: 0, Jump: 0, Interact: 0 };
+        this.lookDelta = { x: 0, y: 0 };
+        this.pinchScale = 1;
+        this.pinchDistance = null;
+
+        this.gui = {};
+        this.handlers = {};
+
+        this.loadSettings();
+        this.createControls();
+        this.setupPointerEvents();
+
+        if (this.shouldActivate()) {
+            this.setActive(true);
+        }
+
+        console.log('👆 Touch controls initialized');
+    }
+
+    /**
+     * Чтение настроек из конфигурации
+     */
+    loadSettings() {
+        this.mode = this.config.get('controls.touch.enabled');
+        this.joystickRadius = this.config.get('controls.touch.joystickRadius');
+        this.joystickDeadzone = this.config.get('controls.touch.joystickDeadzone');
+        this.buttonSize = this.config.get('controls.touch.buttonSize');
+        this.opacity = this.config.get('controls.touch.opacity');
+    }
+
+    /**
+     * Устройство с сенсорным экраном
+     */
+    isTouchDevice() {
+        return (typeof window !== 'undefined' && 'ontouchstart' in window) ||
+            (typeof navigator !== 'undefined' && navigator.maxTouchPoints > 0);
+    }
+
+    /**
+     * Нужно ли включить управление при запуске
+     * 'auto' - только на сенсорных устройствах, true/false - принудительно
+     */
+    shouldActivate() {
+        if (this.mode === 'auto') {
+            return this.isTouchDevice();
+        }
+        return !!this.mode;
+    }
+
+    /**
+     * Создание элементов GUI
+     */
+    createControls() {
+        // Основание и ручка джойстика появляются в точке касания
+        const base = new BABYLON.GUI.Ellipse('touchJoystickBase');
+        base.thickness = 2;
+        base.color = 'white';
+        base.background = 'rgba(0, 0, 0, 0.3)';
+        base.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        base.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        base.isHitTestVisible = false;
+        base.isVisible = false;
+
+        const thumb = new BABYLON.GUI.Ellipse('touchJoystickThumb');
+        thumb.thickness = 0;
+        thumb.background = 'white';
+        thumb.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        thumb.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        thumb.isHitTestVisible = false;
+        thumb.isVisible = false;
+
+        this.advancedTexture.addControl(base);
+        this.advancedTexture.addControl(thumb);
+        this.gui.joystickBase = base;
+        this.gui.joystickThumb = thumb;
+
+        // Нажатия кнопок определяются по касаниям canvas, GUI их только рисует
+        this.gui.buttons = {
+            Jump: this.createButton('touchJumpButton', 'Jump', 0),
+            Interact: this.createButton('touchInteractButton', 'E', 1)
+        };
+
+        this.applyLayout();
+    }
+
+    /**
+     * Создание экранной кнопки
+     * @param {string} name - Имя элемента GUI
+     * @param {string} label - Подпись
+     * @param {number} slot - Номер позиции справа налево
+     */
+    createButton(name, label, slot) {
+        const button = new BABYLON.GUI.Ellipse(name);
+        button.thickness = 2;
+        button.color = 'white';
+        button.background = 'rgba(0, 0, 0, 0.4)';
+        button.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+        button.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        button.isHitTestVisible = false;
+        button.isVisible = false;
+        button.metadata = { slot };
+
+        const text = new BABYLON.GUI.TextBlock();
+        text.text = label;
+        text.color = 'white';
+        text.fontSize = 18;
+        button.addControl(text);
+
+        this.advancedTexture.addControl(button);
+        return button;
+    }
+
+    /**
+     * Размеры и положение элементов по настройкам
+     */
+    applyLayout() {
+        const size = this.joystickRadius * 2;
+        this.gui.joystickBase.widthInPixels = size;
+        this.gui.joystickBase.heightInPixels = size;
+        this.gui.joystickThumb.widthInPixels = size * 0.4;
+        this.gui.joystickThumb.heightInPixels = size * 0.4;
+
+        const margin = this.buttonSize * 0.4;
+        Object.values(this.gui.buttons).forEach(button => {
+            button.widthInPixels = this.buttonSize;
+            button.heightInPixels = this.buttonSize;
+            button.leftInPixels = -(margin + button.metadata.slot * (this.buttonSize + margin));
+            button.topInPixels = -margin;
+        });
+
+        [this.gui.joystickBase, this.gui.joystickThumb, ...Object.values(this.gui.buttons)]
+            .forEach(control => { control.alpha = this.opacity; });
+    }
+
+    /**
+     * Подписка на события касаний canvas
+     */
+    setupPointerEvents() {
+        this.handlers = {
+            pointerdown: (event) => this.onPointerDown(event),
+            pointermove: (event) => this.onPointerMove(event),
+            pointerup: (event) => this.onPointerUp(event),
+            pointercancel: (event) => this.onPointerUp(event)
+        };
+
+        Object.entries(this.handlers).forEach(([type, handler]) => {
+            this.canvas.addEventListener(type, handler);
+        });
+    }
+
+    onPointerDown(event) {
+        if (event.pointerType !== 'touch') return;
+
+        // Первое касание включает управление на устройствах, не распознанных заранее
+        if (!this.isActive) {
+            if (this.mode !== 'auto') return;
+            this.setActive(true);
+        }
+
+        const point = this.toGuiPoint(event);
+        const buttonName = Object.keys(this.gui.buttons)
+            .find(name => this.gui.buttons[name].contains(point.x, point.y));
+
+        if (buttonName) {
+            this.pointers.set(event.pointerId, { type: 'button', name: buttonName });
+            this.values[buttonName] = 1;
+        } else if (point.x < this.advancedTexture.getSize().width / 2 && !this.hasPointer('joystick')) {
+            this.pointers.set(event.pointerId, { type: 'joystick', origin: point });
+            this.showJoystick(point);
+        } else {
+            this.pointers.set(event.pointerId, { type: 'look', last: point });
+            this.pinchDistance = null;
+        }
+    }
+
+    onPointerMove(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+
+        const point = this.toGuiPoint(event);
+
+        if (pointer.type === 'joystick') {
+            this.updateJoystick(pointer.origin, point);
+        } else if (pointer.type === 'look') {
+            const lookPointers = this.getPointers('look');
+            if (lookPointers.length >= 2) {
+                // Два пальца в зоне обзора - щипок, поворот не применяется
+                pointer.last = point;
+                const [a, b] = lookPointers;
+                const distance = Math.hypot(a.last.x - b.last.x, a.last.y - b.last.y);
+                if (this.pinchDistance && distance > 0) {
+                    this.pinchScale *= distance / this.pinchDistance;
+                }
+                this.pinchDistance = distance;
+            } else {
+                this.lookDelta.x += point.x - pointer.last.x;
+                this.lookDelta.y += point.y - pointer.last.y;
+                pointer.last = point;
+            }
+        }
+    }
+
+    onPointerUp(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+
+        this.pointers.delete(event.pointerId);
+
+        if (pointer.type === 'button') {
+            this.values[pointer.name] = 0;
+        } else if (pointer.type === 'joystick') {
+            this.values.MoveX = 0;
+            this.values.MoveY = 0;
+            this.hideJoystick();
+        } else {
+            this.pinchDistance = null;
+        }
+    }
+
+    /**
+     * Перевод координат события в пиксели GUI
+     * Размер текстуры GUI совпадает с буфером рендера, а не с CSS-размером canvas
+     */
+    toGuiPoint(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const size = this.advancedTexture.getSize();
+        return {
+            x: (event.clientX - rect.left) * size.width / rect.width,
+            y: (event.clientY - rect.top) * size.height / rect.height
+        };
+    }
+
+    hasPointer(type) {
+        return this.getPointers(type).length > 0;
+    }
+
+    getPointers(type) {
+        return Array.from(this.pointers.values()).filter(pointer => pointer.type === type);
+    }
+
+    /**
+     * Пересчет отклонения джойстика
+     * Радиальная мертвая зона, как у стиков геймпада; вверх по экрану = вперед
+     */
+    updateJoystick(origin, point) {
+        let dx = (point.x - origin.x) / this.joystickRadius;
+        let dy = (point.y - origin.y) / this.joystickRadius;
+        const magnitude = Math.hypot(dx, dy);
+
+        if (magnitude > 1) {
+            dx /= magnitude;
+            dy /= magnitude;
+        }
+
+        this.gui.joystickThumb.leftInPixels = origin.x + dx * this.joystickRadius - this.gui.joystickThumb.widthInPixels / 2;
+        this.gui.joystickThumb.topInPixels = origin.y + dy * this.joystickRadius - this.gui.joystickThumb.heightInPixels / 2;
+
+        if (magnitude <= this.joystickDeadzone) {
+            this.values.MoveX = 0;
+            this.values.MoveY = 0;
+            return;
+        }
+
+        const scale = Math.min(1, (magnitude - this.joystickDeadzone) / (1 - this.joystickDeadzone)) /
+            Math.min(1, magnitude);
+        this.values.MoveX = dx * scale;
+        this.values.MoveY = -dy * scale;
+    }
+
+    showJoystick(point) {
+        const base = this.gui.joystickBase;
+        base.leftInPixels = point.x - base.widthInPixels / 2;
+        base.topInPixels = point.y - base.heightInPixels / 2;
+        base.isVisible = true;
+
+        this.gui.joystickThumb.isVisible = true;
+        this.updateJoystick(point, point);
+    }
+
+    hideJoystick() {
+        this.gui.joystickBase.isVisible = false;
+        this.gui.joystickThumb.isVisible = false;
+    }
+
+    /**
+     * Значение элемента для привязки 'touch:<элемент>'
+     * @param {string} control - MoveX, MoveY, Jump, Interact
+     */
+    getValue(control) {
+        return this.isActive ? (this.values[control] || 0) : 0;
+    }
+
+    /**
+     * Смещение перетаскивания для камеры с прошлого вызова (в пикселях GUI)
+     */
+    consumeLookDelta() {
+        const delta = { ...this.lookDelta };
+        this.lookDelta.x = 0;
+        this.lookDelta.y = 0;
+        return delta;
+    }
+
+    /**
+     * Изменение масштаба щипком с прошлого вызова (>1 - пальцы разводятся)
+     */
+    consumePinchScale() {
+        const scale = this.pinchScale;
+        this.pinchScale = 1;
+        return scale;
+    }
+
+    /**
+     * Включение/выключение сенсорного управления
+     * @param {boolean} active - Включить
+     */
+    setActive(active) {
+        if (this.isActive === active) return;
+
+        this.isActive = active;
+        Object.values(this.gui.buttons).forEach(button => { button.isVisible = active; });
+        if (!active) {
+            this.releaseAll();
+        }
+
+        console.log(`👆 Touch controls ${active ? 'enabled' : 'disabled'}`);
+        if (this.onActiveChange) {
+            this.onActiveChange(active);
+        }
+    }
+
+    /**
+     * Установка обработчика включения/выключения
+     * @param {Function} callback - (active) => void
+     */
+    setOnActiveChange(callback) {
+        this.onActiveChange = callback;
+    }
+
+    /**
+     * Сброс всех касаний
+     */
+    releaseAll() {
+        this.pointers.clear();
+        Object.keys(this.values).forEach(key => { this.values[key] = 0; });
+        this.lookDelta = { x: 0, y: 0 };
+        this.pinchScale = 1;
+        this.pinchDistance = null;
+        this.hideJoystick();
+    }
+
+    /**
+     * Обновление настроек из конфигурации
+     */
+    updateFromConfig() {
+        this.loadSettings();
+        this.applyLayout();
+
+        if (this.mode !== 'auto') {
+            this.setActive(!!this.mode);
+        }
+    }
+
+    /**
+     * Освобождение ресурсов
+     */
+    dispose() {
+        Object.entries(this.handlers).forEach(([type, handler]) => {
+            this.canvas.removeEventListener(type, handler);
+        });
+        this.releaseAll();
+
+        [this.gui.joystickBase, this.gui.joystickThumb, ...Object.values(this.gui.buttons)]
+            .forEach(control => control.dispose());
+        console.log('🗑️ Touch controls disposed');
+    }
+}
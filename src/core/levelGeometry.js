@@ -0,0 +1,82 @@
+/**
+ * Геометрия уровня
+ * Общая для игры и офлайн-инструментов (tools/bakeNavMesh.js): модель мира,
+ * тестовые объекты и мир коллизий, из которого запекается навмеш
+ */
+import { CollisionWorld } from '../physics/CollisionWorld.js';
+import { CollisionPipeline } from '../physics/CollisionPipeline.js';
+
+// Модель мира относительно корня проекта
+export const WORLD_MODEL_PATH = './assets/textures/core/hq_bellato.glb';
+
+/**
+ * Тестовые объекты: красный куб и пол 50x50 с коллизиями
+ * @param {BABYLON.Scene} scene - Сцена
+ */
+export function createTestObjects(scene) {
+    // Создаем тестовый куб
+    const testBox = BABYLON.MeshBuilder.CreateBox(
+        "testBox",
+        { size: 0.5 },
+        scene
+    );
+    testBox.position.x = -3; // Перемещаем левее
+    testBox.position.y = 1;
+
+    // Материал для куба
+    const boxMaterial = new BABYLON.StandardMaterial("boxMaterial", scene);
+    boxMaterial.diffuseColor = new BABYLON.Color3(1, 0, 0); // Красный
+    testBox.material = boxMaterial;
+
+    // Создаем тестовую плоскость (пол)
+    const ground = BABYLON.MeshBuilder.CreateGround(
+        "ground",
+        { width: 50, height: 50 }, // Увеличиваем размер
+        scene
+    );
+
+    // Включаем коллизии для тестовой плоскости
+    ground.checkCollisions = true;
+    ground.position.y = 0;
+
+    // НЕ создаем физическое тело для тестовой плоскости
+    // Используем только систему коллизий
+
+    // Материал для пола
+    const groundMaterial = new BABYLON.StandardMaterial("groundMaterial", scene);
+    groundMaterial.diffuseColor = new BABYLON.Color3(0, 1, 0); // Зеленый
+    groundMaterial.backFaceCulling = false; // Видимость с обеих сторон
+    ground.material = groundMaterial;
+
+    console.log('🟢 Test ground created: 50x50, collisions enabled, no physics body');
+
+    console.log('🧪 Test objects created');
+}
+
+/**
+ * Построение мира коллизий
+ * Модель мира проходит через CollisionPipeline, остальные меши сцены
+ * с включенными коллизиями (тестовая земля и т.п.) добавляются как есть
+ * @param {BABYLON.Scene} scene - Сцена
+ * @param {Array} worldMeshes - Меши модели мира
+ * @param {ConfigManager} configManager - Конфигурация (раздел physics)
+ * @param {number} scaleFactor - Масштаб мира
+ * @returns {Object} { collisionWorld, collisionPipeline }
+ */
+export function buildCollisionWorld(scene, worldMeshes, configManager, scaleFactor) {
+    const cellSize = configManager.get('physics.collisionCellSize') * scaleFactor;
+    const collisionWorld = new CollisionWorld(cellSize);
+
+    const collisionPipeline = new CollisionPipeline(scene, collisionWorld, configManager, scaleFactor);
+    if (worldMeshes.length > 0) {
+        collisionPipeline.build(worldMeshes);
+    }
+
+    scene.meshes
+        .filter(mesh => mesh.checkCollisions && mesh.name !== 'skyBox' &&
+            !collisionPipeline.isCollisionMesh(mesh))
+        .forEach(mesh => collisionWorld.addStaticMesh(mesh));
+
+    console.log(`🧱 Collision world built: ${collisionWorld.getTriangleCount()} triangles`);
+    return { collisionWorld, collisionPipeline };
+}
@@ -0,0 +1,73 @@
+/**
+ * Версии схемы сохранений и миграции между ними
+ * migrations[n] переводит сохранение версии n в версию n + 1.
+ * При изменении формата данных увеличить SAVE_VERSION и добавить миграцию
+ */
+export const SAVE_VERSION = 1;
+
+/**
+ * Вектор старого сохранения в виде { x, y, z }
+ * Старый формат писал BABYLON.Vector3 через JSON.stringify, то есть
+ * приватными полями: { _isDirty, _x, _y, _z }
+ */
+function readLegacyVector(vector) {
+    const read = (key) => Number(vector[`_${key}`] !== undefined ? vector[`_${key}`] : vector[key]);
+    const result = { x: read('x'), y: read('y'), z: read('z') };
+    return [result.x, result.y, result.z].every(Number.isFinite) ? result : null;
+}
+
+export const migrations = {
+    /**
+     * 0 -> 1: старый одиночный ключ `game_save`
+     * ({ playerPosition, cameraMode, flyMode, config, timestamp }) в формат слотов.
+     * Настройки в сохранение не переносятся: ConfigManager хранит их отдельно
+     */
+    0: (save) => {
+        const position = save.playerPosition ? readLegacyVector(save.playerPosition) : null;
+        return {
+            version: 1,
+            slot: save.slot || 'legacy',
+            label: save.label || 'Legacy save',
+            timestamp: save.timestamp || Date.now(),
+            thumbnail: null,
+            data: {
+                game: {
+                    cameraMode: save.cameraMode || null,
+                    flyMode: !!save.flyMode
+                },
+                entities: position ? {
+                    player: {
+                        TransformComponent: { position, rotationY: 0 },
+                        Player: { verticalVelocity: 0 }
+                    }
+                } : {}
+            }
+        };
+    }
+};
+
+/**
+ * Приведение сохранения к текущей версии
+ * @param {Object} save - Сохранение любой поддерживаемой версии
+ * @returns {Object} Сохранение версии SAVE_VERSION
+ */
+export function migrateSave(save) {
+    let result = save;
+    let version = typeof result.version === 'number' ? result.version : 0;
+
+    if (version > SAVE_VERSION) {
+        throw new Error(`Save version ${version} is newer than supported version ${SAVE_VERSION}`);
+    }
+
+    while (version < SAVE_VERSION) {
+        const migrate = migrations[version];
+        if (!migrate) {
+            throw new Error(`No migration from save version ${version}`);
+        }
+        result = migrate(result);
+        version = result.version;
+        console.log(`🔁 Save migrated to version ${version}`);
+    }
+
+    return result;
+}
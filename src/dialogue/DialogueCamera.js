@@ -0,0 +1,164 @@
+/**
+ * Камера разговора
+ * На время диалога забирает кадр у CameraController: из позиции игровой
+ * камеры плавно переходит к плану "через плечо" слушателя на говорящего,
+ * при смене говорящего мягко перестраивает план, после разговора
+ * возвращается к игровой камере, которая все это время продолжает двигаться
+ */
+
+const easeInOut = t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+
+export class DialogueCamera {
+    constructor(scene, cameraController, configManager) {
+        this.scene = scene;
+        this.cameraController = cameraController;
+        this.config = configManager;
+
+        // null, 'in', 'hold', 'out'
+        this.phase = null;
+        this.time = 0;
+        this.from = null;
+        this.pose = null;
+        this.framing = null;
+
+        this.camera = new BABYLON.UniversalCamera('dialogueCamera', BABYLON.Vector3.Zero(), this.scene);
+        this.camera.inputs.clear();
+        this.camera.minZ = this.config.get('camera.nearPlane');
+    }
+
+    /**
+     * Начало разговора: кадр переходит к камере разговора
+     */
+    begin() {
+        if (!this.config.get('dialogue.camera.enabled')) return;
+
+        if (this.phase !== 'out') {
+            this.cameraController.setMouseControl(false);
+        }
+        this.from = this.pose || this.getCameraPose(this.cameraController.getCurrentCamera());
+        this.phase = 'in';
+        this.time = 0;
+        this.framing = null;
+        this.scene.activeCamera = this.camera;
+        this.applyPose(this.from);
+    }
+
+    /**
+     * План на говорящего через плечо слушателя
+     * @param {BABYLON.Vector3} speakerHead - Голова говорящего
+     * @param {BABYLON.Vector3} listenerHead - Голова слушателя
+     */
+    frame(speakerHead, listenerHead) {
+        if (!this.phase || this.phase === 'out') return;
+
+        const settings = this.config.get('dialogue.camera');
+        const forward = speakerHead.subtract(listenerHead);
+        forward.y = 0;
+        if (forward.lengthSquared() < 1e-6) {
+            forward.set(0, 0, 1);
+        }
+        forward.normalize();
+        const right = new BABYLON.Vector3(forward.z, 0, -forward.x);
+
+        this.framing = {
+            position: listenerHead
+                .subtract(forward.scale(settings.distance))
+                .addInPlace(right.scale(settings.side))
+                .addInPlaceFromFloats(0, settings.height, 0),
+            target: BABYLON.Vector3.Lerp(listenerHead, speakerHead, settings.focus),
+            fov: settings.fov
+        };
+    }
+
+    /**
+     * Покадровое обновление (после игровой камеры: к ней идет возврат)
+     * @param {number} deltaTime - Время кадра в секундах
+     */
+    update(deltaTime) {
+        if (!this.phase) return;
+
+        const settings = this.config.get('dialogue.camera');
+        this.time += deltaTime;
+
+        if (this.phase === 'out') {
+            const amount = settings.blendOut > 0 ? Math.min(1, this.time / settings.blendOut) : 1;
+            const target = this.getCameraPose(this.cameraController.getCurrentCamera());
+            this.pose = this.blendPoses(this.from, target, easeInOut(amount));
+            this.applyPose(this.pose);
+            if (amount >= 1) {
+                this.finish();
+            }
+            return;
+        }
+
+        if (!this.framing) return;
+        if (this.phase === 'in') {
+            const amount = settings.blendIn > 0 ? Math.min(1, this.time / settings.blendIn) : 1;
+            this.pose = this.blendPoses(this.from, this.framing, easeInOut(amount));
+            if (amount >= 1) {
+                this.phase = 'hold';
+            }
+        } else {
+            // Смена говорящего и движение собеседников - без рывков
+            this.pose = this.blendPoses(this.pose, this.framing, 1 - Math.exp(-settings.smoothing * deltaTime));
+        }
+        this.applyPose(this.pose);
+    }
+
+    /**
+     * Конец разговора: возврат к игровой камере
+     */
+    end() {
+        if (!this.phase || this.phase === 'out') return;
+
+        this.phase = 'out';
+        this.time = 0;
+        this.from = this.getCameraPose(this.camera);
+    }
+
+    isActive() {
+        return this.phase !== null;
+    }
+
+    finish() {
+        this.phase = null;
+        this.pose = null;
+        this.framing = null;
+        this.scene.activeCamera = this.cameraController.getCurrentCamera();
+        this.cameraController.setMouseControl(true);
+    }
+
+    /**
+     * Положение камеры (FOV в градусах)
+     */
+    getCameraPose(camera) {
+        // Орбитальная камера пересчитывает позицию только при построении матрицы вида
+        camera.getViewMatrix(true);
+        return {
+            position: camera.globalPosition.clone(),
+            target: camera.getTarget().clone(),
+            fov: BABYLON.Tools.ToDegrees(camera.fov)
+        };
+    }
+
+    blendPoses(from, to, amount) {
+        return {
+            position: BABYLON.Vector3.Lerp(from.position, to.position, amount),
+            target: BABYLON.Vector3.Lerp(from.target, to.target, amount),
+            fov: BABYLON.Scalar.Lerp(from.fov, to.fov, amount)
+        };
+    }
+
+    applyPose(pose) {
+        this.camera.position.copyFrom(pose.position);
+        this.camera.setTarget(pose.target);
+        this.camera.fov = BABYLON.Tools.ToRadians(pose.fov);
+    }
+
+    dispose() {
+        if (this.phase) {
+            this.finish();
+        }
+        this.camera.dispose();
+    }
+}
@@ -0,0 +1,199 @@
+/**
+ * Разговоры с NPC
+ * Графы из dialogue.files с игровыми условиями и действиями, текущий
+ * разговор, его панель в интерфейсе и камера разговора
+ */
+import { DialogueRegistry } from './DialogueRegistry.js';
+import { DialogueGraph } from './DialogueGraph.js';
+import { DialogueRunner } from './DialogueRunner.js';
+import { DialogueCamera } from './DialogueCamera.js';
+import { registerDialogueHooks } from './dialogueHooks.js';
+import { TransformComponent } from '../components/TransformComponent.js';
+import { InteractableComponent } from '../components/InteractableComponent.js';
+
+export class DialogueController {
+    /**
+     * @param {Game} game - Игра (камера, интерфейс, ввод, шина событий)
+     */
+    constructor(game) {
+        this.game = game;
+        this.config = game.configManager;
+
+        // Условия и действия диалогов (флаги - на общей доске)
+        this.registry = new DialogueRegistry();
+        registerDialogueHooks(this.registry, game);
+        this.graphs = new Map();
+        this.runner = null;
+
+        // Камера разговора: план на говорящего на время диалога
+        this.camera = new DialogueCamera(
+            game.scene.getScene(),
+            game.cameraController,
+            this.config
+        );
+    }
+
+    /**
+     * @returns {boolean} Идет ли разговор
+     */
+    isActive() {
+        return !!this.runner;
+    }
+
+    /**
+     * Граф диалога из dialogue.files (загружается один раз)
+     * @param {string} id - Идентификатор диалога
+     * @returns {Promise<DialogueGraph>}
+     */
+    async load(id) {
+        if (this.graphs.has(id)) {
+            return this.graphs.get(id);
+        }
+
+        const url = this.config.get(`dialogue.files.${id}`);
+        if (!url) {
+            throw new Error(`Dialogue '${id}' is not listed in dialogue.files`);
+        }
+
+        const definition = await this.game.assetManager.loadJSON(`dialogue_${id}`, url);
+        const graph = new DialogueGraph({ id, ...definition }, this.registry);
+        this.graphs.set(id, graph);
+        return graph;
+    }
+
+    /**
+     * Начало разговора с NPC
+     * @param {Entity} entity - Собеседник
+     * @param {string} id - Идентификатор диалога
+     * @param {string} speakerName - Имя собеседника для реплик без speaker
+     */
+    async start(entity, id, speakerName = entity.name) {
+        if (this.runner) return;
+
+        let graph;
+        try {
+            graph = await this.load(id);
+        } catch (error) {
+            console.warn(`⚠️ Dialogue '${id}' not available:`, error.message);
+            return;
+        }
+        // Пока граф загружался, мог начаться другой разговор
+        if (this.runner) return;
+
+        const game = this.game;
+        const runner = new DialogueRunner(graph, {
+            blackboard: game.worldBlackboard,
+            speaker: entity,
+            player: game.playerEntity,
+            speakerName
+        });
+        runner.onLineObservable.add((line) => {
+            game.uiManager.showDialogue(line, this.config.get('dialogue.charsPerSecond'));
+        });
+        runner.onEndObservable.add(() => {
+            this.finish();
+        });
+        this.runner = runner;
+
+        // Выбору ответа мышью нужен курсор
+        if (game.inputManager.getIsPointerLocked()) {
+            game.inputManager.exitPointerLock();
+        }
+        this.camera.begin();
+        game.events.emit('dialogue:started', { id, entity });
+        runner.start();
+    }
+
+    /**
+     * Продолжение разговора: дописать реплику, выбрать ответ или перейти дальше
+     */
+    confirm() {
+        const uiManager = this.game.uiManager;
+        if (!this.runner || uiManager.completeDialogueTyping()) return;
+
+        const line = this.runner.getLine();
+        if (line && line.choices.length > 0) {
+            this.runner.choose(uiManager.getDialogueSelection());
+        } else {
+            this.runner.advance();
+        }
+    }
+
+    /**
+     * Выбор варианта ответа щелчком
+     */
+    choose(index) {
+        if (this.runner) {
+            this.runner.choose(index);
+        }
+    }
+
+    /**
+     * Досрочное завершение разговора
+     */
+    end() {
+        if (this.runner) {
+            this.runner.end();
+        }
+    }
+
+    /**
+     * Разговор закончился: панель закрывается, камера возвращается к игре
+     */
+    finish() {
+        const runner = this.runner;
+        this.runner = null;
+
+        this.game.uiManager.hideDialogue();
+        this.camera.end();
+        this.game.events.emit('dialogue:ended', { id: runner.graph.id, entity: runner.context.speaker });
+        runner.dispose();
+    }
+
+    /**
+     * Печать реплики и план камеры на говорящего
+     * @param {number} frameTime - Время кадра в секундах
+     */
+    update(frameTime) {
+        const line = this.runner ? this.runner.getLine() : null;
+        if (line) {
+            this.game.uiManager.updateDialogue(frameTime);
+
+            // Реплику игрока снимаем через плечо собеседника, остальные - через плечо игрока
+            const partner = this.getHead(this.runner.context.speaker);
+            const player = this.getHead(this.game.playerEntity);
+            if (line.speaker === 'player') {
+                this.camera.frame(player, partner);
+            } else {
+                const other = line.speaker ? this.game.entities.findByName(line.speaker) : null;
+                this.camera.frame(other ? this.getHead(other) : partner, player);
+            }
+        }
+        this.camera.update(frameTime);
+    }
+
+    /**
+     * Точка головы участника разговора: точка прицеливания собеседника
+     * или уровень глаз игрока
+     */
+    getHead(entity) {
+        const player = this.game.player;
+        if (entity === this.game.playerEntity && player) {
+            return player.getRenderPosition().addInPlaceFromFloats(0, this.config.get('camera.firstPerson.eyeHeight'), 0);
+        }
+
+        const transform = entity ? entity.getComponent(TransformComponent) : null;
+        if (!transform) {
+            return player ? player.getRenderPosition() : BABYLON.Vector3.Zero();
+        }
+        const interactable = entity.getComponent(InteractableComponent);
+        return interactable ? interactable.getFocusPoint(transform, new BABYLON.Vector3()) : transform.position.clone();
+    }
+
+    dispose() {
+        if (this.runner) this.runner.dispose();
+        this.runner = null;
+        this.camera.dispose();
+        this.graphs.clear();
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * Граф диалога из JSON
+ *
+ * {
+ *   "id": "guard",
+ *   "speakers": { "guard": "Gate Guard", "player": "You" },
+ *   "entries": [
+ *     { "condition": { "type": "hasFlag", "key": "metGuard" }, "node": "welcomeBack" },
+ *     { "node": "greeting" }
+ *   ],
+ *   "nodes": {
+ *     "greeting": { "speaker": "guard", "text": "Halt!", "actions": [...], "next": "offer" },
+ *     "offer": { "text": "Need work?", "choices": [
+ *       { "text": "Yes", "condition": {...}, "actions": [...], "next": "accept" },
+ *       { "text": "Bye" }
+ *     ] },
+ *     "check": { "branches": [{ "condition": {...}, "next": "a" }, { "next": "b" }] }
+ *   }
+ * }
+ *
+ * Реплика (text) показывается игроку, развилка (branches) переходит к первой
+ * ветке с выполненным условием без реплики. Вход выбирается так же по entries
+ * (или start - id первого узла). Без speaker реплику говорит собеседник игрока,
+ * next: null или его отсутствие завершает разговор. actions узла выполняются
+ * при входе в узел, actions выбора - при выборе
+ */
+export class DialogueGraph {
+    /**
+     * @param {Object} definition - JSON-описание
+     * @param {DialogueRegistry} registry - Условия и действия по имени
+     */
+    constructor(definition, registry) {
+        this.id = definition.id || 'dialogue';
+        this.registry = registry;
+        this.speakers = { ...definition.speakers };
+
+        const nodes = definition.nodes || {};
+        if (Object.keys(nodes).length === 0) {
+            throw new Error(`Dialogue '${this.id}' has no nodes`);
+        }
+
+        this.nodes = new Map();
+        Object.entries(nodes).forEach(([id, node]) => {
+            this.nodes.set(id, this.normalizeNode(id, node));
+        });
+
+        const entries = definition.entries || [{ node: definition.start || Object.keys(nodes)[0] }];
+        this.entries = entries.map(entry => ({
+            condition: this.checkCondition(entry.condition || null),
+            next: entry.node
+        }));
+
+        // Ссылки проверяются после разбора всех узлов
+        this.entries.forEach(entry => this.checkLink(entry.next, 'entries'));
+        this.nodes.forEach(node => {
+            this.checkLink(node.next, node.id);
+            node.choices.forEach(choice => this.checkLink(choice.next, node.id));
+            node.branches.forEach(branch => this.checkLink(branch.next, node.id));
+        });
+    }
+
+    normalizeNode(id, node) {
+        const branches = (node.branches || []).map(branch => ({
+            condition: this.checkCondition(branch.condition || null),
+            next: branch.next || null
+        }));
+        if (node.text === undefined && branches.length === 0) {
+            throw new Error(`Dialogue node '${id}' in '${this.id}' needs text or branches`);
+        }
+
+        return {
+            id,
+            speaker: node.speaker || null,
+            text: node.text || '',
+            actions: this.checkActions(node.actions || []),
+            next: node.next || null,
+            choices: (node.choices || []).map(choice => ({
+                text: choice.text || '...',
+                condition: this.checkCondition(choice.condition || null),
+                actions: this.checkActions(choice.actions || []),
+                next: choice.next || null
+            })),
+            branches
+        };
+    }
+
+    checkCondition(condition) {
+        if (!condition) return null;
+        if (!this.registry.getCondition(condition.type)) {
+            throw new Error(`Unknown dialogue condition '${condition.type}' in '${this.id}'`);
+        }
+        // Составные условия проверяются вглубь
+        (condition.conditions || []).forEach(nested => this.checkCondition(nested));
+        if (condition.condition) {
+            this.checkCondition(condition.condition);
+        }
+        return condition;
+    }
+
+    checkActions(actions) {
+        actions.forEach(action => {
+            if (!this.registry.getAction(action.type)) {
+                throw new Error(`Unknown dialogue action '${action.type}' in '${this.id}'`);
+            }
+        });
+        return actions;
+    }
+
+    checkLink(next, from) {
+        if (next && !this.nodes.has(next)) {
+            throw new Error(`Dialogue '${this.id}' links '${from}' to unknown node '${next}'`);
+        }
+    }
+
+    getNode(id) {
+        return this.nodes.get(id) || null;
+    }
+
+    /**
+     * Имя говорящего для интерфейса
+     * @param {string} speaker - Идентификатор из описания узла
+     * @param {string} fallback - Имя собеседника (реплика без speaker)
+     */
+    getSpeakerName(speaker, fallback) {
+        if (!speaker) return fallback;
+        return this.speakers[speaker] || speaker;
+    }
+}
@@ -0,0 +1,101 @@
+/**
+ * Реестр условий и действий диалогов
+ * JSON-описание диалога ссылается на них по имени: { "type": "hasFlag", "key": "metGuard" }.
+ * Условие - функция (context, params) => boolean, действие - (context, params) => void.
+ * context - { blackboard, speaker, player } текущего разговора
+ */
+
+// Сравнения условия compare
+const COMPARISONS = {
+    '>': (a, b) => a > b,
+    '<': (a, b) => a < b,
+    '>=': (a, b) => a >= b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+export class DialogueRegistry {
+    constructor() {
+        this.actions = new Map();
+        this.conditions = new Map();
+        this.registerBuiltins();
+    }
+
+    /**
+     * Регистрация действия
+     * @param {string} name - Имя в описании диалога
+     * @param {Function} handler - (context, params) => void
+     */
+    registerAction(name, handler) {
+        if (typeof handler !== 'function') {
+            throw new Error(`Dialogue action '${name}' must be a function`);
+        }
+        this.actions.set(name, handler);
+    }
+
+    /**
+     * Регистрация условия
+     * @param {string} name - Имя в описании диалога
+     * @param {Function} handler - (context, params) => boolean
+     */
+    registerCondition(name, handler) {
+        if (typeof handler !== 'function') {
+            throw new Error(`Dialogue condition '${name}' must be a function`);
+        }
+        this.conditions.set(name, handler);
+    }
+
+    getAction(name) {
+        return this.actions.get(name) || null;
+    }
+
+    getCondition(name) {
+        return this.conditions.get(name) || null;
+    }
+
+    /**
+     * Проверка условия из описания (null - условия нет)
+     */
+    test(condition, context) {
+        if (!condition) return true;
+        return !!this.conditions.get(condition.type)(context, condition);
+    }
+
+    /**
+     * Выполнение списка действий из описания
+     */
+    run(actions, context) {
+        actions.forEach(action => this.actions.get(action.type)(context, action));
+    }
+
+    /**
+     * Встроенные условия и действия: флаги на доске и составные условия
+     */
+    registerBuiltins() {
+        this.registerAction('setFlag', (context, params) => {
+            context.blackboard.set(params.key, params.value !== undefined ? params.value : true);
+        });
+        this.registerAction('clearFlag', (context, params) => {
+            context.blackboard.delete(params.key);
+        });
+        this.registerAction('log', (context, params) => {
+            console.log(`💬 ${context.speaker ? context.speaker.name : 'dialogue'}: ${params.message}`);
+        });
+
+        this.registerCondition('hasFlag', (context, params) => {
+            const value = context.blackboard.get(params.key);
+            return value !== undefined && value !== null && value !== false;
+        });
+        this.registerCondition('compare', (context, params) => {
+            const compare = COMPARISONS[params.op];
+            if (!compare) {
+                throw new Error(`Unknown comparison '${params.op}'`);
+            }
+            return compare(context.blackboard.get(params.key), params.value);
+        });
+        this.registerCondition('all', (context, params) => params.conditions.every(condition => this.test(condition, context)));
+        this.registerCondition('any', (context, params) => params.conditions.some(condition => this.test(condition, context)));
+        this.registerCondition('not', (context, params) => !this.test(params.condition, context));
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * Прохождение графа диалога
+ * Один разговор: текущая реплика, доступные варианты ответа и переходы.
+ * Условия и действия выполняются в контексте { blackboard, speaker, player }
+ */
+
+// Наибольшее число переходов без реплики (защита от циклов развилок)
+const MAX_JUMPS = 64;
+
+export class DialogueRunner {
+    /**
+     * @param {DialogueGraph} graph - Граф диалога
+     * @param {Object} context - { blackboard, speaker, player, speakerName }
+     */
+    constructor(graph, context) {
+        this.graph = graph;
+        this.registry = graph.registry;
+        this.context = context;
+
+        this.node = null;
+        this.choices = [];
+        this.isActive = false;
+
+        // Подписчики получают реплику (см. getLine)
+        this.onLineObservable = new BABYLON.Observable();
+        // Подписчики получают { id }
+        this.onEndObservable = new BABYLON.Observable();
+    }
+
+    /**
+     * Начало разговора с первого подходящего входа
+     */
+    start() {
+        this.isActive = true;
+        this.enter(this.pick(this.graph.entries));
+    }
+
+    /**
+     * Переход к узлу: действия узла, затем реплика или развилка
+     * @param {string|null} id - Узел; null завершает разговор
+     */
+    enter(id) {
+        let node = id ? this.graph.getNode(id) : null;
+        for (let jumps = 0; node; jumps++) {
+            if (jumps >= MAX_JUMPS) {
+                throw new Error(`Dialogue '${this.graph.id}' loops through branches at '${node.id}'`);
+            }
+            this.registry.run(node.actions, this.context);
+            if (node.branches.length === 0) break;
+
+            const next = this.pick(node.branches);
+            node = next ? this.graph.getNode(next) : null;
+        }
+
+        if (!node || !this.isActive) {
+            this.end();
+            return;
+        }
+
+        this.node = node;
+        this.choices = node.choices.filter(choice => this.registry.test(choice.condition, this.context));
+        this.onLineObservable.notifyObservers(this.getLine());
+    }
+
+    /**
+     * Первая ветка с выполненным условием
+     * @returns {string|null} Следующий узел
+     */
+    pick(branches) {
+        const branch = branches.find(candidate => this.registry.test(candidate.condition, this.context));
+        return branch ? branch.next : null;
+    }
+
+    /**
+     * Текущая реплика
+     * @returns {Object|null} { id, speaker, name, text, choices: [текст] }
+     */
+    getLine() {
+        if (!this.node) return null;
+        return {
+            id: this.node.id,
+            speaker: this.node.speaker,
+            name: this.graph.getSpeakerName(this.node.speaker, this.context.speakerName),
+            text: this.node.text,
+            choices: this.choices.map(choice => choice.text)
+        };
+    }
+
+    /**
+     * Продолжение после реплики без вариантов ответа
+     * @returns {boolean} false, если реплика ждет выбора
+     */
+    advance() {
+        if (!this.node || this.choices.length > 0) return false;
+        this.enter(this.node.next);
+        return true;
+    }
+
+    /**
+     * Выбор варианта ответа
+     * @param {number} index - Индекс среди доступных вариантов
+     */
+    choose(index) {
+        const choice = this.choices[index];
+        if (!choice) return false;
+
+        this.registry.run(choice.actions, this.context);
+        this.enter(choice.next);
+        return true;
+    }
+
+    /**
+     * Завершение разговора (и досрочное)
+     */
+    end() {
+        if (!this.isActive) return;
+
+        this.isActive = false;
+        this.node = null;
+        this.choices = [];
+        this.onEndObservable.notifyObservers({ id: this.graph.id });
+    }
+
+    dispose() {
+        this.onLineObservable.clear();
+        this.onEndObservable.clear();
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * Условия и действия диалогов, связанные с игрой
+ * Предметы в инвентаре игрока, задания и уведомления. Флаги пишутся на общую
+ * доску мира встроенными действиями реестра
+ */
+import { InventoryComponent } from '../components/InventoryComponent.js';
+
+/**
+ * Регистрация игровых условий и действий
+ * @param {DialogueRegistry} registry - Реестр диалогов
+ * @param {Game} game - Игра (база предметов, задания, интерфейс)
+ */
+export function registerDialogueHooks(registry, game) {
+    const getInventory = context => context.player ? context.player.getComponent(InventoryComponent) : null;
+
+    // ===== Условия =====
+
+    // { item, count }
+    registry.registerCondition('hasItem', (context, params) => {
+        const inventory = getInventory(context);
+        return !!inventory && inventory.has(params.item, params.count || 1);
+    });
+
+    // { quest, status: inactive | active | completed }
+    registry.registerCondition('questStatus', (context, params) => {
+        return !!game.quests && game.quests.getStatus(params.quest) === params.status;
+    });
+
+    // { quest } - задание не начато и предварительные выполнены
+    registry.registerCondition('canStartQuest', (context, params) => {
+        return !!game.quests && game.quests.canStart(params.quest);
+    });
+
+    // ===== Действия =====
+
+    // { item, count } - не поместившееся в инвентарь пропадает с предупреждением
+    registry.registerAction('giveItem', (context, params) => {
+        const inventory = getInventory(context);
+        const item = game.itemDatabase ? game.itemDatabase.get(params.item) : null;
+        if (!inventory || !item) {
+            console.warn(`⚠️ Dialogue cannot give item '${params.item}'`);
+            return;
+        }
+
+        const count = params.count || 1;
+        const given = count - inventory.add(params.item, count);
+        if (given < count) {
+            console.warn(`⚠️ Dialogue item ${params.item} x${count - given} did not fit into inventory`);
+        }
+        if (given > 0) {
+            game.uiManager.showNotification(`Received ${item.name}${given > 1 ? ` x${given}` : ''}`);
+        }
+    });
+
+    // { item, count }
+    registry.registerAction('takeItem', (context, params) => {
+        const inventory = getInventory(context);
+        if (inventory) {
+            inventory.remove(params.item, params.count || 1);
+        }
+    });
+
+    // { quest }
+    registry.registerAction('startQuest', (context, params) => {
+        if (game.quests) {
+            game.quests.start(params.quest);
+        }
+    });
+
+    // { quest } - завершение задания, которое сдается разговором
+    registry.registerAction('completeQuest', (context, params) => {
+        if (game.quests) {
+            game.quests.complete(params.quest);
+        }
+    });
+
+    // { text }
+    registry.registerAction('notify', (context, params) => {
+        game.uiManager.showNotification(params.text);
+    });
+}
@@ -0,0 +1,32 @@
+/**
+ * Базовый класс компонента
+ * Компонент хранит данные одного аспекта сущности, логику выполняют системы
+ */
+export class Component {
+    constructor() {
+        this.entity = null;
+        this.enabled = true;
+    }
+    
+    /**
+     * Вызывается при добавлении компонента к сущности
+     * @param {Entity} entity - Сущность-владелец
+     */
+    onAttach(entity) {}
+    
+    /**
+     * Вызывается при удалении компонента или уничтожении сущности
+     */
+    onDetach() {}
+    
+    /*
+     * Компоненты с сохраняемым состоянием реализуют
+     *   serialize() -> данные в JSON-совместимом виде
+     *   deserialize(data) -> восстановление состояния
+     */
+    
+    /**
+     * Освобождение ресурсов компонента
+     */
+    dispose() {}
+}
@@ -0,0 +1,99 @@
+/**
+ * Сущность игрового мира
+ * Контейнер компонентов с идентификатором, именем и тегами
+ */
+export class Entity {
+    constructor(id, name = '', tags = []) {
+        this.id = id;
+        this.name = name || `entity_${id}`;
+        this.tags = new Set(tags);
+        this.world = null;
+        
+        // Компоненты по классу: одна сущность - не больше одного компонента каждого типа
+        this.components = new Map();
+        
+        this.isSpawned = false;
+        this.isDestroyed = false;
+    }
+    
+    /**
+     * Добавление компонента
+     * @param {Component} component - Экземпляр компонента
+     * @returns {Component} Добавленный компонент
+     */
+    addComponent(component) {
+        const type = component.constructor;
+        if (this.components.has(type)) {
+            throw new Error(`Entity '${this.name}' already has component ${type.name}`);
+        }
+        
+        this.components.set(type, component);
+        component.entity = this;
+        component.onAttach(this);
+        return component;
+    }
+    
+    /**
+     * Получение компонента по классу
+     * @param {Function} type - Класс компонента
+     * @returns {Component|null}
+     */
+    getComponent(type) {
+        return this.components.get(type) || null;
+    }
+    
+    /**
+     * Проверка наличия всех указанных компонентов
+     * @param {...Function} types - Классы компонентов
+     */
+    hasComponents(...types) {
+        return types.every(type => this.components.has(type));
+    }
+    
+    /**
+     * Удаление компонента
+     * @param {Function} type - Класс компонента
+     */
+    removeComponent(type) {
+        const component = this.components.get(type);
+        if (!component) return;
+        
+        component.onDetach();
+        component.dispose();
+        component.entity = null;
+        this.components.delete(type);
+    }
+    
+    /**
+     * Работа с тегами
+     */
+    addTag(tag) {
+        this.tags.add(tag);
+    }
+    
+    removeTag(tag) {
+        this.tags.delete(tag);
+    }
+    
+    hasTag(tag) {
+        return this.tags.has(tag);
+    }
+    
+    /**
+     * Уничтожение сущности (откладывается до конца тика, если мир обновляется)
+     */
+    destroy() {
+        if (this.world) {
+            this.world.destroyEntity(this);
+        } else {
+            this.disposeComponents();
+        }
+    }
+    
+    /**
+     * Освобождение всех компонентов в обратном порядке добавления
+     */
+    disposeComponents() {
+        Array.from(this.components.keys()).reverse().forEach(type => this.removeComponent(type));
+    }
+}
@@ -0,0 +1,271 @@
+/**
+ * Мир сущностей
+ * Хранит сущности и системы, выполняет системы в порядке приоритета.
+ * Создание и уничтожение сущностей во время тика откладываются до его конца,
+ * чтобы системы не видели наполовину обработанный набор сущностей
+ */
+import { Entity } from './Entity.js';
+
+export class EntityWorld {
+    constructor() {
+        this.entities = new Map();
+        this.systems = [];
+        this.nextId = 1;
+        
+        this.isUpdating = false;
+        this.pendingSpawn = [];
+        this.pendingDestroy = [];
+        
+        console.log('🧩 Entity world initialized');
+    }
+    
+    /**
+     * Создание сущности
+     * @param {string} name - Имя сущности
+     * @param {string[]} tags - Теги для поиска
+     * @returns {Entity} Сущность (во время тика появится в мире в конце тика)
+     */
+    createEntity(name = '', tags = []) {
+        const entity = new Entity(this.nextId++, name, tags);
+        entity.world = this;
+        
+        if (this.isUpdating) {
+            this.pendingSpawn.push(entity);
+        } else {
+            this.spawn(entity);
+        }
+        return entity;
+    }
+    
+    /**
+     * Уничтожение сущности
+     * @param {Entity} entity - Сущность
+     */
+    destroyEntity(entity) {
+        if (!entity || entity.isDestroyed) return;
+        
+        // Сразу исключаем из запросов, компоненты освобождаем после тика
+        entity.isDestroyed = true;
+        if (this.isUpdating) {
+            this.pendingDestroy.push(entity);
+        } else {
+            this.remove(entity);
+        }
+    }
+    
+    spawn(entity) {
+        if (entity.isDestroyed) {
+            // Уничтожена до появления
+            entity.disposeComponents();
+            return;
+        }
+        this.entities.set(entity.id, entity);
+        entity.isSpawned = true;
+    }
+    
+    remove(entity) {
+        this.entities.delete(entity.id);
+        entity.isSpawned = false;
+        entity.disposeComponents();
+        entity.world = null;
+    }
+    
+    /**
+     * Применение отложенных созданий и уничтожений
+     */
+    flush() {
+        while (this.pendingSpawn.length > 0 || this.pendingDestroy.length > 0) {
+            const spawned = this.pendingSpawn.splice(0);
+            spawned.forEach(entity => this.spawn(entity));
+            
+            const destroyed = this.pendingDestroy.splice(0);
+            destroyed.forEach(entity => this.remove(entity));
+        }
+    }
+    
+    /**
+     * Поиск сущности по идентификатору
+     * @param {number} id - Идентификатор
+     */
+    getEntity(id) {
+        return this.entities.get(id) || null;
+    }
+    
+    /**
+     * Поиск первой сущности по имени
+     * @param {string} name - Имя сущности
+     */
+    findByName(name) {
+        for (const entity of this.entities.values()) {
+            if (!entity.isDestroyed && entity.name === name) {
+                return entity;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Поиск первой сущности с тегом
+     * @param {string} tag - Тег
+     */
+    findByTag(tag) {
+        for (const entity of this.entities.values()) {
+            if (!entity.isDestroyed && entity.hasTag(tag)) {
+                return entity;
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Все сущности с тегом
+     * @param {string} tag - Тег
+     */
+    getEntitiesByTag(tag) {
+        return this.getEntities().filter(entity => entity.hasTag(tag));
+    }
+    
+    /**
+     * Живые сущности с указанным набором компонентов
+     * @param {...Function} types - Классы компонентов
+     * @returns {Entity[]}
+     */
+    query(...types) {
+        return this.getEntities().filter(entity => entity.hasComponents(...types));
+    }
+    
+    /**
+     * Все живые сущности
+     */
+    getEntities() {
+        return Array.from(this.entities.values()).filter(entity => !entity.isDestroyed);
+    }
+    
+    /**
+     * Добавление системы
+     * @param {System} system - Система
+     * @returns {System} Добавленная система
+     */
+    addSystem(system) {
+        this.systems.push(system);
+        // Стабильная сортировка сохраняет порядок добавления при равных приоритетах
+        this.systems.sort((a, b) => a.priority - b.priority);
+        system.onAttach(this);
+        return system;
+    }
+    
+    /**
+     * Получение системы по классу
+     * @param {Function} type - Класс системы
+     */
+    getSystem(type) {
+        return this.systems.find(system => system instanceof type) || null;
+    }
+    
+    /**
+     * Удаление системы
+     * @param {System} system - Система
+     */
+    removeSystem(system) {
+        const index = this.systems.indexOf(system);
+        if (index !== -1) {
+            this.systems.splice(index, 1);
+            system.dispose();
+        }
+    }
+    
+    /**
+     * Шаг симуляции фиксированной длины
+     * @param {number} step - Длина шага в секундах
+     */
+    fixedUpdate(step) {
+        this.runSystems(system => system.fixedUpdate(step));
+    }
+    
+    /**
+     * Покадровое обновление
+     * @param {number} frameTime - Время кадра в секундах
+     * @param {number} alpha - Доля шага симуляции для интерполяции
+     */
+    update(frameTime, alpha) {
+        this.runSystems(system => system.update(frameTime, alpha));
+    }
+    
+    runSystems(callback) {
+        this.isUpdating = true;
+        try {
+            this.systems.forEach(system => {
+                if (system.enabled) {
+                    callback(system);
+                }
+            });
+        } finally {
+            this.isUpdating = false;
+            this.flush();
+        }
+    }
+    
+    /**
+     * Сериализация состояния сущностей по именам
+     * @returns {Object} { имяСущности: { ИмяКомпонента: данные } }
+     */
+    serialize() {
+        const data = {};
+        this.getEntities().forEach(entity => {
+            const components = {};
+            entity.components.forEach((component, type) => {
+                if (component.serialize) {
+                    components[type.name] = component.serialize();
+                }
+            });
+            if (Object.keys(components).length === 0) return;
+            
+            if (entity.name in data) {
+                console.warn(`⚠️ Duplicate entity name '${entity.name}', state not saved`);
+                return;
+            }
+            data[entity.name] = components;
+        });
+        return data;
+    }
+    
+    /**
+     * Восстановление состояния существующих сущностей
+     * Компоненты применяются в порядке добавления, сущности без данных не меняются
+     * @param {Object} data - Результат serialize()
+     */
+    deserialize(data) {
+        Object.entries(data || {}).forEach(([name, components]) => {
+            const entity = this.findByName(name);
+            if (!entity) return;
+            
+            entity.components.forEach((component, type) => {
+                if (component.deserialize && components[type.name]) {
+                    component.deserialize(components[type.name]);
+                }
+            });
+        });
+    }
+    
+    /**
+     * Количество живых сущностей
+     */
+    getEntityCount() {
+        return this.getEntities().length;
+    }
+    
+    /**
+     * Освобождение ресурсов
+     */
+    dispose() {
+        this.pendingSpawn.forEach(entity => entity.disposeComponents());
+        this.pendingSpawn = [];
+        this.pendingDestroy = [];
+        
+        Array.from(this.entities.values()).forEach(entity => this.remove(entity));
+        this.systems.forEach(system => system.dispose());
+        this.systems = [];
+        
+        console.log('🗑️ Entity world disposed');
+    }
+}
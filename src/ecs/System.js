@@ -0,0 +1,41 @@
+/**
+ * Базовый класс системы
+ * Системы обрабатывают сущности с нужным набором компонентов.
+ * fixedUpdate вызывается на каждом шаге симуляции, update - раз в кадр
+ */
+export class System {
+    /**
+     * @param {number} priority - Порядок выполнения (меньше - раньше)
+     */
+    constructor(priority = 0) {
+        this.world = null;
+        this.priority = priority;
+        this.enabled = true;
+    }
+    
+    /**
+     * Вызывается при добавлении системы в мир
+     * @param {EntityWorld} world - Мир сущностей
+     */
+    onAttach(world) {
+        this.world = world;
+    }
+    
+    /**
+     * Шаг симуляции фиксированной длины
+     * @param {number} step - Длина шага в секундах
+     */
+    fixedUpdate(step) {}
+    
+    /**
+     * Покадровое обновление (интерполяция, визуальные эффекты)
+     * @param {number} frameTime - Время кадра в секундах
+     * @param {number} alpha - Доля шага симуляции для интерполяции (0..1)
+     */
+    update(frameTime, alpha) {}
+    
+    /**
+     * Освобождение ресурсов
+     */
+    dispose() {}
+}
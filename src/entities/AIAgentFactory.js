@@ -0,0 +1,151 @@
+/**
+ * Создание NPC из раздела ai.agents
+ * Сущность с агентом навигации, здоровьем, моделью (или капсулой),
+ * разговором и деревом поведения по описанию агента
+ */
+import { TransformComponent } from '../components/TransformComponent.js';
+import { HealthComponent } from '../components/HealthComponent.js';
+import { MeshComponent } from '../components/MeshComponent.js';
+import { AnimatorComponent } from '../components/AnimatorComponent.js';
+import { AIAgentComponent } from '../components/AIAgentComponent.js';
+import { BehaviorTreeComponent } from '../components/BehaviorTreeComponent.js';
+import { Blackboard } from '../behavior/Blackboard.js';
+
+export class AIAgentFactory {
+    /**
+     * @param {Game} game - Игра (мир сущностей, ресурсы, шина событий)
+     */
+    constructor(game) {
+        this.game = game;
+    }
+
+    /**
+     * Создание всех NPC; ошибка одного агента не мешает остальным
+     */
+    async createAll() {
+        const settings = this.game.configManager.get('ai');
+        for (const definition of settings.agents) {
+            try {
+                await this.create(definition, settings.defaults);
+            } catch (error) {
+                console.error(`❌ Failed to create AI agent '${definition.id}':`, error);
+            }
+        }
+    }
+
+    /**
+     * Создание NPC
+     * @param {Object} definition - Описание из ai.agents (переопределяет defaults)
+     * @param {Object} defaults - Раздел ai.defaults
+     * @returns {Promise<Entity>}
+     */
+    async create(definition, defaults) {
+        const game = this.game;
+        const options = {
+            ...defaults,
+            ...definition,
+            model: definition.model === undefined ? defaults.model : definition.model,
+            speeds: { ...defaults.speeds, ...definition.speeds },
+            perception: { ...defaults.perception, ...definition.perception }
+        };
+        const scale = game.scaleFactor;
+        const position = BABYLON.Vector3.FromArray(options.position || [0, 0, 0]);
+
+        const entity = game.entities.createEntity(options.id, ['npc', ...(options.tags || [])]);
+        entity.addComponent(new TransformComponent(position));
+        const health = entity.addComponent(new HealthComponent(options.maxHealth));
+        health.onDeathObservable.add(() => {
+            game.events.emit('entity:killed', { id: entity.name, tags: Array.from(entity.tags), entity });
+        });
+        entity.addComponent(new AIAgentComponent({
+            home: options.home ? BABYLON.Vector3.FromArray(options.home) : null,
+            patrol: (options.patrol || []).map(point => BABYLON.Vector3.FromArray(point)),
+            perception: {
+                sightRange: options.perception.sightRange * scale,
+                sightAngle: options.perception.sightAngle,
+                hearingRadius: options.perception.hearingRadius * scale,
+                eyeHeight: options.perception.eyeHeight * scale
+            },
+            speeds: {
+                patrol: options.speeds.patrol * scale,
+                chase: options.speeds.chase * scale,
+                flee: options.speeds.flee * scale,
+                return: options.speeds.return * scale
+            },
+            radius: options.radius * scale,
+            waypointWait: options.waypointWait,
+            loseTargetTime: options.loseTargetTime,
+            leashDistance: options.leashDistance * scale,
+            stopDistance: options.stopDistance * scale,
+            fleeHealth: options.fleeHealth,
+            fleeDistance: options.fleeDistance * scale
+        }));
+
+        // Корень NPC стоит ногами в позиции сущности
+        const scene = game.scene.getScene();
+        const root = new BABYLON.Mesh(`npc_${options.id}`, scene);
+        root.position.copyFrom(position);
+        entity.addComponent(new MeshComponent(root));
+
+        const model = options.model ? await this.createModel(options, root) : null;
+        if (model) {
+            entity.addComponent(new AnimatorComponent(model.animator));
+        } else {
+            const capsule = BABYLON.MeshBuilder.CreateCapsule(`npc_${options.id}_capsule`, {
+                height: options.height * scale,
+                radius: options.radius * scale
+            }, scene);
+            capsule.position.y = options.height * scale / 2;
+            capsule.isPickable = false;
+            capsule.parent = root;
+        }
+
+        if (options.talk) {
+            game.interactables.addTalkInteraction(entity, options);
+        }
+
+        // Без дерева поведения состояния переключает сама AISystem
+        if (options.behavior) {
+            try {
+                const tree = await game.behaviorTrees.get(options.behavior);
+                entity.addComponent(new BehaviorTreeComponent(tree, new Blackboard(game.worldBlackboard)));
+            } catch (error) {
+                console.warn(`⚠️ AI agent '${options.id}' behavior tree not loaded, using built-in states:`, error.message);
+            }
+        }
+
+        console.log(`🤖 AI agent '${options.id}' created`);
+        return entity;
+    }
+
+    /**
+     * Копия модели персонажа для NPC с собственным аниматором
+     * @returns {Promise<Object|null>} { animator } или null, если модель не загрузилась
+     */
+    async createModel(options, root) {
+        let container;
+        try {
+            container = await this.game.assetManager.loadContainer(`ai_model_${options.model.path}`, options.model.path);
+        } catch (error) {
+            console.warn(`⚠️ AI agent '${options.id}' model not loaded, using capsule`);
+            return null;
+        }
+
+        // Имена сохраняются: аниматор ищет клипы и кости по именам из модели
+        const instance = container.instantiateModelsToScene(name => name, false, { doNotInstantiate: true });
+        const modelRoot = instance.rootNodes[0];
+        modelRoot.computeWorldMatrix(true);
+        const { min, max } = modelRoot.getHierarchyBoundingVectors(true);
+        const scale = options.height * this.game.scaleFactor / Math.max(max.y - min.y, 1e-3);
+        modelRoot.scaling.scaleInPlace(scale);
+        modelRoot.position.set(0, -min.y * scale, 0);
+        modelRoot.rotation.y = BABYLON.Tools.ToRadians(options.model.rotationY || 0);
+        modelRoot.parent = root;
+        modelRoot.getChildMeshes().forEach(mesh => {
+            mesh.isPickable = false;
+        });
+
+        const animator = await this.game.createAnimator(options.model.animator, instance.animationGroups);
+        return { animator };
+    }
+}
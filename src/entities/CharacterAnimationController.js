@@ -0,0 +1,161 @@
+/**
+ * Управление анимациями модели игрока
+ * Состояние движения выбирает клип, а на земле клипы покоя, ходьбы и бега
+ * смешиваются по скорости. Все используемые клипы проигрываются одновременно,
+ * меняются только их веса: переход между клипами - плавное перетекание весов
+ */
+
+// Состояние игрока -> логический клип (имена клипов модели задает player.model.clips)
+const STATE_CLIPS = {
+    Idle: 'locomotion',
+    Walk: 'locomotion',
+    Run: 'locomotion',
+    Crouch: 'crouch',
+    Slide: 'crouch',
+    Jump: 'jump',
+    Fall: 'fall',
+    Land: 'land',
+    Fly: 'fly',
+    Swim: 'swim',
+    Mantle: 'mantle'
+};
+
+// Клипы, которые при входе в состояние начинаются с первого кадра
+const ONE_SHOT_CLIPS = ['jump', 'land', 'mantle'];
+
+export class CharacterAnimationController {
+    /**
+     * @param {BABYLON.AnimationGroup[]} animationGroups - Клипы модели
+     * @param {Object} settings - Раздел player.model
+     * @param {number} scaleFactor - Масштаб скоростей из настроек
+     */
+    constructor(animationGroups, settings, scaleFactor) {
+        this.settings = settings;
+        this.scaleFactor = scaleFactor;
+
+        // Логический клип -> группа анимации; несколько клипов могут делить одну группу
+        this.clips = {};
+        const findGroup = (name) => animationGroups.find(group => group.name === name);
+        const idle = findGroup(settings.clips.idle);
+        Object.keys(settings.clips).forEach(clip => {
+            const group = findGroup(settings.clips[clip]);
+            if (!group) {
+                console.warn(`⚠️ Animation clip '${settings.clips[clip]}' (${clip}) not found, using idle`);
+            }
+            this.clips[clip] = group || idle;
+        });
+
+        // Текущие веса групп; неиспользуемые клипы модели не проигрываются
+        this.groups = [...new Set(Object.values(this.clips))].filter(group => group);
+        this.weights = new Map(this.groups.map(group => [group, group === idle ? 1 : 0]));
+        animationGroups.forEach(group => {
+            group.stop();
+        });
+        this.groups.forEach(group => {
+            group.start(true);
+            group.setWeightForAllAnimatables(this.weights.get(group));
+        });
+
+        this.state = null;
+    }
+
+    /**
+     * Покадровое обновление весов
+     * @param {string} state - Состояние движения игрока
+     * @param {number} speed - Горизонтальная скорость игрока (ед/с)
+     * @param {number} deltaTime - Время кадра
+     */
+    update(state, speed, deltaTime) {
+        if (this.groups.length === 0) return;
+
+        const clip = STATE_CLIPS[state] || 'locomotion';
+        if (state !== this.state) {
+            this.state = state;
+            const group = this.clips[clip];
+            if (ONE_SHOT_CLIPS.includes(clip) && group) {
+                group.goToFrame(group.from);
+            }
+        }
+
+        // Целевые веса групп
+        const targets = new Map(this.groups.map(group => [group, 0]));
+        const addTarget = (name, weight) => {
+            const group = this.clips[name];
+            if (group) {
+                targets.set(group, targets.get(group) + weight);
+            }
+        };
+        if (clip === 'locomotion') {
+            this.getLocomotionWeights(speed).forEach(([name, weight]) => addTarget(name, weight));
+        } else {
+            addTarget(clip, 1);
+        }
+
+        // Веса приближаются к целевым за blendTime; сумма приводится к 1,
+        // иначе поза смешивается с исходной позой модели
+        const step = Math.min(1, deltaTime / Math.max(this.settings.blendTime, 1e-3));
+        let total = 0;
+        this.weights.forEach((weight, group) => {
+            const next = weight + BABYLON.Scalar.Clamp(targets.get(group) - weight, -step, step);
+            this.weights.set(group, next);
+            total += next;
+        });
+        this.weights.forEach((weight, group) => {
+            group.setWeightForAllAnimatables(total > 0 ? weight / total : 0);
+        });
+
+        this.updateSpeedRatios(clip, speed);
+    }
+
+    /**
+     * Смешивание покоя, ходьбы и бега по скорости
+     * @returns {Array} Пары [клип, вес]
+     */
+    getLocomotionWeights(speed) {
+        const walkSpeed = this.settings.walkSpeed * this.scaleFactor;
+        const runSpeed = Math.max(this.settings.runSpeed * this.scaleFactor, walkSpeed + 1e-3);
+
+        if (speed <= walkSpeed) {
+            const t = walkSpeed > 0 ? speed / walkSpeed : 1;
+            return [['idle', 1 - t], ['walk', t]];
+        }
+        const t = Math.min(1, (speed - walkSpeed) / (runSpeed - walkSpeed));
+        return [['walk', 1 - t], ['run', t]];
+    }
+
+    /**
+     * Темп шагов по фактической скорости, чтобы ноги не скользили по земле
+     */
+    updateSpeedRatios(clip, speed) {
+        const walk = this.clips.walk;
+        const run = this.clips.run;
+        const locomotion = clip === 'locomotion';
+
+        if (walk && walk !== this.clips.idle) {
+            walk.speedRatio = locomotion
+                ? BABYLON.Scalar.Clamp(speed / (this.settings.walkSpeed * this.scaleFactor), 0.5, 2)
+                : 1;
+        }
+        if (run && run !== this.clips.idle && run !== walk) {
+            run.speedRatio = locomotion
+                ? BABYLON.Scalar.Clamp(speed / (this.settings.runSpeed * this.scaleFactor), 0.5, 2)
+                : 1;
+        }
+    }
+
+    /**
+     * Обновление настроек (имена клипов применяются при следующей загрузке модели)
+     * @param {Object} settings - Раздел player.model
+     */
+    updateFromConfig(settings) {
+        this.settings = settings;
+    }
+
+    dispose() {
+        this.groups.forEach(group => {
+            group.stop();
+        });
+        this.groups = [];
+        this.weights.clear();
+    }
+}
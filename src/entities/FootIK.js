@@ -0,0 +1,173 @@
+/**
+ * Постановка ног скелетной модели на неровную землю (foot IK)
+ * После анимации для каждой ноги луч вниз находит землю под стопой. Таз
+ * опускается к самой низкой опоре, а каждая нога решением двухзвенной IK
+ * (бедро - голень) дотягивается до своей. Работает с узлами TransformNode,
+ * к которым glTF привязывает кости скелета
+ */
+
+/**
+ * Пересчет мировых матриц узла и всех его предков (сверху вниз)
+ */
+function computeChain(node) {
+    if (node.parent) {
+        computeChain(node.parent);
+    }
+    node.computeWorldMatrix(true);
+}
+
+/**
+ * Поворот узла, переводящий мировое направление from в to
+ * Кратчайшая дуга строится в пространстве родителя, поэтому отражение
+ * в иерархии (у корня glTF масштаб z = -1) не меняет направление поворота
+ */
+function rotateTowards(node, from, to) {
+    const inverseParent = node.parent.getWorldMatrix().clone().invert();
+    const a = BABYLON.Vector3.TransformNormal(from, inverseParent).normalize();
+    const b = BABYLON.Vector3.TransformNormal(to, inverseParent).normalize();
+    const delta = new BABYLON.Quaternion();
+    BABYLON.Quaternion.FromUnitVectorsToRef(a, b, delta);
+
+    if (!node.rotationQuaternion) {
+        node.rotationQuaternion = BABYLON.Quaternion.FromEulerVector(node.rotation);
+    }
+    node.rotationQuaternion = delta.multiply(node.rotationQuaternion);
+}
+
+/**
+ * Поворот вектора вокруг оси (формула Родрига)
+ */
+function rotateAroundAxis(vector, axis, angle) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    return vector.scale(cos)
+        .addInPlace(BABYLON.Vector3.Cross(axis, vector).scaleInPlace(sin))
+        .addInPlace(axis.scale(BABYLON.Vector3.Dot(axis, vector) * (1 - cos)));
+}
+
+export class FootIK {
+    /**
+     * @param {BABYLON.TransformNode} root - Корень модели (опускается вместе с тазом)
+     * @param {BABYLON.TransformNode[]} nodes - Узлы модели
+     * @param {Object} settings - Раздел player.model.footIK
+     * @param {CollisionWorld} collisionWorld - Мир коллизий для поиска земли
+     * @param {number} scaleFactor - Масштаб расстояний из настроек
+     */
+    constructor(root, nodes, settings, collisionWorld, scaleFactor) {
+        this.root = root;
+        this.settings = settings;
+        this.collisionWorld = collisionWorld;
+        this.scaleFactor = scaleFactor;
+
+        const findNode = (name) => nodes.find(node => node.name === name);
+        this.legs = settings.legs
+            .map(leg => ({
+                upper: findNode(leg.upper),
+                lower: findNode(leg.lower),
+                foot: findNode(leg.foot),
+                offset: 0
+            }))
+            .filter(leg => leg.upper && leg.lower && leg.foot);
+
+        if (this.legs.length !== settings.legs.length) {
+            console.warn('⚠️ Foot IK: some leg bones were not found in the model');
+        }
+
+        this.weight = 0;
+        this.pelvisOffset = 0;
+    }
+
+    /**
+     * Обновление после анимации
+     * @param {number} floorY - Высота подошвы капсулы (опора по анимации)
+     * @param {boolean} enabled - Ноги ставятся только в наземных состояниях
+     * @param {number} deltaTime - Время кадра
+     */
+    update(floorY, enabled, deltaTime) {
+        if (!this.collisionWorld || this.legs.length === 0) return;
+
+        const settings = this.settings;
+        const maxAdjust = settings.maxAdjust * this.scaleFactor;
+        const rayHeight = settings.rayHeight * this.scaleFactor;
+        const blend = Math.min(1, deltaTime / Math.max(settings.blendTime, 1e-3));
+        const smoothing = 1 - Math.pow(1 - settings.smoothing, deltaTime * 60);
+
+        this.weight += BABYLON.Scalar.Clamp((enabled ? 1 : 0) - this.weight, -blend, blend);
+
+        // Смещение опоры каждой стопы относительно подошвы капсулы
+        computeChain(this.root);
+        let lowest = 0;
+        this.legs.forEach(leg => {
+            computeChain(leg.foot);
+            const foot = leg.foot.getAbsolutePosition();
+            const origin = new BABYLON.Vector3(foot.x, floorY + rayHeight, foot.z);
+            const hit = this.collisionWorld.raycast(origin, new BABYLON.Vector3(0, -1, 0), rayHeight + maxAdjust);
+
+            // Без опоры в пределах досягаемости (край уступа) стопа остается как в анимации
+            const target = hit.hit ? BABYLON.Scalar.Clamp(rayHeight - hit.distance, -maxAdjust, maxAdjust) : 0;
+            leg.offset += (target - leg.offset) * smoothing;
+            lowest = Math.min(lowest, leg.offset);
+        });
+
+        // Таз опускается к нижней опоре, иначе до нее не дотянуться
+        this.pelvisOffset += (lowest * this.weight - this.pelvisOffset) * smoothing;
+        this.root.position.y = this.pelvisOffset;
+        if (this.weight <= 0) return;
+
+        computeChain(this.root);
+        this.legs.forEach(leg => {
+            this.solveLeg(leg, leg.offset * this.weight - this.pelvisOffset);
+        });
+    }
+
+    /**
+     * Двухзвенная IK: сгиб колена дает нужную длину ноги, поворот бедра
+     * направляет ее на цель
+     * @param {Object} leg - { upper, lower, foot }
+     * @param {number} lift - Подъем стопы относительно анимации
+     */
+    solveLeg(leg, lift) {
+        if (Math.abs(lift) < 1e-4) return;
+
+        computeChain(leg.foot);
+        computeChain(leg.lower);
+        const hip = leg.upper.getAbsolutePosition().clone();
+        const knee = leg.lower.getAbsolutePosition().clone();
+        const foot = leg.foot.getAbsolutePosition().clone();
+        const target = foot.add(new BABYLON.Vector3(0, lift, 0));
+
+        const upperLength = BABYLON.Vector3.Distance(hip, knee);
+        const lowerLength = BABYLON.Vector3.Distance(knee, foot);
+        const targetLength = BABYLON.Scalar.Clamp(
+            BABYLON.Vector3.Distance(hip, target),
+            Math.abs(upperLength - lowerLength) + 1e-4,
+            (upperLength + lowerLength) * 0.999
+        );
+
+        // Колено: внутренний угол по теореме косинусов
+        const toHip = hip.subtract(knee);
+        let toFoot = foot.subtract(knee);
+        const axis = BABYLON.Vector3.Cross(toHip, toFoot);
+        if (axis.lengthSquared() > 1e-10) {
+            axis.normalize();
+            const current = Math.acos(BABYLON.Scalar.Clamp(
+                BABYLON.Vector3.Dot(toHip.normalizeToNew(), toFoot.normalizeToNew()), -1, 1
+            ));
+            const desired = Math.acos(BABYLON.Scalar.Clamp(
+                (upperLength * upperLength + lowerLength * lowerLength - targetLength * targetLength) /
+                (2 * upperLength * lowerLength), -1, 1
+            ));
+            const bent = rotateAroundAxis(toFoot, axis, desired - current);
+            rotateTowards(leg.lower, toFoot, bent);
+            toFoot = bent;
+        }
+
+        // Бедро: нога целиком на цель (колено при повороте самого колена не сдвигается)
+        rotateTowards(leg.upper, knee.add(toFoot).subtract(hip), target.subtract(hip));
+
+        // Стопа, не входящая в цепочку ноги (IK-кость рига), переносится отдельно
+        if (leg.foot.parent !== leg.lower) {
+            leg.foot.setAbsolutePosition(target);
+        }
+    }
+}
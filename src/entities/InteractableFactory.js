@@ -0,0 +1,299 @@
+/**
+ * Объекты взаимодействия
+ * Компоненты взаимодействия с умолчаниями из раздела interaction, двери,
+ * рычаги и предметы из interaction.objects, разговор с NPC
+ */
+import { TransformComponent } from '../components/TransformComponent.js';
+import { MeshComponent } from '../components/MeshComponent.js';
+import { ScriptComponent } from '../components/ScriptComponent.js';
+import { InventoryComponent } from '../components/InventoryComponent.js';
+import { InteractableComponent } from '../components/InteractableComponent.js';
+
+export class InteractableFactory {
+    /**
+     * @param {Game} game - Игра (мир сущностей, коллизии, инвентарь, интерфейс)
+     */
+    constructor(game) {
+        this.game = game;
+    }
+
+    /**
+     * Компонент взаимодействия с умолчаниями из раздела interaction
+     * @param {string} type - Вид объекта (ключ interaction.priorities)
+     * @param {Object} definition - Описание объекта: prompt, radius, priority, holdTime, once переопределяют умолчания
+     * @param {Object} options - Параметры вида объекта (prompt, offset, size, state)
+     * @returns {InteractableComponent}
+     */
+    create(type, definition, options = {}) {
+        const game = this.game;
+        const settings = game.configManager.get('interaction');
+        return new InteractableComponent({
+            ...options,
+            type,
+            prompt: definition.prompt || options.prompt,
+            radius: (definition.radius || settings.radius) * game.scaleFactor,
+            priority: definition.priority !== undefined ? definition.priority : settings.priorities[type] || 0,
+            holdTime: definition.holdTime !== undefined ? definition.holdTime : options.holdTime,
+            once: definition.once
+        });
+    }
+
+    /**
+     * Объекты взаимодействия из interaction.objects
+     * Рычаги ищут свои двери по id, поэтому создаются после дверей
+     */
+    createAll() {
+        const objects = this.game.configManager.get('interaction.objects');
+        const creators = {
+            door: definition => this.createDoor(definition),
+            pickup: definition => this.createPickup(definition),
+            switch: definition => this.createSwitch(definition)
+        };
+
+        ['door', 'pickup', 'switch'].forEach(type => {
+            objects.filter(definition => definition.type === type).forEach(definition => {
+                try {
+                    creators[type](definition);
+                } catch (error) {
+                    console.error(`❌ Failed to create ${type} '${definition.id}':`, error);
+                }
+            });
+        });
+
+        objects.filter(definition => !creators[definition.type]).forEach(definition => {
+            console.warn(`⚠️ Unknown interaction object type '${definition.type}' ('${definition.id}')`);
+        });
+    }
+
+    /**
+     * Подписка на изменения состояния объекта с немедленным применением текущего
+     * @param {InteractableComponent} interactable - Компонент взаимодействия
+     * @param {Function} apply - (state) => void
+     */
+    bindState(interactable, apply) {
+        interactable.onStateChangeObservable.add(event => apply(event.state));
+        apply(interactable.state);
+    }
+
+    /**
+     * Дверь, поворачивающаяся на петле
+     * Позиция сущности - нижний угол у петли, дверь - подвижный коллайдер
+     * @param {Object} definition - Описание из interaction.objects
+     * @returns {Entity}
+     */
+    createDoor(definition) {
+        const game = this.game;
+        const scene = game.scene.getScene();
+        const size = BABYLON.Vector3.FromArray(definition.size || [1, 2, 0.15]);
+        const closedAngle = BABYLON.Tools.ToRadians(definition.rotationY || 0);
+        const openAngle = BABYLON.Tools.ToRadians(definition.openAngle !== undefined ? definition.openAngle : 90);
+        const turnSpeed = BABYLON.Tools.ToRadians(definition.speed || 180);
+        const name = definition.name || 'door';
+
+        const entity = game.entities.createEntity(definition.id, ['door']);
+        const transform = entity.addComponent(new TransformComponent(BABYLON.Vector3.FromArray(definition.position), closedAngle));
+
+        // Ось вращения проходит через позицию сущности
+        const mesh = BABYLON.MeshBuilder.CreateBox(`door_${definition.id}`, {
+            width: size.x,
+            height: size.y,
+            depth: size.z
+        }, scene);
+        mesh.bakeTransformIntoVertices(BABYLON.Matrix.Translation(size.x / 2, size.y / 2, 0));
+        mesh.position.copyFrom(transform.position);
+        mesh.rotation.y = closedAngle;
+        const material = new BABYLON.StandardMaterial(`door_${definition.id}_material`, scene);
+        material.diffuseColor = new BABYLON.Color3(0.5, 0.35, 0.2);
+        mesh.material = material;
+        entity.addComponent(new MeshComponent(mesh));
+        const collider = game.collisionWorld ? game.collisionWorld.addDynamicMesh(mesh) : null;
+
+        const interactable = entity.addComponent(this.create('door', definition, {
+            offset: new BABYLON.Vector3(size.x / 2, size.y / 2, 0),
+            size: size.x / 2,
+            state: { open: false, locked: !!definition.key }
+        }));
+        interactable.enabled = definition.interactive !== false;
+        this.bindState(interactable, state => {
+            interactable.prompt = definition.prompt || `${state.open ? 'close' : 'open'} the ${name}`;
+        });
+
+        interactable.onInteractObservable.add(() => {
+            if (interactable.state.locked) {
+                const inventory = game.playerEntity.getComponent(InventoryComponent);
+                const key = game.itemDatabase.get(definition.key);
+                const keyName = key ? key.name : definition.key;
+                if (!inventory || !inventory.has(definition.key)) {
+                    game.uiManager.showNotification(`Locked: requires ${keyName}`);
+                    return;
+                }
+                game.uiManager.showNotification(`Unlocked with ${keyName}`);
+            }
+            interactable.setState({ open: !interactable.state.open, locked: false });
+        });
+
+        // Дверь доворачивается к открытому или закрытому положению на шагах симуляции
+        entity.addComponent(new ScriptComponent({
+            fixedUpdate: (entity, step) => {
+                const delta = closedAngle + (interactable.state.open ? openAngle : 0) - transform.rotationY;
+                transform.rotationY += Math.sign(delta) * Math.min(Math.abs(delta), turnSpeed * step);
+            },
+            destroy: () => {
+                if (collider) {
+                    game.collisionWorld.removeCollider(collider);
+                }
+            }
+        }));
+
+        return entity;
+    }
+
+    /**
+     * Рычаг, открывающий и закрывающий двери из targets
+     * @param {Object} definition - Описание из interaction.objects
+     * @returns {Entity}
+     */
+    createSwitch(definition) {
+        const game = this.game;
+        const scene = game.scene.getScene();
+        const size = 0.06 * game.scaleFactor;
+        const name = definition.name || 'lever';
+
+        const entity = game.entities.createEntity(definition.id, ['switch']);
+        entity.addComponent(new TransformComponent(
+            BABYLON.Vector3.FromArray(definition.position),
+            BABYLON.Tools.ToRadians(definition.rotationY || 0)
+        ));
+
+        const base = BABYLON.MeshBuilder.CreateBox(`switch_${definition.id}`, {
+            width: size,
+            height: size * 0.4,
+            depth: size * 0.6
+        }, scene);
+        base.bakeTransformIntoVertices(BABYLON.Matrix.Translation(0, size * 0.2, 0));
+        const lever = BABYLON.MeshBuilder.CreateCylinder(`switch_${definition.id}_lever`, {
+            height: size,
+            diameter: size * 0.12
+        }, scene);
+        lever.bakeTransformIntoVertices(BABYLON.Matrix.Translation(0, size / 2, 0));
+        lever.position.y = size * 0.4;
+        lever.parent = base;
+        const material = new BABYLON.StandardMaterial(`switch_${definition.id}_material`, scene);
+        material.diffuseColor = new BABYLON.Color3(0.4, 0.4, 0.45);
+        base.material = material;
+        lever.material = material;
+        entity.addComponent(new MeshComponent(base));
+
+        const interactable = entity.addComponent(this.create('switch', definition, {
+            offset: new BABYLON.Vector3(0, size * 0.8, 0),
+            size: size / 2,
+            state: { on: false }
+        }));
+        this.bindState(interactable, state => {
+            interactable.prompt = definition.prompt || `pull the ${name}`;
+            lever.rotation.z = state.on ? -0.6 : 0.6;
+        });
+
+        interactable.onInteractObservable.add(() => {
+            const on = !interactable.state.on;
+            interactable.setState({ on });
+            (definition.targets || []).forEach(id => {
+                const target = game.entities.findByName(id);
+                const door = target ? target.getComponent(InteractableComponent) : null;
+                if (door) {
+                    door.setState({ open: on, locked: false });
+                } else {
+                    console.warn(`⚠️ Switch '${definition.id}' target '${id}' not found`);
+                }
+            });
+        });
+
+        return entity;
+    }
+
+    /**
+     * Предмет на земле
+     * Подбирается в инвентарь игрока; то, что не поместилось, остается лежать
+     * @param {Object} definition - Описание из interaction.objects
+     * @returns {Entity|null}
+     */
+    createPickup(definition) {
+        const game = this.game;
+        const item = game.itemDatabase.get(definition.item);
+        if (!item) {
+            console.warn(`⚠️ Pickup '${definition.id}' has unknown item '${definition.item}'`);
+            return null;
+        }
+
+        const scene = game.scene.getScene();
+        const size = 0.03 * game.scaleFactor;
+        const entity = game.entities.createEntity(definition.id, ['pickup']);
+        entity.addComponent(new TransformComponent(BABYLON.Vector3.FromArray(definition.position)));
+
+        const mesh = BABYLON.MeshBuilder.CreateSphere(`pickup_${definition.id}`, { diameter: size }, scene);
+        mesh.bakeTransformIntoVertices(BABYLON.Matrix.Translation(0, size / 2, 0));
+        const material = new BABYLON.StandardMaterial(`pickup_${definition.id}_material`, scene);
+        material.diffuseColor = new BABYLON.Color3(1, 0.85, 0.3);
+        material.emissiveColor = new BABYLON.Color3(0.4, 0.3, 0.05);
+        mesh.material = material;
+        entity.addComponent(new MeshComponent(mesh));
+
+        const interactable = entity.addComponent(this.create('pickup', definition, {
+            offset: new BABYLON.Vector3(0, size / 2, 0),
+            size,
+            state: { count: definition.count || 1, taken: false }
+        }));
+        this.bindState(interactable, state => {
+            const count = state.count > 1 ? ` (${state.count})` : '';
+            interactable.prompt = definition.prompt || `pick up ${item.name}${count}`;
+            interactable.enabled = !state.taken;
+            mesh.setEnabled(!state.taken);
+        });
+
+        interactable.onInteractObservable.add(() => {
+            const inventory = game.playerEntity.getComponent(InventoryComponent);
+            const left = inventory ? inventory.add(item.id, interactable.state.count) : interactable.state.count;
+            const taken = interactable.state.count - left;
+            if (taken === 0) {
+                game.uiManager.showNotification('Inventory is full');
+                return;
+            }
+
+            game.uiManager.showNotification(`Picked up ${item.name}${taken > 1 ? ` x${taken}` : ''}`);
+            interactable.setState({ count: left, taken: left === 0 });
+        });
+
+        return entity;
+    }
+
+    /**
+     * Разговор с NPC: диалог talk.dialogue или реплики из talk.lines по очереди
+     * @param {Entity} entity - Сущность NPC
+     * @param {Object} options - Параметры агента (talk, height, radius)
+     */
+    addTalkInteraction(entity, options) {
+        const game = this.game;
+        const talk = options.talk;
+        const speaker = talk.name || options.id;
+        const height = options.height * game.scaleFactor;
+        const interactable = entity.addComponent(this.create('talk', talk, {
+            prompt: `talk to ${speaker}`,
+            offset: new BABYLON.Vector3(0, height * 0.85, 0),
+            size: options.radius * game.scaleFactor,
+            state: { line: 0 }
+        }));
+
+        interactable.onInteractObservable.add(() => {
+            if (talk.dialogue) {
+                game.dialogue.start(entity, talk.dialogue, speaker);
+                return;
+            }
+
+            const lines = talk.lines || [];
+            if (lines.length === 0) return;
+
+            game.uiManager.showNotification(`${speaker}: ${lines[interactable.state.line % lines.length]}`, 4000);
+            interactable.setState({ line: interactable.state.line + 1 });
+        });
+    }
+}
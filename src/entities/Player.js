@@ -1,41 +1,130 @@
 /**
- * Класс игрока
- * Управляет созданием, движением и поведением игрока
+ * Компонент игрока
+ * Управляет созданием, движением и поведением игрока.
+ * При добавлении к сущности создает ее меш и коллайдер
  */
-export class Player {
-    constructor(scene, configManager, scaleFactor = 10) {
+import { Component } from '../ecs/Component.js';
+import { TransformComponent } from '../components/TransformComponent.js';
+import { MeshComponent } from '../components/MeshComponent.js';
+import { ColliderComponent } from '../components/ColliderComponent.js';
+import { CharacterController } from '../physics/CharacterController.js';
+import { PlayerStateMachine } from './PlayerStateMachine.js';
+import { CharacterAnimationController } from './CharacterAnimationController.js';
+import { FootIK } from './FootIK.js';
+
+export class Player extends Component {
+    constructor(scene, configManager, scaleFactor = 10, collisionWorld = null) {
+        super();
         this.scene = scene;
         this.config = configManager;
         this.scaleFactor = scaleFactor;
+        this.collisionWorld = collisionWorld;
         
+        this.transform = null;
         this.mesh = null;
-        this.position = new BABYLON.Vector3(-16, 2, 51);
+        this.controller = null;
         this.velocity = new BABYLON.Vector3(0, 0, 0);
         this.verticalVelocity = 0;
         this.isGrounded = false;
         this.isMoving = false;
         
+        // Высшая точка текущего пребывания в воздухе (null - на земле)
+        this.fallStartY = null;
+        
+        // Автомат состояний движения; смена состояния - для HUD и анимации
+        this.states = new PlayerStateMachine('Idle');
+        this.onStateChangeObservable = this.states.onStateChangeObservable;
+        this.movement = this.config.get('player.movement');
+        
+        // Кнопки на прошлом шаге симуляции (нажатия определяются по их смене)
+        this.input = { jump: false, crouch: false, crouchPressed: false, sprint: false };
+        this.jumpBufferTimer = 0;
+        this.airTime = 0;
+        this.airSpeed = 0;
+        this.hasJumped = false;
+        this.landDuration = 0;
+        this.isCrouched = false;
+        
+        // Скольжение и подтягивание
+        this.slideDirection = new BABYLON.Vector3(0, 0, 0);
+        this.slideSpeed = 0;
+        this.mantleFrom = null;
+        this.mantleTo = null;
+        
+        // Выносливость для бега
+        this.stamina = this.movement.stamina.max;
+        this.staminaRegenTimer = 0;
+        this.isExhausted = false;
+        
+        // Приземление: { fallHeight, impactSpeed, position }
+        this.onLandObservable = new BABYLON.Observable();
+        
+        // Модель персонажа (до загрузки и при ошибке игрока изображает сфера)
+        this.assetManager = null;
+        this.model = null;
+        this.modelPivot = null;
+        this.modelBaseY = 0;
+        this.animation = null;
+        this.footIK = null;
+        this.footIKObserver = null;
+        this.lastVisualPosition = null;
+        this.visualSpeed = 0;
+        this.visualFrameTime = 0;
+        
         // Настройки движения
         this.playerSpeed = this.config.get('player.speed') * scaleFactor;
         this.jumpForce = this.config.get('player.jumpForce') * scaleFactor;
         this.gravity = this.config.get('physics.gravity') * scaleFactor;
-        
-        // Отладочные переменные
-        this.f3Pressed = false;
-        
-        this.init();
     }
     
     /**
-     * Инициализация игрока
+     * Инициализация игрока на сущности
+     * @param {Entity} entity - Сущность игрока
      */
-    init() {
+    onAttach(entity) {
+        this.transform = entity.getComponent(TransformComponent) ||
+            entity.addComponent(new TransformComponent(this.getSpawnPosition()));
+        
+        this.createController();
         this.createPlayerMesh();
         this.setupPhysics();
         
+        entity.addComponent(new ColliderComponent({ controller: this.controller }));
+        entity.addComponent(new MeshComponent(this.mesh));
+        
         console.log('👤 Player initialized');
     }
     
+    /**
+     * Позиция симуляции (хранится в TransformComponent)
+     */
+    get position() {
+        return this.transform.position;
+    }
+    
+    /**
+     * Создание контроллера персонажа
+     */
+    createController() {
+        this.controller = new CharacterController(this.collisionWorld, this.getControllerOptions());
+        this.controller.setPosition(this.position);
+    }
+    
+    /**
+     * Параметры капсулы из конфигурации (в мировых единицах)
+     */
+    getControllerOptions() {
+        return {
+            radius: this.config.get('player.capsuleRadius') * this.scaleFactor,
+            height: this.config.get('player.capsuleHeight') * this.scaleFactor,
+            skinWidth: this.config.get('player.skinWidth') * this.scaleFactor,
+            maxSlideIterations: this.config.get('player.maxSlideIterations'),
+            stepHeight: this.config.get('player.stepHeight') * this.scaleFactor,
+            maxSlopeAngle: this.config.get('player.maxSlopeAngle'),
+            groundSnapDistance: this.config.get('player.groundSnapDistance') * this.scaleFactor
+        };
+    }
+    
     /**
      * Создание меша игрока
      */
@@ -47,13 +136,10 @@ export class Player {
             this.scene
         );
         
-        // Настройка коллизий - уменьшенный эллипсоид на 43.3%
-        this.mesh.ellipsoid = new BABYLON.Vector3(
-            0.0567 * this.scaleFactor,   // Уменьшено на 43.3% с 0.1
-            0.06804 * this.scaleFactor,  // Уменьшено на 43.3% с 0.12
-            0.0567 * this.scaleFactor    // Уменьшено на 43.3% с 0.1
-        );
-        this.mesh.checkCollisions = true;
+        // Коллизии считает контроллер персонажа, меш только отображает игрока
+        this.mesh.checkCollisions = false;
+        this.mesh.isPickable = false;
+        this.mesh.position.copyFrom(this.position);
         
         // Материал игрока
         const playerMaterial = new BABYLON.StandardMaterial("playerMaterial", this.scene);
@@ -68,13 +154,12 @@ export class Player {
      * Настройка физики
      */
     setupPhysics() {
-        // Отключаем физическое тело для игрока, используем только коллизии
-        // Физическое тело может конфликтовать с moveWithCollisions
-        console.log('🔧 Player physics: using collision system only (no physics impostor)');
+        // Физическое тело не используется: движение целиком на кинематическом контроллере
+        console.log('🔧 Player physics: kinematic capsule controller (no physics impostor)');
         
         // Инициализируем отладочные элементы
         this.debugRays = [];
-        this.debugEllipsoid = null;
+        this.debugCapsule = null;
         this.setupDebugVisualization();
     }
     
@@ -82,31 +167,48 @@ export class Player {
      * Настройка визуализации отладки
      */
     setupDebugVisualization() {
-        // Создаем визуализацию эллипсоида коллизий (соответствует уменьшенному размеру)
-        this.debugEllipsoid = BABYLON.MeshBuilder.CreateSphere(
-            "debugEllipsoid", 
+        if (this.debugCapsule) {
+            this.debugCapsule.dispose(false, true);
+        }
+        
+        // Создаем визуализацию капсулы коллизий
+        this.debugCapsule = BABYLON.MeshBuilder.CreateCapsule(
+            "debugCapsule", 
             { 
-                diameterX: this.mesh.ellipsoid.x * 2,
-                diameterY: this.mesh.ellipsoid.y * 2,
-                diameterZ: this.mesh.ellipsoid.z * 2
+                radius: this.controller.radius,
+                height: this.controller.height,
+                tessellation: 12,
+                subdivisions: 2
             }, 
             this.scene
         );
+        this.debugCapsule.isPickable = false;
         
-        const debugMaterial = new BABYLON.StandardMaterial("debugEllipsoidMaterial", this.scene);
+        const debugMaterial = new BABYLON.StandardMaterial("debugCapsuleMaterial", this.scene);
         debugMaterial.diffuseColor = new BABYLON.Color3(1, 0, 0);
         debugMaterial.alpha = 0.3;
         debugMaterial.wireframe = true;
-        this.debugEllipsoid.material = debugMaterial;
-        this.debugEllipsoid.setEnabled(false); // Скрыто по умолчанию
+        this.debugCapsule.material = debugMaterial;
+        this.debugCapsule.setEnabled(false); // Скрыто по умолчанию
+        this.debugCapsuleHeight = this.controller.height;
+    }
+    
+    /**
+     * Высота отладочной капсулы вслед за приседанием
+     */
+    updateDebugCapsuleSize() {
+        if (this.debugCapsule) {
+            this.debugCapsule.scaling.y = this.controller.height / this.debugCapsuleHeight;
+        }
     }
     
     /**
      * Переключение отладочной визуализации
+     * @param {boolean} enabled - Показать капсулу (по умолчанию переключить)
      */
-    toggleDebugVisualization(enabled) {
-        if (this.debugEllipsoid) {
-            this.debugEllipsoid.setEnabled(enabled);
+    toggleDebugVisualization(enabled = !(this.debugCapsule && this.debugCapsule.isEnabled())) {
+        if (this.debugCapsule) {
+            this.debugCapsule.setEnabled(enabled);
         }
         
         // Очищаем старые лучи
@@ -125,124 +227,73 @@ export class Player {
      * @param {BABYLON.Vector3} position - Новая позиция
      */
     setPosition(position) {
-        this.position.copyFrom(position);
+        this.transform.teleport(position);
         this.mesh.position.copyFrom(position);
+        this.controller.setPosition(position);
     }
     
     /**
-     * Поиск земли под игроком с множественными лучами
-     * @param {Array} worldMeshes - Меши мира для проверки коллизий
-     */
-    findGround(worldMeshes) {
-        // Множественные лучи для более надежного определения земли
-        const rays = [
-            // Центральный луч
-            { offset: new BABYLON.Vector3(0, 0, 0) },
-            // Лучи по углам эллипсоида
-            { offset: new BABYLON.Vector3(0.05 * this.scaleFactor, 0, 0.05 * this.scaleFactor) },
-            { offset: new BABYLON.Vector3(-0.05 * this.scaleFactor, 0, 0.05 * this.scaleFactor) },
-            { offset: new BABYLON.Vector3(0.05 * this.scaleFactor, 0, -0.05 * this.scaleFactor) },
-            { offset: new BABYLON.Vector3(-0.05 * this.scaleFactor, 0, -0.05 * this.scaleFactor) }
-        ];
-        
-        let bestHit = null;
-        let closestDistance = Infinity;
-        
-        for (const rayData of rays) {
-            const rayOrigin = this.mesh.position.add(rayData.offset).subtract(
-                new BABYLON.Vector3(0, this.mesh.ellipsoid.y, 0)
-            );
-            const ray = new BABYLON.Ray(
-                rayOrigin, 
-                new BABYLON.Vector3(0, -1, 0), 
-                20 // Увеличена дальность луча с 10 до 20
-            );
-            
-            const hit = this.scene.pickWithRay(ray, (mesh) => {
-                // Если есть меши мира, используем их
-                if (worldMeshes && worldMeshes.length > 0) {
-                    return worldMeshes.includes(mesh) && mesh.checkCollisions && mesh !== this.mesh;
-                }
-                // Иначе используем любые меши с коллизиями (включая тестовую плоскость)
-                return mesh.checkCollisions && mesh !== this.mesh && mesh.name !== 'skyBox';
-            });
-            
-            if (hit.hit && hit.distance < closestDistance) {
-                closestDistance = hit.distance;
-                bestHit = hit;
-            }
-        }
-        
-        return bestHit || { hit: false };
+     * Начальная точка уровня (respawn.spawn)
+     */
+    getSpawnPosition() {
+        return BABYLON.Vector3.FromArray(this.config.get('respawn.spawn'));
     }
     
     /**
      * Размещение игрока на земле
-     * @param {Array} worldMeshes - Меши мира
+     * Начальная точка задает только x/z: землю ищем лучом с неба. Для остальных
+     * точек (контрольные) важна и высота: луч идет от самой точки, иначе в
+     * многоуровневой локации игрок окажется на крыше над ней
+     * @param {BABYLON.Vector3} position - Точка появления (по умолчанию начальная)
+     * @param {boolean} fromSky - Искать землю с неба, а не под точкой
      */
-    placeOnGround(worldMeshes) {
-        console.log(`🔍 Placing player on ground. World meshes count: ${worldMeshes ? worldMeshes.length : 0}`);
+    placeOnGround(position = this.getSpawnPosition(), fromSky = true) {
+        const fallbackPosition = position.clone();
         
-        if (!worldMeshes || worldMeshes.length === 0) {
-            // Если нет мешей мира, размещаем на тестовой плоскости
-            const fallbackPosition = new BABYLON.Vector3(-16, 2, 51); // Новая стартовая позиция
+        if (!this.collisionWorld || this.collisionWorld.getTriangleCount() === 0) {
+            // Если нет геометрии коллизий, размещаем на тестовой плоскости
             this.setPosition(fallbackPosition);
             this.verticalVelocity = 0;
-            console.log('⚠️ No world meshes, placed on test ground');
+            console.log('⚠️ No collision geometry, placed on test ground');
             return;
         }
         
         const startPosition = new BABYLON.Vector3(
-            -16, // Новая стартовая позиция по X
-            1000 * this.scaleFactor, 
-            51  // Новая стартовая позиция по Z
+            fallbackPosition.x, 
+            fromSky ? 1000 * this.scaleFactor : fallbackPosition.y + this.controller.getHalfHeight(), 
+            fallbackPosition.z
         );
         
         // Луч сверху вниз для поиска земли
-        const groundRay = new BABYLON.Ray(
+        const groundHit = this.collisionWorld.raycast(
             startPosition, 
             new BABYLON.Vector3(0, -1, 0), 
             2000 * this.scaleFactor
         );
         
-        const groundHit = this.scene.pickWithRay(groundRay, (mesh) => {
-            const isWorldMesh = worldMeshes.includes(mesh);
-            const hasCollisions = mesh.checkCollisions;
-            console.log(`🔍 Checking mesh: ${mesh.name}, isWorldMesh: ${isWorldMesh}, hasCollisions: ${hasCollisions}`);
-            return isWorldMesh && hasCollisions;
-        });
-        
         if (groundHit.hit) {
-            const groundPosition = groundHit.pickedPoint.add(
-                new BABYLON.Vector3(0, this.mesh.ellipsoid.y + 1, 0)
-            );
+            const groundPosition = groundHit.point;
+            groundPosition.y += this.controller.getHalfHeight() + this.controller.skinWidth;
             this.setPosition(groundPosition);
             this.verticalVelocity = 0;
             console.log(`🎯 Player placed on ground at: ${groundPosition.toString()}`);
         } else {
             // Запасная позиция на тестовой плоскости
-            const fallbackPosition = new BABYLON.Vector3(-16, 2, 51); // Новая стартовая позиция
             this.setPosition(fallbackPosition);
             this.verticalVelocity = 0;
-            console.log('⚠️ Ground not found in world meshes, using fallback position on test ground');
+            console.log('⚠️ Ground not found in collision world, using fallback position on test ground');
         }
     }
     
     /**
      * Обновление движения игрока
-     * @param {Object} inputMap - Карта нажатых клавиш
+     * @param {ActionMap} actions - Карта действий
      * @param {BABYLON.Camera} camera - Камера для определения направления
-     * @param {Array} worldMeshes - Меши мира для коллизий
-     * @param {number} deltaTime - Время кадра
+     * @param {number} deltaTime - Время шага симуляции
      * @param {boolean} flyMode - Режим полета
+     * @param {string} facing - Поворот игрока: 'movement' - по движению, 'camera' - по взгляду камеры
      */
-    update(inputMap, camera, worldMeshes, deltaTime, flyMode = false) {
-        // Отладочное сообщение для проверки inputMap
-        const pressedKeys = Object.keys(inputMap).filter(key => inputMap[key]);
-        if (pressedKeys.length > 0) {
-            console.log(`🎯 Player received input:`, pressedKeys);
-        }
-        
+    update(actions, camera, deltaTime, flyMode = false, facing = 'movement') {
         // Получаем направления камеры
         const cameraForward = camera.getDirection(new BABYLON.Vector3(0, 0, 1));
         const cameraRight = camera.getDirection(new BABYLON.Vector3(1, 0, 0));
@@ -250,129 +301,299 @@ export class Player {
         const right = new BABYLON.Vector3(cameraRight.x, 0, cameraRight.z).normalize();
         
         // Определяем направление движения
-        let moveDirection = BABYLON.Vector3.Zero();
-        if (inputMap[this.config.get('controls.keyBindings.forward')]) {
-            moveDirection.addInPlace(forward);
-        }
-        if (inputMap[this.config.get('controls.keyBindings.backward')]) {
-            moveDirection.subtractInPlace(forward);
-        }
-        if (inputMap[this.config.get('controls.keyBindings.left')]) {
-            moveDirection.subtractInPlace(right);
-        }
-        if (inputMap[this.config.get('controls.keyBindings.right')]) {
-            moveDirection.addInPlace(right);
-        }
+        const move = actions.getAxis2D('Move');
+        const moveDirection = forward.scale(move.y).addInPlace(right.scale(move.x));
         
-        // Нормализуем направление движения
-        if (moveDirection.lengthSquared() > 0) {
+        // Нормализуем направление движения. Степень наклона стика задает
+        // долю скорости, клавиши по диагонали дают не больше полной скорости
+        const moveAmount = Math.min(1, moveDirection.length());
+        if (moveAmount > 0) {
             moveDirection.normalize();
-            this.mesh.rotation.y = Math.atan2(moveDirection.x, moveDirection.z);
             this.isMoving = true;
         } else {
             this.isMoving = false;
         }
         
-        // Вычисляем горизонтальное движение
-        const speed = inputMap[this.config.get('controls.keyBindings.run')] 
-            ? this.playerSpeed * 2 
-            : this.playerSpeed;
-        const horizontalMove = moveDirection.scale(speed * deltaTime);
+        // Игрок смотрит туда же, куда камера, или поворачивается по движению
+        if (facing === 'camera') {
+            this.transform.rotationY = Math.atan2(forward.x, forward.z);
+        } else if (this.isMoving && !this.states.is('Slide', 'Mantle')) {
+            this.transform.rotationY = Math.atan2(moveDirection.x, moveDirection.z);
+        }
+        
+        this.readInput(actions, deltaTime);
+        this.states.update(deltaTime);
         
         if (flyMode) {
-            this.updateFlyMode(inputMap, horizontalMove, deltaTime);
-        } else {
-            this.updateNormalMode(inputMap, horizontalMove, worldMeshes, deltaTime);
+            if (this.states.transition('Fly')) {
+                this.setCrouched(false);
+            }
+            this.updateFlyMode(actions, moveDirection.scale(this.playerSpeed * moveAmount * deltaTime), deltaTime);
+            return;
+        }
+        if (this.states.is('Fly')) {
+            this.states.transition('Fall');
         }
         
-        // Обновляем позицию
-        this.position.copyFrom(this.mesh.position);
+        if (this.states.is('Mantle')) {
+            this.updateMantle();
+        } else if (this.states.is('Swim')) {
+            this.updateSwimMode(moveDirection, moveAmount, deltaTime);
+        } else {
+            this.updateNormalMode(moveDirection, moveAmount, deltaTime);
+        }
         
+        this.updateStamina(deltaTime);
+    }
+    
+    /**
+     * Покадровое обновление визуализации (меш интерполирует TransformSystem)
+     * @param {number} frameTime - Время кадра симуляции
+     */
+    updateVisuals(frameTime = 0) {
         // Обновляем отладочную визуализацию
-        if (this.debugEllipsoid && this.debugEllipsoid.isEnabled()) {
-            this.debugEllipsoid.position.copyFrom(this.mesh.position);
+        if (this.debugCapsule && this.debugCapsule.isEnabled()) {
+            this.debugCapsule.position.copyFrom(this.mesh.position);
         }
         
-        // Переключение отладки клавишей F3
-        if (inputMap['F3'] && !this.f3Pressed) {
-            this.f3Pressed = true;
-            const debugEnabled = this.debugEllipsoid ? this.debugEllipsoid.isEnabled() : false;
-            this.toggleDebugVisualization(!debugEnabled);
-        } else if (!inputMap['F3']) {
-            this.f3Pressed = false;
+        if (this.animation) {
+            this.updateCharacterAnimation(frameTime);
         }
     }
     
     /**
-     * Обновление в режиме полета
+     * Загрузка модели персонажа вместо сферы (раздел player.model)
+     * При ошибке загрузки игрок остается сферой
+     * @param {AssetManager} assetManager - Загрузчик ресурсов
+     * @returns {Promise<boolean>} Подключена ли модель
      */
-    updateFlyMode(inputMap, horizontalMove, deltaTime) {
-        this.mesh.checkCollisions = false;
+    async loadCharacter(assetManager) {
+        const settings = this.config.get('player.model');
+        if (!settings.enabled) return false;
         
-        let verticalMove = 0;
-        if (inputMap[this.config.get('controls.keyBindings.jump')]) {
-            verticalMove = this.playerSpeed * deltaTime;
-        } else if (inputMap[this.config.get('controls.keyBindings.crouch')]) {
-            verticalMove = -this.playerSpeed * deltaTime;
+        try {
+            const model = await assetManager.loadModel('player_model', settings.path);
+            this.assetManager = assetManager;
+            this.attachCharacter(model, settings);
+            console.log('🧍 Player character model attached');
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Player character model failed to load, keeping the sphere:', error);
+            return false;
         }
+    }
+    
+    /**
+     * Подключение загруженной модели к мешу игрока
+     * Модель масштабируется по высоте капсулы и ставится подошвой на ее низ
+     * @param {Object} model - Результат загрузки { meshes, animationGroups, transformNodes }
+     * @param {Object} settings - Раздел player.model
+     */
+    attachCharacter(model, settings) {
+        const root = model.meshes[0];
+        const { min, max } = root.getHierarchyBoundingVectors(true);
+        const height = settings.height ? settings.height * this.scaleFactor : this.getControllerOptions().height;
+        const scale = height / Math.max(max.y - min.y, 1e-3);
+        root.scaling.scaleInPlace(scale);
+        root.position.setAll(0);
+        this.modelBaseY = -min.y * scale;
         
-        const flyMove = new BABYLON.Vector3(
-            horizontalMove.x, 
-            verticalMove, 
-            horizontalMove.z
-        );
-        this.mesh.position.addInPlace(flyMove);
-        this.verticalVelocity = 0;
+        // Промежуточный узел: доворот модели и подъем при смене высоты капсулы
+        this.modelPivot = new BABYLON.TransformNode('playerModelPivot', this.scene);
+        this.modelPivot.parent = this.mesh;
+        this.modelPivot.rotation.y = BABYLON.Tools.ToRadians(settings.rotationY);
+        this.modelPivot.position.y = this.modelBaseY - this.controller.height / 2;
+        root.parent = this.modelPivot;
+        
+        model.meshes.forEach(mesh => {
+            mesh.isPickable = false;
+            mesh.checkCollisions = false;
+        });
+        
+        this.model = model;
+        this.animation = new CharacterAnimationController(model.animationGroups, settings, this.scaleFactor);
+        this.footIK = new FootIK(root, model.transformNodes, settings.footIK, this.collisionWorld, this.scaleFactor);
+        
+        // Ноги ставятся после того, как анимация задала позу кадра
+        this.footIKObserver = this.scene.onAfterAnimationsObservable.add(() => {
+            this.updateFootIK();
+        });
+        
+        this.mesh.isVisible = false;
+    }
+    
+    /**
+     * Анимация по состоянию и видимой скорости игрока
+     */
+    updateCharacterAnimation(frameTime) {
+        this.visualFrameTime = frameTime;
+        const position = this.mesh.position;
+        if (this.lastVisualPosition && frameTime > 0) {
+            const dx = position.x - this.lastVisualPosition.x;
+            const dz = position.z - this.lastVisualPosition.z;
+            
+            // Сглаживание гасит рывок скорости при телепорте и неровные кадры
+            const speed = Math.sqrt(dx * dx + dz * dz) / frameTime;
+            this.visualSpeed += (speed - this.visualSpeed) * Math.min(1, frameTime * 10);
+        } else {
+            this.lastVisualPosition = position.clone();
+        }
+        this.lastVisualPosition.copyFrom(position);
+        
+        this.animation.update(this.states.state, this.visualSpeed, frameTime);
+        
+        // Подошва модели остается у низа капсулы и в приседе
+        this.modelPivot.position.y = this.modelBaseY - this.controller.height / 2;
+    }
+    
+    /**
+     * Постановка стоп на землю (после применения анимации кадра)
+     */
+    updateFootIK() {
+        if (!this.footIK) return;
+        
+        const floorY = this.mesh.position.y - this.controller.height / 2;
+        const enabled = this.footIK.settings.enabled && this.states.is('Idle', 'Walk', 'Run', 'Crouch', 'Land');
+        this.footIK.update(floorY, enabled, this.visualFrameTime);
+    }
+    
+    /**
+     * Удаление модели персонажа и возврат к сфере
+     */
+    detachCharacter() {
+        if (!this.model) return;
+        
+        this.scene.onAfterAnimationsObservable.remove(this.footIKObserver);
+        this.footIKObserver = null;
+        this.animation.dispose();
+        this.animation = null;
+        this.footIK = null;
+        
+        this.model.animationGroups.forEach(group => group.dispose());
+        this.model.skeletons.forEach(skeleton => skeleton.dispose());
+        this.model.meshes[0].dispose(false, true);
+        this.modelPivot.dispose();
+        this.modelPivot = null;
+        this.model = null;
+        this.lastVisualPosition = null;
+        
+        // Следующая загрузка должна создать модель заново, а не взять удаленную из кэша
+        this.assetManager.unloadAsset('player_model');
+        if (this.mesh) {
+            this.mesh.isVisible = true;
+        }
+    }
+    
+    /**
+     * Чтение ввода на шаге симуляции
+     * Нажатия определяются по смене состояния кнопки между шагами: события
+     * ActionMap привязаны к кадрам, а шагов за кадр может быть ноль или несколько
+     */
+    readInput(actions, deltaTime) {
+        const jump = actions.isHeld('Jump');
+        const crouch = actions.isHeld('Crouch');
+        
+        // Буфер прыжка: нажатие незадолго до приземления срабатывает при касании земли
+        if (jump && !this.input.jump) {
+            this.jumpBufferTimer = this.movement.jumpBuffer;
+        } else {
+            this.jumpBufferTimer = Math.max(0, this.jumpBufferTimer - deltaTime);
+        }
+        
+        this.input.crouchPressed = crouch && !this.input.crouch;
+        this.input.jump = jump;
+        this.input.crouch = crouch;
+        this.input.sprint = actions.isHeld('Sprint');
     }
     
     /**
-     * Обновление в обычном режиме с исправленной системой коллизий
+     * Скорость движения в текущем состоянии
      */
-    updateNormalMode(inputMap, horizontalMove, worldMeshes, deltaTime) {
-        this.mesh.checkCollisions = true;
+    getMoveSpeed() {
+        const movement = this.movement;
+        switch (this.states.state) {
+            case 'Run':
+                return this.playerSpeed * movement.sprintMultiplier;
+            case 'Crouch':
+                return this.playerSpeed * movement.crouchMultiplier;
+            case 'Slide':
+                return this.slideSpeed;
+            case 'Land':
+                return this.playerSpeed * movement.land.speedMultiplier;
+            case 'Jump':
+            case 'Fall':
+                // В воздухе сохраняется скорость, с которой игрок оторвался от земли
+                return this.airSpeed;
+            default:
+                return this.playerSpeed;
+        }
+    }
+    
+    /**
+     * Обновление в режиме полета
+     */
+    updateFlyMode(actions, horizontalMove, deltaTime) {
+        const verticalMove = actions.getAxis('FlyVertical') * this.playerSpeed * deltaTime;
         
-        // Проверка земли ПЕРЕД применением движения
-        const groundHit = this.findGround(worldMeshes);
+        // В полете коллизии отключены: двигаем позицию напрямую
+        this.position.addInPlaceFromFloats(horizontalMove.x, verticalMove, horizontalMove.z);
+        this.controller.setPosition(this.position);
+        this.verticalVelocity = 0;
+        this.isGrounded = false;
+        this.fallStartY = null;
+    }
+    
+    /**
+     * Обновление в обычном режиме: движение через контроллер персонажа
+     * @param {BABYLON.Vector3} moveDirection - Направление ввода (нормализованное или нулевое)
+     * @param {number} moveAmount - Доля скорости (0..1)
+     * @param {number} deltaTime - Шаг симуляции
+     */
+    updateNormalMode(moveDirection, moveAmount, deltaTime) {
         const wasGrounded = this.isGrounded;
+        const movement = this.movement;
         
-        // Определяем состояние на земле с использованием настроек из конфигурации
-         if (groundHit && groundHit.hit) {
-             const groundDistance = groundHit.distance;
-             const tolerance = this.config.get('player.groundTolerance') * this.scaleFactor;
-             
-             // Если мы близко к земле и падаем или стоим
-             if (groundDistance <= tolerance && this.verticalVelocity <= 0) {
-                 this.isGrounded = true;
-                 this.verticalVelocity = 0;
-                 
-                 // Плавная коррекция позиции только при необходимости
-                 const targetY = groundHit.pickedPoint.y + this.mesh.ellipsoid.y;
-                 const currentY = this.mesh.position.y;
-                 const yDifference = Math.abs(targetY - currentY);
-                 const minCorrection = 0.05 * this.scaleFactor;
-                 const maxCorrection = 0.5 * this.scaleFactor;
-                 
-                 if (yDifference > minCorrection && yDifference < maxCorrection) {
-                     // Плавная интерполяция с настраиваемым фактором сглаживания
-                     const smoothingFactor = this.config.get('player.smoothingFactor');
-                     this.mesh.position.y = BABYLON.Scalar.Lerp(currentY, targetY, smoothingFactor);
-                 }
-             } else {
-                 this.isGrounded = false;
-             }
-         } else {
-             this.isGrounded = false;
-         }
+        if (this.isGrounded) {
+            this.airTime = 0;
+            this.hasJumped = false;
+        } else {
+            this.airTime += deltaTime;
+        }
+        
+        // Прыжок с земли или в пределах coyote time после схода с края
+        let jumped = false;
+        const canJump = !this.hasJumped && (this.isGrounded || this.airTime <= movement.coyoteTime);
+        if (this.jumpBufferTimer > 0 && canJump && this.setCrouched(false)) {
+            this.jumpBufferTimer = 0;
+            
+            // Прыжок к уступу сразу становится подтягиванием
+            if (this.isMoving && this.tryMantle(moveDirection)) {
+                return;
+            }
+            
+            this.airSpeed = this.getMoveSpeed();
+            this.verticalVelocity = this.jumpForce;
+            this.hasJumped = true;
+            this.states.transition('Jump');
+            jumped = true;
+        }
+        
+        if (!jumped) {
+            this.updateCrouch(moveDirection);
+        }
         
         // Применяем гравитацию только если не на земле
         if (!this.isGrounded) {
             this.verticalVelocity += this.gravity * deltaTime;
         }
         
-        // Прыжок
-        if (inputMap[this.config.get('controls.keyBindings.jump')] && this.isGrounded) {
-            this.verticalVelocity = this.jumpForce;
-            this.isGrounded = false;
+        // Скольжение идет по направлению, заданному в его начале
+        const speed = this.getMoveSpeed();
+        const horizontalMove = this.states.is('Slide')
+            ? this.slideDirection.scale(speed * deltaTime)
+            : moveDirection.scale(speed * moveAmount * deltaTime);
+        if (this.states.is('Slide')) {
+            this.slideSpeed = Math.max(0, this.slideSpeed - movement.slide.friction * this.playerSpeed * deltaTime);
         }
         
         // Общее движение
@@ -382,14 +603,332 @@ export class Player {
             horizontalMove.z
         );
         
-        // Движение с коллизиями - БЕЗ дополнительной коррекции Y
-        this.mesh.moveWithCollisions(totalMove);
+        // Прилипание к земле отключаем в момент прыжка, иначе контроллер вернет нас вниз
+        const result = this.controller.move(totalMove, { snapToGround: !jumped });
+        this.position.copyFrom(this.controller.position);
+        
+        // Движущаяся платформа поворачивает и игрока
+        if (result.platformYawDelta) {
+            this.transform.rotationY += result.platformYawDelta;
+        }
+        
+        // Удар головой о потолок гасит подъем
+        if (result.collidedAbove && this.verticalVelocity > 0) {
+            this.verticalVelocity = 0;
+        }
+        
+        const impactSpeed = -this.verticalVelocity;
+        this.isGrounded = result.isGrounded;
+        if (this.isGrounded) {
+            this.verticalVelocity = 0;
+        }
+        
+        // Высота падения считается от высшей точки, а не от места отрыва (прыжок вверх тоже падение)
+        if (!this.isGrounded) {
+            this.fallStartY = this.fallStartY === null ? this.position.y : Math.max(this.fallStartY, this.position.y);
+        }
         
-        // Отладочная информация
+        let fallHeight = 0;
         if (!wasGrounded && this.isGrounded) {
-            console.log(`🎯 Player landed at Y=${this.mesh.position.y.toFixed(2)}`);
+            fallHeight = this.fallStartY === null ? 0 : Math.max(0, this.fallStartY - this.position.y);
+            this.fallStartY = null;
+            console.log(`🎯 Player landed at Y=${this.position.y.toFixed(2)} (fall ${fallHeight.toFixed(2)})`);
+            this.onLandObservable.notifyObservers({
+                fallHeight,
+                impactSpeed: Math.max(0, impactSpeed),
+                position: this.position.clone()
+            });
         } else if (this.verticalVelocity < -10) {
-            console.log(`⬇️ Player falling fast: Y=${this.mesh.position.y.toFixed(2)}, velocity=${this.verticalVelocity.toFixed(2)}`);
+            console.log(`⬇️ Player falling fast: Y=${this.position.y.toFixed(2)}, velocity=${this.verticalVelocity.toFixed(2)}`);
+        }
+        
+        // Вода глубже порога - плавание
+        if (this.getWaterDepth() >= movement.swim.depth * this.scaleFactor) {
+            this.enterSwim();
+            return;
+        }
+        
+        if (this.isGrounded) {
+            // Короткое падение проходит через Land без задержки
+            if (this.states.is('Jump', 'Fall')) {
+                this.landDuration = fallHeight >= movement.land.minFallHeight * this.scaleFactor ? movement.land.duration : 0;
+                this.states.transition('Land');
+            }
+            this.updateGroundState();
+        } else {
+            if (this.states.isGroundedState()) {
+                this.airSpeed = speed;
+                this.states.transition('Fall');
+            } else if (this.states.is('Jump') && this.verticalVelocity <= 0) {
+                this.states.transition('Fall');
+            }
+            
+            // Уступ перед игроком в прыжке или падении
+            if (this.isMoving && result.collidedSides) {
+                this.tryMantle(moveDirection);
+            }
+        }
+    }
+    
+    /**
+     * Выбор состояния на земле по вводу (приседание и скольжение выбирает updateCrouch)
+     */
+    updateGroundState() {
+        if (this.states.is('Slide')) return;
+        if (this.states.is('Land') && this.states.time < this.landDuration) return;
+        
+        let next;
+        if (this.isCrouched) {
+            next = 'Crouch';
+        } else if (!this.isMoving) {
+            next = 'Idle';
+        } else if (this.input.sprint && this.canSprint()) {
+            next = 'Run';
+        } else {
+            next = 'Walk';
+        }
+        this.states.transition(next);
+    }
+    
+    /**
+     * Приседание и скольжение
+     * Присесть и начать скольжение можно только на земле; встать - там, где
+     * над головой хватает места
+     */
+    updateCrouch(moveDirection) {
+        const movement = this.movement;
+        
+        if (this.states.is('Slide')) {
+            const slowed = this.slideSpeed <= this.playerSpeed * movement.crouchMultiplier;
+            if (!this.input.crouch || slowed || this.states.time >= movement.slide.maxDuration) {
+                this.states.transition('Crouch');
+            }
+            return;
+        }
+        
+        if (this.input.crouch && this.isGrounded) {
+            // Нажатие приседа на бегу переходит в скольжение с набранной скоростью
+            const slide = this.input.crouchPressed && this.states.is('Run') && this.isMoving;
+            const speed = this.getMoveSpeed();
+            this.setCrouched(true);
+            if (slide) {
+                this.slideDirection = moveDirection.clone();
+                this.slideSpeed = speed;
+                this.states.transition('Slide');
+            } else {
+                this.states.transition('Crouch');
+            }
+        } else if (!this.input.crouch && this.isCrouched) {
+            this.setCrouched(false);
+        }
+    }
+    
+    /**
+     * Высота капсулы в приседе
+     */
+    getCrouchHeight() {
+        return Math.max(this.movement.crouchHeight * this.scaleFactor, this.controller.radius * 2);
+    }
+    
+    /**
+     * Смена высоты капсулы с сохранением положения ног
+     * @param {boolean} crouched - Присесть или встать
+     * @returns {boolean} Удалось ли (встать под потолком нельзя)
+     */
+    setCrouched(crouched) {
+        if (crouched === this.isCrouched) return true;
+        
+        const standingHeight = this.getControllerOptions().height;
+        const crouchHeight = this.getCrouchHeight();
+        const center = this.position.clone();
+        center.y += (crouched ? -1 : 1) * (standingHeight - crouchHeight) / 2;
+        
+        if (!crouched && this.collisionWorld && this.controller.overlaps(center, standingHeight)) {
+            return false;
+        }
+        
+        this.controller.configure({ height: crouched ? crouchHeight : standingHeight });
+        this.position.copyFrom(center);
+        this.controller.position.copyFrom(center);
+        this.isCrouched = crouched;
+        this.updateDebugCapsuleSize();
+        return true;
+    }
+    
+    /**
+     * Расход и восстановление выносливости
+     * Полностью истощенный бег снова доступен только после восстановления до minToSprint
+     */
+    updateStamina(deltaTime) {
+        const stamina = this.movement.stamina;
+        
+        if (this.states.is('Run')) {
+            this.stamina = Math.max(0, this.stamina - stamina.sprintCost * deltaTime);
+            this.staminaRegenTimer = stamina.regenDelay;
+            if (this.stamina === 0) {
+                this.isExhausted = true;
+            }
+        } else if (this.staminaRegenTimer > 0) {
+            this.staminaRegenTimer -= deltaTime;
+        } else {
+            this.stamina = Math.min(stamina.max, this.stamina + stamina.regen * deltaTime);
+        }
+        
+        if (this.isExhausted && this.stamina >= stamina.minToSprint) {
+            this.isExhausted = false;
+        }
+    }
+    
+    /**
+     * Можно ли бежать
+     */
+    canSprint() {
+        return !this.isExhausted && this.stamina > 0;
+    }
+    
+    /**
+     * Поиск уступа перед игроком, на который можно подтянуться
+     * Луч сверху вниз перед капсулой ищет проходимую поверхность на досягаемой высоте,
+     * горизонтальный луч чуть ниже ее края подтверждает стену, а проверка пересечений -
+     * что капсула поместится и над местом подъема, и на самом уступе
+     * @param {BABYLON.Vector3} direction - Горизонтальное направление (нормализованное)
+     * @returns {BABYLON.Vector3|null} Позиция центра капсулы на уступе
+     */
+    findLedge(direction) {
+        if (!this.collisionWorld) return null;
+        
+        const controller = this.controller;
+        const mantle = this.movement.mantle;
+        const halfHeight = controller.getHalfHeight();
+        const feetY = this.position.y - halfHeight;
+        const minY = feetY + mantle.minHeight * this.scaleFactor;
+        const maxY = feetY + mantle.maxHeight * this.scaleFactor;
+        const reach = controller.radius + mantle.reach * this.scaleFactor;
+        
+        const origin = this.position.add(direction.scale(reach));
+        origin.y = maxY;
+        const top = this.collisionWorld.raycast(origin, new BABYLON.Vector3(0, -1, 0), maxY - minY);
+        if (!top.hit || top.distance <= 0) return null;
+        
+        const normal = top.normal.y < 0 ? top.normal.negate() : top.normal;
+        if (!controller.isWalkable(normal)) return null;
+        
+        const ledgeY = maxY - top.distance;
+        const wallOrigin = new BABYLON.Vector3(this.position.x, ledgeY - controller.skinWidth * 4, this.position.z);
+        if (!this.collisionWorld.raycast(wallOrigin, direction, reach).hit) return null;
+        
+        const target = new BABYLON.Vector3(origin.x, ledgeY + halfHeight + controller.skinWidth, origin.z);
+        const raised = new BABYLON.Vector3(this.position.x, target.y, this.position.z);
+        if (controller.overlaps(raised) || controller.overlaps(target)) return null;
+        
+        return target;
+    }
+    
+    /**
+     * Начало подтягивания на уступ, если он есть
+     * @returns {boolean} Началось ли подтягивание
+     */
+    tryMantle(direction) {
+        if (this.isCrouched || !this.states.canTransition('Mantle')) return false;
+        
+        const target = this.findLedge(direction);
+        if (!target) return false;
+        
+        this.mantleFrom = this.position.clone();
+        this.mantleTo = target;
+        this.verticalVelocity = 0;
+        this.fallStartY = null;
+        this.states.transition('Mantle');
+        return true;
+    }
+    
+    /**
+     * Подтягивание: сначала подъем вдоль стены, затем шаг вперед на уступ
+     */
+    updateMantle() {
+        const t = Math.min(1, this.states.time / this.movement.mantle.duration);
+        const rise = Math.min(1, t / 0.6);
+        const step = Math.max(0, (t - 0.6) / 0.4);
+        
+        const position = new BABYLON.Vector3(
+            BABYLON.Scalar.Lerp(this.mantleFrom.x, this.mantleTo.x, step),
+            BABYLON.Scalar.Lerp(this.mantleFrom.y, this.mantleTo.y, Math.sin(rise * Math.PI / 2)),
+            BABYLON.Scalar.Lerp(this.mantleFrom.z, this.mantleTo.z, step)
+        );
+        this.position.copyFrom(position);
+        this.controller.setPosition(position);
+        
+        if (t >= 1) {
+            this.isGrounded = true;
+            this.states.transition('Idle');
+        }
+    }
+    
+    /**
+     * Глубина центра капсулы под поверхностью воды (physics.waterVolumes)
+     * @returns {number} Глубина или -Infinity вне воды
+     */
+    getWaterDepth() {
+        let depth = -Infinity;
+        this.config.get('physics.waterVolumes').forEach(volume => {
+            const [x, y, z] = volume.position;
+            const [width, height, length] = volume.size;
+            const p = this.position;
+            if (Math.abs(p.x - x) <= width / 2 && Math.abs(p.z - z) <= length / 2 && p.y >= y - height / 2) {
+                depth = Math.max(depth, y + height / 2 - p.y);
+            }
+        });
+        return depth;
+    }
+    
+    /**
+     * Переход в плавание: падение в воду не считается приземлением
+     */
+    enterSwim() {
+        if (!this.states.transition('Swim')) return;
+        
+        this.setCrouched(false);
+        this.fallStartY = null;
+        this.verticalVelocity = 0;
+        this.hasJumped = false;
+    }
+    
+    /**
+     * Плавание: без гравитации, прыжок - всплытие, присед - погружение;
+     * без ввода игрок держится у поверхности
+     */
+    updateSwimMode(moveDirection, moveAmount, deltaTime) {
+        const swim = this.movement.swim;
+        const depth = this.getWaterDepth();
+        const floatDepth = swim.floatDepth * this.scaleFactor;
+        const verticalSpeed = swim.verticalSpeed * this.scaleFactor;
+        
+        const vertical = (this.input.jump ? 1 : 0) - (this.input.crouch ? 1 : 0);
+        if (vertical > 0 && depth <= floatDepth) {
+            // Выше поверхности не всплыть: из воды выходят на берег или подтягиваются
+            this.verticalVelocity = 0;
+        } else if (vertical !== 0) {
+            this.verticalVelocity = vertical * verticalSpeed;
+        } else {
+            this.verticalVelocity = BABYLON.Scalar.Clamp((depth - floatDepth) * 4, -verticalSpeed, verticalSpeed);
+        }
+        
+        const horizontalMove = moveDirection.scale(this.playerSpeed * swim.speedMultiplier * moveAmount * deltaTime);
+        const result = this.controller.move(
+            new BABYLON.Vector3(horizontalMove.x, this.verticalVelocity * deltaTime, horizontalMove.z),
+            { snapToGround: false }
+        );
+        this.position.copyFrom(this.controller.position);
+        this.isGrounded = result.isGrounded;
+        
+        if (this.isMoving && result.collidedSides && this.tryMantle(moveDirection)) {
+            return;
+        }
+        
+        // Мелководье: игрок выходит на берег пешком
+        if (this.getWaterDepth() < swim.depth * this.scaleFactor * 0.5) {
+            this.verticalVelocity = 0;
+            this.states.transition(this.isGrounded ? 'Idle' : 'Fall');
         }
     }
     
@@ -400,6 +939,13 @@ export class Player {
         return this.position.clone();
     }
     
+    /**
+     * Получение интерполированной позиции для рендера и камеры
+     */
+    getRenderPosition() {
+        return this.mesh.position.clone();
+    }
+    
     /**
      * Получение меша игрока
      */
@@ -428,6 +974,76 @@ export class Player {
         this.playerSpeed = this.config.get('player.speed') * this.scaleFactor;
         this.jumpForce = this.config.get('player.jumpForce') * this.scaleFactor;
         this.gravity = this.config.get('physics.gravity') * this.scaleFactor;
+        this.movement = this.config.get('player.movement');
+        this.stamina = Math.min(this.stamina, this.movement.stamina.max);
+        
+        // Размеры капсулы могли измениться - пересоздаем отладочную капсулу
+        this.controller.configure(this.getControllerOptions());
+        const debugEnabled = this.debugCapsule ? this.debugCapsule.isEnabled() : false;
+        this.setupDebugVisualization();
+        this.debugCapsule.setEnabled(debugEnabled);
+        if (this.isCrouched) {
+            this.controller.configure({ height: this.getCrouchHeight() });
+            this.updateDebugCapsuleSize();
+        }
+        
+        if (this.animation) {
+            const model = this.config.get('player.model');
+            this.animation.updateFromConfig(model);
+            this.footIK.settings = model.footIK;
+        }
+    }
+    
+    /**
+     * Текущее состояние движения (для HUD и анимации)
+     */
+    getState() {
+        return this.states.state;
+    }
+    
+    /**
+     * Состояние движения и выносливость для HUD
+     */
+    getMovementStatus() {
+        return {
+            state: this.states.state,
+            stamina: this.stamina,
+            maxStamina: this.movement.stamina.max,
+            exhausted: this.isExhausted,
+            crouched: this.isCrouched
+        };
+    }
+    
+    /**
+     * Сохраняемое состояние (позицию хранит TransformComponent)
+     */
+    serialize() {
+        return {
+            verticalVelocity: this.verticalVelocity,
+            stamina: this.stamina,
+            crouched: this.isCrouched
+        };
+    }
+    
+    /**
+     * Восстановление состояния после TransformComponent:
+     * контроллер и меш переносятся в загруженную позицию
+     */
+    deserialize(data) {
+        this.setPosition(this.position.clone());
+        this.verticalVelocity = data.verticalVelocity || 0;
+        this.isGrounded = false;
+        this.fallStartY = null;
+        this.stamina = data.stamina !== undefined ? data.stamina : this.movement.stamina.max;
+        this.isExhausted = false;
+        
+        // Загруженная позиция - центр капсулы той высоты, с которой игрок был сохранен
+        this.isCrouched = !!data.crouched;
+        this.controller.configure({
+            height: this.isCrouched ? this.getCrouchHeight() : this.getControllerOptions().height
+        });
+        this.updateDebugCapsuleSize();
+        this.states.reset('Fall');
     }
     
     /**
@@ -435,22 +1051,20 @@ export class Player {
      */
     dispose() {
         // Очищаем отладочные элементы
-        if (this.debugEllipsoid) {
-            this.debugEllipsoid.dispose();
-            this.debugEllipsoid = null;
+        if (this.debugCapsule) {
+            this.debugCapsule.dispose();
+            this.debugCapsule = null;
         }
         
         this.debugRays.forEach(ray => ray.dispose());
         this.debugRays = [];
+        this.onLandObservable.clear();
+        this.states.dispose();
+        this.detachCharacter();
         
-        if (this.mesh) {
-            // Безопасное удаление физического тела
-            if (this.mesh.physicsImpostor) {
-                this.mesh.physicsImpostor.dispose();
-                this.mesh.physicsImpostor = null;
-            }
-            this.mesh.dispose();
-        }
+        // Меш и коллайдер освобождают их компоненты
+        this.mesh = null;
+        this.controller = null;
         console.log('🗑️ Player disposed');
     }
 }
\ No newline at end of file
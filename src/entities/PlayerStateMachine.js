@@ -0,0 +1,112 @@
+/**
+ * Конечный автомат движения игрока
+ * Состояния и разрешенные переходы заданы таблицей: переход, которого в ней нет,
+ * отклоняется. Решения о переходах принимает Player, автомат только следит
+ * за их допустимостью, временем в состоянии и оповещает подписчиков (HUD, анимация)
+ */
+
+// Разрешенные переходы: состояние -> куда из него можно перейти
+const TRANSITIONS = {
+    Idle: ['Walk', 'Run', 'Crouch', 'Jump', 'Fall', 'Fly', 'Swim', 'Mantle'],
+    Walk: ['Idle', 'Run', 'Crouch', 'Jump', 'Fall', 'Fly', 'Swim', 'Mantle'],
+    Run: ['Idle', 'Walk', 'Crouch', 'Slide', 'Jump', 'Fall', 'Fly', 'Swim', 'Mantle'],
+    Crouch: ['Idle', 'Walk', 'Run', 'Jump', 'Fall', 'Fly', 'Swim'],
+    Slide: ['Idle', 'Walk', 'Run', 'Crouch', 'Jump', 'Fall', 'Fly', 'Swim'],
+    // Из падения можно прыгнуть в пределах coyote time
+    Jump: ['Fall', 'Land', 'Mantle', 'Fly', 'Swim'],
+    Fall: ['Jump', 'Land', 'Mantle', 'Fly', 'Swim'],
+    Land: ['Idle', 'Walk', 'Run', 'Crouch', 'Slide', 'Jump', 'Fall', 'Fly', 'Swim', 'Mantle'],
+    Fly: ['Idle', 'Fall'],
+    Swim: ['Idle', 'Walk', 'Fall', 'Mantle', 'Fly'],
+    Mantle: ['Idle', 'Fly']
+};
+
+// Состояния, в которых игрок стоит на земле
+const GROUNDED_STATES = ['Idle', 'Walk', 'Run', 'Crouch', 'Slide', 'Land'];
+
+export const PLAYER_STATES = Object.keys(TRANSITIONS);
+
+export class PlayerStateMachine {
+    /**
+     * @param {string} initialState - Начальное состояние
+     */
+    constructor(initialState = 'Idle') {
+        this.state = initialState;
+        this.previousState = null;
+
+        // Время в текущем состоянии (секунды симуляции)
+        this.time = 0;
+
+        // Смена состояния: { from, to }
+        this.onStateChangeObservable = new BABYLON.Observable();
+    }
+
+    /**
+     * Разрешен ли переход из текущего состояния
+     * @param {string} state - Целевое состояние
+     */
+    canTransition(state) {
+        return TRANSITIONS[this.state].includes(state);
+    }
+
+    /**
+     * Переход в состояние
+     * @param {string} state - Целевое состояние
+     * @returns {boolean} Состоялся ли переход
+     */
+    transition(state) {
+        if (state === this.state) return false;
+        if (!this.canTransition(state)) {
+            console.warn(`⚠️ Player state transition ${this.state} -> ${state} is not allowed`);
+            return false;
+        }
+
+        this.setState(state);
+        return true;
+    }
+
+    /**
+     * Принудительная установка состояния в обход таблицы (загрузка, телепорт)
+     * @param {string} state - Новое состояние
+     */
+    reset(state) {
+        if (state !== this.state) {
+            this.setState(state);
+        }
+    }
+
+    setState(state) {
+        const from = this.state;
+        this.previousState = from;
+        this.state = state;
+        this.time = 0;
+        this.onStateChangeObservable.notifyObservers({ from, to: state });
+    }
+
+    /**
+     * Учет времени в состоянии
+     * @param {number} deltaTime - Шаг симуляции
+     */
+    update(deltaTime) {
+        this.time += deltaTime;
+    }
+
+    /**
+     * Находится ли автомат в одном из состояний
+     * @param {...string} states - Состояния
+     */
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    /**
+     * Состояние на земле (ходьба, бег, приседание, скольжение, приземление)
+     */
+    isGroundedState() {
+        return GROUNDED_STATES.includes(this.state);
+    }
+
+    dispose() {
+        this.onStateChangeObservable.clear();
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * Инвентарь уровня
+ * База предметов из inventory.itemsPath, инвентарь игрока и контейнеры
+ * в мире (inventory.containers)
+ */
+import { ItemDatabase } from './ItemDatabase.js';
+import { TransformComponent } from '../components/TransformComponent.js';
+import { MeshComponent } from '../components/MeshComponent.js';
+import { InventoryComponent } from '../components/InventoryComponent.js';
+
+export class InventoryManager {
+    /**
+     * @param {Game} game - Игра (мир сущностей, ресурсы, шина событий)
+     */
+    constructor(game) {
+        this.game = game;
+        this.config = game.configManager;
+        this.itemDatabase = null;
+    }
+
+    /**
+     * Загрузка базы предметов, инвентарь игрока и контейнеры
+     * Без файла предметов база пуста
+     */
+    async init() {
+        const game = this.game;
+        const settings = this.config.get('inventory');
+        try {
+            this.itemDatabase = new ItemDatabase(await game.assetManager.loadJSON('items', settings.itemsPath));
+        } catch (error) {
+            console.warn('⚠️ Item database not available, inventory is empty:', error.message);
+            this.itemDatabase = new ItemDatabase();
+        }
+
+        const inventory = game.playerEntity.addComponent(new InventoryComponent(this.itemDatabase, settings.player));
+        settings.player.startItems.forEach(([id, count]) => inventory.add(id, count));
+        inventory.onChangeObservable.add(() => {
+            game.events.emit('inventory:changed', { entity: game.playerEntity, inventory });
+        });
+
+        settings.containers.forEach(definition => {
+            this.createContainer(definition);
+        });
+
+        console.log(`🎒 Inventory ready: ${this.itemDatabase.getAll().length} item types`);
+    }
+
+    /**
+     * Контейнер в мире (сундук) с предметами
+     * @param {Object} definition - Описание из inventory.containers
+     * @returns {Entity}
+     */
+    createContainer(definition) {
+        const game = this.game;
+        const scene = game.scene.getScene();
+        const position = BABYLON.Vector3.FromArray(definition.position);
+        const entity = game.entities.createEntity(definition.id, ['container']);
+        entity.addComponent(new TransformComponent(position));
+
+        const inventory = entity.addComponent(new InventoryComponent(this.itemDatabase, {
+            title: definition.title || 'Chest',
+            slots: definition.slots || 12,
+            columns: definition.columns || 4
+        }));
+        (definition.items || []).forEach(([id, count]) => inventory.add(id, count));
+
+        // Заглушка сундука: ящик, стоящий на позиции сущности
+        const size = 0.08 * game.scaleFactor;
+        const mesh = BABYLON.MeshBuilder.CreateBox(`container_${definition.id}`, {
+            width: size * 1.5,
+            height: size,
+            depth: size
+        }, scene);
+        mesh.bakeTransformIntoVertices(BABYLON.Matrix.Translation(0, size / 2, 0));
+        mesh.position.copyFrom(position);
+        const material = new BABYLON.StandardMaterial(`container_${definition.id}_material`, scene);
+        material.diffuseColor = new BABYLON.Color3(0.45, 0.3, 0.15);
+        mesh.material = material;
+        entity.addComponent(new MeshComponent(mesh));
+
+        const interactable = entity.addComponent(game.interactables.create('container', definition, {
+            prompt: `open the ${(definition.title || 'chest').toLowerCase()}`,
+            offset: new BABYLON.Vector3(0, size / 2, 0),
+            size
+        }));
+        interactable.onInteractObservable.add(() => {
+            game.openContainer(entity);
+        });
+
+        return entity;
+    }
+
+    /**
+     * Ближайший контейнер в пределах inventory.containerReach
+     * @param {BABYLON.Vector3} position - Позиция игрока
+     * @returns {Entity|null}
+     */
+    getNearestContainer(position) {
+        const reach = this.config.get('inventory.containerReach') * this.game.scaleFactor;
+        let nearest = null;
+        let nearestDistance = reach;
+        this.game.entities.getEntitiesByTag('container').forEach(entity => {
+            const transform = entity.getComponent(TransformComponent);
+            const distance = transform ? BABYLON.Vector3.Distance(transform.position, position) : Infinity;
+            if (entity.getComponent(InventoryComponent) && distance <= nearestDistance) {
+                nearest = entity;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+}
@@ -0,0 +1,277 @@
+/**
+ * Контейнер предметов из ячеек
+ * Ячейка пуста (null) или хранит стопку { id, count } не больше stackSize
+ * предмета. Контейнер экипировки задает тип каждой ячейки (slotTypes):
+ * в ячейку помещается только предмет с таким equipSlot и по одному.
+ * Подписчики onChangeObservable получают { container }
+ */
+export class ItemContainer {
+    /**
+     * @param {ItemDatabase} database - База описаний предметов
+     * @param {Object} options - Параметры контейнера
+     * @param {string} options.name - Имя (ключ в InventoryComponent)
+     * @param {number} options.slots - Число ячеек
+     * @param {number} options.columns - Ячеек в строке сетки
+     * @param {number} options.maxWeight - Наибольший вес содержимого (0 - без ограничения)
+     * @param {string[]} options.slotTypes - Типы ячеек экипировки (задают и число ячеек)
+     */
+    constructor(database, options = {}) {
+        this.database = database;
+        this.name = options.name || 'main';
+        this.slotTypes = options.slotTypes ? options.slotTypes.slice() : null;
+
+        const size = this.slotTypes ? this.slotTypes.length : options.slots || 0;
+        this.slots = new Array(size).fill(null);
+        this.columns = options.columns || size;
+        this.maxWeight = options.maxWeight > 0 ? options.maxWeight : Infinity;
+
+        this.onChangeObservable = new BABYLON.Observable();
+    }
+
+    getSize() {
+        return this.slots.length;
+    }
+
+    getSlot(index) {
+        return this.slots[index] || null;
+    }
+
+    getSlotType(index) {
+        return this.slotTypes ? this.slotTypes[index] : null;
+    }
+
+    /**
+     * Подходит ли предмет для ячейки
+     */
+    accepts(index, id) {
+        const item = this.database.get(id);
+        if (!item || index < 0 || index >= this.slots.length) return false;
+        return !this.slotTypes || item.equipSlot === this.slotTypes[index];
+    }
+
+    /**
+     * Наибольшая стопка предмета в ячейке
+     */
+    getStackLimit(id) {
+        const item = this.database.get(id);
+        if (!item) return 0;
+        return this.slotTypes ? 1 : item.stackSize;
+    }
+
+    getWeight() {
+        return this.slots.reduce((sum, stack) => sum + (stack ? this.getStackWeight(stack.id, stack.count) : 0), 0);
+    }
+
+    getStackWeight(id, count) {
+        const item = this.database.get(id);
+        return item ? item.weight * count : 0;
+    }
+
+    /**
+     * Сколько штук предмета поместится по весу
+     * @param {number} released - Вес, который освободится одновременно (обмен ячеек)
+     */
+    getWeightCapacity(id, released = 0) {
+        const item = this.database.get(id);
+        if (!item || item.weight <= 0 || this.maxWeight === Infinity) return Infinity;
+        return Math.max(0, Math.floor((this.maxWeight - this.getWeight() + released + 1e-6) / item.weight));
+    }
+
+    count(id) {
+        return this.slots.reduce((sum, stack) => sum + (stack && stack.id === id ? stack.count : 0), 0);
+    }
+
+    has(id, count = 1) {
+        return this.count(id) >= count;
+    }
+
+    /**
+     * Добавление предметов: сначала в неполные стопки, затем в пустые ячейки
+     * @returns {number} Сколько не поместилось
+     */
+    add(id, count = 1) {
+        if (!this.database.has(id)) {
+            console.warn(`⚠️ Unknown item '${id}'`);
+            return count;
+        }
+
+        let remaining = Math.min(count, this.getWeightCapacity(id));
+        const rejected = count - remaining;
+        const limit = this.getStackLimit(id);
+
+        this.slots.forEach(stack => {
+            if (remaining > 0 && stack && stack.id === id && stack.count < limit) {
+                const added = Math.min(limit - stack.count, remaining);
+                stack.count += added;
+                remaining -= added;
+            }
+        });
+        this.slots.forEach((stack, index) => {
+            if (remaining > 0 && !stack && this.accepts(index, id)) {
+                const added = Math.min(limit, remaining);
+                this.slots[index] = { id, count: added };
+                remaining -= added;
+            }
+        });
+
+        if (remaining + rejected < count) {
+            this.notifyChange();
+        }
+        return remaining + rejected;
+    }
+
+    /**
+     * Удаление предметов, начиная с последних ячеек
+     * @returns {number} Сколько удалено
+     */
+    remove(id, count = 1) {
+        let remaining = count;
+        for (let index = this.slots.length - 1; index >= 0 && remaining > 0; index--) {
+            const stack = this.slots[index];
+            if (stack && stack.id === id) {
+                const removed = Math.min(stack.count, remaining);
+                stack.count -= removed;
+                remaining -= removed;
+                if (stack.count === 0) {
+                    this.slots[index] = null;
+                }
+            }
+        }
+
+        if (remaining < count) {
+            this.notifyChange();
+        }
+        return count - remaining;
+    }
+
+    /**
+     * Перенос стопки или ее части в ячейку этого или другого контейнера
+     * Одинаковые предметы объединяются, разные меняются местами
+     * (только при переносе всей стопки)
+     * @param {number} fromIndex - Ячейка-источник
+     * @param {ItemContainer} target - Контейнер назначения
+     * @param {number} toIndex - Ячейка назначения
+     * @param {number} count - Сколько перенести (по умолчанию - всю стопку)
+     * @returns {boolean} Изменилось ли содержимое
+     */
+    transfer(fromIndex, target, toIndex, count = null) {
+        const source = this.slots[fromIndex];
+        if (!source || (target === this && fromIndex === toIndex)) return false;
+        if (!target.accepts(toIndex, source.id)) return false;
+
+        const amount = Math.min(count || source.count, source.count);
+        const destination = target.slots[toIndex];
+        const crossWeight = target !== this;
+
+        if (!destination || destination.id === source.id) {
+            const space = target.getStackLimit(source.id) - (destination ? destination.count : 0);
+            const moved = Math.min(amount, space, crossWeight ? target.getWeightCapacity(source.id) : Infinity);
+            if (moved <= 0) return false;
+
+            if (destination) {
+                destination.count += moved;
+            } else {
+                target.slots[toIndex] = { id: source.id, count: moved };
+            }
+            source.count -= moved;
+            if (source.count === 0) {
+                this.slots[fromIndex] = null;
+            }
+        } else {
+            // Обмен: обе стопки должны подойти в чужие ячейки целиком
+            if (amount < source.count || !this.accepts(fromIndex, destination.id)) return false;
+            if (destination.count > this.getStackLimit(destination.id) || source.count > target.getStackLimit(source.id)) return false;
+            if (crossWeight) {
+                const sourceWeight = this.getStackWeight(source.id, source.count);
+                const destinationWeight = this.getStackWeight(destination.id, destination.count);
+                if (target.getWeightCapacity(source.id, destinationWeight) < source.count ||
+                    this.getWeightCapacity(destination.id, sourceWeight) < destination.count) {
+                    return false;
+                }
+            }
+
+            this.slots[fromIndex] = destination;
+            target.slots[toIndex] = source;
+        }
+
+        this.notifyChange();
+        if (crossWeight) {
+            target.notifyChange();
+        }
+        return true;
+    }
+
+    /**
+     * Разделение стопки пополам в первую пустую ячейку
+     * @returns {boolean} Удалось ли разделить
+     */
+    split(index) {
+        const stack = this.slots[index];
+        if (!stack || stack.count < 2) return false;
+
+        const emptyIndex = this.slots.findIndex((slot, i) => !slot && this.accepts(i, stack.id));
+        if (emptyIndex === -1) return false;
+
+        return this.transfer(index, this, emptyIndex, Math.floor(stack.count / 2));
+    }
+
+    /**
+     * Перенос всей стопки в другой контейнер по свободным местам
+     * (быстрый перенос двойным щелчком)
+     * @returns {boolean} Перенесено ли хоть что-то
+     */
+    moveTo(index, target) {
+        let moved = false;
+        while (this.slots[index]) {
+            const toIndex = target.findSlotFor(this.slots[index].id);
+            if (toIndex === -1 || !this.transfer(index, target, toIndex)) break;
+            moved = true;
+        }
+        return moved;
+    }
+
+    /**
+     * Первая ячейка, куда поместится предмет (неполная стопка или пустая)
+     * @returns {number} Индекс или -1
+     */
+    findSlotFor(id) {
+        const limit = this.getStackLimit(id);
+        const partial = this.slots.findIndex(stack => stack && stack.id === id && stack.count < limit);
+        if (partial !== -1) return partial;
+        return this.slots.findIndex((stack, index) => !stack && this.accepts(index, id));
+    }
+
+    clear() {
+        this.slots.fill(null);
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        this.onChangeObservable.notifyObservers({ container: this });
+    }
+
+    serialize() {
+        return {
+            slots: this.slots.map(stack => stack ? [stack.id, stack.count] : null)
+        };
+    }
+
+    deserialize(data) {
+        this.slots.fill(null);
+        (data.slots || []).forEach((stack, index) => {
+            if (!stack || index >= this.slots.length) return;
+
+            const [id, count] = stack;
+            if (!this.database.has(id)) {
+                console.warn(`⚠️ Unknown item '${id}' in saved container '${this.name}' skipped`);
+                return;
+            }
+            this.slots[index] = { id, count: Math.min(count, this.getStackLimit(id)) };
+        });
+        this.notifyChange();
+    }
+
+    dispose() {
+        this.onChangeObservable.clear();
+    }
+}
@@ -0,0 +1,63 @@
+/**
+ * База описаний предметов
+ * Загружается из JSON { items: [...] }. Описание предмета:
+ *   id, name, icon (путь к картинке или null), stackSize, weight, category,
+ *   equipSlot (слот экипировки или null), properties (произвольные данные)
+ * Контейнеры хранят только id и количество, остальное берется из базы
+ */
+export class ItemDatabase {
+    /**
+     * @param {Object} definition - JSON-описание { items }
+     */
+    constructor(definition = { items: [] }) {
+        this.items = new Map();
+        this.load(definition);
+    }
+
+    load(definition) {
+        (definition.items || []).forEach(item => this.register(item));
+    }
+
+    /**
+     * Добавление описания предмета
+     * @returns {Object} Нормализованное описание
+     */
+    register(item) {
+        if (!item.id) {
+            throw new Error('Item definition has no id');
+        }
+        if (this.items.has(item.id)) {
+            throw new Error(`Duplicate item id '${item.id}'`);
+        }
+
+        const definition = {
+            id: item.id,
+            name: item.name || item.id,
+            icon: item.icon || null,
+            stackSize: Math.max(1, Math.floor(item.stackSize || 1)),
+            weight: item.weight || 0,
+            category: item.category || 'misc',
+            equipSlot: item.equipSlot || null,
+            description: item.description || '',
+            properties: { ...item.properties }
+        };
+        this.items.set(definition.id, definition);
+        return definition;
+    }
+
+    get(id) {
+        return this.items.get(id) || null;
+    }
+
+    has(id) {
+        return this.items.has(id);
+    }
+
+    getAll() {
+        return Array.from(this.items.values());
+    }
+
+    getByCategory(category) {
+        return this.getAll().filter(item => item.category === category);
+    }
+}
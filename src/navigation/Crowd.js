@@ -0,0 +1,349 @@
+/**
+ * Толпа агентов на навигационной сетке
+ * Пути строятся с ограничением числа поисков за шаг (очередь запросов),
+ * агенты идут к следующему повороту пути и обходят друг друга выбором
+ * скорости из набора образцов: штраф растет за отклонение от желаемой скорости,
+ * резкую смену текущей и близость столкновения с соседями
+ */
+let nextAgentId = 1;
+
+function distance2D(a, b) {
+    return Math.hypot(b.x - a.x, b.z - a.z);
+}
+
+/**
+ * Время до столкновения двух кругов на плоскости XZ
+ * @param {BABYLON.Vector3} offset - Положение соседа относительно агента
+ * @param {number} vx - Относительная скорость по X
+ * @param {number} vz - Относительная скорость по Z
+ * @param {number} radius - Сумма радиусов
+ * @returns {number} Время или Infinity; 0 - круги уже пересекаются
+ */
+function timeToCollision(offset, vx, vz, radius) {
+    const c = offset.x * offset.x + offset.z * offset.z - radius * radius;
+    if (c <= 0) return 0;
+
+    const a = vx * vx + vz * vz;
+    const b = vx * offset.x + vz * offset.z;
+    if (a < 1e-8 || b <= 0) return Infinity;
+
+    const discriminant = b * b - a * c;
+    if (discriminant < 0) return Infinity;
+    return (b - Math.sqrt(discriminant)) / a;
+}
+
+export class Crowd {
+    /**
+     * @param {NavMesh} navMesh - Навигационная сетка
+     * @param {Object} settings - Раздел navigation.crowd (расстояния уже в мировых единицах)
+     */
+    constructor(navMesh, settings) {
+        this.navMesh = navMesh;
+        this.settings = settings;
+        this.agents = [];
+        this.pathQueue = [];
+    }
+
+    /**
+     * Замена навигационной сетки (после перезапекания): агенты перестраивают пути
+     * @param {NavMesh} navMesh - Новая сетка
+     */
+    setNavMesh(navMesh) {
+        this.navMesh = navMesh;
+        this.agents.forEach(agent => {
+            this.placeAgent(agent, agent.position);
+            if (agent.target) {
+                this.requestMove(agent, agent.target);
+            }
+        });
+    }
+
+    /**
+     * Добавление агента
+     * @param {BABYLON.Vector3} position - Начальная позиция (ставится на навмеш)
+     * @param {Object} params - { radius, maxSpeed, maxAcceleration, external }
+     *   external - агент движется сам (игрок), толпа только обходит его
+     * @returns {Object} Агент
+     */
+    addAgent(position, params = {}) {
+        const agent = {
+            id: nextAgentId++,
+            position: position.clone(),
+            velocity: BABYLON.Vector3.Zero(),
+            desiredVelocity: BABYLON.Vector3.Zero(),
+            radius: params.radius || this.navMesh.agent.radius,
+            maxSpeed: params.maxSpeed || 1,
+            maxAcceleration: params.maxAcceleration || this.settings.maxAcceleration,
+            external: !!params.external,
+            polygon: -1,
+            target: null,
+            path: [],
+            pathIndex: 0,
+            // idle, waiting (ждет пути), moving, arrived, failed
+            state: 'idle',
+            partial: false,
+            replanTimer: 0
+        };
+        if (!agent.external) {
+            this.placeAgent(agent, position);
+        }
+        this.agents.push(agent);
+        return agent;
+    }
+
+    removeAgent(agent) {
+        this.agents = this.agents.filter(other => other !== agent);
+        this.pathQueue = this.pathQueue.filter(other => other !== agent);
+    }
+
+    placeAgent(agent, position) {
+        const nearest = this.navMesh.findNearestPoint(position, this.settings.searchRadius);
+        if (nearest) {
+            agent.position.copyFrom(nearest.point);
+            agent.polygon = nearest.polygon;
+        } else {
+            agent.position.copyFrom(position);
+            agent.polygon = -1;
+        }
+    }
+
+    /**
+     * Мгновенное перемещение агента
+     * @param {Object} agent - Агент
+     * @param {BABYLON.Vector3} position - Позиция
+     */
+    teleport(agent, position) {
+        this.placeAgent(agent, position);
+        agent.velocity.setAll(0);
+        if (agent.target) {
+            this.requestMove(agent, agent.target);
+        }
+    }
+
+    /**
+     * Движение к точке (путь строится в очереди на ближайших шагах)
+     * @param {Object} agent - Агент
+     * @param {BABYLON.Vector3} target - Цель
+     */
+    requestMove(agent, target) {
+        agent.target = target.clone();
+        agent.replanTimer = 0;
+        if (agent.state !== 'moving') {
+            agent.state = 'waiting';
+        }
+        if (!this.pathQueue.includes(agent)) {
+            this.pathQueue.push(agent);
+        }
+    }
+
+    /**
+     * Остановка агента
+     */
+    stop(agent) {
+        agent.target = null;
+        agent.path = [];
+        agent.state = 'idle';
+        agent.desiredVelocity.setAll(0);
+        this.pathQueue = this.pathQueue.filter(other => other !== agent);
+    }
+
+    /**
+     * Положение и скорость агента, который движется сам
+     */
+    setExternalState(agent, position, velocity) {
+        agent.position.copyFrom(position);
+        agent.velocity.copyFrom(velocity);
+    }
+
+    /**
+     * Шаг толпы
+     * @param {number} deltaTime - Длина шага
+     */
+    update(deltaTime) {
+        this.updatePaths(deltaTime);
+
+        const steered = this.agents.filter(agent => !agent.external);
+        steered.forEach(agent => this.updateDesiredVelocity(agent));
+        steered.forEach(agent => {
+            agent.newVelocity = this.sampleVelocity(agent);
+        });
+        steered.forEach(agent => this.integrate(agent, deltaTime));
+        this.separate(steered);
+    }
+
+    /**
+     * Поиск путей из очереди (не больше maxPathsPerUpdate за шаг) и
+     * периодическое перестроение путей движущихся агентов
+     */
+    updatePaths(deltaTime) {
+        this.agents.forEach(agent => {
+            if (agent.state !== 'moving') return;
+            agent.replanTimer += deltaTime;
+            if (agent.replanTimer >= this.settings.replanInterval && !this.pathQueue.includes(agent)) {
+                this.pathQueue.push(agent);
+            }
+        });
+
+        const count = Math.min(this.settings.maxPathsPerUpdate, this.pathQueue.length);
+        this.pathQueue.splice(0, count).forEach(agent => {
+            agent.replanTimer = 0;
+            if (!agent.target) return;
+
+            const path = this.navMesh.findPath(agent.position, agent.target, {
+                searchRadius: this.settings.searchRadius,
+                maxIterations: this.settings.maxSearchIterations
+            });
+            if (!path) {
+                agent.path = [];
+                agent.state = 'failed';
+                return;
+            }
+            agent.path = path.points;
+            agent.pathIndex = 0;
+            agent.partial = !path.complete;
+            agent.state = 'moving';
+        });
+    }
+
+    /**
+     * Желаемая скорость: к следующему повороту пути, с замедлением у цели
+     */
+    updateDesiredVelocity(agent) {
+        agent.desiredVelocity.setAll(0);
+        if (agent.state !== 'moving' || agent.path.length === 0) return;
+
+        // Пройденные повороты пропускаются
+        const arrival = this.settings.arrivalDistance;
+        while (agent.pathIndex < agent.path.length - 1 &&
+            distance2D(agent.position, agent.path[agent.pathIndex]) <= arrival) {
+            agent.pathIndex++;
+        }
+
+        const corner = agent.path[agent.pathIndex];
+        const distance = distance2D(agent.position, corner);
+        const last = agent.pathIndex === agent.path.length - 1;
+        if (last && distance <= arrival) {
+            agent.state = 'arrived';
+            return;
+        }
+
+        let speed = agent.maxSpeed;
+        if (last) {
+            speed *= Math.min(1, distance / Math.max(this.settings.slowDownDistance, 1e-3));
+        }
+        agent.desiredVelocity.set((corner.x - agent.position.x) / distance * speed, 0, (corner.z - agent.position.z) / distance * speed);
+    }
+
+    /**
+     * Выбор скорости из образцов вокруг желаемой с учетом соседей
+     * @returns {BABYLON.Vector3} Новая скорость
+     */
+    sampleVelocity(agent) {
+        const avoidance = this.settings.avoidance;
+        const desired = agent.desiredVelocity;
+        const desiredSpeed = desired.length();
+        if (desiredSpeed < 1e-4) return desired.clone();
+
+        const neighbors = this.agents.filter(other => other !== agent &&
+            distance2D(agent.position, other.position) <= avoidance.neighborRadius + other.radius &&
+            Math.abs(other.position.y - agent.position.y) <= this.navMesh.agent.height);
+        if (neighbors.length === 0) return desired.clone();
+
+        // Образцы: желаемая скорость, остановка и кольца направлений вокруг желаемой
+        const candidates = [desired.clone(), BABYLON.Vector3.Zero()];
+        const baseAngle = Math.atan2(desired.z, desired.x);
+        avoidance.rings.forEach(scale => {
+            for (let i = 0; i < avoidance.samples; i++) {
+                const angle = baseAngle + (i / avoidance.samples) * Math.PI * 2;
+                const speed = desiredSpeed * scale;
+                candidates.push(new BABYLON.Vector3(Math.cos(angle) * speed, 0, Math.sin(angle) * speed));
+            }
+        });
+
+        let best = desired;
+        let bestPenalty = Infinity;
+        candidates.forEach(candidate => {
+            let minTime = Infinity;
+            neighbors.forEach(other => {
+                const offset = other.position.subtract(agent.position);
+                // Управляемые соседи тоже уклоняются - каждый берет половину маневра
+                const share = other.external ? 1 : 2;
+                const vx = share * candidate.x - agent.velocity.x * (share - 1) - other.velocity.x;
+                const vz = share * candidate.z - agent.velocity.z * (share - 1) - other.velocity.z;
+                minTime = Math.min(minTime, timeToCollision(offset, vx, vz, agent.radius + other.radius));
+            });
+
+            const penalty =
+                avoidance.weightDesired * candidate.subtract(desired).length() / agent.maxSpeed +
+                avoidance.weightCurrent * candidate.subtract(agent.velocity).length() / agent.maxSpeed +
+                (minTime < avoidance.horizon ? avoidance.weightCollision * (avoidance.horizon / Math.max(minTime, 0.05) - 1) : 0);
+            if (penalty < bestPenalty) {
+                bestPenalty = penalty;
+                best = candidate;
+            }
+        });
+        return best.clone();
+    }
+
+    /**
+     * Разгон к выбранной скорости и перемещение по поверхности навмеша
+     */
+    integrate(agent, deltaTime) {
+        const change = agent.newVelocity.subtract(agent.velocity);
+        const maxChange = agent.maxAcceleration * deltaTime;
+        if (change.length() > maxChange) {
+            change.normalize().scaleInPlace(maxChange);
+        }
+        agent.velocity.addInPlace(change);
+
+        if (agent.velocity.lengthSquared() < 1e-8) {
+            agent.velocity.setAll(0);
+            return;
+        }
+        this.moveAgent(agent, agent.position.add(agent.velocity.scale(deltaTime)));
+    }
+
+    moveAgent(agent, target) {
+        if (agent.polygon === -1) {
+            this.placeAgent(agent, agent.position);
+            if (agent.polygon === -1) return;
+        }
+        const result = this.navMesh.moveAlongSurface(agent.polygon, agent.position, target);
+        agent.polygon = result.polygon;
+        agent.position.copyFrom(result.point);
+    }
+
+    /**
+     * Раздвигание пересекшихся агентов
+     */
+    separate(agents) {
+        for (let i = 0; i < agents.length; i++) {
+            for (let j = i + 1; j < agents.length; j++) {
+                const a = agents[i];
+                const b = agents[j];
+                const distance = distance2D(a.position, b.position);
+                const overlap = a.radius + b.radius - distance;
+                if (overlap <= 0 || Math.abs(a.position.y - b.position.y) > this.navMesh.agent.height) continue;
+
+                const nx = distance > 1e-4 ? (b.position.x - a.position.x) / distance : 1;
+                const nz = distance > 1e-4 ? (b.position.z - a.position.z) / distance : 0;
+                const push = overlap * 0.5;
+                this.moveAgent(a, new BABYLON.Vector3(a.position.x - nx * push, a.position.y, a.position.z - nz * push));
+                this.moveAgent(b, new BABYLON.Vector3(b.position.x + nx * push, b.position.y, b.position.z + nz * push));
+            }
+        }
+    }
+
+    /**
+     * Обновление настроек
+     * @param {Object} settings - Раздел navigation.crowd в мировых единицах
+     */
+    updateFromConfig(settings) {
+        this.settings = settings;
+    }
+
+    dispose() {
+        this.agents = [];
+        this.pathQueue = [];
+    }
+}
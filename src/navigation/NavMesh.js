@@ -0,0 +1,417 @@
+/**
+ * Навигационная сетка
+ * Загружает данные NavMeshBaker: прямоугольные полигоны поверх сетки ячеек.
+ * Путь ищется A* по графу полигонов, затем выпрямляется протягиванием
+ * нити через порталы (funnel, "simple stupid funnel" Mononen)
+ */
+import { NAVMESH_VERSION } from './NavMeshBaker.js';
+
+// Порталы по направлению стороны: +x, -x, +z, -z
+const DIRECTION_VECTORS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+/**
+ * Ориентированная площадь треугольника на плоскости XZ
+ * Положительна, если c лежит слева от направления a -> b
+ */
+function cross2D(a, b, c) {
+    return (b.x - a.x) * (c.z - a.z) - (b.z - a.z) * (c.x - a.x);
+}
+
+function distance2D(a, b) {
+    return Math.hypot(b.x - a.x, b.z - a.z);
+}
+
+export class NavMesh {
+    /**
+     * @param {Object} data - Описание навмеша (результат NavMeshBaker.bake или JSON)
+     */
+    constructor(data) {
+        if (!data || data.version !== NAVMESH_VERSION || !Array.isArray(data.polygons)) {
+            throw new Error(`Unsupported navmesh data (expected version ${NAVMESH_VERSION})`);
+        }
+
+        this.data = data;
+        this.cellSize = data.cellSize;
+        this.origin = data.origin;
+        this.width = data.size[0];
+        this.depth = data.size[1];
+        this.agent = data.agent;
+
+        this.polygons = data.polygons.map((polygon, index) => ({
+            index,
+            x: polygon.x,
+            z: polygon.z,
+            w: polygon.w,
+            d: polygon.d,
+            heights: polygon.heights,
+            links: polygon.links,
+            center: this.getPolygonCenter(polygon)
+        }));
+
+        // Полигоны по ячейкам (в одной ячейке может быть несколько этажей)
+        this.cells = new Map();
+        this.polygons.forEach(polygon => {
+            for (let z = polygon.z; z < polygon.z + polygon.d; z++) {
+                for (let x = polygon.x; x < polygon.x + polygon.w; x++) {
+                    const key = x + z * this.width;
+                    if (!this.cells.has(key)) {
+                        this.cells.set(key, []);
+                    }
+                    this.cells.get(key).push(polygon.index);
+                }
+            }
+        });
+    }
+
+    getPolygonCenter(polygon) {
+        const x = this.origin[0] + (polygon.x + polygon.w / 2) * this.cellSize;
+        const z = this.origin[1] + (polygon.z + polygon.d / 2) * this.cellSize;
+        const cx = Math.floor(polygon.w / 2);
+        const cz = Math.floor(polygon.d / 2);
+        return new BABYLON.Vector3(x, polygon.heights[cz * polygon.w + cx], z);
+    }
+
+    getPolygonCount() {
+        return this.polygons.length;
+    }
+
+    toCell(x, z) {
+        return [
+            Math.floor((x - this.origin[0]) / this.cellSize),
+            Math.floor((z - this.origin[1]) / this.cellSize)
+        ];
+    }
+
+    /**
+     * Высота полигона в точке (высота ячейки под точкой)
+     * @param {number} polygonIndex - Полигон
+     * @param {number} x - Координата X
+     * @param {number} z - Координата Z
+     */
+    getHeight(polygonIndex, x, z) {
+        const polygon = this.polygons[polygonIndex];
+        const [cellX, cellZ] = this.toCell(x, z);
+        const localX = BABYLON.Scalar.Clamp(cellX - polygon.x, 0, polygon.w - 1);
+        const localZ = BABYLON.Scalar.Clamp(cellZ - polygon.z, 0, polygon.d - 1);
+        return polygon.heights[localZ * polygon.w + localX];
+    }
+
+    /**
+     * Полигон, содержащий точку, с ближайшей по высоте поверхностью
+     * @param {BABYLON.Vector3} position - Точка
+     * @param {number} maxHeight - Наибольшее расстояние до поверхности по вертикали
+     * @returns {number} Индекс полигона или -1
+     */
+    findPolygonAt(position, maxHeight = Infinity) {
+        const [x, z] = this.toCell(position.x, position.z);
+        if (x < 0 || z < 0 || x >= this.width || z >= this.depth) return -1;
+
+        const candidates = this.cells.get(x + z * this.width);
+        if (!candidates) return -1;
+
+        let best = -1;
+        let bestDistance = maxHeight;
+        candidates.forEach(index => {
+            const distance = Math.abs(this.getHeight(index, position.x, position.z) - position.y);
+            if (distance <= bestDistance) {
+                bestDistance = distance;
+                best = index;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Ближайшая к точке позиция на навмеше
+     * Ячейки перебираются кольцами вокруг точки до searchRadius
+     * @param {BABYLON.Vector3} position - Точка
+     * @param {number} searchRadius - Радиус поиска
+     * @returns {Object|null} { polygon, point }
+     */
+    findNearestPoint(position, searchRadius) {
+        const direct = this.findPolygonAt(position, this.agent.height);
+        if (direct !== -1) {
+            return { polygon: direct, point: new BABYLON.Vector3(position.x, this.getHeight(direct, position.x, position.z), position.z) };
+        }
+
+        const [cellX, cellZ] = this.toCell(position.x, position.z);
+        const rings = Math.ceil(searchRadius / this.cellSize);
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (let ring = 1; ring <= rings && !best; ring++) {
+            for (let z = cellZ - ring; z <= cellZ + ring; z++) {
+                for (let x = cellX - ring; x <= cellX + ring; x++) {
+                    if (Math.max(Math.abs(x - cellX), Math.abs(z - cellZ)) !== ring) continue;
+                    if (x < 0 || z < 0 || x >= this.width || z >= this.depth) continue;
+
+                    const candidates = this.cells.get(x + z * this.width);
+                    if (!candidates) continue;
+
+                    // Точка - центр ячейки
+                    const px = this.origin[0] + (x + 0.5) * this.cellSize;
+                    const pz = this.origin[1] + (z + 0.5) * this.cellSize;
+                    candidates.forEach(index => {
+                        const point = new BABYLON.Vector3(px, this.getHeight(index, px, pz), pz);
+                        const distance = BABYLON.Vector3.Distance(point, position);
+                        if (distance < bestDistance && distance <= searchRadius + this.agent.height) {
+                            bestDistance = distance;
+                            best = { polygon: index, point };
+                        }
+                    });
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Портал связи: отрезок общей стороны двух полигонов
+     * @returns {Object} { a, b, mid, direction } - концы и середина (Vector3, высота
+     *   по краю полигона) и направление перехода (индекс стороны)
+     */
+    getPortal(polygonIndex, link) {
+        const polygon = this.polygons[polygonIndex];
+        const size = this.cellSize;
+        const [ox, oz] = this.origin;
+        let a;
+        let b;
+
+        if (link.dir < 2) {
+            const x = ox + (link.dir === 0 ? polygon.x + polygon.w : polygon.x) * size;
+            a = new BABYLON.Vector3(x, 0, oz + (polygon.z + link.from) * size);
+            b = new BABYLON.Vector3(x, 0, oz + (polygon.z + link.to + 1) * size);
+        } else {
+            const z = oz + (link.dir === 2 ? polygon.z + polygon.d : polygon.z) * size;
+            a = new BABYLON.Vector3(ox + (polygon.x + link.from) * size, 0, z);
+            b = new BABYLON.Vector3(ox + (polygon.x + link.to + 1) * size, 0, z);
+        }
+
+        // Высота - по ячейкам полигона у края (точки на самой границе принадлежат соседу)
+        const [dx, dz] = DIRECTION_VECTORS[link.dir];
+        const inward = new BABYLON.Vector3(-dx, 0, -dz).scaleInPlace(size * 0.5);
+        const along = b.subtract(a).normalize().scaleInPlace(size * 0.5);
+        a.y = this.getHeight(polygonIndex, a.x + inward.x + along.x, a.z + inward.z + along.z);
+        b.y = this.getHeight(polygonIndex, b.x + inward.x - along.x, b.z + inward.z - along.z);
+
+        return { a, b, mid: a.add(b).scale(0.5), direction: link.dir };
+    }
+
+    /**
+     * Поиск пути
+     * @param {BABYLON.Vector3} start - Начало
+     * @param {BABYLON.Vector3} end - Цель
+     * @param {Object} options - { searchRadius, maxIterations }
+     * @returns {Object|null} { points, polygons, complete } - точки поворота пути
+     *   (без начальной); complete = false, если цель недостижима и путь ведет
+     *   к ближайшему к ней полигону
+     */
+    findPath(start, end, options = {}) {
+        const searchRadius = options.searchRadius || this.cellSize * 4;
+        const startPoint = this.findNearestPoint(start, searchRadius);
+        const endPoint = this.findNearestPoint(end, searchRadius);
+        if (!startPoint || !endPoint) return null;
+
+        const corridor = this.findCorridor(startPoint, endPoint, options.maxIterations || 4096);
+        if (!corridor) return null;
+
+        const last = corridor.polygons[corridor.polygons.length - 1];
+        const goal = corridor.complete
+            ? endPoint.point
+            : this.polygons[last].center.clone();
+        const points = this.stringPull(startPoint.point, goal, corridor.portals);
+        return { points, polygons: corridor.polygons, complete: corridor.complete };
+    }
+
+    /**
+     * A* по графу полигонов
+     * Стоимость ребра - расстояние между точками входа (серединами порталов)
+     * @returns {Object|null} { polygons, portals, complete }
+     */
+    findCorridor(startPoint, endPoint, maxIterations) {
+        const startIndex = startPoint.polygon;
+        const endIndex = endPoint.polygon;
+        const nodes = new Map();
+        const open = [];
+
+        const startNode = {
+            polygon: startIndex,
+            point: startPoint.point,
+            g: 0,
+            f: distance2D(startPoint.point, endPoint.point),
+            parent: null,
+            portal: null,
+            closed: false
+        };
+        nodes.set(startIndex, startNode);
+        open.push(startNode);
+
+        let best = startNode;
+        let iterations = 0;
+
+        while (open.length > 0 && iterations++ < maxIterations) {
+            // Открытый список невелик, линейный выбор минимума проще кучи
+            let minIndex = 0;
+            for (let i = 1; i < open.length; i++) {
+                if (open[i].f < open[minIndex].f) {
+                    minIndex = i;
+                }
+            }
+            const node = open[minIndex];
+            open[minIndex] = open[open.length - 1];
+            open.pop();
+            node.closed = true;
+
+            if (node.polygon === endIndex) {
+                best = node;
+                break;
+            }
+            if (node.f - node.g < best.f - best.g) {
+                best = node;
+            }
+
+            this.polygons[node.polygon].links.forEach(link => {
+                const portal = this.getPortal(node.polygon, link);
+                const g = node.g + BABYLON.Vector3.Distance(node.point, portal.mid);
+                let neighbor = nodes.get(link.poly);
+
+                if (neighbor && (neighbor.closed || g >= neighbor.g)) return;
+                if (!neighbor) {
+                    neighbor = { polygon: link.poly, closed: false };
+                    nodes.set(link.poly, neighbor);
+                    open.push(neighbor);
+                }
+                neighbor.point = portal.mid;
+                neighbor.g = g;
+                neighbor.f = g + BABYLON.Vector3.Distance(portal.mid, endPoint.point);
+                neighbor.parent = node;
+                neighbor.portal = portal;
+            });
+        }
+
+        const polygons = [];
+        const portals = [];
+        for (let node = best; node; node = node.parent) {
+            polygons.unshift(node.polygon);
+            if (node.portal) {
+                portals.unshift(node.portal);
+            }
+        }
+        return { polygons, portals, complete: best.polygon === endIndex };
+    }
+
+    /**
+     * Выпрямление пути через цепочку порталов (funnel)
+     * @returns {BABYLON.Vector3[]} Точки поворота и конечная точка
+     */
+    stringPull(start, end, portals) {
+        // Концы портала раскладываются на левый и правый относительно направления прохода
+        const lefts = [start];
+        const rights = [start];
+        portals.forEach(portal => {
+            const [dx, dz] = DIRECTION_VECTORS[portal.direction];
+            const behind = new BABYLON.Vector3(portal.mid.x - dx, 0, portal.mid.z - dz);
+            const aIsLeft = cross2D(behind, portal.mid, portal.a) > 0;
+            lefts.push(aIsLeft ? portal.a : portal.b);
+            rights.push(aIsLeft ? portal.b : portal.a);
+        });
+        lefts.push(end);
+        rights.push(end);
+
+        const points = [];
+        let apex = start;
+        let left = start;
+        let right = start;
+        let apexIndex = 0;
+        let leftIndex = 0;
+        let rightIndex = 0;
+
+        for (let i = 1; i < lefts.length; i++) {
+            const newLeft = lefts[i];
+            const newRight = rights[i];
+
+            // Сужение правой границы
+            if (cross2D(apex, right, newRight) >= 0) {
+                if (right.equals(apex) || cross2D(apex, left, newRight) < 0) {
+                    right = newRight;
+                    rightIndex = i;
+                } else {
+                    // Правая граница перешла левую - левая становится поворотом
+                    apex = left;
+                    apexIndex = leftIndex;
+                    points.push(apex.clone());
+                    right = apex;
+                    rightIndex = apexIndex;
+                    i = apexIndex;
+                    continue;
+                }
+            }
+
+            // Сужение левой границы
+            if (cross2D(apex, left, newLeft) <= 0) {
+                if (left.equals(apex) || cross2D(apex, right, newLeft) > 0) {
+                    left = newLeft;
+                    leftIndex = i;
+                } else {
+                    apex = right;
+                    apexIndex = rightIndex;
+                    points.push(apex.clone());
+                    left = apex;
+                    leftIndex = apexIndex;
+                    i = apexIndex;
+                    continue;
+                }
+            }
+        }
+
+        const last = points[points.length - 1];
+        if (!last || !last.equals(end)) {
+            points.push(end.clone());
+        }
+        return points;
+    }
+
+    /**
+     * Перемещение по поверхности навмеша
+     * Шаг в недоступную ячейку заменяется скольжением вдоль оси
+     * @param {number} polygonIndex - Текущий полигон
+     * @param {BABYLON.Vector3} from - Текущая позиция (на навмеше)
+     * @param {BABYLON.Vector3} to - Желаемая позиция
+     * @returns {Object} { polygon, point }
+     */
+    moveAlongSurface(polygonIndex, from, to) {
+        const maxClimb = this.agent.maxClimb;
+        const tryMove = (x, z) => {
+            const target = new BABYLON.Vector3(x, from.y, z);
+            const polygon = this.findPolygonAt(target, maxClimb * 2);
+            if (polygon === -1) return null;
+            target.y = this.getHeight(polygon, x, z);
+            return { polygon, point: target };
+        };
+
+        const result = tryMove(to.x, to.z) || tryMove(to.x, from.z) || tryMove(from.x, to.z);
+        if (result) return result;
+
+        const y = polygonIndex === -1 ? from.y : this.getHeight(polygonIndex, from.x, from.z);
+        return { polygon: polygonIndex, point: new BABYLON.Vector3(from.x, y, from.z) };
+    }
+
+    /**
+     * Прямая видимость по навмешу (отрезок целиком проходит по поверхности)
+     * @param {BABYLON.Vector3} from - Начало
+     * @param {BABYLON.Vector3} to - Конец
+     */
+    isWalkable(from, to) {
+        const distance = distance2D(from, to);
+        const steps = Math.max(1, Math.ceil(distance / (this.cellSize * 0.5)));
+        let y = from.y;
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps;
+            const point = new BABYLON.Vector3(from.x + (to.x - from.x) * t, y, from.z + (to.z - from.z) * t);
+            const polygon = this.findPolygonAt(point, this.agent.maxClimb * 2);
+            if (polygon === -1) return false;
+            y = this.getHeight(polygon, point.x, point.z);
+        }
+        return true;
+    }
+}
@@ -0,0 +1,401 @@
+/**
+ * Запекание навигационной сетки из геометрии мира коллизий
+ * Треугольники растеризуются в столбцы сетки по XZ (как в Recast): у каждого
+ * столбца получаются занятые промежутки по высоте. Верх проходимого промежутка
+ * с достаточным просветом над ним - поверхность. Соседние поверхности с
+ * перепадом не выше ступеньки связываются, край сужается на радиус агента,
+ * и поверхности объединяются в прямоугольники - выпуклые полигоны навмеша.
+ * Результат - JSON-совместимое описание, которое загружает NavMesh
+ */
+
+// Версия формата запеченных данных
+export const NAVMESH_VERSION = 1;
+
+// Направления соседей: +x, -x, +z, -z
+const DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const OPPOSITE = [1, 0, 3, 2];
+
+/**
+ * Отсечение многоугольника полуплоскостью по одной оси (Сазерленд - Ходжмен)
+ * @param {number[][]} polygon - Вершины [x, y, z]
+ * @param {number} axis - 0 (x) или 2 (z)
+ * @param {number} value - Граница
+ * @param {number} sign - 1: остается coord >= value, -1: coord <= value
+ */
+function clipPolygon(polygon, axis, value, sign) {
+    const result = [];
+    for (let i = 0; i < polygon.length; i++) {
+        const a = polygon[i];
+        const b = polygon[(i + 1) % polygon.length];
+        const da = (a[axis] - value) * sign;
+        const db = (b[axis] - value) * sign;
+        if (da >= 0) {
+            result.push(a);
+        }
+        if ((da >= 0) !== (db >= 0)) {
+            const t = da / (da - db);
+            result.push([a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t]);
+        }
+    }
+    return result;
+}
+
+export class NavMeshBaker {
+    /**
+     * @param {Object} settings - Параметры в мировых единицах
+     * @param {number} settings.cellSize - Размер ячейки сетки
+     * @param {number} settings.agentRadius - Отступ от стен и краев
+     * @param {number} settings.agentHeight - Необходимый просвет над поверхностью
+     * @param {number} settings.maxClimb - Наибольший перепад между соседними ячейками
+     * @param {number} settings.maxSlope - Наибольший угол проходимого склона (градусы)
+     * @param {number} settings.maxPolygonSize - Наибольшая сторона полигона в ячейках
+     */
+    constructor(settings) {
+        this.settings = settings;
+    }
+
+    /**
+     * Запекание
+     * @param {CollisionWorld} collisionWorld - Мир коллизий (берутся статические треугольники)
+     * @param {Object} bounds - { min, max } (Vector3) или null - весь мир
+     * @returns {Object} Описание навмеша
+     */
+    bake(collisionWorld, bounds = null) {
+        const started = performance.now();
+        const triangles = collisionWorld.staticTriangles.filter(triangle => triangle.collider.enabled);
+        const area = bounds || this.computeBounds(triangles);
+        if (!area) {
+            throw new Error('Navmesh bake needs collision geometry');
+        }
+
+        const cellSize = this.settings.cellSize;
+        this.origin = [area.min.x, area.min.z];
+        this.width = Math.max(1, Math.ceil((area.max.x - area.min.x) / cellSize));
+        this.depth = Math.max(1, Math.ceil((area.max.z - area.min.z) / cellSize));
+        this.minY = area.min.y;
+        this.maxY = area.max.y;
+
+        const columns = this.rasterize(triangles);
+        const nodes = this.buildSurfaces(columns);
+        this.linkNodes(nodes);
+        this.erode(nodes);
+        const polygons = this.buildPolygons(nodes);
+        this.linkPolygons(polygons);
+
+        const data = {
+            version: NAVMESH_VERSION,
+            cellSize,
+            origin: this.origin,
+            size: [this.width, this.depth],
+            agent: {
+                radius: this.settings.agentRadius,
+                height: this.settings.agentHeight,
+                maxClimb: this.settings.maxClimb,
+                maxSlope: this.settings.maxSlope
+            },
+            polygons: polygons.map(polygon => ({
+                x: polygon.x,
+                z: polygon.z,
+                w: polygon.w,
+                d: polygon.d,
+                heights: polygon.cells.map(node => Math.round(node.h * 1000) / 1000),
+                links: polygon.links
+            }))
+        };
+
+        const time = (performance.now() - started).toFixed(0);
+        console.log(`🧭 Navmesh baked: ${polygons.length} polygons from ${triangles.length} triangles (${this.width}x${this.depth} cells, ${time} ms)`);
+        return data;
+    }
+
+    computeBounds(triangles) {
+        if (triangles.length === 0) return null;
+
+        const min = new BABYLON.Vector3(Infinity, Infinity, Infinity);
+        const max = new BABYLON.Vector3(-Infinity, -Infinity, -Infinity);
+        triangles.forEach(triangle => {
+            [triangle.a, triangle.b, triangle.c].forEach(point => {
+                min.minimizeInPlace(point);
+                max.maximizeInPlace(point);
+            });
+        });
+        return { min, max };
+    }
+
+    /**
+     * Растеризация треугольников в столбцы: { min, max, walkable }
+     * @returns {Array} Списки промежутков по индексу столбца
+     */
+    rasterize(triangles) {
+        const { cellSize, maxSlope } = this.settings;
+        const minNormalY = Math.cos(BABYLON.Tools.ToRadians(maxSlope));
+        const [originX, originZ] = this.origin;
+        const columns = new Array(this.width * this.depth);
+
+        triangles.forEach(triangle => {
+            // Нормаль может смотреть вниз из-за порядка вершин - сетки двусторонние
+            const walkable = Math.abs(triangle.normal.y) >= minNormalY;
+            const polygon = [triangle.a, triangle.b, triangle.c].map(point => [point.x, point.y, point.z]);
+
+            const minX = Math.min(triangle.a.x, triangle.b.x, triangle.c.x);
+            const maxX = Math.max(triangle.a.x, triangle.b.x, triangle.c.x);
+            const minZ = Math.min(triangle.a.z, triangle.b.z, triangle.c.z);
+            const maxZ = Math.max(triangle.a.z, triangle.b.z, triangle.c.z);
+            const x0 = Math.max(0, Math.floor((minX - originX) / cellSize));
+            const x1 = Math.min(this.width - 1, Math.floor((maxX - originX) / cellSize));
+            const z0 = Math.max(0, Math.floor((minZ - originZ) / cellSize));
+            const z1 = Math.min(this.depth - 1, Math.floor((maxZ - originZ) / cellSize));
+
+            for (let z = z0; z <= z1; z++) {
+                const cellZ = originZ + z * cellSize;
+                let row = clipPolygon(polygon, 2, cellZ, 1);
+                row = clipPolygon(row, 2, cellZ + cellSize, -1);
+                if (row.length < 3) continue;
+
+                for (let x = x0; x <= x1; x++) {
+                    const cellX = originX + x * cellSize;
+                    let cell = clipPolygon(row, 0, cellX, 1);
+                    cell = clipPolygon(cell, 0, cellX + cellSize, -1);
+                    if (cell.length < 3) continue;
+
+                    let spanMin = Infinity;
+                    let spanMax = -Infinity;
+                    cell.forEach(point => {
+                        spanMin = Math.min(spanMin, point[1]);
+                        spanMax = Math.max(spanMax, point[1]);
+                    });
+
+                    const index = x + z * this.width;
+                    if (!columns[index]) {
+                        columns[index] = [];
+                    }
+                    columns[index].push({ min: spanMin, max: spanMax, walkable });
+                }
+            }
+        });
+
+        return columns;
+    }
+
+    /**
+     * Поверхности столбцов: верх проходимого промежутка с просветом не ниже роста агента
+     * @returns {Array} Узлы { x, z, h, ceiling, neighbors }
+     */
+    buildSurfaces(columns) {
+        const { agentHeight, maxClimb } = this.settings;
+        const nodes = [];
+        this.columnNodes = new Array(this.width * this.depth);
+
+        columns.forEach((spans, index) => {
+            if (!spans) return;
+
+            // Слияние перекрывающихся промежутков; проходимость - у верхней поверхности
+            spans.sort((a, b) => a.min - b.min);
+            const merged = [];
+            spans.forEach(span => {
+                const last = merged[merged.length - 1];
+                if (!last || span.min > last.max) {
+                    merged.push({ ...span });
+                    return;
+                }
+                if (Math.abs(span.max - last.max) <= maxClimb) {
+                    last.walkable = last.walkable || span.walkable;
+                } else if (span.max > last.max) {
+                    last.walkable = span.walkable;
+                }
+                last.max = Math.max(last.max, span.max);
+            });
+
+            const x = index % this.width;
+            const z = Math.floor(index / this.width);
+            merged.forEach((span, i) => {
+                const ceiling = i + 1 < merged.length ? merged[i + 1].min : Infinity;
+                if (!span.walkable || ceiling - span.max < agentHeight) return;
+
+                const node = { x, z, h: span.max, ceiling, neighbors: [null, null, null, null], removed: false, polygon: -1 };
+                nodes.push(node);
+                if (!this.columnNodes[index]) {
+                    this.columnNodes[index] = [];
+                }
+                this.columnNodes[index].push(node);
+            });
+        });
+
+        return nodes;
+    }
+
+    /**
+     * Связи соседних поверхностей: перепад не выше ступеньки и общий просвет
+     */
+    linkNodes(nodes) {
+        const { agentHeight, maxClimb } = this.settings;
+
+        nodes.forEach(node => {
+            DIRECTIONS.forEach(([dx, dz], direction) => {
+                const x = node.x + dx;
+                const z = node.z + dz;
+                if (x < 0 || z < 0 || x >= this.width || z >= this.depth) return;
+
+                const candidates = this.columnNodes[x + z * this.width];
+                if (!candidates) return;
+
+                let best = null;
+                candidates.forEach(other => {
+                    const climb = Math.abs(other.h - node.h);
+                    const clearance = Math.min(node.ceiling, other.ceiling) - Math.max(node.h, other.h);
+                    if (climb <= maxClimb && clearance >= agentHeight &&
+                        (!best || climb < Math.abs(best.h - node.h))) {
+                        best = other;
+                    }
+                });
+                node.neighbors[direction] = best;
+            });
+        });
+    }
+
+    /**
+     * Сужение на радиус агента от краев и стен
+     * Волна идет и по диагоналям, поэтому углы препятствий обходятся
+     * квадратом, а не ступенчатым ромбом
+     */
+    erode(nodes) {
+        const steps = Math.ceil(this.settings.agentRadius / this.settings.cellSize);
+        if (steps <= 0) return;
+
+        // Волна от узлов края (без соседа хотя бы с одной стороны)
+        let front = nodes.filter(node => node.neighbors.some(neighbor => !neighbor));
+        front.forEach(node => {
+            node.removed = true;
+        });
+        for (let step = 1; step < steps && front.length > 0; step++) {
+            const next = [];
+            front.forEach(node => {
+                this.getSurrounding(node).forEach(neighbor => {
+                    if (!neighbor.removed) {
+                        neighbor.removed = true;
+                        next.push(neighbor);
+                    }
+                });
+            });
+            front = next;
+        }
+
+        nodes.forEach(node => {
+            node.neighbors = node.neighbors.map(neighbor => neighbor && !neighbor.removed ? neighbor : null);
+        });
+    }
+
+    /**
+     * Соседи узла по сторонам и диагоналям
+     */
+    getSurrounding(node) {
+        const result = node.neighbors.filter(neighbor => neighbor);
+        [node.neighbors[0], node.neighbors[1]].forEach(side => {
+            if (!side) return;
+            [side.neighbors[2], side.neighbors[3]].forEach(diagonal => {
+                if (diagonal) {
+                    result.push(diagonal);
+                }
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Объединение поверхностей в прямоугольники
+     * Прямоугольник растет по x, затем целыми рядами по z, пока все ячейки
+     * связаны между собой и еще не заняты
+     */
+    buildPolygons(nodes) {
+        const maxSize = this.settings.maxPolygonSize;
+        const polygons = [];
+        const ordered = nodes
+            .filter(node => !node.removed)
+            .sort((a, b) => (a.z - b.z) || (a.x - b.x) || (a.h - b.h));
+
+        ordered.forEach(start => {
+            if (start.polygon !== -1) return;
+
+            const row = [start];
+            let next = start.neighbors[0];
+            while (next && next.polygon === -1 && row.length < maxSize) {
+                row.push(next);
+                next = next.neighbors[0];
+            }
+
+            const rows = [row];
+            while (rows.length < maxSize) {
+                const previous = rows[rows.length - 1];
+                const candidate = previous.map(node => node.neighbors[2]);
+                const fits = candidate.every((node, i) => node && node.polygon === -1 &&
+                    (i === 0 || candidate[i - 1].neighbors[0] === node));
+                if (!fits) break;
+                rows.push(candidate);
+            }
+
+            const polygon = { x: start.x, z: start.z, w: row.length, d: rows.length, cells: [], links: [] };
+            const index = polygons.length;
+            rows.forEach(cells => cells.forEach(node => {
+                node.polygon = index;
+                polygon.cells.push(node);
+            }));
+            polygons.push(polygon);
+        });
+
+        return polygons;
+    }
+
+    /**
+     * Связи полигонов: отрезки общих сторон
+     * { poly, dir, from, to } - сосед, сторона (индекс направления) и диапазон
+     * ячеек вдоль стороны (включительно)
+     */
+    linkPolygons(polygons) {
+        polygons.forEach(polygon => {
+            DIRECTIONS.forEach((offset, direction) => {
+                const alongX = direction >= 2;
+                const length = alongX ? polygon.w : polygon.d;
+                let run = null;
+
+                for (let i = 0; i <= length; i++) {
+                    let neighborPolygon = -1;
+                    if (i < length) {
+                        const node = this.getEdgeCell(polygon, direction, i);
+                        const neighbor = node.neighbors[direction];
+                        // Связь должна быть взаимной, иначе переход возможен лишь в одну сторону
+                        if (neighbor && neighbor.polygon !== -1 && neighbor.neighbors[OPPOSITE[direction]] === node) {
+                            neighborPolygon = neighbor.polygon;
+                        }
+                    }
+
+                    if (run && run.poly !== neighborPolygon) {
+                        polygon.links.push(run);
+                        run = null;
+                    }
+                    if (neighborPolygon !== -1) {
+                        if (run) {
+                            run.to = i;
+                        } else {
+                            run = { poly: neighborPolygon, dir: direction, from: i, to: i };
+                        }
+                    }
+                }
+            });
+        });
+    }
+
+    /**
+     * Ячейка на стороне прямоугольника
+     * @param {Object} polygon - Полигон
+     * @param {number} direction - Сторона (индекс DIRECTIONS)
+     * @param {number} i - Номер ячейки вдоль стороны
+     */
+    getEdgeCell(polygon, direction, i) {
+        switch (direction) {
+            case 0: return polygon.cells[i * polygon.w + polygon.w - 1];
+            case 1: return polygon.cells[i * polygon.w];
+            case 2: return polygon.cells[(polygon.d - 1) * polygon.w + i];
+            default: return polygon.cells[i];
+        }
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * Отладочное отображение навигации
+ * Контуры полигонов навмеша (одна система линий) и текущие пути агентов
+ * толпы, которые перестраиваются каждый кадр, пока отображение включено
+ */
+export class NavMeshDebugView {
+    /**
+     * @param {BABYLON.Scene} scene - Сцена
+     * @param {number} lift - Подъем линий над поверхностью (чтобы не мерцали)
+     */
+    constructor(scene, lift = 0.05) {
+        this.scene = scene;
+        this.lift = lift;
+        this.enabled = false;
+        this.navMesh = null;
+        this.crowd = null;
+        this.meshLines = null;
+        this.pathLines = null;
+    }
+
+    /**
+     * @param {NavMesh} navMesh - Навигационная сетка
+     * @param {Crowd} crowd - Толпа (пути агентов)
+     */
+    setSource(navMesh, crowd) {
+        this.navMesh = navMesh;
+        this.crowd = crowd;
+        if (this.enabled) {
+            this.buildMeshLines();
+        }
+    }
+
+    setEnabled(enabled) {
+        if (enabled === this.enabled) return;
+
+        this.enabled = enabled;
+        if (enabled) {
+            this.buildMeshLines();
+            this.update();
+        } else {
+            this.disposeLines();
+        }
+        console.log(`🧭 Navmesh debug view ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * @returns {boolean} Новое состояние
+     */
+    toggle() {
+        this.setEnabled(!this.enabled);
+        return this.enabled;
+    }
+
+    /**
+     * Контуры полигонов по высотам их ячеек
+     */
+    buildMeshLines() {
+        if (this.meshLines) {
+            this.meshLines.dispose();
+            this.meshLines = null;
+        }
+        if (!this.navMesh) return;
+
+        const size = this.navMesh.cellSize;
+        const [ox, oz] = this.navMesh.origin;
+        const lines = [];
+        const colors = [];
+        const color = new BABYLON.Color4(0.1, 0.8, 1, 1);
+
+        this.navMesh.polygons.forEach(polygon => {
+            const x0 = ox + polygon.x * size;
+            const z0 = oz + polygon.z * size;
+            const x1 = x0 + polygon.w * size;
+            const z1 = z0 + polygon.d * size;
+            // Высоты углов берутся из угловых ячеек полигона
+            const corner = (x, z, cellX, cellZ) => new BABYLON.Vector3(x, polygon.heights[cellZ * polygon.w + cellX] + this.lift, z);
+            const outline = [
+                corner(x0, z0, 0, 0),
+                corner(x1, z0, polygon.w - 1, 0),
+                corner(x1, z1, polygon.w - 1, polygon.d - 1),
+                corner(x0, z1, 0, polygon.d - 1)
+            ];
+            outline.push(outline[0]);
+            lines.push(outline);
+            colors.push(outline.map(() => color));
+        });
+
+        if (lines.length === 0) return;
+        this.meshLines = BABYLON.MeshBuilder.CreateLineSystem('navMeshDebug', { lines, colors }, this.scene);
+        this.meshLines.isPickable = false;
+    }
+
+    /**
+     * Пути агентов (от текущей позиции через оставшиеся повороты)
+     */
+    update() {
+        if (!this.enabled) return;
+
+        if (this.pathLines) {
+            this.pathLines.dispose();
+            this.pathLines = null;
+        }
+        if (!this.crowd) return;
+
+        const lift = new BABYLON.Vector3(0, this.lift * 2, 0);
+        const color = new BABYLON.Color4(1, 0.8, 0.1, 1);
+        const lines = [];
+        const colors = [];
+        this.crowd.agents.forEach(agent => {
+            if (agent.external || agent.state !== 'moving') return;
+
+            const points = [agent.position.add(lift)];
+            for (let i = agent.pathIndex; i < agent.path.length; i++) {
+                points.push(agent.path[i].add(lift));
+            }
+            if (points.length < 2) return;
+            lines.push(points);
+            colors.push(points.map(() => color));
+        });
+
+        if (lines.length === 0) return;
+        this.pathLines = BABYLON.MeshBuilder.CreateLineSystem('navPathDebug', { lines, colors }, this.scene);
+        this.pathLines.isPickable = false;
+    }
+
+    disposeLines() {
+        if (this.meshLines) {
+            this.meshLines.dispose();
+            this.meshLines = null;
+        }
+        if (this.pathLines) {
+            this.pathLines.dispose();
+            this.pathLines = null;
+        }
+    }
+
+    dispose() {
+        this.disposeLines();
+        this.navMesh = null;
+        this.crowd = null;
+    }
+}
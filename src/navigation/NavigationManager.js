@@ -0,0 +1,160 @@
+/**
+ * Навигация уровня
+ * Навигационная сетка, толпа агентов на ней и отладочное отображение.
+ * Запеченный навмеш (npm run bake:navmesh) загружается из navigation.navmeshPath;
+ * без него сетка запекается из мира коллизий при запуске
+ */
+import { NavMeshBaker } from './NavMeshBaker.js';
+import { NavMesh } from './NavMesh.js';
+import { Crowd } from './Crowd.js';
+import { NavMeshDebugView } from './NavMeshDebugView.js';
+
+// Время жизни ссылки на выгружаемый файл (мс)
+const DOWNLOAD_URL_LIFETIME = 10000;
+
+export class NavigationManager {
+    /**
+     * @param {BABYLON.Scene} scene - Сцена
+     * @param {ConfigManager} configManager - Конфигурация (раздел navigation)
+     * @param {AssetManager} assetManager - Загрузка запеченного навмеша
+     * @param {number} scaleFactor - Масштаб мира
+     */
+    constructor(scene, configManager, assetManager, scaleFactor) {
+        this.scene = scene;
+        this.config = configManager;
+        this.assetManager = assetManager;
+        this.scaleFactor = scaleFactor;
+        this.collisionWorld = null;
+
+        this.navMesh = null;
+        this.crowd = null;
+        this.debugView = null;
+    }
+
+    /**
+     * Загрузка или запекание сетки и создание толпы
+     * При ошибке запекания толпы нет: NPC не создаются
+     * @param {CollisionWorld} collisionWorld - Мир коллизий для запекания
+     */
+    async init(collisionWorld) {
+        this.collisionWorld = collisionWorld;
+
+        const path = this.config.get('navigation.navmeshPath');
+        if (path) {
+            try {
+                this.navMesh = new NavMesh(await this.assetManager.loadJSON('navmesh', path));
+            } catch (error) {
+                console.warn('⚠️ Baked navmesh not available, baking at startup:', error.message);
+            }
+        }
+
+        if (!this.navMesh) {
+            try {
+                this.navMesh = new NavMesh(this.bake());
+            } catch (error) {
+                console.error('❌ Failed to bake navmesh:', error);
+                return;
+            }
+        }
+
+        this.crowd = new Crowd(this.navMesh, this.getCrowdSettings());
+        this.debugView = new NavMeshDebugView(this.scene);
+        this.debugView.setSource(this.navMesh, this.crowd);
+        this.debugView.setEnabled(!!this.config.get('debug.showNavMesh'));
+    }
+
+    /**
+     * Запекание навмеша
+     * @param {CollisionWorld} collisionWorld - Мир коллизий (по умолчанию мир уровня из init)
+     * @returns {Object} Данные навмеша (формат NavMeshBaker)
+     */
+    bake(collisionWorld = this.collisionWorld) {
+        const settings = this.config.get('navigation');
+        const baker = new NavMeshBaker({
+            cellSize: settings.cellSize * this.scaleFactor,
+            agentRadius: settings.agentRadius * this.scaleFactor,
+            agentHeight: settings.agentHeight * this.scaleFactor,
+            maxClimb: settings.maxClimb * this.scaleFactor,
+            maxSlope: settings.maxSlope,
+            maxPolygonSize: settings.maxPolygonSize
+        });
+        const bounds = settings.bounds ? {
+            min: BABYLON.Vector3.FromArray(settings.bounds.min),
+            max: BABYLON.Vector3.FromArray(settings.bounds.max)
+        } : null;
+        return baker.bake(collisionWorld, bounds);
+    }
+
+    /**
+     * Перезапекание навмеша в запущенной игре и выгрузка его в файл
+     * Инструмент разработки для проверки сетки на месте; файл проекта
+     * пишет tools/bakeNavMesh.js (npm run bake:navmesh)
+     * @returns {boolean} Запечена ли сетка (без толпы навигация не работает)
+     */
+    rebake() {
+        if (!this.crowd) return false;
+
+        const data = this.bake();
+        this.navMesh = new NavMesh(data);
+        this.crowd.setNavMesh(this.navMesh);
+        this.debugView.setSource(this.navMesh, this.crowd);
+
+        const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'navmesh.json';
+        a.click();
+        // Отзыв ссылки сразу после click() отменяет скачивание в части браузеров
+        setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME);
+        return true;
+    }
+
+    /**
+     * Настройки толпы в мировых единицах
+     */
+    getCrowdSettings() {
+        const crowd = this.config.get('navigation.crowd');
+        return {
+            ...crowd,
+            searchRadius: crowd.searchRadius * this.scaleFactor,
+            arrivalDistance: crowd.arrivalDistance * this.scaleFactor,
+            slowDownDistance: crowd.slowDownDistance * this.scaleFactor,
+            maxAcceleration: crowd.maxAcceleration * this.scaleFactor,
+            avoidance: {
+                ...crowd.avoidance,
+                neighborRadius: crowd.avoidance.neighborRadius * this.scaleFactor
+            }
+        };
+    }
+
+    /**
+     * @returns {boolean|null} Новое состояние отладочного отображения (null - навигации нет)
+     */
+    toggleDebugView() {
+        return this.debugView ? this.debugView.toggle() : null;
+    }
+
+    update() {
+        if (this.debugView) {
+            this.debugView.update();
+        }
+    }
+
+    updateFromConfig() {
+        if (this.crowd) {
+            this.crowd.updateFromConfig(this.getCrowdSettings());
+        }
+        if (this.debugView) {
+            this.debugView.setEnabled(!!this.config.get('debug.showNavMesh'));
+        }
+    }
+
+    dispose() {
+        if (this.debugView) this.debugView.dispose();
+        if (this.crowd) this.crowd.dispose();
+        this.debugView = null;
+        this.crowd = null;
+        this.navMesh = null;
+    }
+}
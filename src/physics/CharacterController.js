@@ -0,0 +1,496 @@
+/**
+ * Кинематический контроллер персонажа
+ * Капсула, которая скользит вдоль геометрии мира коллизий: sweep капсулы,
+ * collide-and-slide, подъем на ступеньки, ограничение уклона,
+ * прилипание к земле на спусках и перенос движущимися платформами
+ */
+import { closestPointsSegmentTriangle, sweepCapsuleTriangle } from './collisionMath.js';
+
+const UP = new BABYLON.Vector3(0, 1, 0);
+const MIN_MOVE = 1e-5;
+
+export class CharacterController {
+    /**
+     * @param {CollisionWorld} collisionWorld - Мир коллизий
+     * @param {Object} options - Параметры капсулы (уже в мировых единицах)
+     */
+    constructor(collisionWorld, options = {}) {
+        this.world = collisionWorld;
+
+        // Центр капсулы
+        this.position = new BABYLON.Vector3(0, 0, 0);
+
+        this.radius = 0.5;
+        this.height = 1.8;
+        this.skinWidth = 0.02;
+        this.maxSlideIterations = 4;
+        this.stepHeight = 0.3;
+        this.maxSlopeAngle = 45;
+        this.groundSnapDistance = 0.3;
+        this.configure(options);
+
+        // Состояние контакта с землей
+        this.isGrounded = false;
+        this.groundNormal = UP.clone();
+        this.groundCollider = null;
+        this.platformMatrix = null;
+
+        // Временные объекты для запросов
+        this.queryMin = new BABYLON.Vector3();
+        this.queryMax = new BABYLON.Vector3();
+        this.segmentBottom = new BABYLON.Vector3();
+        this.segmentTop = new BABYLON.Vector3();
+        this.pointOnSegment = new BABYLON.Vector3();
+        this.pointOnTriangle = new BABYLON.Vector3();
+        this.triangleBuffer = [];
+    }
+
+    /**
+     * Применение параметров капсулы
+     * @param {Object} options - radius, height, skinWidth, maxSlideIterations,
+     *                           stepHeight, maxSlopeAngle (градусы), groundSnapDistance
+     */
+    configure(options) {
+        Object.keys(options).forEach(key => {
+            if (options[key] !== undefined && key in this) {
+                this[key] = options[key];
+            }
+        });
+
+        // Капсула не может быть ниже собственной сферы
+        this.height = Math.max(this.height, this.radius * 2);
+        this.minGroundNormalY = Math.cos(BABYLON.Tools.ToRadians(this.maxSlopeAngle));
+    }
+
+    /**
+     * Установка позиции (центр капсулы)
+     * @param {BABYLON.Vector3} position - Новая позиция
+     */
+    setPosition(position) {
+        this.position.copyFrom(position);
+        this.isGrounded = false;
+        this.groundCollider = null;
+        this.platformMatrix = null;
+    }
+
+    /**
+     * Половина высоты капсулы (от центра до низа)
+     */
+    getHalfHeight() {
+        return this.height / 2;
+    }
+
+    /**
+     * Может ли персонаж стоять на поверхности с такой нормалью
+     * @param {BABYLON.Vector3} normal - Нормаль поверхности
+     */
+    isWalkable(normal) {
+        return normal.y >= this.minGroundNormalY;
+    }
+
+    /**
+     * Перемещение капсулы
+     * @param {BABYLON.Vector3} displacement - Желаемое смещение за шаг
+     * @param {Object} options - { snapToGround: boolean }
+     * @returns {Object} { isGrounded, groundNormal, collidedAbove, collidedSides, platformYawDelta }
+     */
+    move(displacement, options = {}) {
+        const snapToGround = options.snapToGround !== false;
+        const wasGrounded = this.isGrounded;
+        const result = {
+            isGrounded: false,
+            groundNormal: null,
+            collidedAbove: false,
+            collidedSides: false,
+            platformYawDelta: 0
+        };
+
+        // Платформа под ногами могла сдвинуться с прошлого шага
+        result.platformYawDelta = this.applyPlatformMotion();
+
+        this.depenetrate(this.position);
+
+        const horizontal = new BABYLON.Vector3(displacement.x, 0, displacement.z);
+        const vertical = new BABYLON.Vector3(0, displacement.y, 0);
+
+        // 1. Горизонтальное движение со скольжением и подъемом на ступеньки
+        if (horizontal.lengthSquared() > MIN_MOVE * MIN_MOVE) {
+            const slide = this.slide(this.position, horizontal, true);
+            let end = slide.position;
+
+            if (wasGrounded && slide.blockedBySteep && this.stepHeight > 0) {
+                const stepped = this.tryStepUp(horizontal);
+                if (stepped && this.horizontalProgress(stepped, horizontal) >
+                    this.horizontalProgress(end, horizontal) + MIN_MOVE) {
+                    end = stepped;
+                    slide.blockedBySteep = false;
+                }
+            }
+
+            result.collidedSides = slide.blockedBySteep;
+            this.position.copyFrom(end);
+        }
+
+        // 2. Вертикальное движение
+        if (Math.abs(vertical.y) > MIN_MOVE) {
+            const slide = this.slide(this.position, vertical, false);
+            this.position.copyFrom(slide.position);
+
+            if (vertical.y > 0 && slide.contacts.some(contact => contact.normal.y < -0.3)) {
+                result.collidedAbove = true;
+            }
+        }
+
+        // 3. Определение земли и прилипание к ней на спусках
+        const probeDistance = this.skinWidth * 2 +
+            (wasGrounded && snapToGround && displacement.y <= 0 ? this.groundSnapDistance : 0);
+        const ground = this.probeGround(probeDistance);
+
+        if (ground) {
+            if (ground.distance > this.skinWidth) {
+                this.position.y -= ground.distance - this.skinWidth;
+            }
+            result.isGrounded = true;
+            result.groundNormal = ground.faceNormal;
+        }
+
+        this.updateGroundState(result.isGrounded ? ground : null);
+        return result;
+    }
+
+    /**
+     * Collide-and-slide: движение вдоль препятствий с проекцией остатка на плоскость контакта
+     * @param {BABYLON.Vector3} start - Стартовая позиция
+     * @param {BABYLON.Vector3} displacement - Смещение
+     * @param {boolean} horizontalPass - Горизонтальный проход (крутые склоны считаются стенами)
+     */
+    slide(start, displacement, horizontalPass) {
+        const position = start.clone();
+        let remaining = displacement.clone();
+        const contacts = [];
+        let previousNormal = null;
+        let blockedBySteep = false;
+
+        for (let i = 0; i < this.maxSlideIterations; i++) {
+            const distance = remaining.length();
+            if (distance < MIN_MOVE) {
+                break;
+            }
+
+            const hit = this.sweep(position, remaining);
+            if (!hit) {
+                position.addInPlace(remaining);
+                break;
+            }
+
+            // Подходим к препятствию, оставляя зазор skinWidth
+            const direction = remaining.scale(1 / distance);
+            const travel = Math.max(0, hit.distance - this.skinWidth);
+            position.addInPlace(direction.scale(travel));
+
+            const normal = hit.normal.clone();
+            if (horizontalPass && !this.isWalkable(normal)) {
+                // Крутой склон - стена: не позволяем по нему взбираться
+                blockedBySteep = true;
+                normal.y = 0;
+                if (normal.lengthSquared() < 1e-8) {
+                    break;
+                }
+                normal.normalize();
+            }
+            contacts.push({ normal, collider: hit.collider });
+
+            // Оставшийся путь проецируем на плоскость контакта
+            remaining = direction.scale(distance - travel);
+            remaining.subtractInPlace(normal.scale(BABYLON.Vector3.Dot(remaining, normal)));
+
+            // Между двумя плоскостями двигаемся только вдоль их линии пересечения,
+            // иначе персонаж дрожит в углах
+            if (previousNormal && BABYLON.Vector3.Dot(remaining, previousNormal) < 0) {
+                const crease = BABYLON.Vector3.Cross(previousNormal, normal);
+                if (crease.lengthSquared() < 1e-8) {
+                    break;
+                }
+                crease.normalize();
+                remaining = crease.scale(BABYLON.Vector3.Dot(remaining, crease));
+            }
+
+            if (horizontalPass) {
+                remaining.y = Math.max(0, remaining.y);
+            }
+            previousNormal = normal;
+        }
+
+        return { position, contacts, blockedBySteep };
+    }
+
+    /**
+     * Попытка подняться на ступеньку: вверх, вперед, вниз
+     * @param {BABYLON.Vector3} horizontal - Горизонтальное смещение
+     * @returns {BABYLON.Vector3|null} Позиция после подъема или null
+     */
+    tryStepUp(horizontal) {
+        // Вверх, насколько позволяет потолок
+        const up = this.slide(this.position, new BABYLON.Vector3(0, this.stepHeight, 0), false);
+        const raised = up.position.y - this.position.y;
+        if (raised < MIN_MOVE) {
+            return null;
+        }
+
+        // Вперед на поднятой высоте
+        const forward = this.slide(up.position, horizontal, true);
+
+        // Вниз на высоту подъема плюс запас на прилипание
+        const downDistance = raised + this.skinWidth * 2;
+        const hit = this.sweep(forward.position, new BABYLON.Vector3(0, -downDistance, 0));
+        if (!this.isGroundHit(hit)) {
+            return null;
+        }
+
+        const landed = forward.position.clone();
+        landed.y -= Math.max(0, hit.distance - this.skinWidth);
+        return landed;
+    }
+
+    /**
+     * Пройденное расстояние вдоль желаемого направления
+     */
+    horizontalProgress(position, horizontal) {
+        const delta = position.subtract(this.position);
+        delta.y = 0;
+        return BABYLON.Vector3.Dot(delta, horizontal.normalizeToNew());
+    }
+
+    /**
+     * Поиск земли под капсулой
+     * @param {number} maxDistance - Максимальная дистанция проверки
+     * @returns {Object|null} { distance, normal, faceNormal, collider }
+     */
+    probeGround(maxDistance) {
+        const hit = this.sweep(this.position, new BABYLON.Vector3(0, -maxDistance, 0));
+        return this.isGroundHit(hit) ? hit : null;
+    }
+    
+    /**
+     * Можно ли стоять на найденной поверхности
+     * Уклон оцениваем по нормали грани: на краю ступеньки нормаль контакта
+     * смотрит вбок, хотя под ногами ровный пол
+     */
+    isGroundHit(hit) {
+        return !!hit && hit.normal.y > 0 && this.isWalkable(hit.faceNormal);
+    }
+
+    /**
+     * Обновление информации о земле и запоминание матрицы платформы
+     */
+    updateGroundState(ground) {
+        this.isGrounded = !!ground;
+        this.groundNormal = ground ? ground.faceNormal : UP.clone();
+        this.groundCollider = ground ? ground.collider : null;
+
+        if (this.groundCollider && this.groundCollider.isDynamic) {
+            this.platformMatrix = this.groundCollider.mesh.computeWorldMatrix(true).clone();
+        } else {
+            this.platformMatrix = null;
+        }
+    }
+
+    /**
+     * Перенос персонажа вместе с платформой, на которой он стоит
+     * @returns {number} Поворот платформы вокруг Y за шаг (радианы)
+     */
+    applyPlatformMotion() {
+        if (!this.isGrounded || !this.groundCollider || !this.platformMatrix) {
+            return 0;
+        }
+
+        const current = this.groundCollider.mesh.computeWorldMatrix(true);
+        const delta = this.platformMatrix.clone().invert().multiply(current);
+
+        const carried = BABYLON.Vector3.TransformCoordinates(this.position, delta);
+        const motion = carried.subtract(this.position);
+        if (motion.lengthSquared() > MIN_MOVE * MIN_MOVE) {
+            // Перенос тоже проходит через коллизии, чтобы платформа не вдавила нас в стену
+            this.position.copyFrom(this.slide(this.position, motion, false).position);
+        }
+
+        const forward = BABYLON.Vector3.TransformNormal(new BABYLON.Vector3(0, 0, 1), delta);
+        return Math.atan2(forward.x, forward.z);
+    }
+
+    /**
+     * Выталкивание капсулы из геометрии, в которую она уже погружена
+     * @param {BABYLON.Vector3} position - Позиция (изменяется на месте)
+     * @param {number} iterations - Количество проходов
+     */
+    depenetrate(position, iterations = 4) {
+        for (let pass = 0; pass < iterations; pass++) {
+            const triangles = this.gatherTriangles(position, BABYLON.Vector3.Zero(), this.radius);
+            let pushed = false;
+
+            for (const triangle of triangles) {
+                this.updateSegment(position);
+                const distSq = closestPointsSegmentTriangle(
+                    this.segmentBottom, this.segmentTop,
+                    triangle.a, triangle.b, triangle.c,
+                    this.pointOnSegment, this.pointOnTriangle
+                );
+                if (distSq >= this.radius * this.radius) {
+                    continue;
+                }
+
+                const distance = Math.sqrt(distSq);
+                const normal = this.contactNormal(distance, triangle, null);
+                position.addInPlace(normal.scale(this.radius - distance + this.skinWidth * 0.5));
+                pushed = true;
+            }
+
+            if (!pushed) {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Sweep капсулы: точное время касания с каждым треугольником
+     * Касанием считается сближение до зазора skinWidth * 0.1 - с него
+     * следующий sweep видит капсулу уже касающейся и не упирается в соседние грани
+     * @param {BABYLON.Vector3} start - Стартовая позиция центра
+     * @param {BABYLON.Vector3} displacement - Смещение
+     * @returns {Object|null} { distance, normal, faceNormal, collider } для первого контакта
+     */
+    sweep(start, displacement) {
+        const length = displacement.length();
+        if (length < MIN_MOVE) {
+            return null;
+        }
+
+        const direction = displacement.scale(1 / length);
+        const triangles = this.gatherTriangles(start, displacement, this.radius + this.skinWidth);
+        const tolerance = this.skinWidth * 0.1;
+        const probe = new BABYLON.Vector3();
+
+        let best = null;
+        for (const triangle of triangles) {
+            this.updateSegment(start);
+            let distSq = closestPointsSegmentTriangle(
+                this.segmentBottom, this.segmentTop,
+                triangle.a, triangle.b, triangle.c,
+                this.pointOnSegment, this.pointOnTriangle
+            );
+
+            // Капсула уже касается треугольника: препятствие, только если движемся в него
+            let traveled = 0;
+            if (Math.sqrt(distSq) - this.radius > tolerance) {
+                traveled = sweepCapsuleTriangle(
+                    this.segmentBottom, this.segmentTop, direction, this.radius + tolerance,
+                    triangle.a, triangle.b, triangle.c
+                );
+                if (traveled < 0 || traveled > length || (best && traveled > best.distance + tolerance)) {
+                    continue;
+                }
+
+                start.addToRef(direction.scale(traveled), probe);
+                this.updateSegment(probe);
+                distSq = closestPointsSegmentTriangle(
+                    this.segmentBottom, this.segmentTop,
+                    triangle.a, triangle.b, triangle.c,
+                    this.pointOnSegment, this.pointOnTriangle
+                );
+            }
+
+            // Касание вскользь, с уходом от треугольника - не препятствие
+            const normal = this.contactNormal(Math.sqrt(distSq), triangle, direction);
+            if (BABYLON.Vector3.Dot(normal, direction) >= 0) {
+                continue;
+            }
+
+            const faceNormal = triangle.normal.clone();
+            if (BABYLON.Vector3.Dot(faceNormal, direction) > 0) {
+                faceNormal.negateInPlace();
+            }
+
+            // На общем ребре двух треугольников предпочитаем тот, что стоит
+            // навстречу движению: при спуске на ступеньку это ее верх, а не стенка
+            const isCloser = !best || traveled < best.distance - tolerance;
+            const isSameButFacing = best && traveled <= best.distance + tolerance &&
+                BABYLON.Vector3.Dot(faceNormal, direction) < BABYLON.Vector3.Dot(best.faceNormal, direction);
+            if (isCloser || isSameButFacing) {
+                best = { distance: traveled, normal, faceNormal, collider: triangle.collider };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Нормаль контакта: от точки треугольника к оси капсулы
+     * При глубоком погружении берется нормаль треугольника, развернутая против движения
+     */
+    contactNormal(distance, triangle, direction) {
+        if (distance > 1e-6) {
+            return this.pointOnSegment.subtract(this.pointOnTriangle).scaleInPlace(1 / distance);
+        }
+
+        const normal = triangle.normal.clone();
+        if (direction && BABYLON.Vector3.Dot(normal, direction) > 0) {
+            normal.negateInPlace();
+        } else if (!direction && normal.y < 0) {
+            normal.negateInPlace();
+        }
+        return normal;
+    }
+
+    /**
+     * Ось капсулы (отрезок между центрами полусфер) для позиции центра
+     */
+    updateSegment(center) {
+        const halfSegment = this.height / 2 - this.radius;
+        this.segmentBottom.copyFromFloats(center.x, center.y - halfSegment, center.z);
+        this.segmentTop.copyFromFloats(center.x, center.y + halfSegment, center.z);
+    }
+
+    /**
+     * Треугольники вокруг капсулы на всем пути смещения
+     */
+    gatherTriangles(start, displacement, margin) {
+        const halfHeight = this.height / 2;
+        const end = start.add(displacement);
+
+        this.queryMin.copyFromFloats(
+            Math.min(start.x, end.x) - margin,
+            Math.min(start.y, end.y) - halfHeight - margin,
+            Math.min(start.z, end.z) - margin
+        );
+        this.queryMax.copyFromFloats(
+            Math.max(start.x, end.x) + margin,
+            Math.max(start.y, end.y) + halfHeight + margin,
+            Math.max(start.z, end.z) + margin
+        );
+
+        this.triangleBuffer.length = 0;
+        return this.world.queryTriangles(this.queryMin, this.queryMax, this.triangleBuffer);
+    }
+
+    /**
+     * Проверка, пересекает ли капсула геометрию в заданной позиции
+     * @param {BABYLON.Vector3} center - Центр капсулы
+     * @param {number} height - Высота проверяемой капсулы (по умолчанию текущая)
+     */
+    overlaps(center, height = this.height) {
+        const savedHeight = this.height;
+        this.height = Math.max(height, this.radius * 2);
+
+        const triangles = this.gatherTriangles(center, BABYLON.Vector3.Zero(), this.radius);
+        this.updateSegment(center);
+        const limit = (this.radius - this.skinWidth * 0.5) ** 2;
+        const result = triangles.some(triangle => closestPointsSegmentTriangle(
+            this.segmentBottom, this.segmentTop,
+            triangle.a, triangle.b, triangle.c,
+            this.pointOnSegment, this.pointOnTriangle
+        ) < limit);
+
+        this.height = savedHeight;
+        return result;
+    }
+}
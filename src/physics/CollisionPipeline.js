@@ -0,0 +1,459 @@
+/**
+ * Конвейер геометрии коллизий
+ * Строит отдельное упрощенное представление мира для коллизий,
+ * оставляя меши рендера без коллизий:
+ *   - `*_col` - меш только для коллизий (скрывается)
+ *   - `*_nocol` - меш без коллизий
+ *   - glTF extras: { collision: 'mesh' | 'box' | 'convex' | 'none' | 'only', region, dynamic }
+ *   - крупная статика сливается в один меш на регион
+ *   - мелкие пропы заменяются боксом или выпуклой оболочкой
+ */
+import { computeConvexHull, sampleSupportPoints } from './convexHull.js';
+
+const COL_SUFFIX = /_col(_primitive\d+)?$/i;
+const NOCOL_SUFFIX = /_nocol(_primitive\d+)?$/i;
+
+export class CollisionPipeline {
+    constructor(scene, collisionWorld, configManager, scaleFactor = 10) {
+        this.scene = scene;
+        this.world = collisionWorld;
+        this.config = configManager;
+        this.scaleFactor = scaleFactor;
+
+        // Меши, созданные конвейером (регионы и прокси)
+        this.collisionMeshes = [];
+        // Меши рендера, участвовавшие в построении
+        this.renderMeshes = [];
+        this.colliders = [];
+
+        this.debugView = false;
+        this.debugMaterials = {};
+        this.savedVisibility = new Map();
+
+        this.stats = { regions: 0, boxes: 0, convex: 0, explicit: 0, dynamic: 0, skipped: 0 };
+    }
+
+    /**
+     * Построение коллизий для мешей мира
+     * @param {Array} worldMeshes - Меши загруженной модели
+     * @returns {Object} Статистика построения
+     */
+    build(worldMeshes) {
+        const regions = new Map();
+        const explicitBases = this.findExplicitColliderBases(worldMeshes);
+
+        worldMeshes.forEach(mesh => {
+            if (!mesh || !mesh.getTotalVertices || mesh.getTotalVertices() === 0) {
+                return;
+            }
+
+            const kind = this.classifyMesh(mesh, explicitBases);
+            mesh.computeWorldMatrix(true);
+
+            if (kind.type !== 'only') {
+                // Рендер-меш больше не участвует в коллизиях Babylon
+                mesh.checkCollisions = false;
+                this.renderMeshes.push(mesh);
+            }
+
+            switch (kind.type) {
+                case 'none':
+                    this.stats.skipped++;
+                    break;
+                case 'dynamic':
+                    this.addDynamicCollider(mesh, kind);
+                    break;
+                case 'box':
+                    this.addProxy(this.createBoxProxy(mesh), 'box');
+                    break;
+                case 'convex':
+                    this.addProxy(this.createConvexProxy(mesh) || this.createBoxProxy(mesh),
+                        'convex');
+                    break;
+                case 'only':
+                case 'mesh': {
+                    const key = kind.region || this.regionKeyFor(mesh);
+                    if (!regions.has(key)) {
+                        regions.set(key, []);
+                    }
+                    regions.get(key).push(mesh);
+
+                    if (kind.type === 'only') {
+                        // Явный меш коллизий сливается в регион, сам остается только данными
+                        mesh.isVisible = false;
+                        mesh.setEnabled(false);
+                        this.stats.explicit++;
+                    }
+                    break;
+                }
+            }
+        });
+
+        regions.forEach((meshes, key) => {
+            const regionMesh = this.mergeRegion(key, meshes);
+            if (regionMesh) {
+                this.addProxy(regionMesh, 'region');
+                this.stats.regions++;
+            }
+        });
+
+        this.setDebugView(!!this.config.get('debug.showCollisionGeometry'));
+
+        console.log('🧱 Collision pipeline built:', { ...this.stats });
+        return { ...this.stats };
+    }
+
+    /**
+     * Базовые имена мешей, для которых есть отдельный `*_col` меш
+     * Такой рендер-меш не дает коллизий: его заменяет явный коллайдер
+     */
+    findExplicitColliderBases(meshes) {
+        const bases = new Set();
+        meshes.forEach(mesh => {
+            if (!mesh) return;
+            this.namesOf(mesh).forEach(name => {
+                if (COL_SUFFIX.test(name)) {
+                    bases.add(name.replace(COL_SUFFIX, '').toLowerCase());
+                }
+            });
+        });
+        return bases;
+    }
+
+    /**
+     * Имена меша и его родителя (glTF кладет имя узла в родителя примитивов)
+     */
+    namesOf(mesh) {
+        const names = [mesh.name];
+        if (mesh.parent && mesh.parent.name) {
+            names.push(mesh.parent.name);
+        }
+        return names;
+    }
+
+    /**
+     * glTF extras меша или ближайшего родителя
+     */
+    getExtras(mesh) {
+        let node = mesh;
+        while (node) {
+            const extras = node.metadata && node.metadata.gltf && node.metadata.gltf.extras;
+            if (extras) {
+                return extras;
+            }
+            node = node.parent;
+        }
+        return {};
+    }
+
+    /**
+     * Определение способа построения коллизий для меша
+     * @returns {Object} { type: 'none' | 'only' | 'mesh' | 'box' | 'convex' | 'dynamic', region }
+     */
+    classifyMesh(mesh, explicitBases) {
+        const extras = this.getExtras(mesh);
+        const names = this.namesOf(mesh);
+        const region = extras.region ? String(extras.region) : null;
+
+        if (extras.collision === false || extras.collision === 'none' ||
+            names.some(name => NOCOL_SUFFIX.test(name))) {
+            return { type: 'none' };
+        }
+
+        // Анимированные меши не могут иметь запеченную геометрию коллизий
+        if (mesh.skeleton || mesh.morphTargetManager) {
+            return { type: 'none' };
+        }
+
+        if (extras.dynamic) {
+            return { type: 'dynamic' };
+        }
+
+        if (extras.collision === 'only' || names.some(name => COL_SUFFIX.test(name))) {
+            return { type: 'only', region };
+        }
+
+        if (names.some(name => explicitBases.has(name.replace(/_primitive\d+$/i, '').toLowerCase()))) {
+            return { type: 'none' };
+        }
+
+        if (['mesh', 'box', 'convex'].includes(extras.collision)) {
+            return { type: extras.collision, region };
+        }
+
+        const size = this.getWorldSize(mesh);
+        if (size <= this.config.get('collision.detailMaxSize') * this.scaleFactor) {
+            return { type: 'none' };
+        }
+        if (size <= this.config.get('collision.propMaxSize') * this.scaleFactor) {
+            return { type: this.config.get('collision.propProxy') === 'convex' ? 'convex' : 'box' };
+        }
+
+        return { type: 'mesh', region };
+    }
+
+    /**
+     * Диагональ мирового AABB меша
+     */
+    getWorldSize(mesh) {
+        const box = mesh.getBoundingInfo().boundingBox;
+        return BABYLON.Vector3.Distance(box.minimumWorld, box.maximumWorld);
+    }
+
+    /**
+     * Ключ региона по сетке для центра меша
+     */
+    regionKeyFor(mesh) {
+        const regionSize = this.config.get('collision.regionSize') * this.scaleFactor;
+        const center = mesh.getBoundingInfo().boundingBox.centerWorld;
+        return `${Math.floor(center.x / regionSize)}_${Math.floor(center.z / regionSize)}`;
+    }
+
+    /**
+     * Слияние статических мешей региона в один меш в мировых координатах
+     */
+    mergeRegion(key, meshes) {
+        const positions = [];
+        const indices = [];
+        const point = new BABYLON.Vector3();
+
+        meshes.forEach(mesh => {
+            const data = mesh.getVerticesData(BABYLON.VertexBuffer.PositionKind);
+            if (!data) return;
+
+            const matrix = mesh.computeWorldMatrix(true);
+            const offset = positions.length / 3;
+            for (let i = 0; i < data.length; i += 3) {
+                BABYLON.Vector3.TransformCoordinatesFromFloatsToRef(data[i], data[i + 1], data[i + 2], matrix, point);
+                positions.push(point.x, point.y, point.z);
+            }
+
+            const meshIndices = mesh.getIndices();
+            if (meshIndices && meshIndices.length > 0) {
+                meshIndices.forEach(index => indices.push(index + offset));
+            } else {
+                for (let i = 0; i < data.length / 3; i++) {
+                    indices.push(i + offset);
+                }
+            }
+        });
+
+        if (indices.length === 0) {
+            return null;
+        }
+
+        const regionMesh = new BABYLON.Mesh(`collision_region_${key}`, this.scene);
+        const vertexData = new BABYLON.VertexData();
+        vertexData.positions = positions;
+        vertexData.indices = indices;
+        vertexData.applyToMesh(regionMesh);
+        return regionMesh;
+    }
+
+    /**
+     * Бокс по локальному bounding box меша, запеченный в мировые координаты
+     */
+    createBoxProxy(mesh) {
+        const box = mesh.getBoundingInfo().boundingBox;
+        const size = box.extendSize.scale(2);
+        const proxy = BABYLON.MeshBuilder.CreateBox(`collision_box_${mesh.name}`, {
+            width: Math.max(size.x, 1e-3),
+            height: Math.max(size.y, 1e-3),
+            depth: Math.max(size.z, 1e-3)
+        }, this.scene);
+
+        const matrix = BABYLON.Matrix.Translation(box.center.x, box.center.y, box.center.z)
+            .multiply(mesh.computeWorldMatrix(true));
+        proxy.bakeTransformIntoVertices(matrix);
+        return proxy;
+    }
+
+    /**
+     * Выпуклая оболочка по опорным точкам меша
+     * @returns {BABYLON.Mesh|null} null, если меш плоский или вырожденный
+     */
+    createConvexProxy(mesh) {
+        const data = mesh.getVerticesData(BABYLON.VertexBuffer.PositionKind);
+        if (!data) return null;
+
+        const matrix = mesh.computeWorldMatrix(true);
+        const points = [];
+        for (let i = 0; i < data.length; i += 3) {
+            points.push(BABYLON.Vector3.TransformCoordinatesFromFloatsToRef(
+                data[i], data[i + 1], data[i + 2], matrix, new BABYLON.Vector3()
+            ));
+        }
+
+        const hull = computeConvexHull(sampleSupportPoints(points, this.config.get('collision.convexMaxPoints')));
+        if (!hull) {
+            return null;
+        }
+
+        const proxy = new BABYLON.Mesh(`collision_convex_${mesh.name}`, this.scene);
+        const vertexData = new BABYLON.VertexData();
+        vertexData.positions = [];
+        hull.vertices.forEach(vertex => vertexData.positions.push(vertex.x, vertex.y, vertex.z));
+        vertexData.indices = [].concat(...hull.faces);
+        vertexData.applyToMesh(proxy);
+        return proxy;
+    }
+
+    /**
+     * Регистрация созданного меша коллизий
+     * @param {BABYLON.Mesh} proxy - Меш коллизий
+     * @param {string} kind - Тип для статистики и отладочной раскраски
+     */
+    addProxy(proxy, kind) {
+        proxy.isVisible = false;
+        proxy.isPickable = false;
+        proxy.checkCollisions = true; // Для встроенных коллизий Babylon (свободная камера)
+        proxy.metadata = { ...(proxy.metadata || {}), collisionKind: kind };
+        proxy.freezeWorldMatrix();
+
+        const collider = this.world.addStaticMesh(proxy);
+        if (collider) {
+            this.colliders.push(collider);
+        }
+        this.collisionMeshes.push(proxy);
+        this.createPhysicsImpostor(proxy, kind === 'box'
+            ? BABYLON.PhysicsImpostor.BoxImpostor
+            : BABYLON.PhysicsImpostor.MeshImpostor);
+
+        if (kind === 'box') this.stats.boxes++;
+        if (kind === 'convex') this.stats.convex++;
+    }
+
+    /**
+     * Подвижный коллайдер (двери, платформы) - сам меш, пересчитываемый каждый запрос
+     */
+    addDynamicCollider(mesh, kind) {
+        const collider = this.world.addDynamicMesh(mesh);
+        if (collider) {
+            this.colliders.push(collider);
+            mesh.metadata = { ...(mesh.metadata || {}), collisionKind: 'dynamic' };
+            this.stats.dynamic++;
+        }
+    }
+
+    /**
+     * Статическое физическое тело для меша коллизий (если включено в конфигурации)
+     */
+    createPhysicsImpostor(mesh, impostorType) {
+        if (!this.config.get('collision.physicsImpostors') || !this.scene.getPhysicsEngine()) {
+            return;
+        }
+
+        try {
+            mesh.physicsImpostor = new BABYLON.PhysicsImpostor(
+                mesh,
+                impostorType,
+                { mass: 0, restitution: 0.3, friction: 0.8 },
+                this.scene
+            );
+        } catch (error) {
+            console.warn(`⚠️ Failed to create physics impostor for ${mesh.name}:`, error);
+        }
+    }
+
+    /**
+     * Материал отладочного отображения для типа коллайдера
+     */
+    getDebugMaterial(kind) {
+        if (!this.debugMaterials[kind]) {
+            const colors = {
+                region: new BABYLON.Color3(0.2, 1, 0.3),
+                box: new BABYLON.Color3(1, 0.6, 0.1),
+                convex: new BABYLON.Color3(0.3, 0.6, 1),
+                dynamic: new BABYLON.Color3(1, 0.2, 1)
+            };
+            const material = new BABYLON.StandardMaterial(`collisionDebug_${kind}`, this.scene);
+            material.emissiveColor = colors[kind] || new BABYLON.Color3(1, 1, 1);
+            material.disableLighting = true;
+            material.wireframe = true;
+            material.backFaceCulling = false;
+            this.debugMaterials[kind] = material;
+        }
+        return this.debugMaterials[kind];
+    }
+
+    /**
+     * Отладочный режим: показывать только геометрию коллизий
+     * @param {boolean} enabled - Включить режим
+     */
+    setDebugView(enabled) {
+        if (enabled === this.debugView) {
+            return;
+        }
+        this.debugView = enabled;
+
+        if (enabled) {
+            this.renderMeshes.forEach(mesh => {
+                this.savedVisibility.set(mesh, mesh.isVisible);
+                mesh.isVisible = false;
+            });
+            this.collisionMeshes.forEach(mesh => {
+                mesh.metadata.renderMaterial = mesh.material;
+                mesh.material = this.getDebugMaterial(mesh.metadata.collisionKind);
+                mesh.isVisible = true;
+            });
+        } else {
+            this.savedVisibility.forEach((visible, mesh) => {
+                mesh.isVisible = visible;
+            });
+            this.savedVisibility.clear();
+            this.collisionMeshes.forEach(mesh => {
+                mesh.material = mesh.metadata.renderMaterial || null;
+                mesh.isVisible = false;
+            });
+        }
+
+        // Подвижные коллайдеры остаются рендер-мешами, их помечаем раскраской
+        this.colliders
+            .filter(collider => collider.isDynamic)
+            .forEach(collider => {
+                const mesh = collider.mesh;
+                if (enabled) {
+                    mesh.metadata.renderMaterial = mesh.material;
+                    mesh.material = this.getDebugMaterial('dynamic');
+                    mesh.isVisible = true;
+                } else {
+                    mesh.material = mesh.metadata.renderMaterial || mesh.material;
+                }
+            });
+
+        console.log(`🧱 Collision debug view ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Переключение отладочного режима
+     * @returns {boolean} Новое состояние
+     */
+    toggleDebugView() {
+        this.setDebugView(!this.debugView);
+        return this.debugView;
+    }
+
+    /**
+     * Является ли меш частью представления коллизий
+     * @param {BABYLON.AbstractMesh} mesh - Меш
+     */
+    isCollisionMesh(mesh) {
+        return this.collisionMeshes.includes(mesh);
+    }
+
+    /**
+     * Освобождение ресурсов
+     */
+    dispose() {
+        this.setDebugView(false);
+        this.colliders.forEach(collider => this.world.removeCollider(collider));
+        this.collisionMeshes.forEach(mesh => mesh.dispose());
+        Object.values(this.debugMaterials).forEach(material => material.dispose());
+
+        this.colliders = [];
+        this.collisionMeshes = [];
+        this.renderMeshes = [];
+        this.debugMaterials = {};
+        console.log('🗑️ Collision pipeline disposed');
+    }
+}
@@ -0,0 +1,489 @@
+/**
+ * Мир коллизий
+ * Хранит треугольники геометрии коллизий в равномерной сетке и отвечает
+ * на запросы контроллера персонажа и камеры: выборка треугольников по области,
+ * лучи и sweep сферы
+ */
+import { rayTriangle, rayAabb, closestPointOnTriangle, sweepSphereTriangle } from './collisionMath.js';
+
+// Треугольники, покрывающие больше ячеек, хранятся отдельным списком,
+// иначе огромный пол раздует сетку на миллионы ячеек
+const MAX_CELLS_PER_TRIANGLE = 512;
+
+export class CollisionWorld {
+    /**
+     * @param {number} cellSize - Размер ячейки сетки в мировых единицах
+     */
+    constructor(cellSize = 4) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+        this.largeTriangles = [];
+        this.staticTriangles = [];
+        this.dynamicColliders = [];
+        this.colliders = new Map();
+        this.nextColliderId = 1;
+        this.queryId = 0;
+
+        console.log('🧱 Collision World initialized');
+    }
+
+    /**
+     * Добавление статического меша (треугольники запекаются в мировых координатах)
+     * @param {BABYLON.AbstractMesh} mesh - Меш коллизий
+     * @returns {Object|null} Описание коллайдера
+     */
+    addStaticMesh(mesh) {
+        const triangles = this.extractTriangles(mesh, true);
+        if (triangles.length === 0) {
+            return null;
+        }
+
+        const collider = this.createCollider(mesh, false);
+        triangles.forEach(triangle => {
+            triangle.collider = collider;
+            this.insertTriangle(triangle);
+        });
+        collider.triangleCount = triangles.length;
+
+        return collider;
+    }
+
+    /**
+     * Добавление подвижного меша (платформы, двери)
+     * Треугольники хранятся в локальных координатах и пересчитываются при запросах
+     * @param {BABYLON.AbstractMesh} mesh - Меш коллизий
+     * @returns {Object|null} Описание коллайдера
+     */
+    addDynamicMesh(mesh) {
+        const localTriangles = this.extractTriangles(mesh, false);
+        if (localTriangles.length === 0) {
+            return null;
+        }
+
+        const collider = this.createCollider(mesh, true);
+        collider.localTriangles = localTriangles;
+        collider.worldTriangles = localTriangles.map(triangle => ({
+            a: triangle.a.clone(),
+            b: triangle.b.clone(),
+            c: triangle.c.clone(),
+            normal: triangle.normal.clone(),
+            collider,
+            queryId: 0
+        }));
+        collider.cachedMatrixFlag = -1;
+        collider.triangleCount = localTriangles.length;
+
+        this.dynamicColliders.push(collider);
+        return collider;
+    }
+
+    /**
+     * Создание записи коллайдера
+     */
+    createCollider(mesh, isDynamic) {
+        const collider = {
+            id: this.nextColliderId++,
+            mesh,
+            isDynamic,
+            enabled: true,
+            triangleCount: 0
+        };
+        this.colliders.set(collider.id, collider);
+        return collider;
+    }
+
+    /**
+     * Удаление коллайдера
+     * @param {Object} collider - Коллайдер, возвращенный addStaticMesh/addDynamicMesh
+     */
+    removeCollider(collider) {
+        if (!collider || !this.colliders.has(collider.id)) {
+            return;
+        }
+
+        this.colliders.delete(collider.id);
+
+        if (collider.isDynamic) {
+            this.dynamicColliders = this.dynamicColliders.filter(item => item !== collider);
+            return;
+        }
+
+        // Статические треугольники вычищаем из сетки
+        this.staticTriangles = this.staticTriangles.filter(triangle => triangle.collider !== collider);
+        this.largeTriangles = this.largeTriangles.filter(triangle => triangle.collider !== collider);
+        this.cells.forEach((list, key) => {
+            const filtered = list.filter(triangle => triangle.collider !== collider);
+            if (filtered.length === 0) {
+                this.cells.delete(key);
+            } else {
+                this.cells.set(key, filtered);
+            }
+        });
+    }
+
+    /**
+     * Извлечение треугольников из меша
+     * @param {BABYLON.AbstractMesh} mesh - Меш
+     * @param {boolean} toWorld - Преобразовать в мировые координаты
+     */
+    extractTriangles(mesh, toWorld) {
+        const positions = mesh.getVerticesData && mesh.getVerticesData(BABYLON.VertexBuffer.PositionKind);
+        if (!positions || positions.length === 0) {
+            return [];
+        }
+
+        let indices = mesh.getIndices ? mesh.getIndices() : null;
+        if (!indices || indices.length === 0) {
+            indices = Array.from({ length: positions.length / 3 }, (_, i) => i);
+        }
+
+        const matrix = toWorld ? mesh.computeWorldMatrix(true) : BABYLON.Matrix.Identity();
+        const vertices = [];
+        for (let i = 0; i < positions.length; i += 3) {
+            vertices.push(BABYLON.Vector3.TransformCoordinatesFromFloatsToRef(
+                positions[i], positions[i + 1], positions[i + 2], matrix, new BABYLON.Vector3()
+            ));
+        }
+
+        const triangles = [];
+        for (let i = 0; i + 2 < indices.length; i += 3) {
+            const a = vertices[indices[i]];
+            const b = vertices[indices[i + 1]];
+            const c = vertices[indices[i + 2]];
+            const normal = BABYLON.Vector3.Cross(b.subtract(a), c.subtract(a));
+
+            // Вырожденные треугольники не дают нормали и только мешают
+            if (normal.lengthSquared() < 1e-12) {
+                continue;
+            }
+            normal.normalize();
+
+            triangles.push({ a, b, c, normal, collider: null, queryId: 0 });
+        }
+
+        return triangles;
+    }
+
+    /**
+     * Вставка статического треугольника в сетку
+     */
+    insertTriangle(triangle) {
+        this.staticTriangles.push(triangle);
+
+        const min = BABYLON.Vector3.Minimize(BABYLON.Vector3.Minimize(triangle.a, triangle.b), triangle.c);
+        const max = BABYLON.Vector3.Maximize(BABYLON.Vector3.Maximize(triangle.a, triangle.b), triangle.c);
+        const [x0, y0, z0] = this.toCell(min);
+        const [x1, y1, z1] = this.toCell(max);
+
+        const cellCount = (x1 - x0 + 1) * (y1 - y0 + 1) * (z1 - z0 + 1);
+        if (cellCount > MAX_CELLS_PER_TRIANGLE) {
+            this.largeTriangles.push(triangle);
+            return;
+        }
+
+        for (let x = x0; x <= x1; x++) {
+            for (let y = y0; y <= y1; y++) {
+                for (let z = z0; z <= z1; z++) {
+                    const key = this.cellKey(x, y, z);
+                    let list = this.cells.get(key);
+                    if (!list) {
+                        list = [];
+                        this.cells.set(key, list);
+                    }
+                    list.push(triangle);
+                }
+            }
+        }
+    }
+
+    /**
+     * Индексы ячейки для точки
+     */
+    toCell(point) {
+        return [
+            Math.floor(point.x / this.cellSize),
+            Math.floor(point.y / this.cellSize),
+            Math.floor(point.z / this.cellSize)
+        ];
+    }
+
+    /**
+     * Ключ ячейки
+     */
+    cellKey(x, y, z) {
+        return `${x},${y},${z}`;
+    }
+
+    /**
+     * Пересчет треугольников подвижного коллайдера в мировые координаты
+     */
+    refreshDynamicCollider(collider) {
+        const matrix = collider.mesh.computeWorldMatrix();
+        if (collider.cachedMatrixFlag === matrix.updateFlag) {
+            return;
+        }
+
+        collider.localTriangles.forEach((local, index) => {
+            const world = collider.worldTriangles[index];
+            BABYLON.Vector3.TransformCoordinatesToRef(local.a, matrix, world.a);
+            BABYLON.Vector3.TransformCoordinatesToRef(local.b, matrix, world.b);
+            BABYLON.Vector3.TransformCoordinatesToRef(local.c, matrix, world.c);
+            BABYLON.Vector3.CrossToRef(world.b.subtract(world.a), world.c.subtract(world.a), world.normal);
+            world.normal.normalize();
+        });
+        collider.cachedMatrixFlag = matrix.updateFlag;
+    }
+
+    /**
+     * Выборка треугольников, чьи ячейки пересекают AABB
+     * @param {BABYLON.Vector3} min - Минимальный угол области
+     * @param {BABYLON.Vector3} max - Максимальный угол области
+     * @param {Array} out - Массив для результата
+     * @returns {Array} Треугольники (каждый не более одного раза)
+     */
+    queryTriangles(min, max, out = []) {
+        const queryId = ++this.queryId;
+        const push = (triangle) => {
+            if (triangle.queryId !== queryId && triangle.collider.enabled) {
+                triangle.queryId = queryId;
+                out.push(triangle);
+            }
+        };
+
+        const [x0, y0, z0] = this.toCell(min);
+        const [x1, y1, z1] = this.toCell(max);
+        for (let x = x0; x <= x1; x++) {
+            for (let y = y0; y <= y1; y++) {
+                for (let z = z0; z <= z1; z++) {
+                    const list = this.cells.get(this.cellKey(x, y, z));
+                    if (list) {
+                        list.forEach(push);
+                    }
+                }
+            }
+        }
+
+        this.largeTriangles.forEach(triangle => {
+            if (this.triangleOverlapsAabb(triangle, min, max)) {
+                push(triangle);
+            }
+        });
+
+        this.dynamicColliders.forEach(collider => {
+            if (!collider.enabled || !collider.mesh.isEnabled()) {
+                return;
+            }
+            const box = collider.mesh.getBoundingInfo().boundingBox;
+            if (box.maximumWorld.x < min.x || box.minimumWorld.x > max.x ||
+                box.maximumWorld.y < min.y || box.minimumWorld.y > max.y ||
+                box.maximumWorld.z < min.z || box.minimumWorld.z > max.z) {
+                return;
+            }
+            this.refreshDynamicCollider(collider);
+            collider.worldTriangles.forEach(push);
+        });
+
+        return out;
+    }
+
+    /**
+     * Грубая проверка пересечения AABB треугольника с областью
+     */
+    triangleOverlapsAabb(triangle, min, max) {
+        const { a, b, c } = triangle;
+        return !(
+            Math.max(a.x, b.x, c.x) < min.x || Math.min(a.x, b.x, c.x) > max.x ||
+            Math.max(a.y, b.y, c.y) < min.y || Math.min(a.y, b.y, c.y) > max.y ||
+            Math.max(a.z, b.z, c.z) < min.z || Math.min(a.z, b.z, c.z) > max.z
+        );
+    }
+
+    /**
+     * Луч против геометрии коллизий
+     * Ячейки обходятся по алгоритму Amanatides–Woo, поэтому длинные лучи дешевы
+     * @param {BABYLON.Vector3} origin - Начало луча
+     * @param {BABYLON.Vector3} direction - Направление (нормализованное)
+     * @param {number} maxDistance - Максимальная дистанция
+     * @param {Function} filter - Необязательный фильтр (collider) => boolean
+     * @returns {Object} { hit, distance, point, normal, collider }
+     */
+    raycast(origin, direction, maxDistance, filter = null) {
+        const queryId = ++this.queryId;
+        let best = { hit: false, distance: maxDistance, point: null, normal: null, collider: null };
+
+        const testTriangle = (triangle) => {
+            if (triangle.queryId === queryId || !triangle.collider.enabled) {
+                return;
+            }
+            triangle.queryId = queryId;
+            if (filter && !filter(triangle.collider)) {
+                return;
+            }
+            const t = rayTriangle(origin, direction, triangle.a, triangle.b, triangle.c);
+            if (t >= 0 && t <= best.distance) {
+                best = { hit: true, distance: t, point: null, normal: triangle.normal, collider: triangle.collider };
+            }
+        };
+
+        this.largeTriangles.forEach(testTriangle);
+
+        this.dynamicColliders.forEach(collider => {
+            if (!collider.enabled || !collider.mesh.isEnabled()) {
+                return;
+            }
+            const box = collider.mesh.getBoundingInfo().boundingBox;
+            const t = rayAabb(origin, direction, box.minimumWorld, box.maximumWorld);
+            if (t >= 0 && t <= best.distance) {
+                this.refreshDynamicCollider(collider);
+                collider.worldTriangles.forEach(testTriangle);
+            }
+        });
+
+        // Обход ячеек сетки вдоль луча
+        let [x, y, z] = this.toCell(origin);
+        const steps = [];
+        const tMax = [];
+        const tDelta = [];
+        const cell = [x, y, z];
+        ['x', 'y', 'z'].forEach((axis, i) => {
+            const d = direction[axis];
+            if (Math.abs(d) < 1e-12) {
+                steps[i] = 0;
+                tMax[i] = Infinity;
+                tDelta[i] = Infinity;
+            } else {
+                steps[i] = d > 0 ? 1 : -1;
+                const boundary = (cell[i] + (d > 0 ? 1 : 0)) * this.cellSize;
+                tMax[i] = (boundary - origin[axis]) / d;
+                tDelta[i] = this.cellSize / Math.abs(d);
+            }
+        });
+
+        let traveled = 0;
+        while (traveled <= best.distance) {
+            const list = this.cells.get(this.cellKey(x, y, z));
+            if (list) {
+                list.forEach(testTriangle);
+            }
+
+            // Попадание внутри текущей ячейки ближе любой следующей
+            const exit = Math.min(tMax[0], tMax[1], tMax[2]);
+            if (best.hit && best.distance <= exit) {
+                break;
+            }
+
+            if (tMax[0] <= tMax[1] && tMax[0] <= tMax[2]) {
+                x += steps[0];
+                traveled = tMax[0];
+                tMax[0] += tDelta[0];
+            } else if (tMax[1] <= tMax[2]) {
+                y += steps[1];
+                traveled = tMax[1];
+                tMax[1] += tDelta[1];
+            } else {
+                z += steps[2];
+                traveled = tMax[2];
+                tMax[2] += tDelta[2];
+            }
+
+            if (!isFinite(traveled)) {
+                break;
+            }
+        }
+
+        if (best.hit) {
+            best.point = origin.add(direction.scale(best.distance));
+            // Нормаль разворачиваем навстречу лучу
+            if (BABYLON.Vector3.Dot(best.normal, direction) > 0) {
+                best.normal = best.normal.negate();
+            } else {
+                best.normal = best.normal.clone();
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Sweep сферы против геометрии коллизий
+     * Касание, от которого сфера уходит, препятствием не считается
+     * @param {BABYLON.Vector3} origin - Начальный центр сферы
+     * @param {BABYLON.Vector3} direction - Направление (нормализованное)
+     * @param {number} maxDistance - Максимальная дистанция
+     * @param {number} radius - Радиус сферы
+     * @param {Function} filter - Необязательный фильтр (collider) => boolean
+     * @returns {Object} { hit, distance, normal, collider }
+     */
+    sphereCast(origin, direction, maxDistance, radius, filter = null) {
+        const end = origin.add(direction.scale(maxDistance));
+        const min = BABYLON.Vector3.Minimize(origin, end).subtractFromFloats(radius, radius, radius);
+        const max = BABYLON.Vector3.Maximize(origin, end).addInPlaceFromFloats(radius, radius, radius);
+        const triangles = this.queryTriangles(min, max);
+
+        const tolerance = radius * 0.01;
+        const center = new BABYLON.Vector3();
+        const closest = new BABYLON.Vector3();
+        let best = { hit: false, distance: maxDistance, normal: null, collider: null };
+
+        for (const triangle of triangles) {
+            if (filter && !filter(triangle.collider)) {
+                continue;
+            }
+
+            // Сфера уже касается треугольника: препятствие, только если движемся в него
+            closestPointOnTriangle(origin, triangle.a, triangle.b, triangle.c, closest);
+            let traveled = 0;
+            if (BABYLON.Vector3.Distance(origin, closest) - radius > tolerance) {
+                traveled = sweepSphereTriangle(origin, direction, radius, triangle.a, triangle.b, triangle.c);
+                if (traveled < 0 || traveled >= best.distance) {
+                    continue;
+                }
+            }
+
+            origin.addToRef(direction.scale(traveled), center);
+            closestPointOnTriangle(center, triangle.a, triangle.b, triangle.c, closest);
+            const distance = BABYLON.Vector3.Distance(center, closest);
+            const normal = distance > 1e-6
+                ? center.subtract(closest).scaleInPlace(1 / distance)
+                : triangle.normal.clone();
+            if (distance <= 1e-6 && BABYLON.Vector3.Dot(normal, direction) > 0) {
+                normal.negateInPlace();
+            }
+            if (BABYLON.Vector3.Dot(normal, direction) < 0 && traveled < best.distance) {
+                best = { hit: true, distance: traveled, normal, collider: triangle.collider };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Количество треугольников в мире
+     */
+    getTriangleCount() {
+        let count = this.staticTriangles.length;
+        this.dynamicColliders.forEach(collider => {
+            count += collider.triangleCount;
+        });
+        return count;
+    }
+
+    /**
+     * Очистка мира
+     */
+    clear() {
+        this.cells.clear();
+        this.largeTriangles = [];
+        this.staticTriangles = [];
+        this.dynamicColliders = [];
+        this.colliders.clear();
+    }
+
+    /**
+     * Освобождение ресурсов
+     */
+    dispose() {
+        this.clear();
+        console.log('🗑️ Collision World disposed');
+    }
+}
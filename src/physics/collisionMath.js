@@ -0,0 +1,462 @@
+/**
+ * Геометрические функции для системы коллизий
+ * Ближайшие точки и пересечения для отрезков, лучей и треугольников
+ * (алгоритмы из "Real-Time Collision Detection", C. Ericson)
+ */
+
+const EPSILON = 1e-9;
+
+// Временные векторы, чтобы не создавать объекты в горячих циклах
+const tmpAB = new BABYLON.Vector3();
+const tmpAC = new BABYLON.Vector3();
+const tmpAP = new BABYLON.Vector3();
+const tmpBP = new BABYLON.Vector3();
+const tmpCP = new BABYLON.Vector3();
+const tmpD1 = new BABYLON.Vector3();
+const tmpD2 = new BABYLON.Vector3();
+const tmpR = new BABYLON.Vector3();
+const tmpPVec = new BABYLON.Vector3();
+const tmpTVec = new BABYLON.Vector3();
+const tmpQVec = new BABYLON.Vector3();
+const tmpSegPoint = new BABYLON.Vector3();
+const tmpTriPoint = new BABYLON.Vector3();
+const tmpEdgePoint = new BABYLON.Vector3();
+const tmpSweepNormal = new BABYLON.Vector3();
+const tmpSweepPoint = new BABYLON.Vector3();
+const tmpSweepCross = new BABYLON.Vector3();
+const tmpSweepBack = new BABYLON.Vector3();
+const tmpAxis = new BABYLON.Vector3();
+const tmpEdge = new BABYLON.Vector3();
+const tmpOffset = new BABYLON.Vector3();
+
+/**
+ * Ближайшая к точке p точка треугольника abc
+ * @returns {BABYLON.Vector3} out
+ */
+export function closestPointOnTriangle(p, a, b, c, out) {
+    b.subtractToRef(a, tmpAB);
+    c.subtractToRef(a, tmpAC);
+    p.subtractToRef(a, tmpAP);
+
+    // Вершинная область A
+    const d1 = BABYLON.Vector3.Dot(tmpAB, tmpAP);
+    const d2 = BABYLON.Vector3.Dot(tmpAC, tmpAP);
+    if (d1 <= 0 && d2 <= 0) {
+        return out.copyFrom(a);
+    }
+
+    // Вершинная область B
+    p.subtractToRef(b, tmpBP);
+    const d3 = BABYLON.Vector3.Dot(tmpAB, tmpBP);
+    const d4 = BABYLON.Vector3.Dot(tmpAC, tmpBP);
+    if (d3 >= 0 && d4 <= d3) {
+        return out.copyFrom(b);
+    }
+
+    // Реберная область AB
+    const vc = d1 * d4 - d3 * d2;
+    if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+        const v = d1 / (d1 - d3);
+        return out.copyFromFloats(a.x + tmpAB.x * v, a.y + tmpAB.y * v, a.z + tmpAB.z * v);
+    }
+
+    // Вершинная область C
+    p.subtractToRef(c, tmpCP);
+    const d5 = BABYLON.Vector3.Dot(tmpAB, tmpCP);
+    const d6 = BABYLON.Vector3.Dot(tmpAC, tmpCP);
+    if (d6 >= 0 && d5 <= d6) {
+        return out.copyFrom(c);
+    }
+
+    // Реберная область AC
+    const vb = d5 * d2 - d1 * d6;
+    if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+        const w = d2 / (d2 - d6);
+        return out.copyFromFloats(a.x + tmpAC.x * w, a.y + tmpAC.y * w, a.z + tmpAC.z * w);
+    }
+
+    // Реберная область BC
+    const va = d3 * d6 - d5 * d4;
+    if (va <= 0 && (d4 - d3) >= 0 && (d5 - d6) >= 0) {
+        const w = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+        return out.copyFromFloats(
+            b.x + (c.x - b.x) * w,
+            b.y + (c.y - b.y) * w,
+            b.z + (c.z - b.z) * w
+        );
+    }
+
+    // Внутри треугольника
+    const denom = 1 / (va + vb + vc);
+    const v = vb * denom;
+    const w = vc * denom;
+    return out.copyFromFloats(
+        a.x + tmpAB.x * v + tmpAC.x * w,
+        a.y + tmpAB.y * v + tmpAC.y * w,
+        a.z + tmpAB.z * v + tmpAC.z * w
+    );
+}
+
+/**
+ * Ближайшая к точке p точка отрезка ab
+ * @returns {BABYLON.Vector3} out
+ */
+export function closestPointOnSegment(p, a, b, out) {
+    b.subtractToRef(a, tmpAB);
+    const lengthSq = tmpAB.lengthSquared();
+    let t = 0;
+    if (lengthSq > EPSILON) {
+        p.subtractToRef(a, tmpAP);
+        t = BABYLON.Scalar.Clamp(BABYLON.Vector3.Dot(tmpAP, tmpAB) / lengthSq, 0, 1);
+    }
+    return out.copyFromFloats(a.x + tmpAB.x * t, a.y + tmpAB.y * t, a.z + tmpAB.z * t);
+}
+
+/**
+ * Ближайшие точки двух отрезков p1q1 и p2q2
+ * @returns {number} Квадрат расстояния между отрезками
+ */
+export function closestPointsSegmentSegment(p1, q1, p2, q2, out1, out2) {
+    q1.subtractToRef(p1, tmpD1);
+    q2.subtractToRef(p2, tmpD2);
+    p1.subtractToRef(p2, tmpR);
+
+    const a = tmpD1.lengthSquared();
+    const e = tmpD2.lengthSquared();
+    const f = BABYLON.Vector3.Dot(tmpD2, tmpR);
+
+    let s;
+    let t;
+
+    if (a <= EPSILON && e <= EPSILON) {
+        s = 0;
+        t = 0;
+    } else if (a <= EPSILON) {
+        s = 0;
+        t = BABYLON.Scalar.Clamp(f / e, 0, 1);
+    } else {
+        const c = BABYLON.Vector3.Dot(tmpD1, tmpR);
+        if (e <= EPSILON) {
+            t = 0;
+            s = BABYLON.Scalar.Clamp(-c / a, 0, 1);
+        } else {
+            const b = BABYLON.Vector3.Dot(tmpD1, tmpD2);
+            const denom = a * e - b * b;
+
+            // Для параллельных отрезков подходит любое s, берем 0
+            s = denom > EPSILON ? BABYLON.Scalar.Clamp((b * f - c * e) / denom, 0, 1) : 0;
+            t = (b * s + f) / e;
+
+            if (t < 0) {
+                t = 0;
+                s = BABYLON.Scalar.Clamp(-c / a, 0, 1);
+            } else if (t > 1) {
+                t = 1;
+                s = BABYLON.Scalar.Clamp((b - c) / a, 0, 1);
+            }
+        }
+    }
+
+    out1.copyFromFloats(p1.x + tmpD1.x * s, p1.y + tmpD1.y * s, p1.z + tmpD1.z * s);
+    out2.copyFromFloats(p2.x + tmpD2.x * t, p2.y + tmpD2.y * t, p2.z + tmpD2.z * t);
+    return BABYLON.Vector3.DistanceSquared(out1, out2);
+}
+
+/**
+ * Пересечение луча с треугольником (Möller–Trumbore, двустороннее)
+ * @param {BABYLON.Vector3} direction - Направление луча (не обязательно нормализовано)
+ * @returns {number} Параметр t точки пересечения (origin + direction * t) или -1
+ */
+export function rayTriangle(origin, direction, a, b, c) {
+    b.subtractToRef(a, tmpAB);
+    c.subtractToRef(a, tmpAC);
+    BABYLON.Vector3.CrossToRef(direction, tmpAC, tmpPVec);
+
+    const det = BABYLON.Vector3.Dot(tmpAB, tmpPVec);
+    if (Math.abs(det) < EPSILON) {
+        return -1;
+    }
+
+    const invDet = 1 / det;
+    origin.subtractToRef(a, tmpTVec);
+    const u = BABYLON.Vector3.Dot(tmpTVec, tmpPVec) * invDet;
+    if (u < 0 || u > 1) {
+        return -1;
+    }
+
+    BABYLON.Vector3.CrossToRef(tmpTVec, tmpAB, tmpQVec);
+    const v = BABYLON.Vector3.Dot(direction, tmpQVec) * invDet;
+    if (v < 0 || u + v > 1) {
+        return -1;
+    }
+
+    const t = BABYLON.Vector3.Dot(tmpAC, tmpQVec) * invDet;
+    return t >= 0 ? t : -1;
+}
+
+/**
+ * Ближайшие точки отрезка pq и треугольника abc
+ * @returns {number} Квадрат расстояния (0, если отрезок пересекает треугольник)
+ */
+export function closestPointsSegmentTriangle(p, q, a, b, c, outSegment, outTriangle) {
+    // Если отрезок протыкает треугольник, расстояние равно нулю
+    q.subtractToRef(p, tmpD1);
+    const t = rayTriangle(p, tmpD1, a, b, c);
+    if (t >= 0 && t <= 1) {
+        outSegment.copyFromFloats(p.x + tmpD1.x * t, p.y + tmpD1.y * t, p.z + tmpD1.z * t);
+        outTriangle.copyFrom(outSegment);
+        return 0;
+    }
+
+    // Иначе минимум достигается на концах отрезка или на ребрах треугольника
+    closestPointOnTriangle(p, a, b, c, tmpTriPoint);
+    let best = BABYLON.Vector3.DistanceSquared(p, tmpTriPoint);
+    outSegment.copyFrom(p);
+    outTriangle.copyFrom(tmpTriPoint);
+
+    closestPointOnTriangle(q, a, b, c, tmpTriPoint);
+    let distSq = BABYLON.Vector3.DistanceSquared(q, tmpTriPoint);
+    if (distSq < best) {
+        best = distSq;
+        outSegment.copyFrom(q);
+        outTriangle.copyFrom(tmpTriPoint);
+    }
+
+    const edges = [[a, b], [b, c], [c, a]];
+    for (const [e0, e1] of edges) {
+        distSq = closestPointsSegmentSegment(p, q, e0, e1, tmpSegPoint, tmpEdgePoint);
+        if (distSq < best) {
+            best = distSq;
+            outSegment.copyFrom(tmpSegPoint);
+            outTriangle.copyFrom(tmpEdgePoint);
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Sweep сферы против треугольника: момент первого касания
+ * Проверяются грань, затем ребра (цилиндры) и вершины (сферы).
+ * Сфера в начале не должна касаться треугольника
+ * @param {BABYLON.Vector3} direction - Направление (нормализованное)
+ * @returns {number} Дистанция до касания или -1
+ */
+export function sweepSphereTriangle(origin, direction, radius, a, b, c) {
+    b.subtractToRef(a, tmpAB);
+    c.subtractToRef(a, tmpAC);
+    BABYLON.Vector3.CrossToRef(tmpAB, tmpAC, tmpSweepNormal);
+    if (tmpSweepNormal.lengthSquared() < EPSILON) {
+        return -1;
+    }
+    tmpSweepNormal.normalize();
+
+    // Грань: касание плоскости внутри треугольника всегда наступает первым
+    origin.subtractToRef(a, tmpAP);
+    const planeDistance = BABYLON.Vector3.Dot(tmpAP, tmpSweepNormal);
+    const speed = BABYLON.Vector3.Dot(direction, tmpSweepNormal);
+    if (Math.abs(speed) > EPSILON && planeDistance * speed < 0) {
+        const side = planeDistance > 0 ? radius : -radius;
+        const t = (side - planeDistance) / speed;
+        if (t >= 0) {
+            tmpSweepPoint.copyFromFloats(
+                origin.x + direction.x * t - tmpSweepNormal.x * side,
+                origin.y + direction.y * t - tmpSweepNormal.y * side,
+                origin.z + direction.z * t - tmpSweepNormal.z * side
+            );
+            if (pointInTriangle(tmpSweepPoint, a, b, c, tmpSweepNormal)) {
+                return t;
+            }
+        }
+    }
+
+    let best = -1;
+    const consider = (t) => {
+        if (t >= 0 && (best < 0 || t < best)) {
+            best = t;
+        }
+    };
+
+    [a, b, c].forEach(vertex => consider(raySphere(origin, direction, vertex, radius)));
+    [[a, b], [b, c], [c, a]].forEach(([e0, e1]) => consider(rayEdgeCylinder(origin, direction, e0, e1, radius)));
+
+    return best;
+}
+
+/**
+ * Время касания движущейся капсулы (отрезок pq, радиус radius) и треугольника abc
+ * Первое касание дает одна из пар элементов: полусфера на конце оси против
+ * треугольника, ось против ребра (внутренние точки обоих) или вершина треугольника
+ * против боковой поверхности капсулы. Капсула в начале не должна касаться треугольника
+ * @param {BABYLON.Vector3} direction - Направление (нормализованное)
+ * @returns {number} Дистанция до касания или -1
+ */
+export function sweepCapsuleTriangle(p, q, direction, radius, a, b, c) {
+    let best = -1;
+    const consider = (t) => {
+        if (t >= 0 && (best < 0 || t < best)) {
+            best = t;
+        }
+    };
+
+    consider(sweepSphereTriangle(p, direction, radius, a, b, c));
+    consider(sweepSphereTriangle(q, direction, radius, a, b, c));
+
+    [[a, b], [b, c], [c, a]].forEach(([e0, e1]) => consider(sweepSegmentEdge(p, q, direction, radius, e0, e1)));
+
+    // Вершина движется навстречу капсуле
+    direction.scaleToRef(-1, tmpSweepBack);
+    [a, b, c].forEach(vertex => consider(rayEdgeCylinder(vertex, tmpSweepBack, p, q, radius)));
+
+    return best;
+}
+
+/**
+ * Касание внутренних точек движущегося отрезка pq и неподвижного отрезка e0e1
+ * В момент касания разность ближайших точек перпендикулярна обоим отрезкам,
+ * то есть смещение лежит на параллелограмме (e0 - p) + s*(e1 - e0) - u*(q - p),
+ * сдвинутом на radius вдоль общей нормали
+ * @returns {number} Дистанция до касания или -1 (отрезки параллельны или не сходятся)
+ */
+function sweepSegmentEdge(p, q, direction, radius, e0, e1) {
+    q.subtractToRef(p, tmpAxis);
+    e1.subtractToRef(e0, tmpEdge);
+    BABYLON.Vector3.CrossToRef(tmpAxis, tmpEdge, tmpSweepNormal);
+    const crossSq = tmpSweepNormal.lengthSquared();
+    if (crossSq < EPSILON) {
+        return -1;
+    }
+    tmpSweepNormal.scaleInPlace(1 / Math.sqrt(crossSq));
+
+    const speed = BABYLON.Vector3.Dot(direction, tmpSweepNormal);
+    if (Math.abs(speed) < EPSILON) {
+        return -1;
+    }
+
+    e0.subtractToRef(p, tmpOffset);
+    const planeDistance = BABYLON.Vector3.Dot(tmpOffset, tmpSweepNormal);
+    const aa = BABYLON.Vector3.Dot(tmpAxis, tmpAxis);
+    const ee = BABYLON.Vector3.Dot(tmpEdge, tmpEdge);
+    const ae = BABYLON.Vector3.Dot(tmpAxis, tmpEdge);
+    const det = ae * ae - aa * ee;
+
+    let best = -1;
+    [radius, -radius].forEach(side => {
+        const t = (planeDistance - side) / speed;
+        if (t < 0 || (best >= 0 && t >= best)) return;
+
+        // t*direction - (e0 - p) + side*n = s*edge - u*axis
+        tmpSweepPoint.copyFromFloats(
+            direction.x * t - tmpOffset.x + tmpSweepNormal.x * side,
+            direction.y * t - tmpOffset.y + tmpSweepNormal.y * side,
+            direction.z * t - tmpOffset.z + tmpSweepNormal.z * side
+        );
+        const re = BABYLON.Vector3.Dot(tmpSweepPoint, tmpEdge);
+        const ra = BABYLON.Vector3.Dot(tmpSweepPoint, tmpAxis);
+        const s = (ae * ra - aa * re) / det;
+        const u = (ee * ra - ae * re) / det;
+        if (s >= 0 && s <= 1 && u >= 0 && u <= 1) {
+            best = t;
+        }
+    });
+    return best;
+}
+
+/**
+ * Лежит ли точка плоскости треугольника внутри него
+ * @param {BABYLON.Vector3} normal - Нормаль cross(b - a, c - a)
+ */
+function pointInTriangle(p, a, b, c, normal) {
+    const edges = [[a, b], [b, c], [c, a]];
+    for (const [e0, e1] of edges) {
+        e1.subtractToRef(e0, tmpD1);
+        p.subtractToRef(e0, tmpD2);
+        BABYLON.Vector3.CrossToRef(tmpD1, tmpD2, tmpSweepCross);
+        if (BABYLON.Vector3.Dot(tmpSweepCross, normal) < 0) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Луч против сферы (луч начинается снаружи)
+ * @returns {number} Параметр входа или -1
+ */
+function raySphere(origin, direction, center, radius) {
+    origin.subtractToRef(center, tmpR);
+    const b = BABYLON.Vector3.Dot(tmpR, direction);
+    const c = tmpR.lengthSquared() - radius * radius;
+    if (c > 0 && b > 0) {
+        return -1;
+    }
+    const discriminant = b * b - c;
+    if (discriminant < 0) {
+        return -1;
+    }
+    return -b - Math.sqrt(discriminant);
+}
+
+/**
+ * Луч против боковой поверхности цилиндра вокруг отрезка e0e1
+ * Торцы не проверяются: их покрывают сферы вершин
+ * @returns {number} Параметр входа или -1
+ */
+function rayEdgeCylinder(origin, direction, e0, e1, radius) {
+    e1.subtractToRef(e0, tmpD1);
+    origin.subtractToRef(e0, tmpR);
+
+    const nn = tmpD1.lengthSquared();
+    const mn = BABYLON.Vector3.Dot(tmpR, tmpD1);
+    const dn = BABYLON.Vector3.Dot(direction, tmpD1);
+    const md = BABYLON.Vector3.Dot(tmpR, direction);
+
+    // Уравнение на расстояние от центра до оси: a*t^2 + 2*b*t + c = 0
+    const a = nn - dn * dn;
+    if (a < EPSILON) {
+        return -1;
+    }
+    const b = nn * md - mn * dn;
+    const c = nn * (tmpR.lengthSquared() - radius * radius) - mn * mn;
+    const discriminant = b * b - a * c;
+    if (discriminant < 0) {
+        return -1;
+    }
+
+    const t = (-b - Math.sqrt(discriminant)) / a;
+    const s = (mn + t * dn) / nn;
+    return t >= 0 && s >= 0 && s <= 1 ? t : -1;
+}
+
+/**
+ * Пересечение луча с AABB (slab-метод)
+ * @returns {number} Параметр входа в бокс или -1
+ */
+export function rayAabb(origin, direction, min, max) {
+    let tMin = 0;
+    let tMax = Infinity;
+
+    for (const axis of ['x', 'y', 'z']) {
+        const d = direction[axis];
+        if (Math.abs(d) < EPSILON) {
+            if (origin[axis] < min[axis] || origin[axis] > max[axis]) {
+                return -1;
+            }
+            continue;
+        }
+        let t1 = (min[axis] - origin[axis]) / d;
+        let t2 = (max[axis] - origin[axis]) / d;
+        if (t1 > t2) {
+            const swap = t1;
+            t1 = t2;
+            t2 = swap;
+        }
+        tMin = Math.max(tMin, t1);
+        tMax = Math.min(tMax, t2);
+        if (tMin > tMax) {
+            return -1;
+        }
+    }
+
+    return tMin;
+}
@@ -0,0 +1,214 @@
+/**
+ * Построение выпуклой оболочки набора точек
+ * Инкрементальный алгоритм: начальный тетраэдр, затем каждая точка
+ * удаляет видимые грани и замыкает горизонт новыми гранями
+ */
+
+const EPSILON = 1e-6;
+
+/**
+ * Опорные точки облака по равномерно распределенным направлениям
+ * Сокращает тысячи вершин меша до нескольких десятков, сохраняя форму оболочки
+ * @param {BABYLON.Vector3[]} points - Исходные точки
+ * @param {number} directionCount - Количество направлений
+ * @returns {BABYLON.Vector3[]} Уникальные опорные точки
+ */
+export function sampleSupportPoints(points, directionCount) {
+    if (points.length <= directionCount) {
+        return points.slice();
+    }
+
+    const selected = new Set();
+    const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+
+    // Направления по спирали Фибоначчи на единичной сфере
+    for (let i = 0; i < directionCount; i++) {
+        const y = 1 - (i / (directionCount - 1)) * 2;
+        const radius = Math.sqrt(1 - y * y);
+        const theta = goldenAngle * i;
+        const dx = Math.cos(theta) * radius;
+        const dz = Math.sin(theta) * radius;
+
+        let bestIndex = 0;
+        let bestDot = -Infinity;
+        points.forEach((point, index) => {
+            const dot = point.x * dx + point.y * y + point.z * dz;
+            if (dot > bestDot) {
+                bestDot = dot;
+                bestIndex = index;
+            }
+        });
+        selected.add(bestIndex);
+    }
+
+    return Array.from(selected, index => points[index]);
+}
+
+/**
+ * Выпуклая оболочка
+ * @param {BABYLON.Vector3[]} points - Точки
+ * @returns {Object|null} { vertices, faces: [[i, j, k], ...] } или null для вырожденного облака
+ */
+export function computeConvexHull(points) {
+    if (points.length < 4) {
+        return null;
+    }
+
+    const initial = findInitialTetrahedron(points);
+    if (!initial) {
+        return null;
+    }
+
+    const centroid = initial
+        .reduce((sum, index) => sum.addInPlace(points[index]), BABYLON.Vector3.Zero())
+        .scaleInPlace(0.25);
+
+    let faces = [];
+    const addFace = (a, b, c) => {
+        const face = makeFace(points, a, b, c);
+        // Нормаль должна смотреть от центра оболочки
+        if (BABYLON.Vector3.Dot(face.normal, centroid.subtract(points[a])) > 0) {
+            faces.push(makeFace(points, a, c, b));
+        } else {
+            faces.push(face);
+        }
+    };
+
+    const [i0, i1, i2, i3] = initial;
+    addFace(i0, i1, i2);
+    addFace(i0, i1, i3);
+    addFace(i0, i2, i3);
+    addFace(i1, i2, i3);
+
+    points.forEach((point, index) => {
+        if (initial.includes(index)) {
+            return;
+        }
+
+        const visible = faces.filter(face =>
+            BABYLON.Vector3.Dot(face.normal, point.subtract(points[face.indices[0]])) > EPSILON
+        );
+        if (visible.length === 0) {
+            return;
+        }
+
+        // Горизонт - ребра видимых граней, обратное ребро которых принадлежит невидимой грани
+        const visibleEdges = new Set();
+        visible.forEach(face => {
+            const [a, b, c] = face.indices;
+            visibleEdges.add(`${a}_${b}`).add(`${b}_${c}`).add(`${c}_${a}`);
+        });
+
+        const horizon = [];
+        visible.forEach(face => {
+            const [a, b, c] = face.indices;
+            [[a, b], [b, c], [c, a]].forEach(([from, to]) => {
+                if (!visibleEdges.has(`${to}_${from}`)) {
+                    horizon.push([from, to]);
+                }
+            });
+        });
+
+        faces = faces.filter(face => !visible.includes(face));
+        horizon.forEach(([from, to]) => {
+            // Порядок ребра горизонта сохраняет ориентацию наружу
+            faces.push(makeFace(points, from, to, index));
+        });
+    });
+
+    // Переиндексация только использованных вершин
+    const remap = new Map();
+    const vertices = [];
+    const resultFaces = faces.map(face => face.indices.map(index => {
+        if (!remap.has(index)) {
+            remap.set(index, vertices.length);
+            vertices.push(points[index].clone());
+        }
+        return remap.get(index);
+    }));
+
+    return { vertices, faces: resultFaces };
+}
+
+/**
+ * Грань с нормалью
+ */
+function makeFace(points, a, b, c) {
+    const normal = BABYLON.Vector3.Cross(
+        points[b].subtract(points[a]),
+        points[c].subtract(points[a])
+    );
+    const length = normal.length();
+    if (length > 0) {
+        normal.scaleInPlace(1 / length);
+    }
+    return { indices: [a, b, c], normal };
+}
+
+/**
+ * Поиск четырех точек, образующих невырожденный тетраэдр
+ * @returns {number[]|null} Индексы точек
+ */
+function findInitialTetrahedron(points) {
+    // Две самые удаленные точки среди экстремумов по осям
+    const extremes = [];
+    ['x', 'y', 'z'].forEach(axis => {
+        let minIndex = 0;
+        let maxIndex = 0;
+        points.forEach((point, index) => {
+            if (point[axis] < points[minIndex][axis]) minIndex = index;
+            if (point[axis] > points[maxIndex][axis]) maxIndex = index;
+        });
+        extremes.push(minIndex, maxIndex);
+    });
+
+    let i0 = 0;
+    let i1 = 0;
+    let bestDistance = -1;
+    extremes.forEach(a => {
+        extremes.forEach(b => {
+            const distance = BABYLON.Vector3.DistanceSquared(points[a], points[b]);
+            if (distance > bestDistance) {
+                bestDistance = distance;
+                i0 = a;
+                i1 = b;
+            }
+        });
+    });
+    if (bestDistance < EPSILON) {
+        return null;
+    }
+
+    // Третья точка - самая далекая от прямой
+    const lineDirection = points[i1].subtract(points[i0]).normalize();
+    let i2 = -1;
+    bestDistance = EPSILON;
+    points.forEach((point, index) => {
+        const offset = point.subtract(points[i0]);
+        const distance = BABYLON.Vector3.Cross(offset, lineDirection).lengthSquared();
+        if (distance > bestDistance) {
+            bestDistance = distance;
+            i2 = index;
+        }
+    });
+    if (i2 < 0) {
+        return null;
+    }
+
+    // Четвертая - самая далекая от плоскости
+    const planeNormal = makeFace(points, i0, i1, i2).normal;
+    let i3 = -1;
+    bestDistance = EPSILON;
+    points.forEach((point, index) => {
+        const distance = Math.abs(BABYLON.Vector3.Dot(planeNormal, point.subtract(points[i0])));
+        if (distance > bestDistance) {
+            bestDistance = distance;
+            i3 = index;
+        }
+    });
+    if (i3 < 0) {
+        return null;
+    }
+
+    return [i0, i1, i2, i3];
+}
@@ -0,0 +1,428 @@
+/**
+ * Менеджер заданий
+ * Задания описываются в JSON { quests: [...] }:
+ *   { id, title, description, autoStart, prerequisites: [id задания, ...],
+ *     stages: [{ description, objectives: [...] }], rewards: { items, flags } }
+ * Цель этапа - { id, type, description, count, optional, waypoint, ...параметры вида }.
+ * Цели продвигаются событиями шины (EventBus): каждый вид цели слушает свое
+ * событие. Этап завершается, когда выполнены все обязательные цели, задание -
+ * после последнего этапа. О ходе заданий менеджер сообщает в ту же шину:
+ * quest:started, quest:progress, quest:stageCompleted, quest:completed
+ */
+
+// Виды целей: событие шины и прогресс цели по данным события.
+// replay - событие описывает состояние (позиция, инвентарь), а не случай:
+// его последние данные сразу применяются к целям нового этапа
+const OBJECTIVE_TYPES = {
+    // { location: [x, y, z], radius }
+    reach: {
+        event: 'player:position',
+        replay: true,
+        progress: (objective, data, current) => {
+            const reached = BABYLON.Vector3.Distance(data.position, objective.location) <= objective.radius;
+            return reached ? 1 : current;
+        },
+        describe: () => 'Reach the location'
+    },
+    // { item, count } - считается количество в инвентаре игрока
+    collect: {
+        event: 'inventory:changed',
+        replay: true,
+        progress: (objective, data) => data.inventory.count(objective.item),
+        describe: objective => `Collect ${objective.item}`
+    },
+    // { target } - имя сущности NPC
+    talk: {
+        event: 'interact',
+        progress: (objective, data, current) => data.type === 'talk' && data.id === objective.target ? current + 1 : current,
+        describe: objective => `Talk to ${objective.target}`
+    },
+    // { target, count } - имя сущности или тег
+    kill: {
+        event: 'entity:killed',
+        progress: (objective, data, current) => {
+            const matches = data.id === objective.target || (data.tags || []).includes(objective.target);
+            return matches ? current + 1 : current;
+        },
+        describe: objective => `Defeat ${objective.target}`
+    }
+};
+
+export class QuestManager {
+    /**
+     * @param {EventBus} events - Шина игровых событий
+     * @param {Object} definition - JSON-описание { quests }
+     */
+    constructor(events, definition = { quests: [] }) {
+        this.events = events;
+        this.quests = new Map();
+        // Состояние заданий: id -> { status, stage, progress: { id цели: число } }
+        this.states = new Map();
+        this.trackedId = null;
+
+        // Последние данные событий-состояний для целей новых этапов
+        this.lastEvents = new Map();
+        // Во время загрузки сохранения события только запоминаются (см. suspend)
+        this.suspended = false;
+        this.subscriptions = Object.values(OBJECTIVE_TYPES)
+            .map(type => type.event)
+            .filter((event, index, events) => events.indexOf(event) === index)
+            .map(event => ({ event, observer: events.on(event, data => this.handleEvent(event, data)) }));
+
+        // Подписчики получают { quest, state } при любом изменении задания
+        this.onChangeObservable = new BABYLON.Observable();
+
+        this.load(definition);
+    }
+
+    load(definition) {
+        (definition.quests || []).forEach(quest => this.register(quest));
+    }
+
+    /**
+     * Добавление описания задания
+     * @returns {Object} Нормализованное описание
+     */
+    register(quest) {
+        if (!quest.id) {
+            throw new Error('Quest definition has no id');
+        }
+        if (this.quests.has(quest.id)) {
+            throw new Error(`Duplicate quest id '${quest.id}'`);
+        }
+        if (!quest.stages || quest.stages.length === 0) {
+            throw new Error(`Quest '${quest.id}' has no stages`);
+        }
+
+        const definition = {
+            id: quest.id,
+            title: quest.title || quest.id,
+            description: quest.description || '',
+            autoStart: !!quest.autoStart,
+            prerequisites: quest.prerequisites || [],
+            stages: quest.stages.map((stage, index) => ({
+                description: stage.description || '',
+                objectives: (stage.objectives || []).map((objective, i) => this.normalizeObjective(quest.id, index, objective, i))
+            })),
+            rewards: {
+                items: (quest.rewards && quest.rewards.items) || [],
+                flags: (quest.rewards && quest.rewards.flags) || {}
+            }
+        };
+        this.quests.set(definition.id, definition);
+        this.states.set(definition.id, { status: 'inactive', stage: 0, progress: {} });
+        return definition;
+    }
+
+    normalizeObjective(questId, stageIndex, objective, index) {
+        const type = OBJECTIVE_TYPES[objective.type];
+        if (!type) {
+            throw new Error(`Quest '${questId}' stage ${stageIndex} has unknown objective type '${objective.type}'`);
+        }
+
+        const normalized = {
+            ...objective,
+            id: objective.id || `${objective.type}${index}`,
+            count: objective.type === 'reach' ? 1 : Math.max(1, objective.count || 1),
+            optional: !!objective.optional
+        };
+        if (objective.type === 'reach') {
+            normalized.location = BABYLON.Vector3.FromArray(objective.location);
+            normalized.radius = objective.radius || 2;
+        }
+        // Метка в мире: точка [x, y, z] или имя сущности; по умолчанию - место или цель
+        normalized.waypoint = objective.waypoint !== undefined
+            ? objective.waypoint
+            : objective.type === 'reach' ? objective.location : objective.target || null;
+        normalized.description = objective.description || type.describe(normalized);
+        return normalized;
+    }
+
+    get(id) {
+        return this.quests.get(id) || null;
+    }
+
+    getAll() {
+        return Array.from(this.quests.values());
+    }
+
+    getState(id) {
+        return this.states.get(id) || null;
+    }
+
+    getStatus(id) {
+        const state = this.states.get(id);
+        return state ? state.status : null;
+    }
+
+    /**
+     * Задания с нужным статусом в порядке описания
+     * @param {string} status - inactive, active, completed
+     */
+    getByStatus(status) {
+        return this.getAll().filter(quest => this.states.get(quest.id).status === status);
+    }
+
+    /**
+     * Можно ли начать задание: не начато и все предварительные выполнены
+     */
+    canStart(id) {
+        const quest = this.quests.get(id);
+        return !!quest && this.states.get(id).status === 'inactive' &&
+            quest.prerequisites.every(prerequisite => this.getStatus(prerequisite) === 'completed');
+    }
+
+    /**
+     * Начало задания
+     * @returns {boolean} Началось ли задание
+     */
+    start(id) {
+        if (!this.canStart(id)) {
+            if (!this.quests.has(id)) {
+                console.warn(`⚠️ Unknown quest '${id}'`);
+            }
+            return false;
+        }
+
+        const quest = this.quests.get(id);
+        this.states.set(id, { status: 'active', stage: 0, progress: {} });
+        if (!this.trackedId || this.getStatus(this.trackedId) !== 'active') {
+            this.trackedId = id;
+        }
+        this.events.emit('quest:started', { quest });
+        this.notifyChange(quest);
+        this.enterStage(quest);
+        return true;
+    }
+
+    /**
+     * Начало всех заданий с autoStart, для которых выполнены условия
+     */
+    startAvailable() {
+        this.getAll()
+            .filter(quest => quest.autoStart && this.canStart(quest.id))
+            .forEach(quest => this.start(quest.id));
+    }
+
+    /**
+     * Новый этап: события-состояния применяются сразу (предмет уже в инвентаре)
+     */
+    enterStage(quest) {
+        const stage = quest.stages[this.states.get(quest.id).stage];
+        const replayed = new Set(stage.objectives
+            .filter(objective => OBJECTIVE_TYPES[objective.type].replay)
+            .map(objective => OBJECTIVE_TYPES[objective.type].event));
+
+        replayed.forEach(event => {
+            if (this.lastEvents.has(event)) {
+                this.updateQuest(quest, event, this.lastEvents.get(event));
+            }
+        });
+        // Этап без обязательных целей завершается сразу
+        if (this.getStatus(quest.id) === 'active' && this.isStageComplete(quest)) {
+            this.completeStage(quest);
+        }
+    }
+
+    handleEvent(event, data) {
+        if (Object.values(OBJECTIVE_TYPES).some(type => type.event === event && type.replay)) {
+            this.lastEvents.set(event, data);
+        }
+        if (this.suspended) return;
+        this.getByStatus('active').forEach(quest => this.updateQuest(quest, event, data));
+    }
+
+    /**
+     * Продвижение целей текущего этапа задания по событию
+     */
+    updateQuest(quest, event, data) {
+        const state = this.states.get(quest.id);
+        const stage = quest.stages[state.stage];
+        let changed = false;
+
+        stage.objectives.forEach(objective => {
+            const type = OBJECTIVE_TYPES[objective.type];
+            if (type.event !== event) return;
+
+            const current = state.progress[objective.id] || 0;
+            const progress = Math.min(objective.count, type.progress(objective, data, current));
+            if (progress !== current) {
+                state.progress[objective.id] = progress;
+                changed = true;
+                this.events.emit('quest:progress', { quest, objective, progress });
+            }
+        });
+
+        if (!changed) return;
+        this.notifyChange(quest);
+        if (this.isStageComplete(quest)) {
+            this.completeStage(quest);
+        }
+    }
+
+    isObjectiveComplete(quest, objective) {
+        return (this.states.get(quest.id).progress[objective.id] || 0) >= objective.count;
+    }
+
+    isStageComplete(quest) {
+        const stage = quest.stages[this.states.get(quest.id).stage];
+        return stage.objectives.every(objective => objective.optional || this.isObjectiveComplete(quest, objective));
+    }
+
+    /**
+     * Переход к следующему этапу или завершение задания
+     */
+    completeStage(quest) {
+        const state = this.states.get(quest.id);
+        this.events.emit('quest:stageCompleted', { quest, stage: state.stage });
+
+        if (state.stage + 1 >= quest.stages.length) {
+            this.complete(quest.id);
+            return;
+        }
+        state.stage++;
+        state.progress = {};
+        this.notifyChange(quest);
+        this.enterStage(quest);
+    }
+
+    /**
+     * Завершение задания (награду выдает подписчик quest:completed)
+     */
+    complete(id) {
+        const quest = this.quests.get(id);
+        const state = this.states.get(id);
+        if (!quest || state.status !== 'active') return false;
+
+        state.status = 'completed';
+        if (this.trackedId === id) {
+            const next = this.getByStatus('active')[0];
+            this.trackedId = next ? next.id : null;
+        }
+        this.events.emit('quest:completed', { quest, rewards: quest.rewards });
+        this.notifyChange(quest);
+
+        // Завершенное задание может открыть следующие
+        this.startAvailable();
+        return true;
+    }
+
+    /**
+     * Отслеживаемое задание (цели в HUD и метки в мире)
+     */
+    track(id) {
+        if (this.getStatus(id) === 'active') {
+            this.trackedId = id;
+            this.notifyChange(this.quests.get(id));
+        }
+    }
+
+    getTracked() {
+        return this.trackedId && this.getStatus(this.trackedId) === 'active' ? this.quests.get(this.trackedId) : null;
+    }
+
+    /**
+     * Цели текущего этапа с прогрессом
+     * @returns {Object[]} { objective, progress, complete }
+     */
+    getObjectives(id) {
+        const quest = this.quests.get(id);
+        const state = this.states.get(id);
+        if (!quest || state.status !== 'active') return [];
+
+        return quest.stages[state.stage].objectives.map(objective => ({
+            objective,
+            progress: state.progress[objective.id] || 0,
+            complete: this.isObjectiveComplete(quest, objective)
+        }));
+    }
+
+    /**
+     * Метки невыполненных целей отслеживаемого задания
+     * @returns {Object[]} { objective, target } - target: [x, y, z] или имя сущности
+     */
+    getWaypoints() {
+        const quest = this.getTracked();
+        if (!quest) return [];
+
+        return this.getObjectives(quest.id)
+            .filter(entry => !entry.complete && entry.objective.waypoint)
+            .map(entry => ({ objective: entry.objective, target: entry.objective.waypoint }));
+    }
+
+    notifyChange(quest) {
+        this.onChangeObservable.notifyObservers({ quest, state: this.states.get(quest.id) });
+    }
+
+    serialize() {
+        const quests = {};
+        this.states.forEach((state, id) => {
+            if (state.status !== 'inactive') {
+                quests[id] = { status: state.status, stage: state.stage, progress: { ...state.progress } };
+            }
+        });
+        return { quests, tracked: this.trackedId };
+    }
+
+    /**
+     * Восстановление заданий; задания, которых больше нет в описании, пропускаются
+     */
+    deserialize(data) {
+        this.states.forEach((state, id) => {
+            this.states.set(id, { status: 'inactive', stage: 0, progress: {} });
+        });
+        Object.entries(data.quests || {}).forEach(([id, saved]) => {
+            const quest = this.quests.get(id);
+            if (!quest) {
+                console.warn(`⚠️ Unknown quest '${id}' in save skipped`);
+                return;
+            }
+            this.states.set(id, {
+                status: saved.status,
+                stage: Math.min(saved.stage || 0, quest.stages.length - 1),
+                progress: { ...saved.progress }
+            });
+        });
+        this.trackedId = data.tracked && this.getStatus(data.tracked) === 'active' ? data.tracked : null;
+        this.getAll().forEach(quest => this.notifyChange(quest));
+
+        // При загрузке мир еще восстанавливается: сверка откладывается до resume
+        if (!this.suspended) {
+            this.reconcile();
+        }
+    }
+
+    /**
+     * Сверка активных этапов с текущим состоянием мира и запуск новых заданий
+     */
+    reconcile() {
+        this.getByStatus('active').forEach(quest => this.enterStage(quest));
+        // Задания, добавленные после сохранения
+        this.startAvailable();
+    }
+
+    /**
+     * Приостановка на время загрузки сохранения
+     * События восстановления (инвентарь, позиция) иначе сверялись бы с заданиями
+     * до их загрузки и могли бы завершить этап и выдать награду повторно.
+     * События-состояния запоминаются и применяются в resume
+     */
+    suspend() {
+        this.suspended = true;
+    }
+
+    /**
+     * Возобновление после загрузки: этапы сверяются с восстановленным миром
+     */
+    resume() {
+        if (!this.suspended) return;
+        this.suspended = false;
+        this.reconcile();
+    }
+
+    dispose() {
+        this.subscriptions.forEach(({ event, observer }) => this.events.off(event, observer));
+        this.subscriptions = [];
+        this.onChangeObservable.clear();
+    }
+}
@@ -0,0 +1,83 @@
+/**
+ * Контрольные точки и смертельные объемы
+ * Триггеры respawn.checkpoints запоминают последнюю пройденную точку
+ * (она же попадает в сохранение), триггеры physics.killVolumes убивают
+ * всё, у чего есть здоровье
+ */
+import { TransformComponent } from '../components/TransformComponent.js';
+import { HealthComponent } from '../components/HealthComponent.js';
+import { TriggerComponent } from '../components/TriggerComponent.js';
+
+export class CheckpointManager {
+    /**
+     * @param {Game} game - Игра (мир сущностей, игрок, интерфейс, шина событий)
+     */
+    constructor(game) {
+        this.game = game;
+        this.config = game.configManager;
+
+        // Последняя пройденная контрольная точка (id из respawn.checkpoints)
+        this.current = null;
+    }
+
+    /**
+     * Триггеры контрольных точек и смертельных объемов
+     */
+    createTriggers() {
+        const entities = this.game.entities;
+
+        this.config.get('respawn.checkpoints').forEach((definition) => {
+            const entity = entities.createEntity(`checkpoint_${definition.id}`, ['trigger', 'checkpoint']);
+            entity.addComponent(new TransformComponent(BABYLON.Vector3.FromArray(definition.position)));
+            const trigger = entity.addComponent(new TriggerComponent({
+                size: BABYLON.Vector3.FromArray(definition.size)
+            }));
+            trigger.onEnterObservable.add(() => {
+                this.reach(definition.id);
+            });
+        });
+
+        this.config.get('physics.killVolumes').forEach((definition, index) => {
+            const entity = entities.createEntity(`killVolume${index}`, ['trigger']);
+            entity.addComponent(new TransformComponent(BABYLON.Vector3.FromArray(definition.position)));
+            const trigger = entity.addComponent(new TriggerComponent({
+                size: BABYLON.Vector3.FromArray(definition.size)
+            }));
+            trigger.onEnterObservable.add(({ other }) => {
+                const health = other.getComponent(HealthComponent);
+                if (health) {
+                    health.kill({ type: definition.type || 'void', entity });
+                }
+            });
+        });
+    }
+
+    /**
+     * Запоминание контрольной точки (мертвый игрок точек не проходит)
+     * @param {string} id - Идентификатор из respawn.checkpoints
+     */
+    reach(id) {
+        const health = this.game.playerEntity.getComponent(HealthComponent);
+        if (this.current === id || health.isDead()) return;
+
+        this.current = id;
+        this.game.uiManager.showNotification('Checkpoint reached');
+        this.game.events.emit('checkpoint:reached', { id });
+    }
+
+    /**
+     * Контрольная точка для возрождения
+     * @returns {Object|null} Описание из respawn.checkpoints (null - начальная точка)
+     */
+    getRespawnCheckpoint() {
+        return this.config.get('respawn.checkpoints').find(definition => definition.id === this.current) || null;
+    }
+
+    serialize() {
+        return { checkpoint: this.current };
+    }
+
+    deserialize(data) {
+        this.current = data.checkpoint || null;
+    }
+}
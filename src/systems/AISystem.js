@@ -0,0 +1,364 @@
+/**
+ * Система ИИ
+ * На каждом шаге симуляции агенты воспринимают игрока (конус зрения с
+ * проверкой прямой видимости и слух, зависящий от шума движения игрока),
+ * переключают поведение (патруль, погоня, бегство, возвращение) и получают
+ * цели движения в толпе. Толпа сдвигает агентов по навмешу, позиции
+ * записываются в TransformComponent. Агентам с деревом поведения состояние
+ * выбирает дерево (BehaviorTreeSystem), встроенные переходы пропускаются
+ */
+import { System } from '../ecs/System.js';
+import { TransformComponent } from '../components/TransformComponent.js';
+import { HealthComponent } from '../components/HealthComponent.js';
+import { AnimatorComponent } from '../components/AnimatorComponent.js';
+import { AIAgentComponent } from '../components/AIAgentComponent.js';
+import { BehaviorTreeComponent } from '../components/BehaviorTreeComponent.js';
+import { Player } from '../entities/Player.js';
+
+export class AISystem extends System {
+    /**
+     * @param {Game} game - Игра (навмеш и толпа, мир коллизий, настройки)
+     */
+    constructor(game) {
+        // После движения игрока: агенты видят его позицию этого шага
+        super(5);
+        this.game = game;
+        
+        // Игрок в толпе - внешний агент, которого обходят NPC
+        this.playerAgent = null;
+        this.playerCrowd = null;
+    }
+    
+    fixedUpdate(step) {
+        const crowd = this.game.navigation ? this.game.navigation.crowd : null;
+        if (!crowd) return;
+        
+        const target = this.getPlayerTarget(crowd, step);
+        const agents = this.world.query(AIAgentComponent, TransformComponent)
+            .filter(entity => entity.getComponent(AIAgentComponent).enabled);
+        
+        agents.forEach(entity => {
+            const ai = entity.getComponent(AIAgentComponent);
+            const transform = entity.getComponent(TransformComponent);
+            this.syncAgent(ai, transform, crowd);
+            this.perceive(ai, transform, target, step);
+            if (!entity.getComponent(BehaviorTreeComponent)) {
+                this.think(entity, ai);
+            }
+            this.act(ai, crowd, step);
+        });
+        
+        crowd.update(step);
+        
+        agents.forEach(entity => {
+            this.applyMovement(entity, step);
+        });
+    }
+    
+    /**
+     * Игрок как цель восприятия и внешний агент толпы
+     * @returns {Object|null} { entity, position, noise }
+     */
+    getPlayerTarget(crowd, step) {
+        const entity = this.world.findByTag('player');
+        const player = entity ? entity.getComponent(Player) : null;
+        const transform = entity ? entity.getComponent(TransformComponent) : null;
+        const health = entity ? entity.getComponent(HealthComponent) : null;
+        
+        if (this.playerCrowd !== crowd) {
+            this.playerAgent = null;
+            this.playerCrowd = crowd;
+        }
+        if (!player || !transform || (health && health.isDead())) {
+            if (this.playerAgent) {
+                crowd.removeAgent(this.playerAgent);
+                this.playerAgent = null;
+            }
+            return null;
+        }
+        
+        if (!this.playerAgent) {
+            this.playerAgent = crowd.addAgent(transform.position, {
+                radius: player.getControllerOptions().radius,
+                external: true
+            });
+        }
+        const velocity = transform.position.subtract(transform.previousPosition).scaleInPlace(1 / step);
+        velocity.y = 0;
+        crowd.setExternalState(this.playerAgent, transform.position, velocity);
+        
+        const noise = this.game.configManager.get('ai.noise');
+        return {
+            entity,
+            position: transform.position,
+            noise: this.game.flyMode ? 0 : (noise[player.getState()] || 0)
+        };
+    }
+    
+    /**
+     * Создание агента толпы и перенос его на позицию после загрузки сохранения
+     */
+    syncAgent(ai, transform, crowd) {
+        if (ai.crowd !== crowd) {
+            if (ai.crowd && ai.agent) {
+                ai.crowd.removeAgent(ai.agent);
+            }
+            ai.crowd = crowd;
+            ai.agent = crowd.addAgent(transform.position, { radius: ai.radius, maxSpeed: ai.speeds.patrol });
+            transform.teleport(ai.agent.position);
+            if (!ai.home) {
+                ai.home = ai.agent.position.clone();
+            }
+            ai.needsSync = false;
+        }
+        
+        if (ai.needsSync) {
+            crowd.teleport(ai.agent, transform.position);
+            crowd.stop(ai.agent);
+            transform.teleport(ai.agent.position);
+            ai.needsSync = false;
+        }
+    }
+    
+    /**
+     * Восприятие цели: зрение, затем слух
+     */
+    perceive(ai, transform, target, step) {
+        let sense = null;
+        
+        if (target) {
+            const perception = ai.perception;
+            const eye = transform.position.add(new BABYLON.Vector3(0, perception.eyeHeight, 0));
+            const toTarget = target.position.subtract(eye);
+            const distance = toTarget.length();
+            
+            if (distance <= perception.sightRange &&
+                this.isInSightCone(transform.rotationY, toTarget, perception.sightAngle) &&
+                this.hasLineOfSight(eye, toTarget, distance)) {
+                sense = 'sight';
+            } else if (distance <= perception.hearingRadius * target.noise) {
+                sense = 'hearing';
+            }
+        }
+        
+        if (sense) {
+            ai.target = target.entity;
+            ai.lastKnownPosition = target.position.clone();
+            ai.timeSinceContact = 0;
+            ai.sense = sense;
+        } else {
+            ai.timeSinceContact += step;
+        }
+    }
+    
+    /**
+     * Цель в горизонтальном секторе перед агентом
+     * @param {number} rotationY - Поворот агента
+     * @param {BABYLON.Vector3} toTarget - Направление на цель
+     * @param {number} angle - Полный угол сектора (градусы)
+     */
+    isInSightCone(rotationY, toTarget, angle) {
+        const length = Math.hypot(toTarget.x, toTarget.z);
+        if (length < 1e-4) return true;
+        
+        const cos = (Math.sin(rotationY) * toTarget.x + Math.cos(rotationY) * toTarget.z) / length;
+        return cos >= Math.cos(BABYLON.Tools.ToRadians(angle) / 2);
+    }
+    
+    hasLineOfSight(eye, toTarget, distance) {
+        const collisionWorld = this.game.collisionWorld;
+        if (!collisionWorld || distance < 1e-4) return true;
+        
+        const hit = collisionWorld.raycast(eye, toTarget.scale(1 / distance), distance);
+        return !hit.hit;
+    }
+    
+    /**
+     * Встроенные переходы между состояниями поведения
+     */
+    think(entity, ai) {
+        const hurt = this.isHurt(entity, ai.fleeHealth);
+        const aware = ai.isAware();
+        const inLeash = this.isInLeash(ai);
+        
+        switch (ai.state) {
+            case 'Patrol':
+            case 'Return':
+                if (aware && hurt) {
+                    ai.setState('Flee');
+                } else if (inLeash) {
+                    ai.setState('Chase');
+                } else if (ai.state === 'Return' && this.hasArrived(ai.agent, ai.home)) {
+                    ai.setState('Patrol');
+                }
+                break;
+            case 'Chase':
+                if (aware && hurt) {
+                    ai.setState('Flee');
+                } else if (!inLeash) {
+                    ai.setState('Return');
+                }
+                break;
+            case 'Flee':
+                if (!aware) {
+                    ai.setState('Return');
+                }
+                break;
+        }
+    }
+        
+    /**
+     * Цели движения в текущем состоянии
+     */
+    act(ai, crowd, step) {
+        const agent = ai.agent;
+        agent.maxSpeed = ai.speeds[ai.state.toLowerCase()];
+        
+        switch (ai.state) {
+            case 'Patrol':
+                this.patrol(ai, crowd, step);
+                break;
+            case 'Chase':
+                if (this.getHorizontalDistance(agent.position, ai.lastKnownPosition) <= ai.stopDistance) {
+                    crowd.stop(agent);
+                } else {
+                    this.moveTo(ai, crowd, ai.lastKnownPosition, ai.stopDistance);
+                }
+                break;
+            case 'Flee':
+                this.flee(ai, crowd);
+                break;
+            case 'Return':
+                this.moveTo(ai, crowd, ai.home);
+                break;
+        }
+    }
+    
+    /**
+     * Здоровье сущности не выше доли ratio от максимума (0 - проверка отключена)
+     */
+    isHurt(entity, ratio) {
+        const health = entity.getComponent(HealthComponent);
+        return !!health && ratio > 0 && health.health <= health.maxHealth * ratio;
+    }
+    
+    /**
+     * Агент знает о цели, и погоня не уводит его дальше поводка от дома
+     */
+    isInLeash(ai) {
+        return ai.isAware() && this.getHorizontalDistance(ai.lastKnownPosition, ai.home) <= ai.leashDistance;
+    }
+    
+    /**
+     * Обход точек маршрута с остановками; без маршрута агент стоит у дома
+     */
+    patrol(ai, crowd, step) {
+        const agent = ai.agent;
+        if (ai.patrol.length === 0) {
+            if (!this.hasArrived(agent, ai.home)) {
+                this.moveTo(ai, crowd, ai.home);
+            } else if (agent.state !== 'idle') {
+                crowd.stop(agent);
+            }
+            return;
+        }
+        
+        ai.patrolIndex %= ai.patrol.length;
+        const point = ai.patrol[ai.patrolIndex];
+        const targeted = agent.target && BABYLON.Vector3.Distance(agent.target, point) < 1e-3;
+        
+        // Недостижимая точка пропускается так же, как пройденная
+        if (targeted && (agent.state === 'arrived' || agent.state === 'failed')) {
+            ai.waitTimer += step;
+            if (ai.waitTimer >= ai.waypointWait) {
+                ai.waitTimer = 0;
+                ai.patrolIndex = (ai.patrolIndex + 1) % ai.patrol.length;
+                crowd.requestMove(agent, ai.patrol[ai.patrolIndex]);
+            }
+        } else if (!targeted) {
+            crowd.requestMove(agent, point);
+        }
+    }
+    
+    /**
+     * Бегство: точка на fleeDistance от угрозы, при достижении выбирается следующая
+     */
+    flee(ai, crowd) {
+        const agent = ai.agent;
+        if (agent.state === 'moving' || agent.state === 'waiting') return;
+        
+        const away = agent.position.subtract(ai.lastKnownPosition);
+        away.y = 0;
+        if (away.lengthSquared() < 1e-6) {
+            away.set(Math.random() - 0.5, 0, Math.random() - 0.5);
+        }
+        away.normalize();
+        
+        // Если прямо назад пути нет - пробуются направления в стороны
+        const angles = [0, Math.PI / 4, -Math.PI / 4, Math.PI / 2, -Math.PI / 2];
+        for (const angle of angles) {
+            const direction = new BABYLON.Vector3(
+                away.x * Math.cos(angle) - away.z * Math.sin(angle),
+                0,
+                away.x * Math.sin(angle) + away.z * Math.cos(angle)
+            );
+            const point = agent.position.add(direction.scale(ai.fleeDistance));
+            const nearest = crowd.navMesh.findNearestPoint(point, ai.fleeDistance * 0.5);
+            if (nearest) {
+                crowd.requestMove(agent, nearest.point);
+                return;
+            }
+        }
+    }
+    
+    /**
+     * Движение к точке; путь перестраивается, когда точка сместилась больше tolerance
+     */
+    moveTo(ai, crowd, point, tolerance = 1e-3) {
+        const agent = ai.agent;
+        if (!agent.target || BABYLON.Vector3.Distance(agent.target, point) > tolerance) {
+            crowd.requestMove(agent, point);
+        }
+    }
+    
+    hasArrived(agent, point) {
+        if (agent.target && BABYLON.Vector3.Distance(agent.target, point) < 1e-3) {
+            return agent.state === 'arrived' || agent.state === 'failed';
+        }
+        return this.getHorizontalDistance(agent.position, point) <= this.game.navigation.crowd.settings.arrivalDistance;
+    }
+    
+    getHorizontalDistance(a, b) {
+        return Math.hypot(b.x - a.x, b.z - a.z);
+    }
+    
+    /**
+     * Позиция и поворот из агента толпы, скорость - в аниматор
+     */
+    applyMovement(entity, step) {
+        const ai = entity.getComponent(AIAgentComponent);
+        const transform = entity.getComponent(TransformComponent);
+        const agent = ai.agent;
+        
+        transform.position.copyFrom(agent.position);
+        
+        // Поворот по движению, в погоне на месте - к цели
+        const speed = Math.hypot(agent.velocity.x, agent.velocity.z);
+        let facing = null;
+        if (speed > agent.maxSpeed * 0.1) {
+            facing = Math.atan2(agent.velocity.x, agent.velocity.z);
+        } else if (ai.state === 'Chase' && ai.lastKnownPosition) {
+            facing = Math.atan2(ai.lastKnownPosition.x - agent.position.x, ai.lastKnownPosition.z - agent.position.z);
+        }
+        if (facing !== null) {
+            const turnSpeed = this.game.configManager.get('ai.turnSpeed');
+            const delta = Math.atan2(Math.sin(facing - transform.rotationY), Math.cos(facing - transform.rotationY));
+            transform.rotationY += BABYLON.Scalar.Clamp(delta, -turnSpeed * step, turnSpeed * step);
+        }
+        
+        const animatorComponent = entity.getComponent(AnimatorComponent);
+        if (animatorComponent && animatorComponent.animator.getParameter('speed') !== undefined) {
+            animatorComponent.animator.setFloat('speed', speed);
+        }
+    }
+}
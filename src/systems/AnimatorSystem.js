@@ -0,0 +1,22 @@
+/**
+ * Система аниматоров
+ * Каждый кадр продвигает аниматоры сущностей после скриптов и движения,
+ * чтобы переходы видели параметры этого кадра
+ */
+import { System } from '../ecs/System.js';
+import { AnimatorComponent } from '../components/AnimatorComponent.js';
+
+export class AnimatorSystem extends System {
+    constructor() {
+        super(30);
+    }
+    
+    update(frameTime, alpha) {
+        this.world.query(AnimatorComponent).forEach(entity => {
+            const component = entity.getComponent(AnimatorComponent);
+            if (component.enabled) {
+                component.animator.update(frameTime);
+            }
+        });
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * Система деревьев поведения
+ * Раз в кадр тикает деревья агентов не чаще behavior.tickInterval.
+ * Число тиков за кадр ограничено бюджетом (количество и миллисекунды):
+ * агенты обходятся по кругу, не уложившиеся в бюджет получают тик в
+ * следующих кадрах с накопленным временем
+ */
+import { System } from '../ecs/System.js';
+import { BehaviorTreeComponent } from '../components/BehaviorTreeComponent.js';
+
+export class BehaviorTreeSystem extends System {
+    /**
+     * @param {ConfigManager} configManager - Настройки бюджета (раздел behavior)
+     */
+    constructor(configManager) {
+        // После восприятия AISystem; движение по выбранному состоянию - на следующем шаге
+        super(6);
+        this.configManager = configManager;
+        
+        // Позиция обхода по кругу
+        this.cursor = 0;
+        
+        // Статистика последнего кадра
+        this.stats = { agents: 0, ticks: 0, deferred: 0, time: 0 };
+    }
+    
+    update(frameTime, alpha) {
+        const entities = this.world.query(BehaviorTreeComponent)
+            .filter(entity => entity.getComponent(BehaviorTreeComponent).enabled);
+        
+        entities.forEach(entity => {
+            entity.getComponent(BehaviorTreeComponent).elapsed += frameTime;
+        });
+        
+        this.stats = { agents: entities.length, ticks: 0, deferred: 0, time: 0 };
+        if (entities.length === 0) return;
+        
+        const settings = this.configManager.get('behavior');
+        const start = performance.now();
+        const count = entities.length;
+        this.cursor %= count;
+        
+        let visited = 0;
+        for (; visited < count; visited++) {
+            const component = entities[(this.cursor + visited) % count].getComponent(BehaviorTreeComponent);
+            if (component.elapsed < settings.tickInterval) continue;
+            
+            // Хотя бы один тик за кадр, чтобы дорогое дерево не останавливало остальных
+            if (this.stats.ticks > 0 && (this.stats.ticks >= settings.maxTicksPerFrame ||
+                performance.now() - start >= settings.frameBudgetMs)) {
+                break;
+            }
+            
+            component.tick();
+            this.stats.ticks++;
+        }
+        
+        // Не получившие тик из-за бюджета идут первыми в следующем кадре
+        for (let i = visited; i < count; i++) {
+            if (entities[(this.cursor + i) % count].getComponent(BehaviorTreeComponent).elapsed >= settings.tickInterval) {
+                this.stats.deferred++;
+            }
+        }
+        this.cursor = (this.cursor + visited) % count;
+        this.stats.time = performance.now() - start;
+    }
+}
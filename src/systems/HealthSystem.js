@@ -0,0 +1,37 @@
+/**
+ * Система здоровья
+ * Ведет таймеры неуязвимости и восстановления и убивает сущности,
+ * упавшие ниже границы мира (physics.killHeight)
+ */
+import { System } from '../ecs/System.js';
+import { HealthComponent } from '../components/HealthComponent.js';
+import { TransformComponent } from '../components/TransformComponent.js';
+
+export class HealthSystem extends System {
+    /**
+     * @param {ConfigManager} configManager - Конфигурация (граница мира)
+     * @param {number} scaleFactor - Масштаб мира
+     */
+    constructor(configManager, scaleFactor) {
+        // После триггеров: зоны урона этого шага уже сработали
+        super(22);
+        this.config = configManager;
+        this.scaleFactor = scaleFactor;
+    }
+    
+    fixedUpdate(step) {
+        const killHeight = this.config.get('physics.killHeight') * this.scaleFactor;
+        
+        this.world.query(HealthComponent).forEach(entity => {
+            const health = entity.getComponent(HealthComponent);
+            if (!health.enabled || health.isDead()) return;
+            
+            const transform = entity.getComponent(TransformComponent);
+            if (transform && transform.position.y < killHeight) {
+                health.kill({ type: 'void' });
+                return;
+            }
+            health.tick(step);
+        });
+    }
+}
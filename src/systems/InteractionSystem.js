@@ -0,0 +1,193 @@
+/**
+ * Система взаимодействия
+ * Каждый кадр выбирает объект, на который нацелен игрок: от первого лица -
+ * ближайший к лучу через центр экрана, в остальных режимах камеры - ближайший
+ * объект перед игроком. Из подходящих побеждает больший приоритет, затем
+ * лучшая оценка; текущая цель получает запас, чтобы выбор не мерцал.
+ * Нажатие Interact использует цель, объекты с holdTime требуют удержания
+ */
+import { System } from '../ecs/System.js';
+import { TransformComponent } from '../components/TransformComponent.js';
+import { MeshComponent } from '../components/MeshComponent.js';
+import { InteractableComponent } from '../components/InteractableComponent.js';
+
+export class InteractionSystem extends System {
+    /**
+     * @param {Game} game - Игра (игрок, камера, действия, мир коллизий, настройки)
+     */
+    constructor(game) {
+        // После триггеров: цель выбирается по позициям этого кадра
+        super(25);
+        this.game = game;
+        
+        this.focus = null;
+        // Удержание начинается нажатием при выбранной цели и сбрасывается при смене цели
+        this.holding = false;
+        this.holdProgress = 0;
+        
+        this.point = new BABYLON.Vector3();
+        
+        // Подписчики получают { entity, interactor }
+        this.onInteractObservable = new BABYLON.Observable();
+        // Подписчики получают { entity, previous }
+        this.onFocusChangeObservable = new BABYLON.Observable();
+    }
+    
+    update(frameTime, alpha) {
+        const focus = this.findFocus();
+        if (focus !== this.focus) {
+            const previous = this.focus;
+            this.focus = focus;
+            this.holding = false;
+            this.holdProgress = 0;
+            this.onFocusChangeObservable.notifyObservers({ entity: focus, previous });
+        }
+        if (!focus) return;
+        
+        const actions = this.game.actions;
+        const interactable = focus.getComponent(InteractableComponent);
+        if (interactable.holdTime <= 0) {
+            if (actions.wasPressed('Interact')) {
+                this.interact(focus);
+            }
+            return;
+        }
+        
+        this.holding = actions.wasPressed('Interact') || (this.holding && actions.isHeld('Interact'));
+        this.holdProgress = this.holding ? this.holdProgress + frameTime / interactable.holdTime : 0;
+        if (this.holdProgress >= 1) {
+            this.holding = false;
+            this.holdProgress = 0;
+            this.interact(focus);
+        }
+    }
+    
+    /**
+     * Использование объекта игроком
+     * @param {Entity} entity - Сущность с InteractableComponent
+     * @returns {boolean} Сработало ли взаимодействие
+     */
+    interact(entity) {
+        const interactor = this.game.playerEntity;
+        if (!entity.getComponent(InteractableComponent).interact(interactor)) {
+            return false;
+        }
+        this.onInteractObservable.notifyObservers({ entity, interactor });
+        return true;
+    }
+    
+    /**
+     * Выбор цели по режиму камеры
+     * @returns {Entity|null}
+     */
+    findFocus() {
+        const game = this.game;
+        if (!game.player || game.uiManager.isCapturingInput() || game.cinematics.isPlaying()) {
+            return null;
+        }
+        
+        const settings = game.configManager.get('interaction');
+        const camera = game.cameraController.getCurrentCamera();
+        const useRay = game.cameraController.getCurrentMode() === 'firstPerson' && camera;
+        const playerPosition = game.player.getPosition();
+        const origin = useRay ? camera.globalPosition : playerPosition;
+        const forward = useRay ? camera.getDirection(BABYLON.Axis.Z) : null;
+        const rotationY = game.playerEntity.getComponent(TransformComponent).rotationY;
+        
+        let best = null;
+        let bestPriority = -Infinity;
+        let bestScore = Infinity;
+        this.world.query(InteractableComponent, TransformComponent).forEach(entity => {
+            const interactable = entity.getComponent(InteractableComponent);
+            if (!interactable.isAvailable()) return;
+            
+            const point = interactable.getFocusPoint(entity.getComponent(TransformComponent), this.point);
+            if (BABYLON.Vector3.Distance(playerPosition, point) > interactable.radius) return;
+            
+            let score = useRay
+                ? this.scoreRay(origin, forward, point, interactable.size, settings.rayAngle)
+                : this.scoreProximity(playerPosition, rotationY, point, interactable.radius, settings.frontAngle);
+            if (score === null) return;
+            if (entity === this.focus) {
+                score -= settings.stickiness;
+            }
+            if (interactable.priority < bestPriority ||
+                (interactable.priority === bestPriority && score >= bestScore)) {
+                return;
+            }
+            if (settings.lineOfSight && !this.hasLineOfSight(origin, point, entity)) return;
+            
+            best = entity;
+            bestPriority = interactable.priority;
+            bestScore = score;
+        });
+        return best;
+    }
+    
+    /**
+     * Оценка по лучу камеры: угол до точки относительно допустимого
+     * Крупный объект вблизи допускает больший угол
+     * @returns {number|null} 0..1 или null, если объект вне прицела
+     */
+    scoreRay(origin, forward, point, size, rayAngle) {
+        const toPoint = point.subtract(origin);
+        const distance = toPoint.length();
+        if (distance < 1e-4) return 0;
+        
+        const angle = Math.acos(BABYLON.Scalar.Clamp(BABYLON.Vector3.Dot(forward, toPoint) / distance, -1, 1));
+        const allowed = Math.max(BABYLON.Tools.ToRadians(rayAngle), Math.atan(size / distance));
+        return angle <= allowed ? angle / allowed : null;
+    }
+    
+    /**
+     * Оценка по близости: доля дальности объекта, только перед игроком
+     * @returns {number|null} 0..1 или null, если объект позади
+     */
+    scoreProximity(position, rotationY, point, radius, frontAngle) {
+        const dx = point.x - position.x;
+        const dz = point.z - position.z;
+        const horizontal = Math.hypot(dx, dz);
+        if (horizontal > 1e-4) {
+            const cos = (Math.sin(rotationY) * dx + Math.cos(rotationY) * dz) / horizontal;
+            if (cos < Math.cos(BABYLON.Tools.ToRadians(frontAngle) / 2)) return null;
+        }
+        return BABYLON.Vector3.Distance(position, point) / radius;
+    }
+    
+    /**
+     * Нет ли геометрии между глазом и объектом (коллайдер самого объекта не мешает)
+     */
+    hasLineOfSight(origin, point, entity) {
+        const collisionWorld = this.game.collisionWorld;
+        const toPoint = point.subtract(origin);
+        const distance = toPoint.length();
+        if (!collisionWorld || distance < 1e-4) return true;
+        
+        const meshComponent = entity.getComponent(MeshComponent);
+        const mesh = meshComponent ? meshComponent.mesh : null;
+        const hit = collisionWorld.raycast(origin, toPoint.scale(1 / distance), distance,
+            collider => collider.mesh !== mesh && !collider.mesh.isDescendantOf(mesh));
+        return !hit.hit;
+    }
+    
+    /**
+     * Подсказка для HUD
+     * @returns {Object|null} { prompt, holdTime, progress }
+     */
+    getPrompt() {
+        if (!this.focus || this.focus.isDestroyed) return null;
+        
+        const interactable = this.focus.getComponent(InteractableComponent);
+        return {
+            prompt: interactable.prompt,
+            holdTime: interactable.holdTime,
+            progress: Math.min(1, this.holdProgress)
+        };
+    }
+    
+    dispose() {
+        this.onInteractObservable.clear();
+        this.onFocusChangeObservable.clear();
+        this.focus = null;
+    }
+}
@@ -0,0 +1,38 @@
+/**
+ * Система игрока
+ * Передает игроку ввод, камеру и режим полета на каждом шаге симуляции
+ */
+import { System } from '../ecs/System.js';
+import { Player } from '../entities/Player.js';
+import { HealthComponent } from '../components/HealthComponent.js';
+
+export class PlayerSystem extends System {
+    /**
+     * @param {Game} game - Игра (источник ввода, камеры и режима полета)
+     */
+    constructor(game) {
+        super(0);
+        this.game = game;
+    }
+    
+    fixedUpdate(step) {
+        const actions = this.game.actions;
+        const camera = this.game.cameraController.getCurrentCamera();
+        const facing = this.game.cameraController.getPlayerFacing();
+        
+        this.world.query(Player).forEach(entity => {
+            const player = entity.getComponent(Player);
+            // Погибший игрок не двигается до возрождения
+            const health = entity.getComponent(HealthComponent);
+            if (player.enabled && !(health && health.isDead())) {
+                player.update(actions, camera, step, this.game.flyMode, facing);
+            }
+        });
+    }
+    
+    update(frameTime, alpha) {
+        this.world.query(Player).forEach(entity => {
+            entity.getComponent(Player).updateVisuals(frameTime);
+        });
+    }
+}
@@ -0,0 +1,39 @@
+/**
+ * Система скриптов
+ * Вызывает методы скриптов сущностей с ScriptComponent
+ */
+import { System } from '../ecs/System.js';
+import { ScriptComponent } from '../components/ScriptComponent.js';
+
+export class ScriptSystem extends System {
+    constructor() {
+        super(10);
+    }
+    
+    fixedUpdate(step) {
+        this.world.query(ScriptComponent).forEach(entity => {
+            const component = entity.getComponent(ScriptComponent);
+            if (!component.enabled) return;
+            
+            // start вызывается на первом шаге после появления сущности в мире
+            if (!component.started) {
+                component.started = true;
+                if (component.script.start) {
+                    component.script.start(entity);
+                }
+            }
+            if (component.script.fixedUpdate) {
+                component.script.fixedUpdate(entity, step);
+            }
+        });
+    }
+    
+    update(frameTime, alpha) {
+        this.world.query(ScriptComponent).forEach(entity => {
+            const component = entity.getComponent(ScriptComponent);
+            if (component.enabled && component.started && component.script.update) {
+                component.script.update(entity, frameTime);
+            }
+        });
+    }
+}
@@ -0,0 +1,31 @@
+/**
+ * Система трансформаций
+ * Перед шагом симуляции запоминает позиции, каждый кадр интерполирует меши
+ */
+import { System } from '../ecs/System.js';
+import { TransformComponent } from '../components/TransformComponent.js';
+import { MeshComponent } from '../components/MeshComponent.js';
+
+export class TransformSystem extends System {
+    constructor() {
+        // Выполняется раньше всех: остальные системы двигают уже сохраненное состояние
+        super(-100);
+    }
+    
+    fixedUpdate(step) {
+        this.world.query(TransformComponent).forEach(entity => {
+            entity.getComponent(TransformComponent).snapshot();
+        });
+    }
+    
+    update(frameTime, alpha) {
+        this.world.query(TransformComponent, MeshComponent).forEach(entity => {
+            const meshComponent = entity.getComponent(MeshComponent);
+            if (!meshComponent.interpolate || !meshComponent.mesh) return;
+            
+            const transform = entity.getComponent(TransformComponent);
+            transform.getInterpolatedPosition(alpha, meshComponent.mesh.position);
+            meshComponent.mesh.rotation.y = transform.rotationY;
+        });
+    }
+}
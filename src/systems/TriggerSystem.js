@@ -0,0 +1,47 @@
+/**
+ * Система триггеров
+ * На каждом шаге симуляции сравнивает позиции сущностей с тегом триггера
+ * с его областью и сообщает о входе и выходе
+ */
+import { System } from '../ecs/System.js';
+import { TransformComponent } from '../components/TransformComponent.js';
+import { TriggerComponent } from '../components/TriggerComponent.js';
+
+export class TriggerSystem extends System {
+    constructor() {
+        // После движения игрока и скриптов: проверяются позиции этого шага
+        super(20);
+    }
+    
+    fixedUpdate(step) {
+        this.world.query(TriggerComponent, TransformComponent).forEach(entity => {
+            const trigger = entity.getComponent(TriggerComponent);
+            if (!trigger.enabled || (trigger.once && trigger.fired)) return;
+            
+            const center = entity.getComponent(TransformComponent).position;
+            const present = new Set();
+            
+            this.world.getEntitiesByTag(trigger.tag).forEach(other => {
+                const transform = other.getComponent(TransformComponent);
+                if (other === entity || !transform || !trigger.contains(center, transform.position)) return;
+                
+                present.add(other.id);
+                if (!trigger.inside.has(other.id)) {
+                    trigger.inside.add(other.id);
+                    trigger.fired = true;
+                    trigger.onEnterObservable.notifyObservers({ trigger: entity, other });
+                }
+            });
+            
+            // Вышедшие из области и уничтоженные сущности
+            trigger.inside.forEach(id => {
+                if (present.has(id)) return;
+                trigger.inside.delete(id);
+                const other = this.world.getEntity(id);
+                if (other) {
+                    trigger.onExitObservable.notifyObservers({ trigger: entity, other });
+                }
+            });
+        });
+    }
+}
@@ -0,0 +1,230 @@
+/**
+ * Панель разговора
+ * Имя говорящего, текст реплики с печатью по буквам и варианты ответа.
+ * Вариант выбирается щелчком или стрелками с подтверждением; щелчок по
+ * тексту дописывает реплику или продолжает разговор
+ */
+
+// Размеры панели (px)
+const PANEL_WIDTH = 760;
+const PANEL_HEIGHT = 230;
+const CHOICE_HEIGHT = 30;
+
+export class DialoguePanel {
+    /**
+     * @param {BABYLON.GUI.AdvancedDynamicTexture} advancedTexture - Текстура интерфейса
+     */
+    constructor(advancedTexture) {
+        this.advancedTexture = advancedTexture;
+        
+        this.text = "";
+        this.visibleChars = 0;
+        this.charsPerSecond = 0;
+        this.choices = [];
+        this.choiceButtons = [];
+        this.selected = 0;
+        this.hints = { next: "", choose: "" };
+        
+        // Подписчики получают индекс выбранного щелчком варианта
+        this.onChooseObservable = new BABYLON.Observable();
+        // Щелчок по тексту реплики
+        this.onContinueObservable = new BABYLON.Observable();
+        
+        this.create();
+    }
+    
+    /**
+     * Создание панели
+     */
+    create() {
+        const panel = new BABYLON.GUI.Rectangle();
+        panel.name = "dialoguePanel";
+        panel.widthInPixels = PANEL_WIDTH;
+        panel.heightInPixels = PANEL_HEIGHT;
+        panel.cornerRadius = 10;
+        panel.color = "white";
+        panel.thickness = 2;
+        panel.background = "rgba(0, 0, 0, 0.8)";
+        panel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        panel.topInPixels = -40;
+        panel.isVisible = false;
+        panel.onPointerUpObservable.add(() => {
+            this.onContinueObservable.notifyObservers();
+        });
+        
+        const nameText = new BABYLON.GUI.TextBlock();
+        nameText.name = "dialogueSpeaker";
+        nameText.color = "#ffd54f";
+        nameText.fontSize = 18;
+        nameText.heightInPixels = 28;
+        nameText.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        nameText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        nameText.leftInPixels = 20;
+        nameText.topInPixels = 10;
+        
+        const bodyText = new BABYLON.GUI.TextBlock();
+        bodyText.name = "dialogueText";
+        bodyText.color = "white";
+        bodyText.fontSize = 16;
+        bodyText.textWrapping = true;
+        bodyText.widthInPixels = PANEL_WIDTH - 40;
+        bodyText.heightInPixels = 70;
+        bodyText.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        bodyText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        bodyText.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        bodyText.topInPixels = 40;
+        
+        const choiceList = new BABYLON.GUI.StackPanel("dialogueChoices");
+        choiceList.widthInPixels = PANEL_WIDTH - 40;
+        choiceList.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        choiceList.topInPixels = 112;
+        
+        const hintText = new BABYLON.GUI.TextBlock();
+        hintText.color = "#888";
+        hintText.fontSize = 12;
+        hintText.heightInPixels = 20;
+        hintText.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        hintText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+        hintText.leftInPixels = -20;
+        hintText.topInPixels = -6;
+        
+        panel.addControl(nameText);
+        panel.addControl(bodyText);
+        panel.addControl(choiceList);
+        panel.addControl(hintText);
+        this.advancedTexture.addControl(panel);
+        
+        this.panel = panel;
+        this.nameText = nameText;
+        this.bodyText = bodyText;
+        this.choiceList = choiceList;
+        this.hintText = hintText;
+    }
+    
+    /**
+     * Показ реплики
+     * @param {Object} line - { name, text, choices: [текст] }
+     * @param {number} charsPerSecond - Скорость печати (0 - сразу весь текст)
+     */
+    show(line, charsPerSecond = 0) {
+        this.text = line.text;
+        this.charsPerSecond = charsPerSecond;
+        this.visibleChars = charsPerSecond > 0 ? 0 : line.text.length;
+        this.choices = line.choices;
+        this.selected = 0;
+        
+        this.nameText.text = line.name || "";
+        this.nameText.isVisible = !!line.name;
+        this.bodyText.text = this.text.slice(0, this.visibleChars);
+        
+        this.choiceList.clearControls();
+        this.choiceButtons = this.choices.map((text, index) => {
+            const button = BABYLON.GUI.Button.CreateSimpleButton(`dialogueChoice${index}`, `${index + 1}. ${text}`);
+            button.heightInPixels = CHOICE_HEIGHT;
+            button.thickness = 0;
+            button.textBlock.fontSize = 15;
+            button.textBlock.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            button.textBlock.paddingLeftInPixels = 10;
+            button.onPointerEnterObservable.add(() => this.select(index));
+            button.onPointerUpObservable.add((info, state) => {
+                // Щелчок по варианту не должен продолжать разговор через панель
+                state.skipNextObservers = true;
+                this.onChooseObservable.notifyObservers(index);
+            });
+            this.choiceList.addControl(button);
+            return button;
+        });
+        
+        this.panel.isVisible = true;
+        this.refresh();
+    }
+    
+    /**
+     * Подсказки управления
+     * @param {string} next - Продолжение реплики без вариантов
+     * @param {string} choose - Выбор варианта
+     */
+    setHints(next, choose) {
+        this.hints = { next, choose };
+        this.refresh();
+    }
+    
+    /**
+     * Печать текста по буквам
+     * @param {number} deltaTime - Время кадра в секундах
+     */
+    update(deltaTime) {
+        if (!this.isOpen() || !this.isTyping()) return;
+        
+        this.visibleChars = Math.min(this.text.length, this.visibleChars + this.charsPerSecond * deltaTime);
+        this.bodyText.text = this.text.slice(0, Math.floor(this.visibleChars));
+        if (!this.isTyping()) {
+            this.refresh();
+        }
+    }
+    
+    isTyping() {
+        return this.visibleChars < this.text.length;
+    }
+    
+    /**
+     * Показ всей реплики сразу
+     */
+    completeTyping() {
+        this.visibleChars = this.text.length;
+        this.bodyText.text = this.text;
+        this.refresh();
+    }
+    
+    /**
+     * Перемещение выбора по кругу
+     * @param {number} delta - +1 вниз, -1 вверх
+     */
+    moveSelection(delta) {
+        if (this.choices.length === 0) return;
+        this.select((this.selected + delta + this.choices.length) % this.choices.length);
+    }
+    
+    select(index) {
+        this.selected = index;
+        this.refresh();
+    }
+    
+    getSelection() {
+        return this.selected;
+    }
+    
+    /**
+     * Варианты ответа появляются после печати реплики
+     */
+    refresh() {
+        const typing = this.isTyping();
+        this.choiceList.isVisible = !typing && this.choices.length > 0;
+        this.choiceButtons.forEach((button, index) => {
+            const isSelected = index === this.selected;
+            button.color = isSelected ? "#ffd54f" : "white";
+            button.background = isSelected ? "rgba(255, 213, 79, 0.15)" : "transparent";
+        });
+        this.hintText.text = typing || this.choices.length === 0 ? this.hints.next : this.hints.choose;
+    }
+    
+    close() {
+        this.panel.isVisible = false;
+        this.choiceList.clearControls();
+        this.choiceButtons = [];
+        this.choices = [];
+        this.text = "";
+        this.visibleChars = 0;
+    }
+    
+    isOpen() {
+        return this.panel.isVisible;
+    }
+    
+    dispose() {
+        this.close();
+        this.onChooseObservable.clear();
+        this.onContinueObservable.clear();
+        this.panel.dispose();
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * Экран "Игра окончена"
+ * Причина смерти и кнопки возрождения и загрузки последнего сохранения.
+ * Контекст ввода и захват ведет UIManager
+ */
+
+export class GameOverScreen {
+    /**
+     * @param {BABYLON.GUI.AdvancedDynamicTexture} advancedTexture - Текстура интерфейса
+     */
+    constructor(advancedTexture) {
+        this.advancedTexture = advancedTexture;
+        
+        // Кнопки экрана
+        this.onRespawnObservable = new BABYLON.Observable();
+        this.onLoadObservable = new BABYLON.Observable();
+        
+        this.create();
+    }
+    
+    /**
+     * Создание экрана
+     */
+    create() {
+        const screen = new BABYLON.GUI.Rectangle();
+        screen.name = "gameOverScreen";
+        screen.thickness = 0;
+        screen.background = "rgba(0, 0, 0, 0.65)";
+        screen.isVisible = false;
+        
+        const stack = new BABYLON.GUI.StackPanel();
+        stack.widthInPixels = 320;
+        
+        const title = new BABYLON.GUI.TextBlock();
+        title.text = "GAME OVER";
+        title.color = "#f44336";
+        title.fontSize = 48;
+        title.fontWeight = "bold";
+        title.heightInPixels = 70;
+        
+        const causeText = new BABYLON.GUI.TextBlock();
+        causeText.color = "white";
+        causeText.fontSize = 18;
+        causeText.heightInPixels = 40;
+        
+        const respawnButton = BABYLON.GUI.Button.CreateSimpleButton("respawnButton", "Respawn");
+        respawnButton.widthInPixels = 200;
+        respawnButton.heightInPixels = 40;
+        respawnButton.paddingTopInPixels = 5;
+        respawnButton.color = "white";
+        respawnButton.background = "#4CAF50";
+        
+        const loadButton = BABYLON.GUI.Button.CreateSimpleButton("loadSaveButton", "Load Last Save");
+        loadButton.widthInPixels = 200;
+        loadButton.heightInPixels = 40;
+        loadButton.paddingTopInPixels = 5;
+        loadButton.color = "white";
+        loadButton.background = "#333";
+        
+        const hintText = new BABYLON.GUI.TextBlock();
+        hintText.color = "#888";
+        hintText.fontSize = 14;
+        hintText.heightInPixels = 40;
+        
+        stack.addControl(title);
+        stack.addControl(causeText);
+        stack.addControl(respawnButton);
+        stack.addControl(loadButton);
+        stack.addControl(hintText);
+        screen.addControl(stack);
+        this.advancedTexture.addControl(screen);
+        
+        respawnButton.onPointerUpObservable.add(() => {
+            this.onRespawnObservable.notifyObservers();
+        });
+        loadButton.onPointerUpObservable.add(() => {
+            this.onLoadObservable.notifyObservers();
+        });
+        
+        this.screen = screen;
+        this.causeText = causeText;
+        this.hintText = hintText;
+    }
+    
+    /**
+     * Показ экрана
+     * @param {string} cause - Причина смерти
+     * @param {string} hint - Подсказка управления
+     */
+    show(cause, hint = "") {
+        this.causeText.text = cause;
+        this.hintText.text = hint;
+        this.screen.isVisible = true;
+    }
+    
+    close() {
+        this.screen.isVisible = false;
+    }
+    
+    isOpen() {
+        return this.screen.isVisible;
+    }
+    
+    dispose() {
+        this.onRespawnObservable.clear();
+        this.onLoadObservable.clear();
+        this.screen.dispose();
+    }
+}
@@ -0,0 +1,406 @@
+/**
+ * Панель инвентаря
+ * Сетки ячеек нескольких контейнеров (экипировка, инвентарь игрока,
+ * открытый сундук). Левая кнопка перетаскивает всю стопку, правая - половину;
+ * двойной щелчок выполняет быстрое действие раздела (экипировать, перенести)
+ */
+
+// Размер ячейки и промежуток между ячейками (px)
+const SLOT_SIZE = 52;
+const SLOT_GAP = 4;
+
+// Интервал двойного щелчка (мс)
+const DOUBLE_CLICK_TIME = 300;
+
+// Цвета значков предметов без картинки по категориям
+const CATEGORY_COLORS = {
+    weapon: "#e57373",
+    armor: "#64b5f6",
+    consumable: "#81c784",
+    resource: "#ffb74d",
+    quest: "#ba68c8",
+    misc: "#b0bec5"
+};
+
+export class InventoryPanel {
+    /**
+     * @param {BABYLON.GUI.AdvancedDynamicTexture} advancedTexture - Текстура интерфейса
+     */
+    constructor(advancedTexture) {
+        this.advancedTexture = advancedTexture;
+        
+        // Разделы: { title, container, quickMove, root, titleText, views }
+        this.sections = [];
+        this.observers = [];
+        
+        // Перетаскивание: { view, amount } и ячейка под указателем
+        this.drag = null;
+        this.hoveredView = null;
+        this.lastClick = { view: null, time: 0 };
+        
+        this.create();
+    }
+    
+    /**
+     * Создание панели, подсказок и значка перетаскивания
+     */
+    create() {
+        const panel = new BABYLON.GUI.Rectangle();
+        panel.name = "inventoryPanel";
+        panel.cornerRadius = 10;
+        panel.color = "white";
+        panel.thickness = 2;
+        panel.background = "rgba(0, 0, 0, 0.85)";
+        panel.isVisible = false;
+        
+        const title = new BABYLON.GUI.TextBlock();
+        title.text = "Inventory";
+        title.color = "white";
+        title.fontSize = 22;
+        title.heightInPixels = 36;
+        title.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        title.topInPixels = 6;
+        
+        // Разделы стоят в ряд под заголовком
+        const sectionsPanel = new BABYLON.GUI.StackPanel();
+        sectionsPanel.isVertical = false;
+        sectionsPanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        sectionsPanel.topInPixels = 44;
+        
+        // Описание предмета под указателем
+        const detailsText = new BABYLON.GUI.TextBlock();
+        detailsText.name = "inventoryDetails";
+        detailsText.text = "";
+        detailsText.color = "#ddd";
+        detailsText.fontSize = 13;
+        detailsText.heightInPixels = 72;
+        detailsText.textWrapping = true;
+        detailsText.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        detailsText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        detailsText.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        detailsText.paddingLeftInPixels = 16;
+        detailsText.paddingRightInPixels = 16;
+        detailsText.topInPixels = -26;
+        
+        const hintText = new BABYLON.GUI.TextBlock();
+        hintText.text = "Drag - move, right-drag - split, double-click - equip or transfer";
+        hintText.color = "#888";
+        hintText.fontSize = 12;
+        hintText.heightInPixels = 22;
+        hintText.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        hintText.topInPixels = -4;
+        
+        panel.addControl(title);
+        panel.addControl(sectionsPanel);
+        panel.addControl(detailsText);
+        panel.addControl(hintText);
+        
+        // Значок перетаскиваемой стопки не перехватывает указатель
+        const ghost = new BABYLON.GUI.Rectangle();
+        ghost.name = "inventoryGhost";
+        ghost.widthInPixels = SLOT_SIZE - 8;
+        ghost.heightInPixels = SLOT_SIZE - 8;
+        ghost.cornerRadius = 6;
+        ghost.thickness = 1;
+        ghost.color = "white";
+        ghost.background = "rgba(40, 40, 40, 0.9)";
+        ghost.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        ghost.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        ghost.isHitTestVisible = false;
+        ghost.isVisible = false;
+        
+        const ghostText = new BABYLON.GUI.TextBlock();
+        ghostText.color = "white";
+        ghostText.fontSize = 13;
+        ghostText.isHitTestVisible = false;
+        ghost.addControl(ghostText);
+        
+        panel.onPointerMoveObservable.add((coordinates) => {
+            this.moveDrag(coordinates);
+        });
+        
+        this.advancedTexture.addControl(panel);
+        this.advancedTexture.addControl(ghost);
+        this.panel = panel;
+        this.sectionsPanel = sectionsPanel;
+        this.detailsText = detailsText;
+        this.ghost = ghost;
+        this.ghostText = ghostText;
+    }
+    
+    /**
+     * Открытие панели с разделами
+     * @param {Object[]} sections - { title, container: ItemContainer, quickMove: (index) => boolean }
+     */
+    open(sections) {
+        this.close();
+        
+        sections.forEach(section => {
+            const view = this.createSection(section);
+            this.sections.push(view);
+            this.sectionsPanel.addControl(view.root);
+            this.observers.push({
+                container: section.container,
+                observer: section.container.onChangeObservable.add(() => this.refresh())
+            });
+        });
+        
+        const width = this.sections.reduce((sum, section) => sum + section.root.widthInPixels, 0);
+        const height = Math.max(...this.sections.map(section => section.root.heightInPixels));
+        this.sectionsPanel.heightInPixels = height;
+        this.panel.widthInPixels = Math.max(420, width + 32);
+        this.panel.heightInPixels = height + 44 + 110;
+        
+        this.refresh();
+        this.detailsText.text = "";
+        this.panel.isVisible = true;
+    }
+    
+    close() {
+        this.cancelDrag();
+        this.observers.forEach(({ container, observer }) => {
+            container.onChangeObservable.remove(observer);
+        });
+        this.observers = [];
+        this.sections.forEach(section => section.root.dispose());
+        this.sections = [];
+        this.hoveredView = null;
+        this.panel.isVisible = false;
+    }
+    
+    isOpen() {
+        return this.panel.isVisible;
+    }
+    
+    /**
+     * Раздел: заголовок с весом и сетка ячеек контейнера
+     */
+    createSection(section) {
+        const container = section.container;
+        const columns = Math.max(1, Math.min(container.columns, container.getSize()));
+        const rows = Math.ceil(container.getSize() / columns);
+        
+        const root = new BABYLON.GUI.Rectangle();
+        root.thickness = 0;
+        root.widthInPixels = columns * (SLOT_SIZE + SLOT_GAP) + SLOT_GAP + 16;
+        root.heightInPixels = rows * (SLOT_SIZE + SLOT_GAP) + SLOT_GAP + 26;
+        
+        const titleText = new BABYLON.GUI.TextBlock();
+        titleText.color = "#ccc";
+        titleText.fontSize = 14;
+        titleText.heightInPixels = 22;
+        titleText.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        root.addControl(titleText);
+        
+        const view = { ...section, root, titleText, views: [] };
+        for (let index = 0; index < container.getSize(); index++) {
+            const slot = this.createSlot(view, index);
+            slot.rect.leftInPixels = 8 + SLOT_GAP + (index % columns) * (SLOT_SIZE + SLOT_GAP);
+            slot.rect.topInPixels = 26 + Math.floor(index / columns) * (SLOT_SIZE + SLOT_GAP);
+            root.addControl(slot.rect);
+            view.views.push(slot);
+        }
+        return view;
+    }
+    
+    /**
+     * Ячейка: фон, значок (картинка или сокращение имени), количество
+     */
+    createSlot(section, index) {
+        const rect = new BABYLON.GUI.Rectangle();
+        rect.widthInPixels = SLOT_SIZE;
+        rect.heightInPixels = SLOT_SIZE;
+        rect.cornerRadius = 4;
+        rect.thickness = 1;
+        rect.color = "#555";
+        rect.background = "#1e1e1e";
+        rect.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        rect.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        
+        const image = new BABYLON.GUI.Image();
+        image.stretch = BABYLON.GUI.Image.STRETCH_UNIFORM;
+        image.paddingTopInPixels = 6;
+        image.paddingBottomInPixels = 6;
+        image.paddingLeftInPixels = 6;
+        image.paddingRightInPixels = 6;
+        image.isHitTestVisible = false;
+        image.isVisible = false;
+        
+        const iconText = new BABYLON.GUI.TextBlock();
+        iconText.fontSize = 16;
+        iconText.fontWeight = "bold";
+        iconText.isHitTestVisible = false;
+        
+        // Тип пустого слота экипировки
+        const typeText = new BABYLON.GUI.TextBlock();
+        typeText.color = "#666";
+        typeText.fontSize = 11;
+        typeText.isHitTestVisible = false;
+        
+        const countText = new BABYLON.GUI.TextBlock();
+        countText.color = "white";
+        countText.fontSize = 12;
+        countText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+        countText.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        countText.paddingRightInPixels = 4;
+        countText.paddingBottomInPixels = 2;
+        countText.isHitTestVisible = false;
+        
+        rect.addControl(image);
+        rect.addControl(iconText);
+        rect.addControl(typeText);
+        rect.addControl(countText);
+        
+        const view = { section, index, rect, image, iconText, typeText, countText };
+        
+        rect.onPointerEnterObservable.add(() => {
+            this.hoveredView = view;
+            rect.color = "#aaa";
+            this.showDetails(view);
+        });
+        rect.onPointerOutObservable.add(() => {
+            if (this.hoveredView === view) {
+                this.hoveredView = null;
+            }
+            rect.color = "#555";
+        });
+        rect.onPointerDownObservable.add((coordinates) => {
+            this.startDrag(view, coordinates);
+        });
+        rect.onPointerUpObservable.add(() => {
+            this.finishDrag();
+        });
+        
+        return view;
+    }
+    
+    refresh() {
+        this.sections.forEach(section => {
+            const container = section.container;
+            const weight = container.maxWeight !== Infinity
+                ? `  ${container.getWeight().toFixed(1)} / ${container.maxWeight}`
+                : "";
+            section.titleText.text = `${section.title}${weight}`;
+            section.views.forEach(view => this.refreshSlot(view));
+        });
+        if (this.hoveredView) {
+            this.showDetails(this.hoveredView);
+        }
+    }
+    
+    refreshSlot(view) {
+        const container = view.section.container;
+        const stack = container.getSlot(view.index);
+        const item = stack ? container.database.get(stack.id) : null;
+        
+        view.image.isVisible = !!(item && item.icon);
+        if (view.image.isVisible && view.image.source !== item.icon) {
+            view.image.source = item.icon;
+        }
+        view.iconText.text = item && !item.icon ? this.getShortName(item) : "";
+        view.iconText.color = item ? (CATEGORY_COLORS[item.category] || CATEGORY_COLORS.misc) : "white";
+        view.typeText.text = !item && container.getSlotType(view.index) ? container.getSlotType(view.index) : "";
+        view.countText.text = stack && stack.count > 1 ? String(stack.count) : "";
+        view.rect.alpha = this.drag && this.drag.view === view ? 0.5 : 1;
+    }
+    
+    /**
+     * Сокращение имени предмета для значка без картинки
+     */
+    getShortName(item) {
+        const words = item.name.split(/\s+/).filter(Boolean);
+        const letters = words.length > 1 ? words[0][0] + words[1][0] : item.name.slice(0, 2);
+        return letters.toUpperCase();
+    }
+    
+    showDetails(view) {
+        const container = view.section.container;
+        const stack = container.getSlot(view.index);
+        const item = stack ? container.database.get(stack.id) : null;
+        if (!item) {
+            this.detailsText.text = "";
+            return;
+        }
+        
+        const lines = [
+            `${item.name} (${item.category})${item.equipSlot ? ` - ${item.equipSlot}` : ""}`,
+            `Weight: ${item.weight}  Stack: ${stack.count}/${container.getStackLimit(item.id)}`
+        ];
+        const properties = Object.entries(item.properties).map(([key, value]) => `${key}: ${value}`);
+        if (properties.length > 0) {
+            lines.push(properties.join(", "));
+        }
+        if (item.description) {
+            lines.push(item.description);
+        }
+        this.detailsText.text = lines.join("\n");
+    }
+    
+    /**
+     * Начало перетаскивания: правая кнопка берет половину стопки
+     */
+    startDrag(view, coordinates) {
+        const stack = view.section.container.getSlot(view.index);
+        if (!stack) return;
+        
+        const amount = coordinates.buttonIndex === 2 ? Math.ceil(stack.count / 2) : stack.count;
+        this.drag = { view, amount };
+        this.ghostText.text = `${view.iconText.text || "•"}${amount > 1 ? ` ${amount}` : ""}`;
+        this.moveDrag(coordinates);
+        this.ghost.isVisible = true;
+        this.refreshSlot(view);
+    }
+    
+    moveDrag(coordinates) {
+        if (!this.drag) return;
+        this.ghost.leftInPixels = coordinates.x - this.ghost.widthInPixels / 2;
+        this.ghost.topInPixels = coordinates.y - this.ghost.heightInPixels / 2;
+    }
+    
+    /**
+     * Отпускание над ячейкой: перенос, над исходной ячейкой - щелчок
+     */
+    finishDrag() {
+        if (!this.drag) return;
+        
+        const source = this.drag.view;
+        const target = this.hoveredView;
+        const amount = this.drag.amount;
+        this.cancelDrag();
+        
+        if (!target) return;
+        if (target === source) {
+            this.onClick(source);
+            return;
+        }
+        source.section.container.transfer(source.index, target.section.container, target.index, amount);
+    }
+    
+    cancelDrag() {
+        const view = this.drag ? this.drag.view : null;
+        this.drag = null;
+        this.ghost.isVisible = false;
+        if (view) {
+            this.refreshSlot(view);
+        }
+    }
+    
+    /**
+     * Двойной щелчок по ячейке - быстрое действие раздела
+     */
+    onClick(view) {
+        const now = performance.now();
+        const isDouble = this.lastClick.view === view && now - this.lastClick.time < DOUBLE_CLICK_TIME;
+        this.lastClick = { view: isDouble ? null : view, time: now };
+        
+        if (isDouble && view.section.quickMove && view.section.container.getSlot(view.index)) {
+            view.section.quickMove(view.index);
+        }
+    }
+    
+    dispose() {
+        this.close();
+        this.panel.dispose();
+        this.ghost.dispose();
+    }
+}
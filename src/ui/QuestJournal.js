@@ -0,0 +1,227 @@
+/**
+ * Журнал заданий
+ * Слева - список активных и выполненных заданий, справа - описание выбранного:
+ * текущий этап, цели с прогрессом и награда. Кнопка Track делает задание
+ * отслеживаемым (цели в HUD и метки в мире)
+ */
+
+// Ширина списка заданий (px)
+const LIST_WIDTH = 230;
+
+export class QuestJournal {
+    /**
+     * @param {BABYLON.GUI.AdvancedDynamicTexture} advancedTexture - Текстура интерфейса
+     */
+    constructor(advancedTexture) {
+        this.advancedTexture = advancedTexture;
+        this.quests = null;
+        this.itemDatabase = null;
+        this.observer = null;
+        this.selectedId = null;
+        
+        this.create();
+    }
+    
+    /**
+     * Создание панели, списка и описания
+     */
+    create() {
+        const panel = new BABYLON.GUI.Rectangle();
+        panel.name = "questJournal";
+        panel.widthInPixels = 700;
+        panel.heightInPixels = 460;
+        panel.cornerRadius = 10;
+        panel.color = "white";
+        panel.thickness = 2;
+        panel.background = "rgba(0, 0, 0, 0.85)";
+        panel.isVisible = false;
+        
+        const title = new BABYLON.GUI.TextBlock();
+        title.text = "Journal";
+        title.color = "white";
+        title.fontSize = 22;
+        title.heightInPixels = 36;
+        title.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        title.topInPixels = 6;
+        
+        const scrollViewer = new BABYLON.GUI.ScrollViewer("questListScroll");
+        scrollViewer.widthInPixels = LIST_WIDTH;
+        scrollViewer.heightInPixels = 360;
+        scrollViewer.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        scrollViewer.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        scrollViewer.leftInPixels = 16;
+        scrollViewer.topInPixels = 48;
+        scrollViewer.thickness = 0;
+        scrollViewer.barColor = "#4CAF50";
+        
+        const list = new BABYLON.GUI.StackPanel("questList");
+        list.widthInPixels = LIST_WIDTH - 20;
+        scrollViewer.addControl(list);
+        
+        const detailsText = new BABYLON.GUI.TextBlock();
+        detailsText.name = "questDetails";
+        detailsText.color = "#ddd";
+        detailsText.fontSize = 14;
+        detailsText.textWrapping = true;
+        detailsText.widthInPixels = 700 - LIST_WIDTH - 64;
+        detailsText.heightInPixels = 340;
+        detailsText.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+        detailsText.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        detailsText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        detailsText.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        detailsText.leftInPixels = -24;
+        detailsText.topInPixels = 52;
+        
+        const trackButton = BABYLON.GUI.Button.CreateSimpleButton("trackQuest", "Track");
+        trackButton.widthInPixels = 120;
+        trackButton.heightInPixels = 34;
+        trackButton.color = "white";
+        trackButton.background = "#333";
+        trackButton.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+        trackButton.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        trackButton.leftInPixels = -24;
+        trackButton.topInPixels = -16;
+        trackButton.onPointerUpObservable.add(() => {
+            if (this.quests && this.selectedId) {
+                this.quests.track(this.selectedId);
+            }
+        });
+        
+        const hintText = new BABYLON.GUI.TextBlock();
+        hintText.color = "#888";
+        hintText.fontSize = 12;
+        hintText.heightInPixels = 22;
+        hintText.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        hintText.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        hintText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        hintText.leftInPixels = 20;
+        hintText.topInPixels = -22;
+        
+        panel.addControl(title);
+        panel.addControl(scrollViewer);
+        panel.addControl(detailsText);
+        panel.addControl(trackButton);
+        panel.addControl(hintText);
+        this.advancedTexture.addControl(panel);
+        
+        this.panel = panel;
+        this.list = list;
+        this.detailsText = detailsText;
+        this.trackButton = trackButton;
+        this.hintText = hintText;
+    }
+    
+    /**
+     * Открытие журнала
+     * @param {QuestManager} quests - Менеджер заданий
+     * @param {ItemDatabase} itemDatabase - База предметов (названия наград) или null
+     * @param {string} closeHint - Подсказка закрытия
+     */
+    open(quests, itemDatabase = null, closeHint = "") {
+        this.close();
+        this.quests = quests;
+        this.itemDatabase = itemDatabase;
+        this.observer = quests.onChangeObservable.add(() => this.refresh());
+        
+        const tracked = quests.getTracked();
+        const active = quests.getByStatus('active');
+        this.selectedId = tracked ? tracked.id : active.length > 0 ? active[0].id : null;
+        this.hintText.text = closeHint;
+        
+        this.refresh();
+        this.panel.isVisible = true;
+    }
+    
+    close() {
+        if (this.quests && this.observer) {
+            this.quests.onChangeObservable.remove(this.observer);
+        }
+        this.observer = null;
+        this.quests = null;
+        this.panel.isVisible = false;
+    }
+    
+    isOpen() {
+        return this.panel.isVisible;
+    }
+    
+    select(id) {
+        this.selectedId = id;
+        this.refresh();
+    }
+    
+    /**
+     * Перестроение списка и описания выбранного задания
+     */
+    refresh() {
+        if (!this.quests) return;
+        
+        this.list.clearControls();
+        const tracked = this.quests.getTracked();
+        [['Active', 'active'], ['Completed', 'completed']].forEach(([label, status]) => {
+            const quests = this.quests.getByStatus(status);
+            if (quests.length === 0) return;
+            
+            const header = new BABYLON.GUI.TextBlock();
+            header.text = label;
+            header.color = "#aaa";
+            header.fontSize = 13;
+            header.heightInPixels = 26;
+            header.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+            this.list.addControl(header);
+            
+            quests.forEach(quest => {
+                const marker = tracked === quest ? "◆ " : "";
+                const button = BABYLON.GUI.Button.CreateSimpleButton(`quest_${quest.id}`, `${marker}${quest.title}`);
+                button.heightInPixels = 32;
+                button.paddingBottomInPixels = 4;
+                button.thickness = quest.id === this.selectedId ? 1 : 0;
+                button.color = status === 'completed' ? "#888" : "white";
+                button.background = quest.id === this.selectedId ? "#2e4d2f" : "#222";
+                button.textBlock.fontSize = 14;
+                button.textBlock.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+                button.textBlock.paddingLeftInPixels = 8;
+                button.onPointerUpObservable.add(() => this.select(quest.id));
+                this.list.addControl(button);
+            });
+        });
+        
+        const selected = this.selectedId ? this.quests.get(this.selectedId) : null;
+        this.detailsText.text = selected ? this.describe(selected) : "No quests yet";
+        this.trackButton.isVisible = !!selected && this.quests.getStatus(selected.id) === 'active' && tracked !== selected;
+    }
+    
+    /**
+     * Описание задания: этап, цели и награда
+     */
+    describe(quest) {
+        const state = this.quests.getState(quest.id);
+        const lines = [quest.title, "", quest.description];
+        
+        if (state.status === 'completed') {
+            lines.push("", "Completed");
+        } else {
+            const stage = quest.stages[state.stage];
+            lines.push("", `Stage ${state.stage + 1}/${quest.stages.length}${stage.description ? `: ${stage.description}` : ""}`);
+            this.quests.getObjectives(quest.id).forEach(({ objective, progress, complete }) => {
+                const count = objective.count > 1 ? ` (${progress}/${objective.count})` : "";
+                const optional = objective.optional ? " (optional)" : "";
+                lines.push(`${complete ? "[x]" : "[ ]"} ${objective.description}${count}${optional}`);
+            });
+        }
+        
+        const rewards = quest.rewards.items.map(([id, count]) => {
+            const item = this.itemDatabase ? this.itemDatabase.get(id) : null;
+            return `${item ? item.name : id}${count > 1 ? ` x${count}` : ""}`;
+        });
+        if (rewards.length > 0) {
+            lines.push("", `Reward: ${rewards.join(", ")}`);
+        }
+        return lines.join("\n");
+    }
+    
+    dispose() {
+        this.close();
+        this.panel.dispose();
+    }
+}
@@ -2,6 +2,41 @@
  * Менеджер пользовательского интерфейса
  * Управляет всеми элементами UI с использованием Babylon.js GUI
  */
+import { formatBinding, formatBindings, formatTarget, formatActionName } from './bindingLabels.js';
+import { InventoryPanel } from './InventoryPanel.js';
+import { QuestJournal } from './QuestJournal.js';
+import { DialoguePanel } from './DialoguePanel.js';
+import { GameOverScreen } from './GameOverScreen.js';
+
+// Разделы справки по управлению; действия, не попавшие в разделы, идут в "Other"
+const HELP_SECTIONS = [
+    { title: 'Movement', names: ['Move', 'Jump', 'Sprint', 'Crouch', 'FlyVertical'] },
+    { title: 'Camera', extra: ['Mouse - Look around'], names: ['Look', 'ToggleCamera', 'SwapShoulder', 'ToggleMouseLock', 'FarZoom'] },
+    { title: 'Dialogue', extra: ['Mouse - Choose answer'], names: ['DialogueUp', 'DialogueDown', 'DialogueConfirm'] }
+];
+
+// Пресеты качества графики в порядке переключения кнопкой настроек
+const GRAPHICS_QUALITIES = ['low', 'medium', 'high', 'ultra'];
+
+// Уровни интенсивности эффектов камеры (тряска, FOV, наклон) в порядке переключения
+const CAMERA_EFFECT_LEVELS = [1, 0.5, 0];
+
+// Сегменты кольца прогресса удержания в подсказке взаимодействия
+const INTERACTION_RING_SEGMENTS = 16;
+
+// Цвет полосы здоровья по его доле (первый порог, которого доля достигает)
+const HEALTH_COLORS = [
+    { ratio: 0.5, color: "#4CAF50" },
+    { ratio: 0.25, color: "#FFC107" },
+    { ratio: 0, color: "#f44336" }
+];
+
+// Вспышка рамки полосы здоровья после урона (с)
+const HEALTH_FLASH_TIME = 0.3;
+
+// Порядок направлений двумерной оси в справке (W, A, S, D)
+const AXIS_HELP_ORDER = ['y:positive', 'x:negative', 'y:negative', 'x:positive'];
+
 export class UIManager {
     constructor(scene, configManager) {
         this.scene = scene;
@@ -16,6 +51,30 @@ export class UIManager {
         this.activePanel = null;
         this.gameState = 'playing'; // playing, paused, menu
         
+        // Панели, перехватывающие игровой ввод (контекст 'ui' карты действий)
+        this.actionMap = null;
+        this.inputCaptures = new Set();
+        
+        // Переназначение клавиш: менеджер ввода захватывает следующее нажатие
+        this.inputManager = null;
+        this.rebindState = null;
+        
+        // Последние переключения адаптивного качества (для отладочной панели)
+        this.performanceEvents = [];
+        
+        // Панель инвентаря (сетки контейнеров с перетаскиванием)
+        this.inventoryPanel = null;
+        
+        // Журнал заданий и метки целей в мире (узлы сцены, к которым привязаны надписи)
+        this.questJournal = null;
+        this.waypointViews = [];
+        
+        // Панель разговора (не входит в panels: закрывается только вместе с диалогом)
+        this.dialoguePanel = null;
+        
+        // Экран "Игра окончена" (не входит в panels: закрывается возрождением или загрузкой)
+        this.gameOverScreen = null;
+        
         this.init();
     }
     
@@ -27,10 +86,19 @@ export class UIManager {
         this.advancedTexture = BABYLON.GUI.AdvancedDynamicTexture.CreateFullscreenUI("UI");
         
         this.createMainHUD();
+        this.createInteractionPrompt();
+        this.createQuestTracker();
         this.createSettingsPanel();
+        this.createControlsPanel();
         this.createDebugPanel();
+        this.createBehaviorPanel();
+        this.createInventoryPanel();
+        this.createQuestJournal();
+        this.createDialoguePanel();
         this.createControlsHelp();
         this.createPositionPanel();
+        this.createCinematicOverlay();
+        this.createGameOverScreen();
         
         console.log('🖥️ UI Manager initialized');
     }
@@ -75,15 +143,261 @@ export class UIManager {
         cameraText.heightInPixels = 25;
         cameraText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
         
+        // Состояние движения игрока
+        const stateText = new BABYLON.GUI.TextBlock();
+        stateText.name = "stateText";
+        stateText.text = "State: Idle";
+        stateText.color = "white";
+        stateText.fontSize = 14;
+        stateText.heightInPixels = 25;
+        stateText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        
+        // Полоса здоровья (цвет по остатку, рамка вспыхивает при уроне)
+        const healthBar = new BABYLON.GUI.Rectangle();
+        healthBar.name = "healthBar";
+        healthBar.widthInPixels = 150;
+        healthBar.heightInPixels = 14;
+        healthBar.thickness = 1;
+        healthBar.color = "white";
+        healthBar.background = "rgba(0, 0, 0, 0.5)";
+        healthBar.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        healthBar.paddingBottomInPixels = 4;
+        
+        const healthFill = new BABYLON.GUI.Rectangle();
+        healthFill.name = "healthFill";
+        healthFill.width = 1;
+        healthFill.thickness = 0;
+        healthFill.background = HEALTH_COLORS[0].color;
+        healthFill.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        healthBar.addControl(healthFill);
+        
+        const healthText = new BABYLON.GUI.TextBlock();
+        healthText.name = "healthText";
+        healthText.color = "white";
+        healthText.fontSize = 10;
+        healthBar.addControl(healthText);
+        
+        // Полоса выносливости (краснеет при истощении)
+        const staminaBar = new BABYLON.GUI.Rectangle();
+        staminaBar.name = "staminaBar";
+        staminaBar.widthInPixels = 150;
+        staminaBar.heightInPixels = 10;
+        staminaBar.thickness = 1;
+        staminaBar.color = "white";
+        staminaBar.background = "rgba(0, 0, 0, 0.5)";
+        staminaBar.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        
+        const staminaFill = new BABYLON.GUI.Rectangle();
+        staminaFill.name = "staminaFill";
+        staminaFill.width = 1;
+        staminaFill.thickness = 0;
+        staminaFill.background = "#4CAF50";
+        staminaFill.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        staminaBar.addControl(staminaFill);
+        
         hudPanel.addControl(fpsText);
         hudPanel.addControl(positionText);
         hudPanel.addControl(cameraText);
+        hudPanel.addControl(stateText);
+        hudPanel.addControl(healthBar);
+        hudPanel.addControl(staminaBar);
         
         this.advancedTexture.addControl(hudPanel);
         this.panels.hud = hudPanel;
         this.controls.fpsText = fpsText;
         this.controls.positionText = positionText;
         this.controls.cameraText = cameraText;
+        this.controls.stateText = stateText;
+        this.controls.healthBar = healthBar;
+        this.controls.healthFill = healthFill;
+        this.controls.healthText = healthText;
+        this.controls.staminaFill = staminaFill;
+    }
+    
+    /**
+     * Создание подсказки взаимодействия
+     * Клавиша действия в кольце прогресса удержания и текст "Press E to ..."
+     */
+    createInteractionPrompt() {
+        const prompt = new BABYLON.GUI.StackPanel();
+        prompt.name = "interactionPrompt";
+        prompt.isVertical = false;
+        prompt.heightInPixels = 60;
+        prompt.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        prompt.topInPixels = -140;
+        prompt.isHitTestVisible = false;
+        prompt.isVisible = false;
+        
+        const ring = new BABYLON.GUI.Container();
+        ring.widthInPixels = 60;
+        ring.heightInPixels = 60;
+        
+        // Кольцо из отдельных точек: заполненная доля - прогресс удержания
+        const segments = [];
+        for (let i = 0; i < INTERACTION_RING_SEGMENTS; i++) {
+            const angle = i / INTERACTION_RING_SEGMENTS * Math.PI * 2;
+            const segment = new BABYLON.GUI.Ellipse();
+            segment.widthInPixels = 6;
+            segment.heightInPixels = 6;
+            segment.thickness = 0;
+            segment.leftInPixels = Math.sin(angle) * 25;
+            segment.topInPixels = -Math.cos(angle) * 25;
+            ring.addControl(segment);
+            segments.push(segment);
+        }
+        
+        const keyBadge = new BABYLON.GUI.Rectangle();
+        keyBadge.widthInPixels = 38;
+        keyBadge.heightInPixels = 30;
+        keyBadge.cornerRadius = 4;
+        keyBadge.color = "white";
+        keyBadge.thickness = 1;
+        keyBadge.background = "rgba(0, 0, 0, 0.7)";
+        
+        const keyText = new BABYLON.GUI.TextBlock();
+        keyText.color = "white";
+        keyText.fontSize = 12;
+        keyBadge.addControl(keyText);
+        ring.addControl(keyBadge);
+        
+        const promptText = new BABYLON.GUI.TextBlock();
+        promptText.name = "interactionText";
+        promptText.color = "white";
+        promptText.fontSize = 18;
+        promptText.resizeToFit = true;
+        promptText.paddingLeftInPixels = 8;
+        promptText.shadowColor = "black";
+        promptText.shadowBlur = 4;
+        
+        prompt.addControl(ring);
+        prompt.addControl(promptText);
+        this.advancedTexture.addControl(prompt);
+        this.controls.interactionPrompt = prompt;
+        this.controls.interactionKey = keyText;
+        this.controls.interactionText = promptText;
+        this.controls.interactionRing = segments;
+    }
+    
+    /**
+     * Обновление подсказки взаимодействия
+     * @param {Object|null} interaction - InteractionSystem.getPrompt()
+     */
+    updateInteractionPrompt(interaction) {
+        this.controls.interactionPrompt.isVisible = !!interaction;
+        if (!interaction) return;
+        
+        const key = this.getActionLabel('Interact');
+        const verb = interaction.holdTime > 0 ? 'Hold' : 'Press';
+        this.controls.interactionKey.text = key;
+        this.controls.interactionText.text = `${verb} ${key} to ${interaction.prompt}`;
+        
+        const filled = Math.round(interaction.progress * INTERACTION_RING_SEGMENTS);
+        this.controls.interactionRing.forEach((segment, index) => {
+            segment.isVisible = interaction.holdTime > 0;
+            segment.background = index < filled ? "#4CAF50" : "rgba(255, 255, 255, 0.3)";
+        });
+    }
+    
+    /**
+     * Подпись клавиши действия для подсказок: кнопка геймпада, если он подключен
+     * @param {string} name - Имя действия
+     */
+    getActionLabel(name) {
+        const bindings = this.actionMap ? this.actionMap.getBindings(name) : [];
+        const gamepad = this.inputManager && this.inputManager.isGamepadConnected();
+        const devices = gamepad ? ['gamepad'] : ['key', 'mouse'];
+        const binding = bindings.find(item => devices.includes(item.slice(0, item.indexOf(':')))) || bindings[0];
+        return binding ? formatBinding(binding) : '?';
+    }
+    
+    /**
+     * Создание списка целей отслеживаемого задания
+     */
+    createQuestTracker() {
+        const tracker = new BABYLON.GUI.StackPanel();
+        tracker.name = "questTracker";
+        tracker.widthInPixels = 300;
+        tracker.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+        tracker.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        tracker.paddingTopInPixels = 20;
+        tracker.paddingRightInPixels = 20;
+        tracker.isHitTestVisible = false;
+        tracker.isVisible = false;
+        
+        const titleText = new BABYLON.GUI.TextBlock();
+        titleText.name = "questTrackerTitle";
+        titleText.color = "#ffd54f";
+        titleText.fontSize = 16;
+        titleText.heightInPixels = 26;
+        titleText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+        titleText.shadowColor = "black";
+        titleText.shadowBlur = 4;
+        
+        const objectivesText = new BABYLON.GUI.TextBlock();
+        objectivesText.name = "questTrackerObjectives";
+        objectivesText.color = "white";
+        objectivesText.fontSize = 14;
+        objectivesText.resizeToFit = true;
+        objectivesText.textWrapping = true;
+        objectivesText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+        objectivesText.shadowColor = "black";
+        objectivesText.shadowBlur = 4;
+        
+        tracker.addControl(titleText);
+        tracker.addControl(objectivesText);
+        this.advancedTexture.addControl(tracker);
+        this.controls.questTracker = tracker;
+        this.controls.questTrackerTitle = titleText;
+        this.controls.questTrackerObjectives = objectivesText;
+    }
+    
+    /**
+     * Обновление списка целей
+     * @param {Object|null} quest - { title, objectives: [{ description, progress, count, complete, optional }] }
+     */
+    updateQuestTracker(quest) {
+        this.controls.questTracker.isVisible = !!quest;
+        if (!quest) return;
+        
+        this.controls.questTrackerTitle.text = quest.title;
+        this.controls.questTrackerObjectives.text = quest.objectives.map(objective => {
+            const count = objective.count > 1 ? ` ${objective.progress}/${objective.count}` : "";
+            const optional = objective.optional ? " (optional)" : "";
+            return `${objective.complete ? "✓" : "•"} ${objective.description}${count}${optional}`;
+        }).join("\n");
+    }
+    
+    /**
+     * Метки целей в мире: надпись с расстоянием, привязанная к точке сцены
+     * Надписи создаются по мере надобности и переиспользуются
+     * @param {Object[]} waypoints - { position: BABYLON.Vector3, label, distance }
+     */
+    updateWaypoints(waypoints) {
+        while (this.waypointViews.length < waypoints.length) {
+            const index = this.waypointViews.length;
+            const node = new BABYLON.TransformNode(`waypoint${index}`, this.scene);
+            
+            const marker = new BABYLON.GUI.TextBlock(`waypointMarker${index}`);
+            marker.color = "#ffd54f";
+            marker.fontSize = 14;
+            marker.resizeToFit = true;
+            marker.shadowColor = "black";
+            marker.shadowBlur = 4;
+            marker.isHitTestVisible = false;
+            this.advancedTexture.addControl(marker);
+            marker.linkWithMesh(node);
+            
+            this.waypointViews.push({ node, marker });
+        }
+        
+        this.waypointViews.forEach((view, index) => {
+            const waypoint = waypoints[index];
+            view.marker.isVisible = !!waypoint;
+            if (!waypoint) return;
+            
+            view.node.position.copyFrom(waypoint.position);
+            view.marker.text = `◆\n${waypoint.label}\n${Math.round(waypoint.distance)} m`;
+        });
     }
     
     /**
@@ -137,13 +451,46 @@ export class UIManager {
         qualityLabel.fontSize = 16;
         qualityLabel.heightInPixels = 30;
         
-        // Создаем простую кнопку вместо несуществующего DropdownMenu
-        const qualityButton = BABYLON.GUI.Button.CreateSimpleButton("qualityButton", "High");
+        // Кнопка переключает пресеты по кругу (в Babylon GUI нет выпадающего списка)
+        const qualityButton = BABYLON.GUI.Button.CreateSimpleButton(
+            "qualityButton",
+            this.formatQuality(this.config.get('graphics.quality'))
+        );
         qualityButton.widthInPixels = 200;
         qualityButton.heightInPixels = 30;
         qualityButton.color = "white";
         qualityButton.background = "#333";
         
+        // Отключение адаптивного качества: регулятор перестает трогать выбранный пресет
+        const adaptiveButton = BABYLON.GUI.Button.CreateSimpleButton(
+            "adaptiveButton",
+            this.formatAdaptive(this.config.get('graphics.adaptive.enabled'))
+        );
+        adaptiveButton.widthInPixels = 200;
+        adaptiveButton.heightInPixels = 30;
+        adaptiveButton.paddingTopInPixels = 5;
+        adaptiveButton.color = "white";
+        adaptiveButton.background = "#333";
+        
+        // Ослабление эффектов камеры (доступность: тряска может вызывать дискомфорт)
+        const cameraEffectsButton = BABYLON.GUI.Button.CreateSimpleButton(
+            "cameraEffectsButton",
+            this.formatCameraEffects(this.config.get('camera.effects.intensity'))
+        );
+        cameraEffectsButton.widthInPixels = 200;
+        cameraEffectsButton.heightInPixels = 30;
+        cameraEffectsButton.paddingTopInPixels = 5;
+        cameraEffectsButton.color = "white";
+        cameraEffectsButton.background = "#333";
+        
+        // Переход к панели управления
+        const controlsButton = BABYLON.GUI.Button.CreateSimpleButton("controlsButton", "Controls");
+        controlsButton.widthInPixels = 200;
+        controlsButton.heightInPixels = 30;
+        controlsButton.paddingTopInPixels = 5;
+        controlsButton.color = "white";
+        controlsButton.background = "#333";
+        
         // Кнопка закрытия
         const closeButton = BABYLON.GUI.Button.CreateSimpleButton("closeSettings", "Close");
         closeButton.widthInPixels = 100;
@@ -157,6 +504,9 @@ export class UIManager {
         settingsStack.addControl(mouseSensSlider);
         settingsStack.addControl(qualityLabel);
         settingsStack.addControl(qualityButton);
+        settingsStack.addControl(adaptiveButton);
+        settingsStack.addControl(cameraEffectsButton);
+        settingsStack.addControl(controlsButton);
         
         settingsPanel.addControl(title);
         settingsPanel.addControl(settingsStack);
@@ -167,6 +517,30 @@ export class UIManager {
             this.config.set('player.mouseSensitivity', value);
         });
         
+        qualityButton.onPointerUpObservable.add(() => {
+            const current = GRAPHICS_QUALITIES.indexOf(this.config.get('graphics.quality'));
+            const next = GRAPHICS_QUALITIES[(current + 1) % GRAPHICS_QUALITIES.length];
+            this.config.setGraphicsQuality(next);
+            qualityButton.textBlock.text = this.formatQuality(next);
+        });
+        
+        adaptiveButton.onPointerUpObservable.add(() => {
+            const enabled = !this.config.get('graphics.adaptive.enabled');
+            this.config.set('graphics.adaptive.enabled', enabled);
+            adaptiveButton.textBlock.text = this.formatAdaptive(enabled);
+        });
+        
+        cameraEffectsButton.onPointerUpObservable.add(() => {
+            const current = CAMERA_EFFECT_LEVELS.indexOf(this.config.get('camera.effects.intensity'));
+            const next = CAMERA_EFFECT_LEVELS[(current + 1) % CAMERA_EFFECT_LEVELS.length];
+            this.config.set('camera.effects.intensity', next);
+            cameraEffectsButton.textBlock.text = this.formatCameraEffects(next);
+        });
+        
+        controlsButton.onPointerUpObservable.add(() => {
+            this.showControlsPanel();
+        });
+        
         closeButton.onPointerUpObservable.add(() => {
             this.hideSettingsPanel();
         });
@@ -174,6 +548,305 @@ export class UIManager {
         this.advancedTexture.addControl(settingsPanel);
         this.panels.settings = settingsPanel;
         this.controls.mouseSensSlider = mouseSensSlider;
+        this.controls.qualityButton = qualityButton;
+        this.controls.adaptiveButton = adaptiveButton;
+        this.controls.cameraEffectsButton = cameraEffectsButton;
+    }
+    
+    /**
+     * Подпись пресета качества графики
+     * @param {string} quality - low, medium, high, ultra
+     */
+    formatQuality(quality) {
+        return quality ? quality.charAt(0).toUpperCase() + quality.slice(1) : 'Custom';
+    }
+    
+    /**
+     * Подпись кнопки интенсивности эффектов камеры
+     * @param {number} intensity - 0..1
+     */
+    formatCameraEffects(intensity) {
+        return intensity > 0 ? `Camera Effects: ${Math.round(intensity * 100)}%` : 'Camera Effects: Off';
+    }
+    
+    /**
+     * Подпись кнопки адаптивного качества
+     */
+    formatAdaptive(enabled) {
+        return `Adaptive Quality: ${enabled ? 'On' : 'Off'}`;
+    }
+    
+    /**
+     * Создание панели управления (переназначение клавиш)
+     * Строки привязок строятся в refreshControlsPanel из живой таблицы ActionMap
+     */
+    createControlsPanel() {
+        const controlsPanel = new BABYLON.GUI.Rectangle();
+        controlsPanel.name = "controlsPanel";
+        controlsPanel.widthInPixels = 600;
+        controlsPanel.heightInPixels = 560;
+        controlsPanel.cornerRadius = 10;
+        controlsPanel.color = "white";
+        controlsPanel.thickness = 2;
+        controlsPanel.background = "rgba(0, 0, 0, 0.85)";
+        controlsPanel.isVisible = false;
+        
+        const title = new BABYLON.GUI.TextBlock();
+        title.text = "Controls";
+        title.color = "white";
+        title.fontSize = 24;
+        title.heightInPixels = 40;
+        title.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        title.topInPixels = 10;
+        
+        // Список привязок прокручивается: действий больше, чем помещается на экране
+        const scrollViewer = new BABYLON.GUI.ScrollViewer("controlsScroll");
+        scrollViewer.widthInPixels = 570;
+        scrollViewer.heightInPixels = 400;
+        scrollViewer.topInPixels = -15;
+        scrollViewer.thickness = 0;
+        scrollViewer.barColor = "#4CAF50";
+        
+        const bindingsStack = new BABYLON.GUI.StackPanel("controlsStack");
+        bindingsStack.widthInPixels = 550;
+        scrollViewer.addControl(bindingsStack);
+        
+        // Строка состояния: подсказка при захвате и результат переназначения
+        const statusText = new BABYLON.GUI.TextBlock();
+        statusText.text = "Click a binding to change it";
+        statusText.color = "#ccc";
+        statusText.fontSize = 14;
+        statusText.heightInPixels = 24;
+        statusText.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        statusText.topInPixels = -60;
+        
+        const resetButton = BABYLON.GUI.Button.CreateSimpleButton("resetBindings", "Reset to defaults");
+        resetButton.widthInPixels = 180;
+        resetButton.heightInPixels = 40;
+        resetButton.color = "white";
+        resetButton.background = "#333";
+        resetButton.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        resetButton.leftInPixels = -100;
+        resetButton.topInPixels = -12;
+        
+        const closeButton = BABYLON.GUI.Button.CreateSimpleButton("closeControls", "Back");
+        closeButton.widthInPixels = 100;
+        closeButton.heightInPixels = 40;
+        closeButton.color = "white";
+        closeButton.background = "#f44336";
+        closeButton.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        closeButton.leftInPixels = 100;
+        closeButton.topInPixels = -12;
+        
+        controlsPanel.addControl(title);
+        controlsPanel.addControl(scrollViewer);
+        controlsPanel.addControl(statusText);
+        controlsPanel.addControl(resetButton);
+        controlsPanel.addControl(closeButton);
+        
+        resetButton.onPointerUpObservable.add(() => {
+            this.cancelRebind();
+            if (this.actionMap) {
+                this.actionMap.resetBindings();
+                this.setControlsStatus('Bindings reset to defaults');
+            }
+        });
+        
+        closeButton.onPointerUpObservable.add(() => {
+            this.hideControlsPanel();
+        });
+        
+        this.advancedTexture.addControl(controlsPanel);
+        this.panels.controls = controlsPanel;
+        this.controls.bindingsStack = bindingsStack;
+        this.controls.controlsStatus = statusText;
+    }
+    
+    /**
+     * Перестроение списка привязок
+     */
+    refreshControlsPanel() {
+        const stack = this.controls.bindingsStack;
+        if (!stack || !this.actionMap) return;
+        
+        stack.clearControls();
+        stack.addControl(this.createBindingRow('Action', 'Keyboard / Mouse', 'Gamepad', { isHeader: true }));
+        
+        const conflicts = this.actionMap.getConflictingPaths();
+        this.actionMap.getRebindTargets().forEach(target => {
+            const capturing = this.rebindState && this.rebindState.path === target.path
+                ? this.rebindState.group
+                : null;
+            
+            stack.addControl(this.createBindingRow(
+                formatTarget(target),
+                capturing === 'key' ? 'Press a key...' : formatBindings(target.bindings, ['key', 'mouse']),
+                capturing === 'gamepad' ? 'Press a button...' : formatBindings(target.bindings, ['gamepad']),
+                {
+                    hasConflict: conflicts.has(target.path),
+                    capturing,
+                    onKey: () => this.startRebind(target, 'key'),
+                    onGamepad: () => this.startRebind(target, 'gamepad')
+                }
+            ));
+        });
+    }
+    
+    /**
+     * Строка таблицы привязок
+     * @param {string} label - Подпись действия
+     * @param {string} keyText - Привязки клавиатуры и мыши
+     * @param {string} gamepadText - Привязки геймпада
+     * @param {Object} options - { isHeader, hasConflict, capturing, onKey, onGamepad }
+     */
+    createBindingRow(label, keyText, gamepadText, options = {}) {
+        const row = new BABYLON.GUI.StackPanel();
+        row.isVertical = false;
+        row.heightInPixels = 32;
+        row.widthInPixels = 550;
+        
+        const labelText = new BABYLON.GUI.TextBlock();
+        labelText.text = label;
+        labelText.widthInPixels = 210;
+        labelText.fontSize = options.isHeader ? 16 : 14;
+        // Конфликтующие привязки подсвечиваются, пока их не исправят
+        labelText.color = options.hasConflict ? "#f44336" : (options.isHeader ? "yellow" : "white");
+        labelText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        row.addControl(labelText);
+        
+        const addCell = (text, width, group, onClick) => {
+            if (options.isHeader) {
+                const header = new BABYLON.GUI.TextBlock();
+                header.text = text;
+                header.widthInPixels = width;
+                header.fontSize = 16;
+                header.color = "yellow";
+                row.addControl(header);
+                return;
+            }
+            
+            const button = BABYLON.GUI.Button.CreateSimpleButton(`rebind_${group}_${label}`, text);
+            button.widthInPixels = width;
+            button.heightInPixels = 28;
+            button.paddingLeftInPixels = 4;
+            button.fontSize = 13;
+            button.color = options.hasConflict ? "#f44336" : "white";
+            button.background = options.capturing === group ? "#4CAF50" : "#333";
+            button.onPointerUpObservable.add(onClick);
+            row.addControl(button);
+        };
+        
+        addCell(keyText, 200, 'key', options.onKey);
+        addCell(gamepadText, 140, 'gamepad', options.onGamepad);
+        
+        return row;
+    }
+    
+    /**
+     * Начало переназначения: следующее нажатие станет привязкой
+     * @param {Object} target - Цель из ActionMap.getRebindTargets()
+     * @param {string} group - Столбец: 'key' или 'gamepad'
+     */
+    startRebind(target, group) {
+        if (!this.inputManager || !this.actionMap) return;
+        
+        this.rebindState = { path: target.path, group, label: formatTarget(target) };
+        this.inputManager.captureNextBinding((binding) => this.finishRebind(binding));
+        
+        const device = group === 'gamepad' ? 'a gamepad button' : 'a key';
+        this.setControlsStatus(`Press ${device} for "${this.rebindState.label}" (Esc to cancel)`);
+        this.refreshControlsPanel();
+    }
+    
+    /**
+     * Завершение переназначения захваченным нажатием
+     * @param {string} binding - Привязка вида 'key:KeyW'
+     */
+    finishRebind(binding) {
+        const state = this.rebindState;
+        this.rebindState = null;
+        if (!state) return;
+        
+        // Esc отменяет захват и остается клавишей меню
+        if (binding === 'key:Escape') {
+            this.setControlsStatus('Rebind cancelled');
+            this.refreshControlsPanel();
+            return;
+        }
+        
+        const removed = this.actionMap.rebind(state.path, binding);
+        const removedText = removed.length > 0
+            ? ` (removed from ${removed.map(target => `"${formatTarget(target)}"`).join(', ')})`
+            : '';
+        this.setControlsStatus(`${formatBinding(binding)} bound to "${state.label}"${removedText}`);
+        
+        // Список обновится через изменение конфигурации, обновляем на случай, если привязка не изменилась
+        this.refreshControlsPanel();
+    }
+    
+    /**
+     * Отмена незавершенного переназначения
+     */
+    cancelRebind() {
+        if (!this.rebindState) return;
+        
+        this.rebindState = null;
+        if (this.inputManager) {
+            this.inputManager.cancelBindingCapture();
+        }
+        this.refreshControlsPanel();
+    }
+    
+    setControlsStatus(text) {
+        if (this.controls.controlsStatus) {
+            this.controls.controlsStatus.text = text;
+        }
+    }
+    
+    /**
+     * Текст справки по живой таблице привязок
+     */
+    buildHelpText() {
+        if (!this.actionMap) {
+            return 'CONTROLS:';
+        }
+        
+        const targets = this.actionMap.getRebindTargets();
+        const describe = (name) => {
+            const bindings = targets
+                .filter(target => target.name === name)
+                .sort((a, b) => AXIS_HELP_ORDER.indexOf(`${a.component}:${a.direction}`) -
+                    AXIS_HELP_ORDER.indexOf(`${b.component}:${b.direction}`))
+                .flatMap(target => target.bindings);
+            const keys = bindings.filter(binding => /^(key|mouse):/.test(binding));
+            return keys.length > 0
+                ? `${formatBindings(keys, ['key', 'mouse'])} - ${formatActionName(name)}`
+                : null;
+        };
+        
+        const listed = new Set(HELP_SECTIONS.flatMap(section => section.names));
+        const otherNames = [...new Set(targets.map(target => target.name))]
+            .filter(name => !listed.has(name));
+        const sections = [...HELP_SECTIONS, { title: 'Other', names: otherNames }];
+        
+        const lines = ['CONTROLS:'];
+        sections.forEach(section => {
+            const sectionLines = [...(section.extra || []), ...section.names.map(describe).filter(Boolean)];
+            if (sectionLines.length > 0) {
+                lines.push('', `${section.title}:`, ...sectionLines);
+            }
+        });
+        return lines.join('\n');
+    }
+    
+    /**
+     * Обновление справки и панели управления после изменения привязок
+     */
+    refreshBindings() {
+        if (this.controls.helpText) {
+            this.controls.helpText.text = this.buildHelpText();
+        }
+        this.refreshControlsPanel();
     }
     
     /**
@@ -183,7 +856,7 @@ export class UIManager {
         const debugPanel = new BABYLON.GUI.StackPanel();
         debugPanel.name = "debugPanel";
         debugPanel.widthInPixels = 250;
-        debugPanel.heightInPixels = 300;
+        debugPanel.heightInPixels = 420;
         debugPanel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
         debugPanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
         debugPanel.paddingTopInPixels = 20;
@@ -209,20 +882,103 @@ export class UIManager {
         // Информация о физике
         const physicsText = new BABYLON.GUI.TextBlock();
         physicsText.name = "physicsText";
-        physicsText.text = "Physics: Enabled\nBodies: 0";
+        physicsText.text = "Physics: Enabled\nBodies: 0\nEntities: 0";
         physicsText.color = "white";
         physicsText.fontSize = 12;
-        physicsText.heightInPixels = 50;
+        physicsText.heightInPixels = 60;
         physicsText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
         
+        // Адаптивное качество: бюджет, перцентили и последние переключения
+        const adaptiveText = new BABYLON.GUI.TextBlock();
+        adaptiveText.name = "adaptiveText";
+        adaptiveText.text = "Adaptive: -";
+        adaptiveText.color = "white";
+        adaptiveText.fontSize = 12;
+        adaptiveText.heightInPixels = 120;
+        adaptiveText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        adaptiveText.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        
         debugPanel.addControl(debugTitle);
         debugPanel.addControl(performanceText);
         debugPanel.addControl(physicsText);
+        debugPanel.addControl(adaptiveText);
         
         this.advancedTexture.addControl(debugPanel);
         this.panels.debug = debugPanel;
         this.controls.performanceText = performanceText;
         this.controls.physicsText = physicsText;
+        this.controls.adaptiveText = adaptiveText;
+    }
+    
+    /**
+     * Создание панели отладки дерева поведения
+     * Дерево выбранного агента со статусами последнего тика и доска агента
+     */
+    createBehaviorPanel() {
+        const behaviorPanel = new BABYLON.GUI.Rectangle();
+        behaviorPanel.name = "behaviorPanel";
+        behaviorPanel.widthInPixels = 360;
+        behaviorPanel.heightInPixels = 520;
+        behaviorPanel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        behaviorPanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM;
+        behaviorPanel.leftInPixels = 20;
+        behaviorPanel.topInPixels = -20;
+        behaviorPanel.cornerRadius = 6;
+        behaviorPanel.color = "white";
+        behaviorPanel.thickness = 1;
+        behaviorPanel.background = "rgba(0, 0, 0, 0.7)";
+        behaviorPanel.isPointerBlocker = false;
+        behaviorPanel.isVisible = false;
+        
+        const behaviorText = new BABYLON.GUI.TextBlock();
+        behaviorText.name = "behaviorText";
+        behaviorText.text = "";
+        behaviorText.color = "white";
+        behaviorText.fontFamily = "monospace";
+        behaviorText.fontSize = 12;
+        behaviorText.textWrapping = false;
+        behaviorText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
+        behaviorText.textVerticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP;
+        behaviorText.paddingTopInPixels = 10;
+        behaviorText.paddingLeftInPixels = 10;
+        
+        behaviorPanel.addControl(behaviorText);
+        this.advancedTexture.addControl(behaviorPanel);
+        this.panels.behavior = behaviorPanel;
+        this.controls.behaviorText = behaviorText;
+    }
+    
+    /**
+     * Создание панели инвентаря
+     */
+    createInventoryPanel() {
+        this.inventoryPanel = new InventoryPanel(this.advancedTexture);
+        this.panels.inventory = this.inventoryPanel.panel;
+    }
+    
+    /**
+     * Создание журнала заданий
+     */
+    createQuestJournal() {
+        this.questJournal = new QuestJournal(this.advancedTexture);
+        this.panels.journal = this.questJournal.panel;
+    }
+    
+    /**
+     * Создание панели разговора
+     */
+    createDialoguePanel() {
+        this.dialoguePanel = new DialoguePanel(this.advancedTexture);
+        this.dialoguePanel.onChooseObservable.add((index) => {
+            if (this.onDialogueChoose) {
+                this.onDialogueChoose(index);
+            }
+        });
+        this.dialoguePanel.onContinueObservable.add(() => {
+            if (this.onDialogueContinue) {
+                this.onDialogueContinue();
+            }
+        });
     }
     
     /**
@@ -231,8 +987,8 @@ export class UIManager {
     createControlsHelp() {
         const helpPanel = new BABYLON.GUI.Rectangle();
         helpPanel.name = "helpPanel";
-        helpPanel.widthInPixels = 300;
-        helpPanel.heightInPixels = 400;
+        helpPanel.widthInPixels = 340;
+        helpPanel.heightInPixels = 560;
         helpPanel.horizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_CENTER;
         helpPanel.verticalAlignment = BABYLON.GUI.Control.VERTICAL_ALIGNMENT_CENTER;
         helpPanel.cornerRadius = 10;
@@ -241,28 +997,9 @@ export class UIManager {
         helpPanel.background = "rgba(0, 0, 0, 0.9)";
         helpPanel.isVisible = false;
         
+        // Текст строится из таблицы привязок (refreshBindings), а не задается вручную
         const helpText = new BABYLON.GUI.TextBlock();
-        helpText.text = `CONTROLS:
-
-Movement:
-W, A, S, D - Move
-Space - Jump
-Shift - Run
-C - Crouch
-
-Camera:
-Mouse - Look around
-F - Toggle camera mode
-T - Toggle mouse control
-Y - Toggle far zoom
-
-Other:
-Esc - Settings
-F1 - Toggle debug
-F2 - Toggle help
-P - Set position
-G - Fly mode
-H - Hide UI`;
+        helpText.text = this.buildHelpText();
         helpText.color = "white";
         helpText.fontSize = 14;
         helpText.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_LEFT;
@@ -273,6 +1010,7 @@ H - Hide UI`;
         helpPanel.addControl(helpText);
         this.advancedTexture.addControl(helpPanel);
         this.panels.help = helpPanel;
+        this.controls.helpText = helpText;
     }
     
     /**
@@ -434,6 +1172,7 @@ H - Hide UI`;
         if (this.panels.position) {
             this.panels.position.isVisible = true;
             this.activePanel = 'position';
+            this.setInputCapture('position', true);
         }
     }
     
@@ -444,6 +1183,7 @@ H - Hide UI`;
         if (this.panels.position) {
             this.panels.position.isVisible = false;
             this.activePanel = null;
+            this.setInputCapture('position', false);
         }
     }
     
@@ -495,6 +1235,19 @@ H - Hide UI`;
             this.controls.cameraText.text = `Camera: ${gameData.cameraMode}`;
         }
         
+        // Состояние движения и выносливость
+        if (this.controls.stateText && gameData.movement) {
+            const movement = gameData.movement;
+            this.controls.stateText.text = `State: ${movement.state}`;
+            this.controls.staminaFill.width = movement.maxStamina > 0 ? movement.stamina / movement.maxStamina : 0;
+            this.controls.staminaFill.background = movement.exhausted ? "#f44336" : "#4CAF50";
+        }
+        
+        // Здоровье игрока
+        if (this.controls.healthFill && gameData.health) {
+            this.updateHealthBar(gameData.health);
+        }
+        
         // Обновляем отладочную информацию
         if (this.controls.performanceText && gameData.performance) {
             const perf = gameData.performance;
@@ -503,7 +1256,65 @@ H - Hide UI`;
         
         if (this.controls.physicsText && gameData.physics) {
             const physics = gameData.physics;
-            this.controls.physicsText.text = `Physics: ${physics.enabled ? 'Enabled' : 'Disabled'}\nBodies: ${physics.bodies || 0}`;
+            this.controls.physicsText.text = `Physics: ${physics.enabled ? 'Enabled' : 'Disabled'}\nBodies: ${physics.bodies || 0}\nEntities: ${physics.entities || 0}`;
+        }
+        
+        if (this.controls.adaptiveText && gameData.adaptive && this.panels.debug.isVisible) {
+            this.controls.adaptiveText.text = this.formatAdaptiveStatus(gameData.adaptive);
+        }
+        
+        // Подсказка объекта, на который нацелен игрок
+        this.updateInteractionPrompt(gameData.interaction || null);
+        
+        // Отслеживаемое задание и метки его целей
+        this.updateQuestTracker(gameData.quest || null);
+        this.updateWaypoints(gameData.waypoints || []);
+        
+        // Дерево поведения выбранного агента
+        if (this.controls.behaviorText && this.panels.behavior.isVisible) {
+            this.controls.behaviorText.text = gameData.behavior ? gameData.behavior.join('\n') : 'No behavior tree selected';
+        }
+    }
+    
+    /**
+     * Полоса здоровья
+     * Во время неуязвимости заливка мигает
+     * @param {Object} health - { health, maxHealth, timeSinceDamage, invulnerable }
+     */
+    updateHealthBar(health) {
+        const ratio = health.maxHealth > 0 ? Math.max(0, health.health / health.maxHealth) : 0;
+        this.controls.healthFill.width = ratio;
+        this.controls.healthFill.background = HEALTH_COLORS.find(entry => ratio >= entry.ratio).color;
+        this.controls.healthFill.alpha = health.invulnerable && Math.floor(performance.now() / 100) % 2 === 0 ? 0.4 : 1;
+        this.controls.healthText.text = `${Math.ceil(health.health)} / ${health.maxHealth}`;
+        this.controls.healthBar.color = health.timeSinceDamage < HEALTH_FLASH_TIME ? "#f44336" : "white";
+    }
+    
+    /**
+     * Текст состояния адаптивного качества
+     * @param {Object} status - PerformanceGovernor.getStatus()
+     */
+    formatAdaptiveStatus(status) {
+        const p = `p${Math.round(status.percentile * 100)}`;
+        const lines = [
+            `Adaptive: ${status.enabled ? 'On' : 'Off'} (${status.level + 1}/${status.levelCount} ${status.label})`,
+            `Budget: ${status.budget.toFixed(1)} ms`,
+            `Frame ${p}: ${status.frameTime.toFixed(1)} ms, work ${p}: ${status.workTime.toFixed(1)} ms`
+        ];
+        this.performanceEvents.forEach(event => {
+            lines.push(`${event.direction === 'down' ? '▼' : '▲'} ${event.label} (${event.frameTime.toFixed(1)} ms)`);
+        });
+        return lines.join('\n');
+    }
+    
+    /**
+     * Запись переключения адаптивного качества
+     * @param {Object} event - Событие PerformanceGovernor.onLevelChangeObservable
+     */
+    addPerformanceEvent(event) {
+        this.performanceEvents.push(event);
+        if (this.performanceEvents.length > 4) {
+            this.performanceEvents.shift();
         }
     }
     
@@ -515,6 +1326,7 @@ H - Hide UI`;
             this.panels.settings.isVisible = true;
             this.activePanel = 'settings';
             this.gameState = 'paused';
+            this.setInputCapture('settings', true);
         }
     }
     
@@ -526,6 +1338,38 @@ H - Hide UI`;
             this.panels.settings.isVisible = false;
             this.activePanel = null;
             this.gameState = 'playing';
+            this.setInputCapture('settings', false);
+        }
+    }
+    
+    /**
+     * Показать панель управления (вместо панели настроек, пауза сохраняется)
+     */
+    showControlsPanel() {
+        if (this.panels.controls) {
+            this.setInputCapture('controls', true);
+            if (this.panels.settings) {
+                this.panels.settings.isVisible = false;
+                this.setInputCapture('settings', false);
+            }
+            
+            this.refreshControlsPanel();
+            this.panels.controls.isVisible = true;
+            this.activePanel = 'controls';
+            this.gameState = 'paused';
+        }
+    }
+    
+    /**
+     * Скрыть панель управления и вернуться к настройкам
+     */
+    hideControlsPanel() {
+        if (this.panels.controls) {
+            this.cancelRebind();
+            this.panels.controls.isVisible = false;
+            this.setControlsStatus('Click a binding to change it');
+            this.showSettingsPanel();
+            this.setInputCapture('controls', false);
         }
     }
     
@@ -538,6 +1382,193 @@ H - Hide UI`;
         }
     }
     
+    /**
+     * Показать/скрыть панель дерева поведения
+     * @param {boolean} visible - Видимость панели
+     */
+    setBehaviorPanelVisible(visible) {
+        if (this.panels.behavior) {
+            this.panels.behavior.isVisible = visible;
+        }
+    }
+    
+    isBehaviorPanelVisible() {
+        return !!this.panels.behavior && this.panels.behavior.isVisible;
+    }
+    
+    /**
+     * Показать инвентарь
+     * Пока панель открыта, из игровых действий доступно только закрытие инвентаря
+     * @param {InventoryComponent} inventory - Инвентарь игрока
+     * @param {InventoryComponent} other - Открытый контейнер в мире (сундук) или null
+     */
+    showInventory(inventory, other = null) {
+        const sections = [];
+        if (inventory.equipment) {
+            sections.push({
+                title: 'Equipment',
+                container: inventory.equipment,
+                quickMove: (index) => inventory.unequip(inventory.equipment.getSlotType(index))
+            });
+        }
+        sections.push({
+            title: inventory.title,
+            container: inventory.main,
+            quickMove: (index) => other ? inventory.main.moveTo(index, other.main) : inventory.equip(index)
+        });
+        if (other) {
+            sections.push({
+                title: other.title,
+                container: other.main,
+                quickMove: (index) => other.main.moveTo(index, inventory.main)
+            });
+        }
+        
+        const wasOpen = this.inventoryPanel.isOpen();
+        this.inventoryPanel.open(sections);
+        if (!wasOpen) {
+            this.setInputCapture('inventory', true);
+            if (this.actionMap) {
+                this.actionMap.pushContext('inventory');
+            }
+        }
+    }
+    
+    /**
+     * Скрыть инвентарь
+     */
+    hideInventory() {
+        if (!this.inventoryPanel || !this.inventoryPanel.isOpen()) return;
+        
+        this.inventoryPanel.close();
+        if (this.actionMap) {
+            this.actionMap.popContext('inventory');
+        }
+        this.setInputCapture('inventory', false);
+    }
+    
+    isInventoryOpen() {
+        return !!this.inventoryPanel && this.inventoryPanel.isOpen();
+    }
+    
+    /**
+     * Показать журнал заданий
+     * Пока журнал открыт, из игровых действий доступно только его закрытие
+     * @param {QuestManager} quests - Менеджер заданий
+     * @param {ItemDatabase} itemDatabase - База предметов для описания наград
+     */
+    showJournal(quests, itemDatabase = null) {
+        if (!this.questJournal || this.questJournal.isOpen()) return;
+        
+        this.questJournal.open(quests, itemDatabase, `${this.getActionLabel('Journal')} - close`);
+        this.setInputCapture('journal', true);
+        if (this.actionMap) {
+            this.actionMap.pushContext('journal');
+        }
+    }
+    
+    /**
+     * Скрыть журнал заданий
+     */
+    hideJournal() {
+        if (!this.questJournal || !this.questJournal.isOpen()) return;
+        
+        this.questJournal.close();
+        if (this.actionMap) {
+            this.actionMap.popContext('journal');
+        }
+        this.setInputCapture('journal', false);
+    }
+    
+    isJournalOpen() {
+        return !!this.questJournal && this.questJournal.isOpen();
+    }
+    
+    /**
+     * Показ реплики разговора
+     * Пока идет разговор, из игровых действий доступны только действия диалога
+     * @param {Object} line - { name, text, choices: [текст] }
+     * @param {number} charsPerSecond - Скорость печати текста (0 - сразу)
+     */
+    showDialogue(line, charsPerSecond = 0) {
+        if (!this.dialoguePanel) return;
+        
+        if (!this.dialoguePanel.isOpen()) {
+            this.setInputCapture('dialogue', true);
+            if (this.actionMap) {
+                this.actionMap.pushContext('dialogue');
+            }
+        }
+        const confirm = this.getActionLabel('DialogueConfirm');
+        this.dialoguePanel.setHints(
+            `${confirm} - continue`,
+            `${this.getActionLabel('DialogueUp')}/${this.getActionLabel('DialogueDown')} - select, ${confirm} - choose`
+        );
+        this.dialoguePanel.show(line, charsPerSecond);
+    }
+    
+    /**
+     * Скрыть панель разговора
+     */
+    hideDialogue() {
+        if (!this.dialoguePanel || !this.dialoguePanel.isOpen()) return;
+        
+        this.dialoguePanel.close();
+        if (this.actionMap) {
+            this.actionMap.popContext('dialogue');
+        }
+        this.setInputCapture('dialogue', false);
+    }
+    
+    isDialogueOpen() {
+        return !!this.dialoguePanel && this.dialoguePanel.isOpen();
+    }
+    
+    /**
+     * Печать реплики
+     * @param {number} deltaTime - Время кадра в секундах
+     */
+    updateDialogue(deltaTime) {
+        if (this.dialoguePanel) {
+            this.dialoguePanel.update(deltaTime);
+        }
+    }
+    
+    /**
+     * Дописать реплику, если она еще печатается
+     * @returns {boolean} Печаталась ли реплика
+     */
+    completeDialogueTyping() {
+        if (!this.isDialogueOpen() || !this.dialoguePanel.isTyping()) return false;
+        
+        this.dialoguePanel.completeTyping();
+        return true;
+    }
+    
+    /**
+     * Перемещение выбора варианта ответа
+     * @param {number} delta - +1 вниз, -1 вверх
+     */
+    moveDialogueSelection(delta) {
+        if (this.isDialogueOpen()) {
+            this.dialoguePanel.moveSelection(delta);
+        }
+    }
+    
+    getDialogueSelection() {
+        return this.dialoguePanel ? this.dialoguePanel.getSelection() : 0;
+    }
+    
+    /**
+     * Установить обработчики разговора: выбор варианта щелчком и щелчок по реплике
+     * @param {Function} onChoose - (index) => void
+     * @param {Function} onContinue - () => void
+     */
+    setOnDialogueInput(onChoose, onContinue) {
+        this.onDialogueChoose = onChoose;
+        this.onDialogueContinue = onContinue;
+    }
+    
     /**
      * Переключить справку по управлению
      */
@@ -565,6 +1596,117 @@ H - Hide UI`;
         this.setVisible(!this.isVisible);
     }
     
+    /**
+     * Создание оверлея кинематографических сцен (черные полосы и подсказка пропуска)
+     */
+    createCinematicOverlay() {
+        const overlay = new BABYLON.GUI.Rectangle();
+        overlay.name = "cinematicOverlay";
+        overlay.thickness = 0;
+        overlay.isPointerBlocker = false;
+        overlay.isVisible = false;
+        
+        const barHeight = `${this.config.get('cinematics.letterbox') * 100}%`;
+        const createBar = (alignment) => {
+            const bar = new BABYLON.GUI.Rectangle();
+            bar.height = barHeight;
+            bar.thickness = 0;
+            bar.background = "black";
+            bar.verticalAlignment = alignment;
+            overlay.addControl(bar);
+            return bar;
+        };
+        createBar(BABYLON.GUI.Control.VERTICAL_ALIGNMENT_TOP);
+        const bottomBar = createBar(BABYLON.GUI.Control.VERTICAL_ALIGNMENT_BOTTOM);
+        
+        const skipHint = new BABYLON.GUI.TextBlock();
+        skipHint.color = "rgba(255, 255, 255, 0.7)";
+        skipHint.fontSize = 14;
+        skipHint.textHorizontalAlignment = BABYLON.GUI.Control.HORIZONTAL_ALIGNMENT_RIGHT;
+        skipHint.paddingRightInPixels = 20;
+        bottomBar.addControl(skipHint);
+        
+        this.advancedTexture.addControl(overlay);
+        this.panels.cinematic = overlay;
+        this.controls.skipHint = skipHint;
+    }
+    
+    /**
+     * Режим кинематографической сцены: полосы вместо HUD
+     * @param {boolean} active - Идет ли сцена
+     * @param {boolean} skippable - Можно ли ее пропустить
+     */
+    setCinematicMode(active, skippable = true) {
+        if (!this.panels.cinematic) return;
+        
+        this.panels.cinematic.isVisible = active;
+        this.panels.hud.isVisible = !active;
+        
+        if (active) {
+            const keys = this.config.get('cinematics.skipKeys').map(code => formatBinding(`key:${code}`));
+            this.controls.skipHint.text = skippable ? `${keys.join(' / ')} - Skip` : '';
+        }
+    }
+    
+    /**
+     * Создание экрана "Игра окончена"
+     */
+    createGameOverScreen() {
+        this.gameOverScreen = new GameOverScreen(this.advancedTexture);
+        this.gameOverScreen.onRespawnObservable.add(() => {
+            if (this.onGameOverRespawn) {
+                this.onGameOverRespawn();
+            }
+        });
+        this.gameOverScreen.onLoadObservable.add(() => {
+            if (this.onGameOverLoad) {
+                this.onGameOverLoad();
+            }
+        });
+    }
+    
+    /**
+     * Показ экрана "Игра окончена"
+     * Из игровых действий остается только возрождение
+     * @param {string} cause - Причина смерти
+     */
+    showGameOver(cause) {
+        if (!this.gameOverScreen || this.gameOverScreen.isOpen()) return;
+        
+        this.gameOverScreen.show(cause, `${this.getActionLabel('Respawn')} - respawn`);
+        this.setInputCapture('gameOver', true);
+        if (this.actionMap) {
+            this.actionMap.pushContext('gameOver');
+        }
+    }
+    
+    /**
+     * Скрыть экран "Игра окончена"
+     */
+    hideGameOver() {
+        if (!this.isGameOverVisible()) return;
+        
+        this.gameOverScreen.close();
+        if (this.actionMap) {
+            this.actionMap.popContext('gameOver');
+        }
+        this.setInputCapture('gameOver', false);
+    }
+    
+    isGameOverVisible() {
+        return !!this.gameOverScreen && this.gameOverScreen.isOpen();
+    }
+    
+    /**
+     * Установить обработчики кнопок экрана "Игра окончена"
+     * @param {Function} onRespawn - () => void
+     * @param {Function} onLoad - () => void
+     */
+    setOnGameOver(onRespawn, onLoad) {
+        this.onGameOverRespawn = onRespawn;
+        this.onGameOverLoad = onLoad;
+    }
+    
     /**
      * Показать уведомление
      * @param {string} message - Текст уведомления
@@ -617,6 +1759,8 @@ H - Hide UI`;
         return this.activePanel !== null || 
                (this.panels.position && this.panels.position.isVisible) ||
                (this.panels.debug && this.panels.debug.isVisible) ||
+               this.isInventoryOpen() ||
+               this.isJournalOpen() ||
                (this.panels.help && this.panels.help.isVisible);
     }
     
@@ -624,6 +1768,8 @@ H - Hide UI`;
      * Закрыть все панели
      */
     closeAllPanels() {
+        this.hideInventory();
+        this.hideJournal();
         Object.values(this.panels).forEach(panel => {
             if (panel.name !== 'hudPanel') {
                 panel.isVisible = false;
@@ -631,6 +1777,59 @@ H - Hide UI`;
         });
         this.activePanel = null;
         this.gameState = 'playing';
+        this.cancelRebind();
+        // Экран "Игра окончена" держит ввод до возрождения или загрузки
+        Array.from(this.inputCaptures)
+            .filter(owner => owner !== 'gameOver')
+            .forEach(owner => this.setInputCapture(owner, false));
+    }
+    
+    /**
+     * Подключение карты действий для перехвата ввода панелями
+     * @param {ActionMap} actionMap - Карта действий
+     */
+    setActionMap(actionMap) {
+        this.actionMap = actionMap;
+        this.refreshBindings();
+    }
+    
+    /**
+     * Подключение менеджера ввода для захвата нажатий при переназначении
+     * @param {InputManager} inputManager - Менеджер ввода
+     */
+    setInputManager(inputManager) {
+        this.inputManager = inputManager;
+    }
+    
+    /**
+     * Перехват игрового ввода панелью
+     * Пока открыта хотя бы одна такая панель, в стеке контекстов лежит блокирующий 'ui'
+     * @param {string} owner - Имя панели
+     * @param {boolean} captured - Перехватывать ввод
+     */
+    setInputCapture(owner, captured) {
+        const wasCaptured = this.inputCaptures.size > 0;
+        if (captured) {
+            this.inputCaptures.add(owner);
+        } else {
+            this.inputCaptures.delete(owner);
+        }
+        
+        const isCaptured = this.inputCaptures.size > 0;
+        if (this.actionMap && isCaptured !== wasCaptured) {
+            if (isCaptured) {
+                this.actionMap.pushContext('ui');
+            } else {
+                this.actionMap.popContext('ui');
+            }
+        }
+    }
+    
+    /**
+     * Перехвачен ли игровой ввод интерфейсом
+     */
+    isCapturingInput() {
+        return this.inputCaptures.size > 0;
     }
     
     /**
@@ -640,12 +1839,36 @@ H - Hide UI`;
         if (this.controls.mouseSensSlider) {
             this.controls.mouseSensSlider.value = this.config.get('controls.mouseSensitivity');
         }
+        if (this.controls.qualityButton) {
+            this.controls.qualityButton.textBlock.text = this.formatQuality(this.config.get('graphics.quality'));
+        }
+        if (this.controls.adaptiveButton) {
+            this.controls.adaptiveButton.textBlock.text = this.formatAdaptive(this.config.get('graphics.adaptive.enabled'));
+        }
+        if (this.controls.cameraEffectsButton) {
+            this.controls.cameraEffectsButton.textBlock.text = this.formatCameraEffects(this.config.get('camera.effects.intensity'));
+        }
+        this.refreshBindings();
     }
     
     /**
      * Освобождение ресурсов
      */
     dispose() {
+        if (this.inventoryPanel) {
+            this.inventoryPanel.dispose();
+        }
+        if (this.questJournal) {
+            this.questJournal.dispose();
+        }
+        if (this.dialoguePanel) {
+            this.dialoguePanel.dispose();
+        }
+        if (this.gameOverScreen) {
+            this.gameOverScreen.dispose();
+        }
+        this.waypointViews.forEach(view => view.node.dispose());
+        this.waypointViews = [];
         if (this.advancedTexture) {
             this.advancedTexture.dispose();
         }
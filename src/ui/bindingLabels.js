@@ -0,0 +1,154 @@
+/**
+ * Подписи привязок и действий для интерфейса
+ */
+
+// Короткие имена клавиш, для которых KeyboardEvent.code неудобен в подписи
+const KEY_NAMES = {
+    Space: 'Space',
+    ShiftLeft: 'Left Shift',
+    ShiftRight: 'Right Shift',
+    ControlLeft: 'Left Ctrl',
+    ControlRight: 'Right Ctrl',
+    AltLeft: 'Left Alt',
+    AltRight: 'Right Alt',
+    ArrowUp: 'Up',
+    ArrowDown: 'Down',
+    ArrowLeft: 'Left',
+    ArrowRight: 'Right',
+    Escape: 'Esc',
+    Backquote: '`',
+    Minus: '-',
+    Equal: '=',
+    BracketLeft: '[',
+    BracketRight: ']',
+    Semicolon: ';',
+    Quote: "'",
+    Comma: ',',
+    Period: '.',
+    Slash: '/',
+    Backslash: '\\'
+};
+
+const MOUSE_NAMES = ['Left Mouse', 'Middle Mouse', 'Right Mouse'];
+
+// Подписи действий в справке и панели управления
+const ACTION_LABELS = {
+    Jump: 'Jump / climb ledge',
+    Sprint: 'Run',
+    Crouch: 'Crouch (slide while running)',
+    Interact: 'Interact',
+    Inventory: 'Inventory',
+    Journal: 'Quest journal',
+    DialogueUp: 'Previous answer',
+    DialogueDown: 'Next answer',
+    DialogueConfirm: 'Continue / choose answer',
+    Respawn: 'Respawn after death',
+    Menu: 'Settings',
+    ToggleCamera: 'Toggle camera mode',
+    SwapShoulder: 'Swap camera shoulder',
+    ToggleMouseLock: 'Toggle mouse control',
+    FarZoom: 'Toggle far zoom',
+    ToggleFly: 'Fly mode',
+    ToggleHud: 'Hide UI',
+    PositionPanel: 'Set position',
+    DebugPanel: 'Toggle debug',
+    HelpPanel: 'Toggle help',
+    CapsuleDebug: 'Show player capsule',
+    CollisionDebug: 'Show collision geometry',
+    NavMeshDebug: 'Show navmesh and AI paths',
+    NavMeshBake: 'Rebake and export navmesh',
+    BehaviorDebug: 'Inspect next behavior tree'
+};
+
+// Подписи осей целиком (для справки)
+const AXIS_NAMES = {
+    Move: 'Move',
+    Look: 'Look around',
+    FlyVertical: 'Fly up / down'
+};
+
+// Подписи направлений осей: [ось][компонент x/y или value для одномерной][направление]
+const AXIS_LABELS = {
+    Move: {
+        x: { positive: 'Move right', negative: 'Move left' },
+        y: { positive: 'Move forward', negative: 'Move back' }
+    },
+    Look: {
+        x: { positive: 'Look right', negative: 'Look left' },
+        y: { positive: 'Look up', negative: 'Look down' }
+    },
+    FlyVertical: {
+        value: { positive: 'Fly up', negative: 'Fly down' }
+    }
+};
+
+/**
+ * Подпись привязки
+ * @param {string} binding - Привязка вида 'key:KeyW'
+ * @returns {string} Например 'W', 'Left Shift', 'Pad A'
+ */
+export function formatBinding(binding) {
+    const separator = binding.indexOf(':');
+    const device = binding.slice(0, separator);
+    const control = binding.slice(separator + 1);
+
+    switch (device) {
+        case 'key':
+            if (KEY_NAMES[control]) return KEY_NAMES[control];
+            if (/^Key[A-Z]$/.test(control)) return control.slice(3);
+            if (/^Digit\d$/.test(control)) return control.slice(5);
+            if (/^Numpad/.test(control)) return `Num ${control.slice(6)}`;
+            return control;
+        case 'mouse':
+            return MOUSE_NAMES[Number(control)] || `Mouse ${Number(control) + 1}`;
+        case 'gamepad':
+            return `Pad ${control}`;
+        case 'touch':
+            return `Touch ${control}`;
+        default:
+            return binding;
+    }
+}
+
+/**
+ * Подпись списка привязок одной группы устройств
+ * @param {string[]} bindings - Привязки
+ * @param {string[]} devices - Устройства, которые нужно показать
+ */
+export function formatBindings(bindings, devices) {
+    const labels = bindings
+        .filter(binding => devices.includes(binding.slice(0, binding.indexOf(':'))))
+        .map(formatBinding);
+    return labels.length > 0 ? labels.join(', ') : '—';
+}
+
+/**
+ * Подпись цели переназначения (действия или направления оси)
+ * @param {Object} target - Цель из ActionMap.getRebindTargets()
+ */
+export function formatTarget(target) {
+    if (!target.direction) {
+        return formatActionName(target.name);
+    }
+
+    const axis = AXIS_LABELS[target.name];
+    const component = axis && axis[target.component || 'value'];
+    if (component && component[target.direction]) {
+        return component[target.direction];
+    }
+
+    const suffix = target.component ? ` ${target.component.toUpperCase()}` : '';
+    return `${splitWords(target.name)}${suffix} ${target.direction === 'positive' ? '+' : '-'}`;
+}
+
+/**
+ * Подпись действия или оси по имени
+ * @param {string} name - Имя действия или оси
+ */
+export function formatActionName(name) {
+    return ACTION_LABELS[name] || AXIS_NAMES[name] || splitWords(name);
+}
+
+function splitWords(name) {
+    return name.replace(/([a-z])([A-Z])/g, '$1 $2');
+}
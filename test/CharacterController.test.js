@@ -0,0 +1,155 @@
+/**
+ * Тесты sweep капсулы CharacterController
+ * Аналитическое время касания сверяется с мелким пошаговым перебором,
+ * контроллер гоняется по тонким стенам на больших скоростях
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const babylon = await import('babylonjs');
+globalThis.BABYLON = babylon.default || babylon;
+
+const { closestPointsSegmentTriangle, sweepCapsuleTriangle } = await import('../src/physics/collisionMath.js');
+const { CollisionWorld } = await import('../src/physics/CollisionWorld.js');
+const { CharacterController } = await import('../src/physics/CharacterController.js');
+
+const SAMPLE_STEP = 0.001;
+
+/**
+ * Детерминированный генератор псевдослучайных чисел (LCG)
+ */
+function createRandom(seed) {
+    let state = seed;
+    return (min, max) => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return min + (state / 4294967296) * (max - min);
+    };
+}
+
+/**
+ * Первое касание перебором: капсула сдвигается по SAMPLE_STEP, пока
+ * расстояние от оси до треугольника не станет меньше радиуса
+ * @returns {number} Дистанция до касания или -1
+ */
+function sampleCapsuleTriangle(p, q, direction, radius, a, b, c, length) {
+    const bottom = new BABYLON.Vector3();
+    const top = new BABYLON.Vector3();
+    const onSegment = new BABYLON.Vector3();
+    const onTriangle = new BABYLON.Vector3();
+
+    for (let traveled = 0; traveled <= length; traveled += SAMPLE_STEP) {
+        p.addToRef(direction.scale(traveled), bottom);
+        q.addToRef(direction.scale(traveled), top);
+        const distSq = closestPointsSegmentTriangle(bottom, top, a, b, c, onSegment, onTriangle);
+        if (distSq <= radius * radius) {
+            return traveled;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Мир коллизий из мешей сцены NullEngine
+ */
+function createWorld(build) {
+    const scene = new BABYLON.Scene(new BABYLON.NullEngine());
+    const world = new CollisionWorld(4);
+    build(scene).forEach(mesh => world.addStaticMesh(mesh));
+    return world;
+}
+
+function createController(world) {
+    return new CharacterController(world, {
+        radius: 0.5, height: 1.8, skinWidth: 0.02, stepHeight: 0.3, groundSnapDistance: 0.3
+    });
+}
+
+test('analytic capsule sweep matches sampled time of impact', () => {
+    const random = createRandom(12345);
+    const randomVector = (range) => new BABYLON.Vector3(random(-range, range), random(-range, range), random(-range, range));
+    let hits = 0;
+
+    for (let i = 0; i < 150; i++) {
+        const a = randomVector(2);
+        const b = randomVector(2);
+        const c = randomVector(2);
+        const p = randomVector(2).addInPlace(new BABYLON.Vector3(0, 0, -6));
+        const q = p.add(randomVector(1));
+        const radius = random(0.1, 0.6);
+        const direction = new BABYLON.Vector3(random(-0.5, 0.5), random(-0.5, 0.5), 1).normalize();
+        const length = 10;
+
+        const sampled = sampleCapsuleTriangle(p, q, direction, radius, a, b, c, length);
+        // Случаи, где капсула уже касается треугольника в начале, sweep не покрывает
+        if (sampled === 0) continue;
+
+        const analytic = sweepCapsuleTriangle(p, q, direction, radius, a, b, c);
+        if (sampled < 0) {
+            assert.ok(analytic < 0 || analytic > length - SAMPLE_STEP, `case ${i}: unexpected hit at ${analytic}`);
+            continue;
+        }
+
+        hits++;
+        assert.ok(Math.abs(analytic - sampled) <= SAMPLE_STEP * 1.5, `case ${i}: analytic ${analytic}, sampled ${sampled}`);
+    }
+
+    assert.ok(hits > 20, `too few hits to be meaningful: ${hits}`);
+});
+
+test('fast move does not tunnel through a thin wall', () => {
+    const world = createWorld((scene) => {
+        const wall = BABYLON.MeshBuilder.CreateBox('wall', { width: 0.05, height: 4, depth: 20 }, scene);
+        wall.position.set(3, 2, 0);
+        return [wall];
+    });
+    const controller = createController(world);
+    controller.setPosition(new BABYLON.Vector3(0, 1.5, 0));
+
+    controller.move(new BABYLON.Vector3(50, 0, 0), { snapToGround: false });
+
+    assert.ok(controller.position.x < 3 - 0.025 - 0.5 + 1e-3, `capsule passed the wall: x = ${controller.position.x}`);
+    assert.ok(controller.position.x > 2, `capsule stopped early: x = ${controller.position.x}`);
+});
+
+test('grazing move slides along a thin wall instead of crossing it', () => {
+    const world = createWorld((scene) => {
+        const wall = BABYLON.MeshBuilder.CreateBox('wall', { width: 40, height: 4, depth: 0.05 }, scene);
+        wall.position.set(0, 2, 1);
+        return [wall];
+    });
+    const controller = createController(world);
+
+    for (const angle of [1, 2, 5, 10, 30]) {
+        const radians = BABYLON.Tools.ToRadians(angle);
+        controller.setPosition(new BABYLON.Vector3(-15, 1.5, 0));
+        controller.move(new BABYLON.Vector3(Math.cos(radians) * 30, 0, Math.sin(radians) * 30), { snapToGround: false });
+
+        assert.ok(controller.position.z < 1 - 0.025 - 0.5 + 1e-3, `${angle}°: capsule crossed the wall: z = ${controller.position.z}`);
+    }
+});
+
+test('walking onto a step is not blocked by the diagonal edge of its top', () => {
+    const world = createWorld((scene) => {
+        const ground = BABYLON.MeshBuilder.CreateGround('ground', { width: 50, height: 50 }, scene);
+        const step = BABYLON.MeshBuilder.CreateBox('step', { width: 4, height: 0.25, depth: 4 }, scene);
+        step.position.set(5, 0.125, 0);
+        return [ground, step];
+    });
+    // Размеры капсулы игрока: на них капсула замирала у диагонали верха ступеньки
+    const controller = new CharacterController(world, {
+        radius: 0.567, height: 1.361, skinWidth: 0.02, stepHeight: 0.3, groundSnapDistance: 0.4
+    });
+    controller.setPosition(new BABYLON.Vector3(0, 0.7, 0));
+
+    let grounded = false;
+    let verticalVelocity = 0;
+    for (let i = 0; i < 120; i++) {
+        if (!grounded) verticalVelocity -= 98 / 60;
+        grounded = controller.move(new BABYLON.Vector3(3 / 60, verticalVelocity / 60, 0)).isGrounded;
+        if (grounded) verticalVelocity = 0;
+    }
+
+    // Капсула поднялась на ступеньку и прошла ее диагональное ребро
+    assert.ok(controller.position.x > 5.5, `capsule got stuck at x = ${controller.position.x}`);
+    assert.ok(controller.position.y > 0.25 + 0.6805 - 0.01, `capsule is not on the step: y = ${controller.position.y}`);
+});
@@ -0,0 +1,192 @@
+/**
+ * Тесты геймпада InputManager
+ * Gamepad API подменяется: navigator.getGamepads возвращает заданный список,
+ * события подключения отправляются в заглушку window
+ */
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.window = new EventTarget();
+globalThis.document = new EventTarget();
+
+let gamepads = [];
+Object.defineProperty(globalThis, 'navigator', {
+    value: { getGamepads: () => gamepads },
+    configurable: true
+});
+
+const { InputManager } = await import('../src/core/InputManager.js');
+
+const DEADZONE = 0.1;
+
+function createConfig() {
+    const values = {
+        'controls.mouseSensitivity': 1,
+        'controls.invertY': false,
+        'controls.gamepadEnabled': true,
+        'controls.gamepadDeadzone': DEADZONE
+    };
+    return { get: key => values[key] };
+}
+
+/**
+ * Геймпад стандартной раскладки: 17 кнопок, 4 оси
+ */
+function createGamepad(index, options = {}) {
+    const buttons = Array.from({ length: 17 }, () => ({ pressed: false, value: 0 }));
+    Object.entries(options.buttons || {}).forEach(([button, value]) => {
+        buttons[button] = { pressed: value > 0.5, value };
+    });
+    return {
+        id: options.id || `Pad ${index}`,
+        index,
+        connected: true,
+        mapping: options.mapping === undefined ? 'standard' : options.mapping,
+        buttons,
+        axes: options.axes || [0, 0, 0, 0]
+    };
+}
+
+function dispatchGamepadEvent(type, gamepad) {
+    const event = new Event(type);
+    event.gamepad = gamepad;
+    window.dispatchEvent(event);
+}
+
+let input;
+
+beforeEach(() => {
+    gamepads = [];
+    input = new InputManager(new EventTarget(), createConfig());
+});
+
+test('connect and disconnect events select and release the active gamepad', () => {
+    const changes = [];
+    input.setOnGamepadChange((connected, gamepad) => changes.push([connected, gamepad.index]));
+
+    const pad = createGamepad(0);
+    gamepads = [pad];
+    dispatchGamepadEvent('gamepadconnected', pad);
+    input.update();
+    assert.equal(input.isGamepadConnected(), true);
+    assert.equal(input.gamepadState.id, 'Pad 0');
+
+    pad.connected = false;
+    gamepads = [];
+    dispatchGamepadEvent('gamepaddisconnected', pad);
+    input.update();
+    assert.equal(input.isGamepadConnected(), false);
+    assert.equal(input.getBindingValue('gamepad', 'A'), 0);
+    assert.deepEqual(changes, [[true, 0], [false, 0]]);
+});
+
+test('polling picks up a gamepad connected before the manager was created', () => {
+    gamepads = [null, createGamepad(1, { mapping: '' }), createGamepad(2)];
+    input.update();
+
+    // Предпочтение отдается стандартной раскладке
+    assert.equal(input.isGamepadConnected(), true);
+    assert.equal(input.gamepadIndex, 2);
+});
+
+test('other gamepads disconnecting keep the active one', () => {
+    const first = createGamepad(0);
+    const second = createGamepad(1);
+    gamepads = [first, second];
+    dispatchGamepadEvent('gamepadconnected', first);
+    dispatchGamepadEvent('gamepadconnected', second);
+
+    gamepads = [first];
+    dispatchGamepadEvent('gamepaddisconnected', second);
+    input.update();
+    assert.equal(input.gamepadIndex, 0);
+    assert.equal(input.isGamepadConnected(), true);
+});
+
+test('radial deadzone zeroes small deflections and rescales the rest', () => {
+    assert.deepEqual(input.applyRadialDeadzone(0.05, 0.05), [0, 0]);
+    assert.deepEqual(input.applyRadialDeadzone(DEADZONE, 0), [0, 0]);
+
+    // Сразу за границей зоны значение начинается с нуля, а полный наклон дает 1
+    const [justOutside] = input.applyRadialDeadzone(DEADZONE + 0.01, 0);
+    assert.ok(justOutside > 0 && justOutside < 0.02);
+    assert.deepEqual(input.applyRadialDeadzone(1, 0), [1, 0]);
+
+    // Диагональ сохраняет направление и не превышает единичной длины
+    const [x, y] = input.applyRadialDeadzone(0.9, 0.9);
+    assert.ok(Math.abs(x - y) < 1e-9);
+    assert.ok(Math.abs(Math.hypot(x, y) - 1) < 1e-9);
+
+    // Покомпонентная зона обнулила бы X; радиальная его сохраняет
+    const [smallX] = input.applyRadialDeadzone(0.08, 0.6);
+    assert.ok(smallX > 0);
+});
+
+test('stick axes pass through the deadzone and Y points up', () => {
+    gamepads = [createGamepad(0, { axes: [0.05, 0.03, 0, -1] })];
+    input.update();
+
+    assert.equal(input.getBindingValue('gamepad', 'LeftStickX'), 0);
+    assert.equal(input.getBindingValue('gamepad', 'LeftStickY'), 0);
+    assert.equal(input.getBindingValue('gamepad', 'RightStickX'), 0);
+    assert.equal(input.getBindingValue('gamepad', 'RightStickY'), 1);
+
+    gamepads = [createGamepad(0, { axes: [0.5, 0, 0, 0] })];
+    input.update();
+    assert.ok(Math.abs(input.getBindingValue('gamepad', 'LeftStickX') - (0.5 - DEADZONE) / (1 - DEADZONE)) < 1e-9);
+});
+
+test('standard mapping names buttons and keeps analog trigger values', () => {
+    // 0 - A, 6 - LT, 7 - RT, 12 - DPadUp
+    gamepads = [createGamepad(0, { buttons: { 0: 1, 6: 0.35, 7: 1, 12: 1 } })];
+    input.update();
+
+    assert.equal(input.getBindingValue('gamepad', 'A'), 1);
+    assert.equal(input.getBindingValue('gamepad', 'LT'), 0.35);
+    assert.equal(input.getBindingValue('gamepad', 'RT'), 1);
+    assert.equal(input.getBindingValue('gamepad', 'DPadUp'), 1);
+    assert.equal(input.getBindingValue('gamepad', 'B'), 0);
+});
+
+test('buttons reported as plain numbers and pressed flags without value', () => {
+    const pad = createGamepad(0);
+    pad.buttons[1] = 1;
+    pad.buttons[3] = { pressed: true, value: 0 };
+    gamepads = [pad];
+    input.update();
+
+    assert.equal(input.getBindingValue('gamepad', 'B'), 1);
+    assert.equal(input.getBindingValue('gamepad', 'Y'), 1);
+});
+
+test('disabled gamepad input reports nothing', () => {
+    gamepads = [createGamepad(0, { buttons: { 0: 1 } })];
+    input.gamepadEnabled = false;
+    input.update();
+
+    assert.equal(input.getBindingValue('gamepad', 'A'), 0);
+    assert.equal(input.isGamepadConnected(), false);
+});
+
+test('binding capture takes a new press and suppresses it until release', () => {
+    const pad = createGamepad(0, { buttons: { 0: 1 } });
+    gamepads = [pad];
+    input.update();
+
+    const captured = [];
+    input.captureNextBinding(binding => captured.push(binding));
+    // Удерживаемая A не считается новым нажатием
+    input.update();
+    assert.deepEqual(captured, []);
+
+    pad.buttons[2] = { pressed: true, value: 1 };
+    input.update();
+    assert.deepEqual(captured, ['gamepad:X']);
+    assert.equal(input.getBindingValue('gamepad', 'X'), 0);
+
+    pad.buttons[2] = { pressed: false, value: 0 };
+    input.update();
+    pad.buttons[2] = { pressed: true, value: 1 };
+    input.update();
+    assert.equal(input.getBindingValue('gamepad', 'X'), 1);
+});
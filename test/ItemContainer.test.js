@@ -0,0 +1,190 @@
+/**
+ * Тесты ItemContainer
+ * Стопки, ограничение веса, ячейки экипировки, перенос между контейнерами
+ * и сохранение - на небольшой базе предметов ItemDatabase
+ */
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+const babylon = await import('babylonjs');
+globalThis.BABYLON = babylon.default || babylon;
+
+const { ItemDatabase } = await import('../src/inventory/ItemDatabase.js');
+const { ItemContainer } = await import('../src/inventory/ItemContainer.js');
+
+let database;
+
+beforeEach(() => {
+    database = new ItemDatabase({
+        items: [
+            { id: 'arrow', stackSize: 20, weight: 0.1 },
+            { id: 'potion', stackSize: 5, weight: 0.5 },
+            { id: 'stone', stackSize: 10, weight: 2 },
+            { id: 'sword', weight: 3, equipSlot: 'weapon' },
+            { id: 'axe', weight: 4, equipSlot: 'weapon' },
+            { id: 'helmet', weight: 1, equipSlot: 'head' }
+        ]
+    });
+});
+
+/**
+ * Содержимое ячеек в виде [id, count] для сравнения
+ */
+function contents(container) {
+    return container.serialize().slots;
+}
+
+/**
+ * Подсчет уведомлений onChangeObservable
+ */
+function countChanges(container) {
+    const changes = { count: 0 };
+    container.onChangeObservable.add(() => changes.count++);
+    return changes;
+}
+
+test('add fills partial stacks before empty slots', () => {
+    const container = new ItemContainer(database, { slots: 4 });
+    assert.equal(container.add('arrow', 12), 0);
+    assert.equal(container.add('potion', 2), 0);
+
+    assert.equal(container.add('arrow', 30), 0);
+    assert.deepEqual(contents(container), [['arrow', 20], ['potion', 2], ['arrow', 20], ['arrow', 2]]);
+    assert.equal(container.count('arrow'), 42);
+    assert.ok(container.has('arrow', 42));
+    assert.ok(!container.has('arrow', 43));
+});
+
+test('add returns what did not fit and notifies only on change', () => {
+    const container = new ItemContainer(database, { slots: 2 });
+    const changes = countChanges(container);
+
+    assert.equal(container.add('potion', 12), 2);
+    assert.equal(changes.count, 1);
+    assert.equal(container.add('potion', 1), 1);
+    assert.equal(changes.count, 1);
+
+    mock.method(console, 'warn', () => {});
+    assert.equal(container.add('unknown', 3), 3);
+    mock.restoreAll();
+});
+
+test('weight limit caps how many items are added', () => {
+    const container = new ItemContainer(database, { slots: 10, maxWeight: 9 });
+    assert.equal(container.add('stone', 6), 2);
+    assert.equal(container.getWeight(), 8);
+    assert.equal(container.getWeightCapacity('potion'), 2);
+    // Невесомые предметы вес не ограничивает
+    database.register({ id: 'feather', stackSize: 99 });
+    assert.equal(container.getWeightCapacity('feather'), Infinity);
+});
+
+test('remove takes from the last slots first', () => {
+    const container = new ItemContainer(database, { slots: 3 });
+    container.add('potion', 12);
+
+    assert.equal(container.remove('potion', 4), 4);
+    assert.deepEqual(contents(container), [['potion', 5], ['potion', 3], null]);
+    assert.equal(container.remove('potion', 20), 8);
+    assert.deepEqual(contents(container), [null, null, null]);
+});
+
+test('equipment slots accept only their item type, one at a time', () => {
+    const equipment = new ItemContainer(database, { name: 'equipment', slotTypes: ['head', 'weapon'] });
+    assert.equal(equipment.getSize(), 2);
+    assert.ok(equipment.accepts(1, 'sword'));
+    assert.ok(!equipment.accepts(0, 'sword'));
+    assert.ok(!equipment.accepts(0, 'potion'));
+
+    assert.equal(equipment.add('sword', 2), 1);
+    assert.deepEqual(contents(equipment), [null, ['sword', 1]]);
+});
+
+test('transfer merges equal stacks and swaps different ones', () => {
+    const container = new ItemContainer(database, { slots: 3 });
+    container.slots[0] = { id: 'arrow', count: 15 };
+    container.slots[1] = { id: 'arrow', count: 10 };
+    container.slots[2] = { id: 'potion', count: 3 };
+
+    assert.ok(container.transfer(0, container, 1));
+    assert.deepEqual(contents(container), [['arrow', 5], ['arrow', 20], ['potion', 3]]);
+
+    assert.ok(container.transfer(2, container, 0));
+    assert.deepEqual(contents(container), [['potion', 3], ['arrow', 20], ['arrow', 5]]);
+
+    // Часть стопки на чужую стопку не меняется
+    assert.ok(!container.transfer(0, container, 1, 1));
+    assert.ok(!container.transfer(0, container, 0));
+});
+
+test('split halves a stack into the first empty slot', () => {
+    const container = new ItemContainer(database, { slots: 3 });
+    container.add('arrow', 9);
+    container.slots[1] = { id: 'potion', count: 1 };
+
+    assert.ok(container.split(0));
+    assert.deepEqual(contents(container), [['arrow', 5], ['potion', 1], ['arrow', 4]]);
+    assert.ok(!container.split(1));
+    assert.ok(!container.split(0));
+});
+
+test('transfer between containers respects the target weight', () => {
+    const bag = new ItemContainer(database, { slots: 3 });
+    const chest = new ItemContainer(database, { slots: 3, maxWeight: 5 });
+    bag.add('stone', 4);
+    const bagChanges = countChanges(bag);
+    const chestChanges = countChanges(chest);
+
+    assert.ok(bag.transfer(0, chest, 0));
+    assert.deepEqual(contents(bag), [['stone', 2], null, null]);
+    assert.deepEqual(contents(chest), [['stone', 2], null, null]);
+    assert.equal(bagChanges.count, 1);
+    assert.equal(chestChanges.count, 1);
+
+    assert.ok(!bag.transfer(0, chest, 1));
+});
+
+test('swap into equipment requires both stacks to fit the other slot', () => {
+    const bag = new ItemContainer(database, { slots: 2 });
+    const equipment = new ItemContainer(database, { slotTypes: ['head', 'weapon'] });
+    bag.add('sword');
+    bag.add('potion', 2);
+    equipment.add('axe');
+
+    assert.ok(bag.transfer(0, equipment, 1));
+    assert.deepEqual(contents(bag), [['axe', 1], ['potion', 2]]);
+    assert.deepEqual(contents(equipment), [null, ['sword', 1]]);
+    assert.ok(!equipment.transfer(1, bag, 1));
+});
+
+test('moveTo moves a stack across free places of the target', () => {
+    const bag = new ItemContainer(database, { slots: 1 });
+    const chest = new ItemContainer(database, { slots: 3 });
+    chest.slots[0] = { id: 'potion', count: 4 };
+    chest.slots[1] = { id: 'stone', count: 1 };
+    bag.slots[0] = { id: 'potion', count: 5 };
+
+    assert.ok(bag.moveTo(0, chest));
+    assert.deepEqual(contents(bag), [null]);
+    assert.deepEqual(contents(chest), [['potion', 5], ['stone', 1], ['potion', 4]]);
+
+    chest.slots[2].count = 5;
+    bag.slots[0] = { id: 'potion', count: 5 };
+    assert.ok(!bag.moveTo(0, chest));
+    assert.deepEqual(contents(bag), [['potion', 5]]);
+});
+
+test('deserialize restores slots, clamps stacks and skips unknown items', () => {
+    const container = new ItemContainer(database, { name: 'bag', slots: 3 });
+    container.add('arrow', 7);
+    const saved = JSON.parse(JSON.stringify(container.serialize()));
+
+    const restored = new ItemContainer(database, { name: 'bag', slots: 3 });
+    restored.deserialize(saved);
+    assert.deepEqual(contents(restored), [['arrow', 7], null, null]);
+
+    mock.method(console, 'warn', () => {});
+    restored.deserialize({ slots: [['potion', 50], ['removed', 1], null, ['arrow', 1]] });
+    mock.restoreAll();
+    assert.deepEqual(contents(restored), [['potion', 5], null, null]);
+});
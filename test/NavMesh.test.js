@@ -0,0 +1,143 @@
+/**
+ * Тесты NavMesh: поиск полигонов, A* по графу полигонов и выпрямление пути
+ * Сетка собирается вручную, чтобы точки поворота были известны точно;
+ * последний тест проверяет путь по сетке, запеченной NavMeshBaker
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const babylon = await import('babylonjs');
+globalThis.BABYLON = babylon.default || babylon;
+
+const { NavMesh } = await import('../src/navigation/NavMesh.js');
+const { NavMeshBaker, NAVMESH_VERSION } = await import('../src/navigation/NavMeshBaker.js');
+const { CollisionWorld } = await import('../src/physics/CollisionWorld.js');
+
+/**
+ * Прямоугольный полигон постоянной высоты
+ */
+function createPolygon(x, z, w, d, height, links) {
+    return { x, z, w, d, heights: new Array(w * d).fill(height), links };
+}
+
+/**
+ * Сетка 14x10 ячеек размером 1: П-образный проход вокруг стены
+ * (0 - левый столбец, 1 - перемычка сверху, 2 - правый столбец),
+ * отдельный островок 3 и второй этаж 4 над нижней частью столбца 0
+ *
+ *   z=10 +---+-------+---+
+ *        | 0 |   1   | 2 |
+ *   z=7  |   +-------+   |
+ *        |   | стена |   |   +---+
+ *        |   |       |   |   | 3 |
+ *   z=0  +---+       +---+   +---+
+ *        x=0 3       7  10  12  14
+ */
+function createCorridorMesh() {
+    return new NavMesh({
+        version: NAVMESH_VERSION,
+        cellSize: 1,
+        origin: [0, 0],
+        size: [14, 10],
+        agent: { radius: 0.5, height: 2, maxClimb: 0.5, maxSlope: 45 },
+        polygons: [
+            createPolygon(0, 0, 3, 10, 0, [{ poly: 1, dir: 0, from: 7, to: 9 }]),
+            createPolygon(3, 7, 4, 3, 0, [{ poly: 0, dir: 1, from: 0, to: 2 }, { poly: 2, dir: 0, from: 0, to: 2 }]),
+            createPolygon(7, 0, 3, 10, 0, [{ poly: 1, dir: 1, from: 7, to: 9 }]),
+            createPolygon(12, 0, 2, 2, 0, []),
+            createPolygon(0, 0, 3, 3, 3, [])
+        ]
+    });
+}
+
+function toArrays(points) {
+    return points.map(point => [point.x, point.y, point.z]);
+}
+
+test('unsupported data is rejected', () => {
+    assert.throws(() => new NavMesh({ version: NAVMESH_VERSION + 1, polygons: [] }), /Unsupported navmesh data/);
+    assert.throws(() => new NavMesh(null), /Unsupported navmesh data/);
+});
+
+test('point lookup picks the floor closest in height', () => {
+    const navMesh = createCorridorMesh();
+    assert.equal(navMesh.findPolygonAt(new BABYLON.Vector3(1.5, 0.1, 1.5)), 0);
+    assert.equal(navMesh.findPolygonAt(new BABYLON.Vector3(1.5, 2.9, 1.5)), 4);
+    assert.equal(navMesh.findPolygonAt(new BABYLON.Vector3(5, 0, 3)), -1);
+    assert.equal(navMesh.findPolygonAt(new BABYLON.Vector3(1.5, 10, 5), 2), -1);
+});
+
+test('nearest point snaps an off-mesh position to the closest cell', () => {
+    const navMesh = createCorridorMesh();
+    const nearest = navMesh.findNearestPoint(new BABYLON.Vector3(5.2, 0, 3.2), 4);
+    assert.equal(nearest.polygon, 2);
+    assert.deepEqual(toArrays([nearest.point]), [[7.5, 0, 3.5]]);
+    assert.equal(navMesh.findNearestPoint(new BABYLON.Vector3(5, 0, 3), 1), null);
+});
+
+test('path inside one polygon is a straight line to the goal', () => {
+    const navMesh = createCorridorMesh();
+    const path = navMesh.findPath(new BABYLON.Vector3(1.5, 0, 4), new BABYLON.Vector3(1, 0, 9));
+    assert.equal(path.complete, true);
+    assert.deepEqual(path.polygons, [0]);
+    assert.deepEqual(toArrays(path.points), [[1, 0, 9]]);
+});
+
+test('path around the wall turns at the wall corners', () => {
+    const navMesh = createCorridorMesh();
+    const path = navMesh.findPath(new BABYLON.Vector3(1.5, 0, 1.5), new BABYLON.Vector3(8.5, 0, 1.5));
+    assert.equal(path.complete, true);
+    assert.deepEqual(path.polygons, [0, 1, 2]);
+    assert.deepEqual(toArrays(path.points), [[3, 0, 7], [7, 0, 7], [8.5, 0, 1.5]]);
+});
+
+test('funnel keeps a straight line when the portals allow it', () => {
+    const navMesh = createCorridorMesh();
+    const path = navMesh.findPath(new BABYLON.Vector3(1.5, 0, 8.5), new BABYLON.Vector3(8.5, 0, 8.5));
+    assert.deepEqual(path.polygons, [0, 1, 2]);
+    assert.deepEqual(toArrays(path.points), [[8.5, 0, 8.5]]);
+});
+
+test('unreachable goal leads to the polygon closest to it', () => {
+    const navMesh = createCorridorMesh();
+    const path = navMesh.findPath(new BABYLON.Vector3(1.5, 0, 1.5), new BABYLON.Vector3(13, 0, 1));
+    assert.equal(path.complete, false);
+    assert.deepEqual(path.polygons, [0, 1, 2]);
+    assert.deepEqual(toArrays(path.points), [[3, 0, 7], [7, 0, 7], [8.5, 0, 5]]);
+});
+
+test('start or goal far from the mesh gives no path', () => {
+    const navMesh = createCorridorMesh();
+    assert.equal(navMesh.findPath(new BABYLON.Vector3(-20, 0, 0), new BABYLON.Vector3(1, 0, 1)), null);
+});
+
+test('walkability follows the mesh surface', () => {
+    const navMesh = createCorridorMesh();
+    assert.ok(navMesh.isWalkable(new BABYLON.Vector3(1.5, 0, 1.5), new BABYLON.Vector3(1.5, 0, 9)));
+    assert.ok(navMesh.isWalkable(new BABYLON.Vector3(1.5, 0, 8.5), new BABYLON.Vector3(8.5, 0, 8.5)));
+    assert.ok(!navMesh.isWalkable(new BABYLON.Vector3(1.5, 0, 1.5), new BABYLON.Vector3(8.5, 0, 1.5)));
+});
+
+test('path on a baked mesh goes around a wall and stays walkable', () => {
+    const scene = new BABYLON.Scene(new BABYLON.NullEngine());
+    const ground = BABYLON.MeshBuilder.CreateGround('ground', { width: 20, height: 20 }, scene);
+    const wall = BABYLON.MeshBuilder.CreateBox('wall', { width: 1, height: 3, depth: 14 }, scene);
+    wall.position.set(0, 1.5, -3);
+    const world = new CollisionWorld(4);
+    [ground, wall].forEach(mesh => world.addStaticMesh(mesh));
+
+    const baker = new NavMeshBaker({
+        cellSize: 0.5, agentRadius: 0.5, agentHeight: 2, maxClimb: 0.5, maxSlope: 45, maxPolygonSize: 16
+    });
+    const navMesh = new NavMesh(JSON.parse(JSON.stringify(baker.bake(world))));
+
+    const start = new BABYLON.Vector3(-5, 0, -5);
+    const path = navMesh.findPath(start, new BABYLON.Vector3(5, 0, -5));
+    assert.equal(path.complete, true);
+    // Стена тянется до z = 4: путь огибает ее конец
+    assert.ok(path.points.some(point => point.z > 4), 'path does not go around the wall');
+    path.points.reduce((from, to) => {
+        assert.ok(navMesh.isWalkable(from, to), `segment ${from} -> ${to} leaves the mesh`);
+        return to;
+    }, start);
+});
@@ -0,0 +1,217 @@
+/**
+ * Тесты QuestManager
+ * Задания продвигаются событиями настоящей шины EventBus; инвентарь для
+ * целей collect подменяется объектом с методом count
+ */
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const babylon = await import('babylonjs');
+globalThis.BABYLON = babylon.default || babylon;
+
+const { EventBus } = await import('../src/core/EventBus.js');
+const { QuestManager } = await import('../src/quests/QuestManager.js');
+
+/**
+ * Инвентарь с заданным количеством предметов
+ */
+function createInventory(counts) {
+    return { count: item => counts[item] || 0 };
+}
+
+function createDefinition() {
+    return {
+        quests: [
+            {
+                id: 'hunt',
+                title: 'Hunt',
+                autoStart: true,
+                stages: [
+                    {
+                        objectives: [
+                            { type: 'kill', target: 'wolf', count: 2 },
+                            { type: 'talk', target: 'Hermit', optional: true }
+                        ]
+                    },
+                    { objectives: [{ type: 'talk', target: 'Elder' }] }
+                ],
+                rewards: { items: [{ id: 'gold', count: 10 }], flags: { huntDone: true } }
+            },
+            {
+                id: 'gather',
+                autoStart: true,
+                prerequisites: ['hunt'],
+                stages: [{ objectives: [{ type: 'collect', item: 'herb', count: 3 }] }]
+            },
+            {
+                id: 'travel',
+                stages: [{ objectives: [{ type: 'reach', location: [10, 0, 0], radius: 2 }] }]
+            }
+        ]
+    };
+}
+
+/**
+ * Запись событий заданий в порядке отправки
+ */
+function recordQuestEvents(events) {
+    const log = [];
+    ['quest:started', 'quest:progress', 'quest:stageCompleted', 'quest:completed'].forEach((type) => {
+        events.on(type, data => log.push({ type, id: data.quest.id, data }));
+    });
+    return log;
+}
+
+let events;
+let quests;
+
+beforeEach(() => {
+    events = new EventBus();
+    quests = new QuestManager(events, createDefinition());
+});
+
+test('invalid definitions are rejected', () => {
+    assert.throws(() => quests.register({ stages: [{}] }), /no id/);
+    assert.throws(() => quests.register({ id: 'hunt', stages: [{}] }), /Duplicate quest id 'hunt'/);
+    assert.throws(() => quests.register({ id: 'empty', stages: [] }), /has no stages/);
+    assert.throws(
+        () => quests.register({ id: 'odd', stages: [{ objectives: [{ type: 'dance' }] }] }),
+        /unknown objective type 'dance'/
+    );
+});
+
+test('objectives get ids, counts, descriptions and waypoints', () => {
+    const [kill, talk] = quests.get('hunt').stages[0].objectives;
+    assert.equal(kill.id, 'kill0');
+    assert.equal(kill.count, 2);
+    assert.equal(kill.description, 'Defeat wolf');
+    assert.equal(kill.waypoint, 'wolf');
+    assert.equal(talk.optional, true);
+
+    const reach = quests.get('travel').stages[0].objectives[0];
+    assert.equal(reach.count, 1);
+    assert.deepEqual(reach.waypoint, [10, 0, 0]);
+});
+
+test('only auto-start quests with completed prerequisites start', () => {
+    quests.startAvailable();
+    assert.equal(quests.getStatus('hunt'), 'active');
+    assert.equal(quests.getStatus('gather'), 'inactive');
+    assert.equal(quests.getStatus('travel'), 'inactive');
+    assert.equal(quests.start('gather'), false);
+    assert.equal(quests.start('hunt'), false);
+});
+
+test('events advance stages and completion unlocks the next quest', () => {
+    const log = recordQuestEvents(events);
+    quests.startAvailable();
+
+    events.emit('entity:killed', { id: 'wolf_1', tags: ['wolf'] });
+    events.emit('entity:killed', { id: 'bear', tags: ['bear'] });
+    assert.equal(quests.getState('hunt').progress.kill0, 1);
+
+    // Необязательная цель этап не держит
+    events.emit('entity:killed', { id: 'wolf_2', tags: ['wolf'] });
+    assert.equal(quests.getState('hunt').stage, 1);
+
+    events.emit('interact', { type: 'talk', id: 'Elder' });
+    assert.equal(quests.getStatus('hunt'), 'completed');
+    assert.equal(quests.getStatus('gather'), 'active');
+
+    assert.deepEqual(log.map(entry => `${entry.type} ${entry.id}`), [
+        'quest:started hunt',
+        'quest:progress hunt',
+        'quest:progress hunt',
+        'quest:stageCompleted hunt',
+        'quest:progress hunt',
+        'quest:stageCompleted hunt',
+        'quest:completed hunt',
+        'quest:started gather'
+    ]);
+    const completed = log.find(entry => entry.type === 'quest:completed');
+    assert.deepEqual(completed.data.rewards.flags, { huntDone: true });
+});
+
+test('collect objective counts items that were picked up before the stage', () => {
+    quests.startAvailable();
+    events.emit('inventory:changed', { inventory: createInventory({ herb: 3 }) });
+    assert.equal(quests.getStatus('gather'), 'inactive');
+
+    quests.complete('hunt');
+    assert.equal(quests.getStatus('gather'), 'completed');
+});
+
+test('collect progress follows the inventory count and is capped', () => {
+    quests.startAvailable();
+    quests.complete('hunt');
+    assert.equal(quests.getStatus('gather'), 'active');
+
+    events.emit('inventory:changed', { inventory: createInventory({ herb: 2 }) });
+    assert.equal(quests.getObjectives('gather')[0].progress, 2);
+
+    events.emit('inventory:changed', { inventory: createInventory({ herb: 7 }) });
+    assert.equal(quests.getStatus('gather'), 'completed');
+});
+
+test('reach objective completes inside the radius', () => {
+    quests.start('travel');
+    events.emit('player:position', { position: new BABYLON.Vector3(5, 0, 0) });
+    assert.equal(quests.getStatus('travel'), 'active');
+
+    events.emit('player:position', { position: new BABYLON.Vector3(9, 0, 1) });
+    assert.equal(quests.getStatus('travel'), 'completed');
+});
+
+test('tracking moves to the next active quest and waypoints skip finished objectives', () => {
+    quests.startAvailable();
+    quests.start('travel');
+    assert.equal(quests.getTracked().id, 'hunt');
+    assert.deepEqual(quests.getWaypoints().map(waypoint => waypoint.target), ['wolf', 'Hermit']);
+
+    events.emit('interact', { type: 'talk', id: 'Hermit' });
+    assert.deepEqual(quests.getWaypoints().map(waypoint => waypoint.target), ['wolf']);
+
+    quests.track('travel');
+    assert.equal(quests.getTracked().id, 'travel');
+    quests.track('gather');
+    assert.equal(quests.getTracked().id, 'travel');
+
+    quests.complete('travel');
+    assert.equal(quests.getTracked().id, 'hunt');
+});
+
+test('serialize and deserialize restore progress and skip unknown quests', () => {
+    quests.startAvailable();
+    events.emit('entity:killed', { id: 'wolf', tags: [] });
+    const saved = JSON.parse(JSON.stringify(quests.serialize()));
+    assert.deepEqual(Object.keys(saved.quests), ['hunt']);
+
+    const restored = new QuestManager(new EventBus(), createDefinition());
+    restored.deserialize({ ...saved, quests: { ...saved.quests, removed: { status: 'active', stage: 0 } } });
+    assert.equal(restored.getStatus('hunt'), 'active');
+    assert.deepEqual(restored.getState('hunt').progress, { kill0: 1 });
+    assert.equal(restored.getTracked().id, 'hunt');
+    assert.equal(restored.getState('removed'), null);
+});
+
+test('events during a suspended load are replayed once on resume', () => {
+    const saved = { quests: { hunt: { status: 'completed', stage: 1, progress: {} }, gather: { status: 'active', stage: 0, progress: {} } } };
+
+    const completions = [];
+    events.on('quest:completed', data => completions.push(data.quest.id));
+    quests.suspend();
+    quests.deserialize(saved);
+    events.emit('inventory:changed', { inventory: createInventory({ herb: 3 }) });
+    assert.equal(quests.getStatus('gather'), 'active');
+
+    quests.resume();
+    assert.equal(quests.getStatus('gather'), 'completed');
+    assert.deepEqual(completions, ['gather']);
+});
+
+test('dispose stops listening to the event bus', () => {
+    quests.startAvailable();
+    quests.dispose();
+    events.emit('entity:killed', { id: 'wolf', tags: [] });
+    assert.deepEqual(quests.getState('hunt').progress, {});
+});
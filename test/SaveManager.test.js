@@ -0,0 +1,238 @@
+/**
+ * Тесты слотов SaveManager
+ * IndexedDB в Node нет, поэтому SaveStorage работает через localStorage,
+ * который подменяется хранилищем в памяти
+ */
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+/**
+ * localStorage в памяти с тем же интерфейсом, что и в браузере
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+    get length() { return this.items.size; }
+    key(index) { return Array.from(this.items.keys())[index] || null; }
+    getItem(key) { return this.items.has(key) ? this.items.get(key) : null; }
+    setItem(key, value) { this.items.set(key, String(value)); }
+    removeItem(key) { this.items.delete(key); }
+    clear() { this.items.clear(); }
+}
+globalThis.localStorage = new MemoryStorage();
+
+const { SaveManager } = await import('../src/core/SaveManager.js');
+const { SAVE_VERSION } = await import('../src/core/saveMigrations.js');
+
+const SLOT_PREFIX = 'game_save_slot_';
+
+function createConfig() {
+    const values = {
+        'save.thumbnails': false,
+        'save.autosaveSlot': 'autosave'
+    };
+    return { get: key => values[key] };
+}
+
+/**
+ * Хук сериализации поверх обычного объекта состояния
+ */
+function createStateHook(state) {
+    return {
+        serialize: () => ({ ...state }),
+        deserialize: (data) => Object.assign(state, data)
+    };
+}
+
+function readStoredSlot(slot) {
+    return JSON.parse(localStorage.getItem(SLOT_PREFIX + slot));
+}
+
+let saves;
+
+beforeEach(async () => {
+    localStorage.clear();
+    saves = new SaveManager(null, null, createConfig());
+    await saves.init();
+});
+
+test('save and load round-trip every hook section', async () => {
+    const player = { health: 75, name: 'Hero' };
+    const quests = { active: ['intro'] };
+    saves.register('player', createStateHook(player));
+    saves.register('quests', createStateHook(quests));
+
+    const metadata = await saves.save('slot1', { label: 'First' });
+    assert.equal(metadata.slot, 'slot1');
+    assert.equal(metadata.label, 'First');
+    assert.equal(metadata.version, SAVE_VERSION);
+
+    const stored = readStoredSlot('slot1');
+    assert.deepEqual(stored.data, { player: { health: 75, name: 'Hero' }, quests: { active: ['intro'] } });
+
+    player.health = 10;
+    quests.active = [];
+    await saves.load('slot1');
+    assert.deepEqual(player, { health: 75, name: 'Hero' });
+    assert.deepEqual(quests, { active: ['intro'] });
+});
+
+test('load skips sections without a hook and hooks without a section', async () => {
+    const state = { value: 1 };
+    saves.register('present', createStateHook(state));
+    saves.register('missing', {
+        serialize: () => null,
+        deserialize: () => assert.fail('hook without a saved section must not be called')
+    });
+    localStorage.setItem(SLOT_PREFIX + 'other', JSON.stringify({
+        version: SAVE_VERSION,
+        slot: 'other',
+        timestamp: 1,
+        data: { present: { value: 2 }, unknown: { value: 3 } }
+    }));
+
+    await saves.load('other');
+    assert.deepEqual(state, { value: 2 });
+});
+
+test('failing hook does not stop the others', async () => {
+    const state = { value: 1 };
+    saves.register('broken', {
+        serialize: () => { throw new Error('boom'); },
+        deserialize: () => { throw new Error('boom'); }
+    });
+    saves.register('state', createStateHook(state));
+    mock.method(console, 'error', () => {});
+
+    await saves.save('slot1');
+    assert.deepEqual(Object.keys(readStoredSlot('slot1').data), ['state']);
+
+    state.value = 5;
+    await saves.load('slot1');
+    assert.equal(state.value, 1);
+    mock.restoreAll();
+});
+
+test('unregistered hook is left out of new saves', async () => {
+    const unregister = saves.register('temp', createStateHook({ value: 1 }));
+    unregister();
+
+    await saves.save('slot1');
+    assert.deepEqual(readStoredSlot('slot1').data, {});
+});
+
+test('missing slot loads as null', async () => {
+    mock.method(console, 'warn', () => {});
+    assert.equal(await saves.load('nothing'), null);
+    assert.equal(await saves.hasSlot('nothing'), false);
+    mock.restoreAll();
+});
+
+test('slots are listed newest first without their data', async () => {
+    const timestamps = { old: 1000, newest: 3000, middle: 2000 };
+    Object.entries(timestamps).forEach(([slot, timestamp]) => {
+        localStorage.setItem(SLOT_PREFIX + slot, JSON.stringify({ version: SAVE_VERSION, slot, label: slot, timestamp, data: { big: 1 } }));
+    });
+    localStorage.setItem('unrelated_key', '{}');
+
+    const slots = await saves.listSlots();
+    assert.deepEqual(slots.map(slot => slot.slot), ['newest', 'middle', 'old']);
+    assert.ok(slots.every(slot => !('data' in slot)));
+});
+
+test('deleted slot disappears from the list', async () => {
+    await saves.save('a');
+    await saves.save('b');
+    await saves.deleteSlot('a');
+
+    assert.deepEqual((await saves.listSlots()).map(slot => slot.slot), ['b']);
+});
+
+test('loading an old save migrates it and stores the migrated version', async () => {
+    localStorage.setItem(SLOT_PREFIX + 'old', JSON.stringify({
+        slot: 'old',
+        playerPosition: { _isDirty: true, _x: 1, _y: 2, _z: 3 },
+        cameraMode: 'thirdPerson',
+        timestamp: 500
+    }));
+    const game = {};
+    saves.register('game', createStateHook(game));
+
+    const metadata = await saves.load('old');
+    assert.equal(metadata.version, SAVE_VERSION);
+    assert.equal(game.cameraMode, 'thirdPerson');
+
+    const stored = readStoredSlot('old');
+    assert.equal(stored.version, SAVE_VERSION);
+    assert.deepEqual(stored.data.entities.player.TransformComponent.position, { x: 1, y: 2, z: 3 });
+});
+
+test('legacy single-key save moves to the autosave slot once', async () => {
+    localStorage.setItem('game_save', JSON.stringify({
+        playerPosition: { _isDirty: true, _x: 4, _y: 5, _z: 6 },
+        flyMode: true,
+        timestamp: 700
+    }));
+
+    await saves.importLegacySave();
+    assert.equal(localStorage.getItem('game_save'), null);
+
+    const stored = readStoredSlot('autosave');
+    assert.equal(stored.version, SAVE_VERSION);
+    assert.equal(stored.timestamp, 700);
+    assert.deepEqual(stored.data.game, { cameraMode: null, flyMode: true });
+});
+
+test('legacy save does not overwrite an existing autosave slot', async () => {
+    saves.register('marker', createStateHook({ fresh: true }));
+    await saves.save('autosave');
+    localStorage.setItem('game_save', JSON.stringify({ playerPosition: { x: 0, y: 0, z: 0 } }));
+
+    await saves.importLegacySave();
+    assert.deepEqual(readStoredSlot('autosave').data, { marker: { fresh: true } });
+    assert.equal(localStorage.getItem('game_save'), null);
+});
+
+test('imported file is migrated and stored under the requested slot', async () => {
+    const file = {
+        text: async () => JSON.stringify({ slot: 'fromFile', playerPosition: { x: 1, y: 1, z: 1 }, timestamp: 900 })
+    };
+
+    const metadata = await saves.importSlot(file, 'target');
+    assert.equal(metadata.slot, 'target');
+    assert.equal(readStoredSlot('target').version, SAVE_VERSION);
+    assert.equal(localStorage.getItem(SLOT_PREFIX + 'fromFile'), null);
+});
+
+test('import rejects files that are not saves', async () => {
+    await assert.rejects(saves.importSlot({ text: async () => 'null' }), /Invalid save file/);
+    await assert.rejects(saves.importSlot({ text: async () => '{ broken' }), SyntaxError);
+    await assert.rejects(
+        saves.importSlot({ text: async () => JSON.stringify({ version: SAVE_VERSION, slot: 'x' }) }),
+        /no data/
+    );
+});
+
+test('export keeps the download URL alive until the download starts', async () => {
+    await saves.save('slot1');
+    const anchor = { click: mock.fn() };
+    globalThis.document = { createElement: () => anchor };
+    const revoke = mock.method(URL, 'revokeObjectURL', () => {});
+    mock.timers.enable({ apis: ['setTimeout'] });
+
+    try {
+        assert.equal(await saves.exportSlot('slot1'), true);
+        assert.equal(anchor.download, 'slot1.save.json');
+        assert.equal(anchor.click.mock.callCount(), 1);
+        assert.equal(revoke.mock.callCount(), 0);
+
+        mock.timers.runAll();
+        assert.equal(revoke.mock.callCount(), 1);
+        assert.equal(revoke.mock.calls[0].arguments[0], anchor.href);
+    } finally {
+        mock.timers.reset();
+        mock.restoreAll();
+        delete globalThis.document;
+    }
+});
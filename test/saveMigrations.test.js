@@ -0,0 +1,83 @@
+/**
+ * Тесты миграций сохранений
+ * BABYLON.Vector3 подменяется классом с той же формой JSON, что и у
+ * babylonjs 6.x: координаты в приватных полях _x/_y/_z рядом с _isDirty
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+class Vector3 {
+    constructor(x = 0, y = 0, z = 0) {
+        this._isDirty = true;
+        this._x = x;
+        this._y = y;
+        this._z = z;
+    }
+    get x() { return this._x; }
+    get y() { return this._y; }
+    get z() { return this._z; }
+    clone() { return new Vector3(this._x, this._y, this._z); }
+    copyFrom(other) {
+        this._x = other.x;
+        this._y = other.y;
+        this._z = other.z;
+        return this;
+    }
+    static Zero() { return new Vector3(); }
+}
+globalThis.BABYLON = { Vector3 };
+
+const { SAVE_VERSION, migrateSave } = await import('../src/core/saveMigrations.js');
+const { TransformComponent } = await import('../src/components/TransformComponent.js');
+
+/**
+ * Сохранение старого формата, как его писал одиночный ключ game_save
+ */
+function createLegacySave(position) {
+    return JSON.parse(JSON.stringify({
+        playerPosition: position,
+        cameraMode: 'firstPerson',
+        flyMode: true,
+        config: {},
+        timestamp: 1700000000000
+    }));
+}
+
+test('legacy save with a stringified Vector3 restores a finite player position', () => {
+    const legacy = createLegacySave(new Vector3(12.5, 3, -7.25));
+    assert.deepEqual(Object.keys(legacy.playerPosition).sort(), ['_isDirty', '_x', '_y', '_z']);
+
+    const save = migrateSave(legacy);
+    const data = save.data.entities.player.TransformComponent;
+    assert.deepEqual(data.position, { x: 12.5, y: 3, z: -7.25 });
+
+    const transform = new TransformComponent();
+    transform.deserialize(data);
+    assert.ok([transform.position.x, transform.position.y, transform.position.z].every(Number.isFinite));
+    assert.equal(transform.position.x, 12.5);
+    assert.equal(transform.previousPosition.z, -7.25);
+});
+
+test('legacy save with a plain { x, y, z } position is kept as is', () => {
+    const save = migrateSave(createLegacySave({ x: 1, y: 2, z: 3 }));
+    assert.deepEqual(save.data.entities.player.TransformComponent.position, { x: 1, y: 2, z: 3 });
+});
+
+test('legacy save with an unreadable position drops the player section', () => {
+    const save = migrateSave(createLegacySave({ foo: 1 }));
+    assert.deepEqual(save.data.entities, {});
+});
+
+test('migration fills slot metadata and game settings', () => {
+    const save = migrateSave(createLegacySave(new Vector3(0, 0, 0)));
+    assert.equal(save.version, SAVE_VERSION);
+    assert.equal(save.slot, 'legacy');
+    assert.equal(save.timestamp, 1700000000000);
+    assert.deepEqual(save.data.game, { cameraMode: 'firstPerson', flyMode: true });
+});
+
+test('current saves pass through and newer versions are rejected', () => {
+    const current = { version: SAVE_VERSION, slot: 'a', data: {} };
+    assert.equal(migrateSave(current), current);
+    assert.throws(() => migrateSave({ version: SAVE_VERSION + 1, data: {} }), /newer than supported/);
+});
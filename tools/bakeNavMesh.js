@@ -0,0 +1,85 @@
+/**
+ * Офлайн-запекание навигационной сетки
+ * Собирает геометрию уровня так же, как игра (src/core/levelGeometry.js),
+ * запекает навмеш с настройками navigation по умолчанию и пишет JSON, который
+ * игра загружает по пути navigation.navmeshPath вместо запекания при запуске.
+ * После изменения уровня или настроек navigation сетку нужно перезапечь:
+ *
+ *   npm run bake:navmesh
+ *   npm run bake:navmesh -- --model assets/level.glb --out assets/navmesh/navmesh.json
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+
+// Модули игры ждут BABYLON глобально, как при подключении со страницы
+const babylon = await import('babylonjs');
+globalThis.BABYLON = babylon.default || babylon;
+await import('babylonjs-loaders');
+
+const { ConfigManager } = await import('../src/core/ConfigManager.js');
+const { WORLD_MODEL_PATH, createTestObjects, buildCollisionWorld } = await import('../src/core/levelGeometry.js');
+const { NavigationManager } = await import('../src/navigation/NavigationManager.js');
+const { NavMesh } = await import('../src/navigation/NavMesh.js');
+
+// Масштаб мира игры (Game.scaleFactor)
+const SCALE_FACTOR = 10;
+const DEFAULT_OUTPUT = 'assets/navmesh/navmesh.json';
+
+/**
+ * Разбор аргументов: --model <путь>, --out <путь>
+ */
+function parseArgs(argv) {
+    const options = { model: WORLD_MODEL_PATH, out: DEFAULT_OUTPUT };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        if (!(key in options) || argv[i + 1] === undefined) {
+            throw new Error(`Unknown or incomplete argument '${argv[i]}' (expected --model <file> or --out <file>)`);
+        }
+        options[key] = argv[++i];
+    }
+    return options;
+}
+
+/**
+ * Модель мира из файла; без файла остается только тестовая геометрия, как в игре
+ * @returns {Promise<Array>} Меши модели
+ */
+async function loadWorldModel(scene, file) {
+    if (!fs.existsSync(file)) {
+        console.warn(`⚠️ World model '${file}' not found, baking test geometry only`);
+        return [];
+    }
+
+    const data = new Uint8Array(fs.readFileSync(file));
+    const result = await BABYLON.SceneLoader.ImportMeshAsync('', '', data, scene, null, path.extname(file));
+    console.log(`📦 World model loaded: ${result.meshes.length} meshes`);
+    return result.meshes;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const engine = new BABYLON.NullEngine();
+    const scene = new BABYLON.Scene(engine);
+    const config = new ConfigManager();
+
+    createTestObjects(scene);
+    const worldMeshes = await loadWorldModel(scene, options.model);
+    const { collisionWorld } = buildCollisionWorld(scene, worldMeshes, config, SCALE_FACTOR);
+
+    const navigation = new NavigationManager(scene, config, null, SCALE_FACTOR);
+    const data = navigation.bake(collisionWorld);
+    // Та же проверка формата, что и при загрузке в игре
+    const navMesh = new NavMesh(data);
+
+    fs.mkdirSync(path.dirname(options.out), { recursive: true });
+    fs.writeFileSync(options.out, JSON.stringify(data));
+    console.log(`💾 Navmesh written to ${options.out} (${navMesh.getPolygonCount()} polygons)`);
+
+    scene.dispose();
+    engine.dispose();
+}
+
+main().catch((error) => {
+    console.error('❌ Navmesh bake failed:', error);
+    process.exitCode = 1;
+});